@@ -3,21 +3,111 @@ const session = require('express-session');
 const path = require('path');
 const AuthMiddleware = require('./modules/auth');
 const ProposalService = require('./modules/proposals');
+const { JobService, isTerminal, publicJob } = require('./modules/jobService');
+const { TemplateRenderError } = require('./modules/templateRenderer');
+const { IncompleteProposalError } = require('./modules/placeholderTracker');
+const { VariablesValidationError } = require('./modules/variablesSchema');
+const { ConflictError, proposalETag } = require('./modules/concurrency');
+const { DatabaseSessionStore, sessionTTL } = require('./modules/sessionStore');
+const { EmailNotVerifiedError, emailVerificationPolicy } = require('./modules/emailVerification');
+const { TwoFactorRequiredError } = require('./modules/twoFactor');
+
+const SSE_HEARTBEAT_MS = 15000;
+
+// 422 response for variables that do not parse or do not match the variables schema, and for a response template
+// that does not render (with the template's name, line and snippet); false for other errors
+function sendInvalidVariables(res, error) {
+    if (error instanceof TemplateRenderError) {
+        res.status(422).json({
+            success: false,
+            message: error.message,
+            source: error.source,
+            line: error.line,
+            column: error.column,
+            snippet: error.snippet
+        });
+        return true;
+    }
+    if (error instanceof VariablesValidationError) {
+        res.status(422).json({ success: false, message: error.message, errors: error.errors });
+        return true;
+    }
+    return false;
+}
+
+// 409 response for a write based on an outdated copy: conflict holds the stored copy (and its ETag) so the
+// client can merge or overwrite; false for other errors
+function sendConflict(res, error) {
+    if (error instanceof ConflictError) {
+        res.set('ETag', error.current.etag);
+        res.status(409).json({ success: false, message: error.message, conflict: error.current });
+        return true;
+    }
+    return false;
+}
+
+// Address the app is reached at, for links in emails, or null when APP_BASE_URL is not set; checked once at
+// startup. The Host header is never used: the client chooses it, and a link built from it could hand a token to
+// someone else's server.
+function appBaseUrl() {
+    const configured = (process.env.APP_BASE_URL || '').trim();
+    if (!configured) {
+        return null;
+    }
+
+    let url;
+    try {
+        url = new URL(configured);
+    } catch (error) {
+        throw new Error(`APP_BASE_URL must be an absolute URL such as https://proposals.example.com, not ${configured}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`APP_BASE_URL must be an http or https URL, not ${configured}`);
+    }
+    return configured.replace(/\/+$/, '');
+}
+
+// Sends the confirmation link for a new or changed email address; a mail problem must not fail the request
+async function sendEmailVerification(auth, userId, baseUrl) {
+    try {
+        return await auth.sendEmailVerification(userId, baseUrl);
+    } catch (error) {
+        console.error('Email verification mail error:', error);
+        return false;
+    }
+}
 
 function createApp() {
+    const baseUrl = appBaseUrl();
+    // Accounts may have to confirm their address, so confirmation links must go out
+    if (!baseUrl && emailVerificationPolicy() !== 'off') {
+        throw new Error(`EMAIL_VERIFICATION_POLICY=${emailVerificationPolicy()} sends confirmation links: set APP_BASE_URL ` +
+            'to the public address of the app, or set EMAIL_VERIFICATION_POLICY=off');
+    }
+    if (!baseUrl) {
+        console.error('Password reset is disabled: set APP_BASE_URL to the public address of the app to send reset links');
+    }
+
     const app = express();
     const auth = new AuthMiddleware();
     const proposalService = new ProposalService(auth.db);
+    const jobService = new JobService(auth.db, proposalService);
+
+    // Pick up processing jobs interrupted by the last shutdown
+    jobService.resumePendingJobs().catch((error) => {
+        console.error('Failed to resume pending jobs:', error);
+    });
 
-    // Session configuration
+    // Session configuration; sessions are stored in the app database, so logins survive restarts
     app.use(session({
         secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
+        store: new DatabaseSessionStore(auth.db),
         resave: false,
         saveUninitialized: false,
         cookie: {
             secure: false, // Set to true in production with HTTPS
             httpOnly: true,
-            maxAge: 24 * 60 * 60 * 1000 // 24 hours
+            maxAge: sessionTTL(false) // login sets the remember me lifetime
         }
     }));
 
@@ -37,6 +127,11 @@ function createApp() {
         res.sendFile(path.join(__dirname, 'public', 'login.html'));
     });
 
+    // Opened from the emailed reset link; works whether or not someone is signed in on this browser
+    app.get('/reset-password', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'login.html'));
+    });
+
     app.get('/', auth.requireAuth, (req, res) => {
         res.sendFile(path.join(__dirname, 'public', 'index.html'));
     });
@@ -45,16 +140,31 @@ function createApp() {
         res.sendFile(path.join(__dirname, 'public', 'profile.html'));
     });
 
+    // Opened from the emailed confirmation link; reports back on the profile or login page
+    app.get('/verify-email', async (req, res) => {
+        const page = req.session?.userId ? '/profile' : '/login';
+        try {
+            await auth.verifyEmail(req.query.token);
+            res.redirect(`${page}?emailVerified=1`);
+        } catch (error) {
+            res.redirect(`${page}?emailVerified=0`);
+        }
+    });
+
     // API routes
     app.post('/api/register', async (req, res) => {
         try {
             const { username, password, email, theme } = req.body;
             const user = await auth.register(username, password, email, theme);
             await proposalService.ensureSeedProposals(user.id, user.username);
+            const verificationSent = await sendEmailVerification(auth, user.id, baseUrl);
 
             res.json({
                 success: true,
-                message: 'Registration successful',
+                message: verificationSent
+                    ? 'Registration successful! We sent a link to confirm your email address.'
+                    : 'Registration successful',
+                verificationSent,
                 user: {
                     id: user.id,
                     username: user.username,
@@ -72,19 +182,30 @@ function createApp() {
 
     app.post('/api/login', async (req, res) => {
         try {
-            const { username, password, rememberMe } = req.body;
-            const loginResult = await auth.login(username, password, rememberMe);
-
-            req.session.sessionId = loginResult.sessionId;
+            const { username, password, rememberMe, code } = req.body;
+            const loginResult = await auth.login(username, password, code);
+            await auth.startSession(req, loginResult.user, rememberMe);
 
             await proposalService.ensureSeedProposals(loginResult.user.id, loginResult.user.username);
 
             res.json({
                 success: true,
                 message: 'Login successful',
-                user: loginResult.user
+                user: loginResult.user,
+                recoveryCodes: loginResult.recoveryCodes
             });
         } catch (error) {
+            if (error instanceof EmailNotVerifiedError) {
+                return res.status(403).json({ success: false, emailNotVerified: true, message: error.message });
+            }
+            if (error instanceof TwoFactorRequiredError) {
+                return res.status(401).json({
+                    success: false,
+                    twoFactorRequired: true,
+                    enrollment: error.enrollment,
+                    message: error.message
+                });
+            }
             res.status(401).json({
                 success: false,
                 message: error.message
@@ -94,12 +215,7 @@ function createApp() {
 
     app.post('/api/logout', async (req, res) => {
         try {
-            const sessionId = req.session?.sessionId;
-
-            if (sessionId) {
-                await auth.logout(sessionId);
-            }
-
+            // Destroying the session deletes it from the session store
             req.session.destroy((err) => {
                 if (err) {
                     console.error('Session destruction error:', err);
@@ -123,9 +239,96 @@ function createApp() {
         }
     });
 
+    app.post('/api/forgot-password', async (req, res) => {
+        // The same answer for every account, so it does not tell them apart
+        if (!baseUrl) {
+            return res.status(503).json({
+                success: false,
+                message: 'Password reset is not available on this server. Ask an administrator to reset your password.'
+            });
+        }
+
+        try {
+            await auth.requestPasswordReset(req.body.identifier, baseUrl);
+        } catch (error) {
+            if (!req.body.identifier?.trim()) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            // Same answer as for a sent email; a failing mail transport should not tell accounts apart
+            console.error('Password reset request error:', error);
+        }
+
+        res.json({
+            success: true,
+            message: 'If that account has an email address, a reset link is on its way.'
+        });
+    });
+
+    app.post('/api/reset-password', async (req, res) => {
+        try {
+            const { token, password, confirmPassword } = req.body;
+
+            if (password !== confirmPassword) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Passwords do not match'
+                });
+            }
+
+            await auth.resetPassword(token, password);
+
+            res.json({
+                success: true,
+                message: 'Your password has been reset. Log in with the new password.'
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    });
+
+    // Signed in: sends a new link for the account's address. Otherwise (login refused until the address is
+    // confirmed) sends it for the username or email given, with the same answer whether or not it exists.
+    app.post('/api/resend-verification', async (req, res) => {
+        try {
+            if (!req.session?.userId) {
+                try {
+                    await auth.requestEmailVerification(req.body.identifier, baseUrl);
+                } catch (error) {
+                    if (!req.body.identifier?.trim()) {
+                        return res.status(400).json({ success: false, message: error.message });
+                    }
+                    console.error('Resend verification error:', error);
+                }
+                return res.json({ success: true, message: 'If that account has an unconfirmed email address, a new link is on its way.' });
+            }
+
+            const user = await auth.db.findUserById(req.session.userId);
+            if (!user?.email || user.emailVerified) {
+                return res.status(400).json({
+                    success: false,
+                    message: user?.email ? 'Your email address is already confirmed.' : 'Add an email address to your profile first.'
+                });
+            }
+
+            const sent = await auth.sendEmailVerification(user.id, baseUrl);
+            res.json({
+                success: true,
+                message: sent
+                    ? `We sent a new confirmation link to ${user.email}.`
+                    : 'A confirmation link was sent a moment ago. Check your inbox, or try again in a minute.'
+            });
+        } catch (error) {
+            console.error('Resend verification error:', error);
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
     app.get('/api/user', auth.requireAuth, async (req, res) => {
         try {
-            res.json(req.user);
+            res.json({ ...req.user, emailVerificationPolicy: emailVerificationPolicy() });
         } catch (error) {
             console.error('Get user error:', error);
             res.status(500).json({
@@ -163,10 +366,16 @@ function createApp() {
             }
 
             const updatedUser = await auth.updateProfile(req.user.id, updates, currentPassword);
+            const verificationSent = updatedUser.email && updatedUser.email !== req.user.email
+                ? await sendEmailVerification(auth, req.user.id, baseUrl)
+                : false;
 
             res.json({
                 success: true,
-                message: 'Profile updated successfully',
+                message: verificationSent
+                    ? 'Profile updated. We sent a link to confirm your new email address.'
+                    : 'Profile updated successfully',
+                verificationSent,
                 user: updatedUser
             });
         } catch (error) {
@@ -178,7 +387,68 @@ function createApp() {
         }
     });
 
-    // Proposal routes
+    // Two-factor authentication settings of the signed-in account
+    app.get('/api/two-factor', auth.requireAuth, async (req, res) => {
+        try {
+            res.json(await auth.getTwoFactorStatus(req.user.id));
+        } catch (error) {
+            console.error('Two-factor status error:', error);
+            res.status(500).json({ success: false, message: 'Failed to get two-factor status' });
+        }
+    });
+
+    app.post('/api/two-factor/setup', auth.requireAuth, async (req, res) => {
+        try {
+            const enrollment = await auth.startTwoFactorSetup(req.user.id, req.body.currentPassword);
+            res.json({ success: true, ...enrollment });
+        } catch (error) {
+            console.error('Two-factor setup error:', error);
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
+    app.post('/api/two-factor/enable', auth.requireAuth, async (req, res) => {
+        try {
+            const recoveryCodes = await auth.enableTwoFactor(req.user.id, req.body.code);
+            res.json({
+                success: true,
+                message: 'Two-factor authentication is on. Keep your recovery codes somewhere safe.',
+                recoveryCodes
+            });
+        } catch (error) {
+            console.error('Two-factor enable error:', error);
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
+    app.post('/api/two-factor/disable', auth.requireAuth, async (req, res) => {
+        try {
+            await auth.disableTwoFactor(req.user.id, req.body.currentPassword, req.body.code);
+            res.json({ success: true, message: 'Two-factor authentication is off' });
+        } catch (error) {
+            console.error('Two-factor disable error:', error);
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
+    app.post('/api/two-factor/recovery-codes', auth.requireAuth, async (req, res) => {
+        try {
+            const recoveryCodes = await auth.regenerateRecoveryCodes(req.user.id, req.body.currentPassword, req.body.code);
+            res.json({
+                success: true,
+                message: 'New recovery codes created. The old ones no longer work.',
+                recoveryCodes
+            });
+        } catch (error) {
+            console.error('Recovery codes error:', error);
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
+    // Proposal and processing job routes
+    app.use('/api/proposals', auth.restrictUnverified);
+    app.use('/api/jobs', auth.restrictUnverified);
+
     app.get('/api/proposals', auth.requireAuth, async (req, res) => {
         try {
             await proposalService.ensureSeedProposals(req.user.id, req.user.username);
@@ -201,6 +471,17 @@ function createApp() {
         }
     });
 
+    app.get('/api/proposals/:proposalId', auth.requireAuth, async (req, res) => {
+        try {
+            const proposal = await proposalService.getProposal(req.user.id, req.params.proposalId);
+            res.set('ETag', proposalETag(proposal));
+            res.json({ success: true, proposal });
+        } catch (error) {
+            console.error('Get proposal error:', error);
+            res.status(404).json({ success: false, message: error.message || 'Proposal not found' });
+        }
+    });
+
     app.delete('/api/proposals/:proposalId', auth.requireAuth, async (req, res) => {
         try {
             await proposalService.deleteProposal(req.user.id, req.params.proposalId);
@@ -211,7 +492,7 @@ function createApp() {
         }
     });
 
-    // RFP Document upload and processing
+    // RFP Document upload; processing runs as a background job
     app.post('/api/proposals/:proposalId/upload-rfp', auth.requireAuth, (req, res) => {
         const upload = proposalService.fileService.getUploadMiddleware();
 
@@ -232,30 +513,275 @@ function createApp() {
             }
 
             try {
-                const result = await proposalService.processRFPDocument(
+                const job = await jobService.enqueueRfpProcessing(
                     req.user.id,
                     req.params.proposalId,
                     req.file.path,
-                    req.file.originalname
+                    req.file.originalname,
+                    { documentKind: req.body.documentKind }
                 );
 
-                res.json({
+                res.status(202).json({
                     success: true,
-                    message: 'RFP document processed successfully',
-                    proposal: result.proposal,
-                    artifacts: result.artifacts,
-                    analysis: result.analysis
+                    message: 'RFP document queued for processing',
+                    job: publicJob(job)
                 });
             } catch (error) {
                 console.error('RFP processing error:', error);
-                res.status(500).json({
+                res.status(400).json({
                     success: false,
-                    message: error.message || 'Failed to process RFP document'
+                    message: error.message || 'Failed to queue RFP document'
                 });
             }
         });
     });
 
+    // Documents of the bid (base RFP, amendments, attachments, Q&A)
+    app.get('/api/proposals/:proposalId/documents', auth.requireAuth, async (req, res) => {
+        try {
+            const documents = await proposalService.listDocuments(req.user.id, req.params.proposalId);
+            res.json({ success: true, documents });
+        } catch (error) {
+            console.error('Get documents error:', error);
+            res.status(400).json({ success: false, message: error.message || 'Failed to get documents' });
+        }
+    });
+
+    // Reclassify a document; the consolidated artifacts are rebuilt without analyzing it again. If-Match takes
+    // the proposal's ETag.
+    app.put('/api/proposals/:proposalId/documents/:documentId', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await proposalService.updateDocument(req.user.id, req.params.proposalId, req.params.documentId, {
+                kind: req.body.kind,
+                ifMatch: req.get('If-Match')
+            });
+            res.set('ETag', result.etag);
+            res.json({ success: true, message: 'Document updated successfully', ...result });
+        } catch (error) {
+            console.error('Update document error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to update document' });
+        }
+    });
+
+    app.delete('/api/proposals/:proposalId/documents/:documentId', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await proposalService.deleteDocument(req.user.id, req.params.proposalId, req.params.documentId);
+            res.set('ETag', result.etag);
+            res.json({ success: true, message: 'Document removed successfully', ...result });
+        } catch (error) {
+            console.error('Delete document error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to remove document' });
+        }
+    });
+
+    // Amendment Impact: what a document changed in the bid ({ documentId }, the latest amendment by default) or
+    // the differences between two documents ({ from, to })
+    app.post('/api/proposals/:proposalId/amendment-impact', auth.requireAuth, async (req, res) => {
+        try {
+            const { documentId, from, to } = req.body || {};
+            const result = await proposalService.compareDocuments(req.user.id, req.params.proposalId, { documentId, from, to });
+            res.json({ success: true, message: 'Amendment impact generated successfully', ...result });
+        } catch (error) {
+            console.error('Amendment impact error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to compare documents' });
+        }
+    });
+
+    // Processing jobs
+    app.get('/api/proposals/:proposalId/jobs', auth.requireAuth, async (req, res) => {
+        try {
+            const jobs = await jobService.listProposalJobs(req.user.id, req.params.proposalId);
+            res.json({ success: true, jobs: jobs.map(publicJob) });
+        } catch (error) {
+            console.error('List jobs error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load jobs' });
+        }
+    });
+
+    app.get('/api/jobs/:jobId', auth.requireAuth, async (req, res) => {
+        try {
+            const job = await jobService.getJob(req.user.id, req.params.jobId);
+            res.json({ success: true, job: publicJob(job) });
+        } catch (error) {
+            res.status(404).json({ success: false, message: error.message });
+        }
+    });
+
+    app.post('/api/jobs/:jobId/cancel', auth.requireAuth, async (req, res) => {
+        try {
+            const job = await jobService.cancelJob(req.user.id, req.params.jobId);
+            res.json({ success: true, message: 'Cancellation requested', job: publicJob(job) });
+        } catch (error) {
+            console.error('Cancel job error:', error);
+            res.status(400).json({ success: false, message: error.message || 'Failed to cancel job' });
+        }
+    });
+
+    // Server-Sent Events: the current job state first, then every update until the job finishes
+    app.get('/api/jobs/:jobId/events', auth.requireAuth, async (req, res) => {
+        let job;
+        try {
+            job = await jobService.getJob(req.user.id, req.params.jobId);
+        } catch (error) {
+            return res.status(404).json({ success: false, message: error.message });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        const send = (update) => {
+            res.write(`event: job\ndata: ${JSON.stringify(publicJob(update))}\n\n`);
+        };
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+        const stop = () => {
+            clearInterval(heartbeat);
+            jobService.off('update', onUpdate);
+            res.end();
+        };
+        const onUpdate = (update) => {
+            if (update.id !== job.id) return;
+            send(update);
+            if (isTerminal(update)) stop();
+        };
+
+        jobService.on('update', onUpdate);
+        req.on('close', stop);
+
+        send(job);
+        if (isTerminal(job)) stop();
+    });
+
+    // Placeholder completion of the variables artifact
+    app.get('/api/proposals/:proposalId/completion', auth.requireAuth, async (req, res) => {
+        try {
+            const completion = await proposalService.getCompletion(req.user.id, req.params.proposalId);
+            res.json({ success: true, completion });
+        } catch (error) {
+            console.error('Get completion error:', error);
+            res.status(400).json({ success: false, message: error.message || 'Failed to get completion' });
+        }
+    });
+
+    // Compliance matrix built from the analyzed requirements
+    app.get('/api/proposals/:proposalId/compliance-matrix', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await proposalService.getComplianceMatrix(req.user.id, req.params.proposalId);
+            res.set('ETag', result.etag);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Get compliance matrix error:', error);
+            res.status(400).json({ success: false, message: error.message || 'Failed to get compliance matrix' });
+        }
+    });
+
+    // Update owners, statuses, response sections and notes of matrix rows
+    app.put('/api/proposals/:proposalId/compliance-matrix', auth.requireAuth, async (req, res) => {
+        try {
+            const { rows } = req.body;
+            if (!Array.isArray(rows)) {
+                return res.status(400).json({ success: false, message: 'Rows are required' });
+            }
+
+            const result = await proposalService.updateComplianceMatrix(req.user.id, req.params.proposalId, rows, {
+                ifMatch: req.get('If-Match')
+            });
+            res.set('ETag', result.etag);
+            res.json({ success: true, message: 'Compliance matrix saved successfully', ...result });
+        } catch (error) {
+            console.error('Update compliance matrix error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to save compliance matrix' });
+        }
+    });
+
+    // Export the compliance matrix as CSV or XLSX
+    app.post('/api/proposals/:proposalId/compliance-matrix/export', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await proposalService.exportComplianceMatrix(req.user.id, req.params.proposalId, req.body.format);
+            res.json({
+                success: true,
+                message: 'Compliance matrix exported successfully',
+                artifact: result.artifact,
+                artifacts: result.artifacts
+            });
+        } catch (error) {
+            console.error('Export compliance matrix error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to export compliance matrix' });
+        }
+    });
+
+    // Render the response template into a Draft artifact
+    app.post('/api/proposals/:proposalId/render', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await proposalService.renderDraft(req.user.id, req.params.proposalId, {
+                allowIncomplete: Boolean(req.body.allowIncomplete)
+            });
+            res.json({
+                success: true,
+                message: 'Draft rendered successfully',
+                artifact: result.artifact,
+                artifacts: result.artifacts,
+                completion: result.completion
+            });
+        } catch (error) {
+            console.error('Render draft error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            if (error instanceof IncompleteProposalError) {
+                return res.status(409).json({ success: false, message: error.message, completion: error.completion });
+            }
+            if (sendInvalidVariables(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to render draft' });
+        }
+    });
+
+    // Export the rendered draft as DOCX, PDF or HTML
+    app.post('/api/proposals/:proposalId/export', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await proposalService.exportDraft(req.user.id, req.params.proposalId, req.body.format, {
+                allowIncomplete: Boolean(req.body.allowIncomplete)
+            });
+            res.json({
+                success: true,
+                message: 'Proposal exported successfully',
+                artifact: result.artifact,
+                artifacts: result.artifacts,
+                completion: result.completion,
+                draftPlaceholders: result.draftPlaceholders
+            });
+        } catch (error) {
+            console.error('Export draft error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            if (error instanceof IncompleteProposalError) {
+                return res.status(409).json({ success: false, message: error.message, completion: error.completion });
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to export proposal' });
+        }
+    });
+
     // Get proposal artifacts
     app.get('/api/proposals/:proposalId/artifacts', auth.requireAuth, async (req, res) => {
         try {
@@ -270,15 +796,20 @@ function createApp() {
     // Download artifact
     app.get('/api/proposals/:proposalId/artifacts/:fileName', auth.requireAuth, async (req, res) => {
         try {
-            const file = await proposalService.downloadArtifact(
+            const file = await proposalService.getArtifactDownload(
                 req.user.id,
                 req.params.proposalId,
                 req.params.fileName
             );
 
-            res.setHeader('Content-Type', 'text/plain');
-            res.setHeader('Content-Disposition', `attachment; filename="${req.params.fileName}"`);
-            res.send(file.content);
+            // attachment() also guesses a type from the extension, so the explicit type is set afterwards
+            res.attachment(req.params.fileName);
+            res.setHeader('Content-Type', file.contentType);
+            res.sendFile(file.path, (error) => {
+                if (error && !res.headersSent) {
+                    res.status(400).json({ success: false, message: 'Failed to download artifact' });
+                }
+            });
         } catch (error) {
             console.error('Download artifact error:', error);
             res.status(400).json({ success: false, message: error.message || 'Failed to download artifact' });
@@ -294,12 +825,14 @@ function createApp() {
                 req.params.fileName
             );
 
+            res.set('ETag', file.etag);
             res.json({
                 success: true,
                 content: file.content,
                 fileName: req.params.fileName,
                 size: file.size,
-                modified: file.modified
+                modified: file.modified,
+                etag: file.etag
             });
         } catch (error) {
             console.error('View artifact error:', error);
@@ -307,7 +840,7 @@ function createApp() {
         }
     });
 
-    // Update artifact content
+    // Update artifact content; If-Match takes the ETag the artifact was viewed with
     app.put('/api/proposals/:proposalId/artifacts/:fileName', auth.requireAuth, async (req, res) => {
         try {
             const { content } = req.body;
@@ -319,16 +852,140 @@ function createApp() {
                 req.user.id,
                 req.params.proposalId,
                 req.params.fileName,
-                content
+                content,
+                {
+                    note: typeof req.body.note === 'string' ? req.body.note.trim() : '',
+                    ifMatch: req.get('If-Match')
+                }
             );
 
+            res.set('ETag', result.etag);
             res.json({ success: true, message: 'Artifact updated successfully', artifact: result });
         } catch (error) {
             console.error('Update artifact error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            if (sendInvalidVariables(res, error)) {
+                return;
+            }
             res.status(400).json({ success: false, message: error.message || 'Failed to update artifact' });
         }
     });
 
+    // Artifact version history
+    app.get('/api/proposals/:proposalId/artifacts/:fileName/versions', auth.requireAuth, async (req, res) => {
+        try {
+            const versions = await proposalService.listArtifactVersions(req.user.id, req.params.proposalId, req.params.fileName);
+            res.json({ success: true, versions });
+        } catch (error) {
+            console.error('List artifact versions error:', error);
+            res.status(400).json({ success: false, message: error.message || 'Failed to list versions' });
+        }
+    });
+
+    app.get('/api/proposals/:proposalId/artifacts/:fileName/versions/:version', auth.requireAuth, async (req, res) => {
+        try {
+            const version = await proposalService.getArtifactVersion(
+                req.user.id,
+                req.params.proposalId,
+                req.params.fileName,
+                req.params.version
+            );
+            res.json({ success: true, version });
+        } catch (error) {
+            console.error('Get artifact version error:', error);
+            res.status(400).json({ success: false, message: error.message || 'Failed to get version' });
+        }
+    });
+
+    // Diff between two versions (?from=1&to=3); to defaults to the newest version
+    app.get('/api/proposals/:proposalId/artifacts/:fileName/diff', auth.requireAuth, async (req, res) => {
+        try {
+            if (!req.query.from) {
+                return res.status(400).json({ success: false, message: 'The version to compare from is required' });
+            }
+
+            const diff = await proposalService.diffArtifactVersions(
+                req.user.id,
+                req.params.proposalId,
+                req.params.fileName,
+                req.query.from,
+                req.query.to
+            );
+            res.json({ success: true, ...diff });
+        } catch (error) {
+            console.error('Diff artifact versions error:', error);
+            res.status(400).json({ success: false, message: error.message || 'Failed to compare versions' });
+        }
+    });
+
+    app.post('/api/proposals/:proposalId/artifacts/:fileName/versions/:version/restore', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await proposalService.restoreArtifactVersion(
+                req.user.id,
+                req.params.proposalId,
+                req.params.fileName,
+                req.params.version
+            );
+            res.json({ success: true, message: `Version ${req.params.version} restored`, ...result });
+        } catch (error) {
+            console.error('Restore artifact version error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            if (sendInvalidVariables(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to restore version' });
+        }
+    });
+
+    // Variables artifact and the schema of the variables form
+    app.get('/api/proposals/:proposalId/variables', auth.requireAuth, async (req, res) => {
+        try {
+            const result = await proposalService.getVariables(req.user.id, req.params.proposalId);
+            res.set('ETag', result.etag);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Get variables error:', error);
+            if (sendInvalidVariables(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to get variables' });
+        }
+    });
+
+    // Save the variables form
+    app.put('/api/proposals/:proposalId/variables', auth.requireAuth, async (req, res) => {
+        try {
+            const { variables } = req.body;
+            if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+                return res.status(400).json({ success: false, message: 'Variables object is required' });
+            }
+
+            const result = await proposalService.saveVariables(req.user.id, req.params.proposalId, variables, {
+                ifMatch: req.get('If-Match')
+            });
+            res.set('ETag', result.artifact.etag);
+            res.json({
+                success: true,
+                message: 'Variables saved successfully',
+                artifact: result.artifact,
+                completion: result.completion
+            });
+        } catch (error) {
+            console.error('Save variables error:', error);
+            if (sendConflict(res, error)) {
+                return;
+            }
+            if (sendInvalidVariables(res, error)) {
+                return;
+            }
+            res.status(400).json({ success: false, message: error.message || 'Failed to save variables' });
+        }
+    });
+
     // 404 handler
     app.use((req, res) => {
         res.status(404).redirect('/login');
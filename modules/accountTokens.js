@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// One-time tokens emailed to users (password reset). The token is "<userId>.<secret>"; only a SHA-256 hash of
+// the secret is stored, on the user under tokens[purpose], so a leaked database does not leak usable links.
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// { token, record }: token goes into the emailed link, record is stored
+function createAccountToken(userId, ttlMs) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    return {
+        token: `${userId}.${secret}`,
+        record: {
+            hash: hashSecret(secret),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString()
+        }
+    };
+}
+
+// { userId, secret } of a token, or null when it is not one
+function parseAccountToken(token) {
+    const match = /^([^.\s]+)\.([A-Za-z0-9_-]{20,})$/.exec(typeof token === 'string' ? token.trim() : '');
+    return match ? { userId: match[1], secret: match[2] } : null;
+}
+
+// Whether secret belongs to the stored record and the record has not expired
+function matchesAccountToken(record, secret, now = new Date()) {
+    if (!record?.hash || new Date(record.expiresAt) <= now) {
+        return false;
+    }
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    createAccountToken,
+    parseAccountToken,
+    matchesAccountToken
+};
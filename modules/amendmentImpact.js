@@ -0,0 +1,230 @@
+const { NOT_SPECIFIED } = require('./analysisSchema');
+const { sameItem, revisesItem, itemSimilarity } = require('./analysisMerge');
+const { REQUIREMENT_CATEGORIES } = require('./complianceMatrix');
+
+const EVALUATION_CRITERIA_PATH = 'evaluation.criteria';
+
+// Dates an amendment typically moves
+const DATE_FIELDS = [
+    { path: 'overview.dueDate', label: 'Proposal due date', responseSection: 'Proposed Solution > Implementation Timeline' },
+    { path: 'evaluation.timeline', label: 'Evaluation timeline', responseSection: null },
+    { path: 'constraints.timeline', label: 'Project timeline', responseSection: 'Proposed Solution > Implementation Timeline' }
+];
+
+// Other single values whose change affects the response
+const VALUE_FIELDS = [
+    { path: 'constraints.budget', label: 'Budget', responseSection: 'Budget & Pricing > Cost Summary' },
+    { path: 'constraints.resources', label: 'Resources', responseSection: 'Team & Qualifications > Key Personnel' },
+    { path: 'evaluation.weights', label: 'Evaluation weights', responseSection: 'Executive Summary' }
+];
+
+// Changed evaluation criteria change what the response has to emphasize
+const EVALUATION_RESPONSE_SECTION = 'Executive Summary';
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function valueOf(analysis, path) {
+    const value = getPath(analysis, path);
+    return typeof value === 'string' && value.trim() ? value.trim() : NOT_SPECIFIED;
+}
+
+// Pairs the items of two lists: the same item in both is unchanged, an item of the second list that revises
+// an unmatched item of the first is modified, and whatever is left was added or removed
+function diffLists(before = [], after = []) {
+    const unmatched = before.map((text, index) => ({ text, index }));
+    const changes = [];
+    const added = [];
+
+    after.forEach((text, index) => {
+        const same = unmatched.findIndex(entry => sameItem(entry.text, text));
+        if (same !== -1) {
+            unmatched.splice(same, 1);
+        } else {
+            added.push({ text, index });
+        }
+    });
+
+    added.forEach(entry => {
+        const candidates = unmatched.filter(candidate => revisesItem(candidate.text, entry.text));
+        if (!candidates.length) {
+            changes.push({ change: 'added', before: null, after: entry.text, afterIndex: entry.index });
+            return;
+        }
+        const original = candidates.reduce((best, candidate) =>
+            (itemSimilarity(candidate.text, entry.text) > itemSimilarity(best.text, entry.text) ? candidate : best));
+        unmatched.splice(unmatched.indexOf(original), 1);
+        changes.push({
+            change: 'modified',
+            before: original.text,
+            after: entry.text,
+            beforeIndex: original.index,
+            afterIndex: entry.index
+        });
+    });
+
+    unmatched.forEach(entry => {
+        changes.push({ change: 'removed', before: entry.text, after: null, beforeIndex: entry.index });
+    });
+
+    return changes;
+}
+
+// The requirement ID of an item: from the analysis it is in, otherwise from the proposal's current IDs by text
+function findRequirementId(analysis, path, index, text, requirementIds) {
+    const own = index == null ? null : (analysis?.requirementIds || []).find(entry => entry.path === path && entry.index === index);
+    if (own) {
+        return own.id;
+    }
+    return requirementIds.find(entry => entry.path === path && sameItem(entry.text, text))?.id || null;
+}
+
+function diffValues(before, after, fields) {
+    return fields
+        .map(field => ({ ...field, before: valueOf(before, field.path), after: valueOf(after, field.path) }))
+        .filter(field => field.before !== field.after)
+        .map(({ path, label, before: previous, after: current }) => ({ path, label, before: previous, after: current }));
+}
+
+// Response sections to revisit, each with the reasons it is affected
+function collectAffectedSections(impact, fields, matrix) {
+    const sections = new Map();
+    const flag = (section, reason) => {
+        if (!section) {
+            return;
+        }
+        if (!sections.has(section)) {
+            sections.set(section, []);
+        }
+        sections.get(section).push(reason);
+    };
+
+    const rows = new Map((matrix?.rows || []).map(row => [row.id, row]));
+    impact.requirements.forEach(entry => {
+        const category = REQUIREMENT_CATEGORIES.find(definition => definition.key === entry.category);
+        const section = rows.get(entry.id)?.responseSection || category.responseSection;
+        flag(section, `${entry.id || `${category.title} requirement`} ${entry.change}`);
+    });
+    impact.evaluationCriteria.forEach(entry => {
+        flag(EVALUATION_RESPONSE_SECTION, `Evaluation criterion ${entry.change}`);
+    });
+    [...impact.dates, ...impact.values].forEach(entry => {
+        flag(fields.find(field => field.path === entry.path).responseSection, `${entry.label} changed`);
+    });
+
+    return [...sections.entries()].map(([section, reasons]) => ({ section, reasons }));
+}
+
+// What changed between two analyses of the same bid (an RFP and its amendment, or two issues of the RFP).
+// options: from/to ({ id, name, kind } of what was compared), requirementIds (the proposal's current IDs, for
+// items of analyses that carry none) and matrix (whose response sections are flagged for changed requirements).
+function buildAmendmentImpact(before, after, options = {}) {
+    const requirementIds = options.requirementIds || [];
+
+    const requirements = REQUIREMENT_CATEGORIES.flatMap(category => {
+        const path = `requirements.${category.key}`;
+        return diffLists(getPath(before, path), getPath(after, path)).map(entry => ({
+            ...entry,
+            category: category.key,
+            id: findRequirementId(after, path, entry.afterIndex, entry.after, requirementIds) ||
+                findRequirementId(before, path, entry.beforeIndex, entry.before, requirementIds)
+        }));
+    });
+
+    const impact = {
+        createdAt: new Date().toISOString(),
+        from: options.from || null,
+        to: options.to || null,
+        requirements: requirements.map(({ beforeIndex, afterIndex, ...entry }) => entry),
+        evaluationCriteria: diffLists(getPath(before, EVALUATION_CRITERIA_PATH), getPath(after, EVALUATION_CRITERIA_PATH))
+            .map(({ beforeIndex, afterIndex, ...entry }) => entry),
+        dates: diffValues(before, after, DATE_FIELDS),
+        values: diffValues(before, after, VALUE_FIELDS)
+    };
+    impact.affectedSections = collectAffectedSections(impact, [...DATE_FIELDS, ...VALUE_FIELDS], options.matrix);
+    impact.summary = {
+        added: impact.requirements.filter(entry => entry.change === 'added').length,
+        removed: impact.requirements.filter(entry => entry.change === 'removed').length,
+        modified: impact.requirements.filter(entry => entry.change === 'modified').length,
+        evaluationCriteria: impact.evaluationCriteria.length,
+        dates: impact.dates.length,
+        values: impact.values.length,
+        affectedSections: impact.affectedSections.length
+    };
+    return impact;
+}
+
+function describeSide(side) {
+    return side ? side.name : 'previous analysis';
+}
+
+function formatRequirement(entry) {
+    if (entry.change === 'modified') {
+        return `- ${entry.id ? `**${entry.id}**` : 'Requirement'}\n   - Before: ${entry.before}\n   - After: ${entry.after}\n`;
+    }
+    return `- ${entry.id ? `**${entry.id}** ` : ''}${entry.change === 'added' ? entry.after : entry.before}\n`;
+}
+
+// The Amendment Impact artifact
+function generateImpactMarkdown(impact) {
+    const { summary } = impact;
+    let markdown = `# Amendment Impact: ${describeSide(impact.to)}\n\n`;
+    markdown += `**Compared:** ${describeSide(impact.from)} → ${describeSide(impact.to)}\n`;
+    markdown += `**Generated:** ${impact.createdAt}\n`;
+    markdown += `**Requirements:** ${summary.added} added, ${summary.removed} removed, ${summary.modified} modified\n\n`;
+
+    if (!impact.requirements.length && !impact.evaluationCriteria.length && !impact.dates.length && !impact.values.length) {
+        return `${markdown}No changes to requirements, dates or evaluation criteria were found.\n`;
+    }
+
+    if (impact.affectedSections.length) {
+        markdown += `## Response Sections to Revisit\n\n`;
+        impact.affectedSections.forEach(({ section, reasons }) => {
+            markdown += `- **${section}**: ${reasons.join(', ')}\n`;
+        });
+        markdown += `\n`;
+    }
+
+    if (impact.dates.length || impact.values.length) {
+        markdown += `## Changed Dates and Values\n\n`;
+        markdown += `| Item | Before | After |\n| --- | --- | --- |\n`;
+        [...impact.dates, ...impact.values].forEach(entry => {
+            markdown += `| ${entry.label} | ${entry.before.replace(/\|/g, '\\|')} | ${entry.after.replace(/\|/g, '\\|')} |\n`;
+        });
+        markdown += `\n`;
+    }
+
+    REQUIREMENT_CATEGORIES.forEach(category => {
+        const entries = impact.requirements.filter(entry => entry.category === category.key);
+        if (!entries.length) {
+            return;
+        }
+        markdown += `## ${category.title} Requirements\n\n`;
+        ['added', 'modified', 'removed'].forEach(change => {
+            const changed = entries.filter(entry => entry.change === change);
+            if (changed.length) {
+                markdown += `### ${change.charAt(0).toUpperCase()}${change.slice(1)}\n\n`;
+                changed.forEach(entry => {
+                    markdown += formatRequirement(entry);
+                });
+                markdown += `\n`;
+            }
+        });
+    });
+
+    if (impact.evaluationCriteria.length) {
+        markdown += `## Evaluation Criteria\n\n`;
+        impact.evaluationCriteria.forEach(entry => {
+            markdown += `- *${entry.change}:* ${entry.change === 'modified' ? `${entry.before} → ${entry.after}` : entry.before || entry.after}\n`;
+        });
+        markdown += `\n`;
+    }
+
+    return markdown;
+}
+
+module.exports = {
+    buildAmendmentImpact,
+    generateImpactMarkdown
+};
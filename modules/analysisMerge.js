@@ -0,0 +1,157 @@
+const { NOT_SPECIFIED } = require('./analysisSchema');
+
+const LIST_FIELDS = [
+    'requirements.functional',
+    'requirements.technical',
+    'requirements.compliance',
+    'requirements.deliverables',
+    'evaluation.criteria',
+    'constraints.other',
+    'questions',
+    'opportunities'
+];
+
+// Single-value fields: the first chunk that states them wins (the value keeps its citation)
+const FIRST_VALUE_FIELDS = [
+    'overview.title',
+    'overview.organization',
+    'overview.dueDate',
+    'overview.projectSummary',
+    'constraints.budget',
+    'constraints.timeline',
+    'constraints.resources'
+];
+
+// Descriptive fields that may be spread across the document: distinct values are joined
+const JOINED_FIELDS = [
+    'evaluation.weights',
+    'evaluation.timeline'
+];
+
+const NEAR_DUPLICATE_SIMILARITY = 0.85;
+
+// Below near-duplicates: the same item reworded or with changed figures ("three years" -> "five years")
+const REVISION_SIMILARITY = 0.6;
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        node[key] = node[key] || {};
+        return node[key];
+    }, object);
+    parent[last] = value;
+}
+
+function isSpecified(value) {
+    return typeof value === 'string' && value.trim() !== '' && value.trim() !== NOT_SPECIFIED;
+}
+
+function dedupeKey(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function wordSet(text) {
+    return new Set(dedupeKey(text).split(' ').filter(word => word.length > 2));
+}
+
+// Numbers distinguish otherwise identical items ("Deliver report 1" vs "Deliver report 2")
+function numberKey(text) {
+    return (text.match(/\d+(?:\.\d+)*/g) || []).join(' ');
+}
+
+function similarity(left, right) {
+    if (!left.size || !right.size) {
+        return 0;
+    }
+    let shared = 0;
+    left.forEach(word => {
+        if (right.has(word)) {
+            shared += 1;
+        }
+    });
+    return shared / (left.size + right.size - shared);
+}
+
+// True when two list items state the same thing: same wording, or nearly the same words and the same numbers
+function sameItem(left, right) {
+    return dedupeKey(left) === dedupeKey(right) ||
+        (numberKey(left) === numberKey(right) && similarity(wordSet(left), wordSet(right)) >= NEAR_DUPLICATE_SIMILARITY);
+}
+
+// True when the second item is a changed version of the first rather than the same item or a different one
+function revisesItem(original, revised) {
+    return !sameItem(original, revised) && similarity(wordSet(original), wordSet(revised)) >= REVISION_SIMILARITY;
+}
+
+// Share of words two items have in common, from 0 to 1
+function itemSimilarity(left, right) {
+    return similarity(wordSet(left), wordSet(right));
+}
+
+// Drops exact and near-duplicate items (chunk boundaries and repeated boilerplate produce both), keeping the
+// longer wording of a near-duplicate pair
+function dedupeItems(items) {
+    const kept = [];
+
+    items.forEach(item => {
+        const key = dedupeKey(item);
+        if (!key) {
+            return;
+        }
+        const words = wordSet(item);
+        const numbers = numberKey(item);
+        const duplicate = kept.find(entry => entry.key === key ||
+            (entry.numbers === numbers && similarity(entry.words, words) >= NEAR_DUPLICATE_SIMILARITY));
+
+        if (!duplicate) {
+            kept.push({ key, words, numbers, text: item });
+        } else if (item.length > duplicate.text.length) {
+            Object.assign(duplicate, { key, words, numbers, text: item });
+        }
+    });
+
+    return kept.map(entry => entry.text);
+}
+
+// Combines per-chunk (or per-document) analyses, each already in the analysis schema shape, into one analysis.
+// Values of options.overrideFields stated in options.overrides (e.g. amendments, oldest first) replace the
+// merged ones.
+function mergeAnalyses(analyses, options = {}) {
+    const merged = { overview: {}, requirements: {}, evaluation: {}, constraints: {} };
+    const overrideFields = options.overrideFields || FIRST_VALUE_FIELDS;
+
+    FIRST_VALUE_FIELDS.forEach(path => {
+        const value = analyses.map(analysis => getPath(analysis, path)).find(isSpecified);
+        const override = overrideFields.includes(path)
+            ? (options.overrides || []).map(analysis => getPath(analysis, path)).filter(isSpecified).pop()
+            : undefined;
+        setPath(merged, path, override || value || NOT_SPECIFIED);
+    });
+
+    JOINED_FIELDS.forEach(path => {
+        const values = dedupeItems(analyses.map(analysis => getPath(analysis, path)).filter(isSpecified));
+        setPath(merged, path, values.length ? values.join('; ') : NOT_SPECIFIED);
+    });
+
+    LIST_FIELDS.forEach(path => {
+        const items = analyses.flatMap(analysis => getPath(analysis, path) || []).filter(isSpecified);
+        setPath(merged, path, dedupeItems(items));
+    });
+
+    return merged;
+}
+
+module.exports = {
+    LIST_FIELDS,
+    FIRST_VALUE_FIELDS,
+    mergeAnalyses,
+    dedupeItems,
+    sameItem,
+    revisesItem,
+    itemSimilarity
+};
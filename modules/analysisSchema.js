@@ -0,0 +1,284 @@
+const NOT_SPECIFIED = 'Not specified in RFP';
+
+const text = { type: 'string' };
+const textList = { type: 'array', items: { type: 'string' } };
+
+// Shape every RFP analysis must have before artifacts are generated from it
+const ANALYSIS_SCHEMA = {
+    type: 'object',
+    properties: {
+        metadata: {
+            type: 'object',
+            properties: {
+                fileName: text,
+                analysisDate: text,
+                proposalName: text,
+                modelUsed: text
+            }
+        },
+        overview: {
+            type: 'object',
+            properties: {
+                title: text,
+                organization: text,
+                dueDate: text,
+                projectSummary: text
+            }
+        },
+        requirements: {
+            type: 'object',
+            properties: {
+                functional: textList,
+                technical: textList,
+                compliance: textList,
+                deliverables: textList
+            }
+        },
+        evaluation: {
+            type: 'object',
+            properties: {
+                criteria: textList,
+                weights: text,
+                timeline: text
+            }
+        },
+        constraints: {
+            type: 'object',
+            properties: {
+                budget: text,
+                timeline: text,
+                resources: text,
+                other: textList
+            }
+        },
+        questions: textList,
+        opportunities: textList
+    }
+};
+
+// Pull the first complete JSON object out of an LLM response (code fences, prose and trailing commas tolerated)
+function extractJson(responseText) {
+    if (typeof responseText !== 'string') {
+        return null;
+    }
+
+    const unfenced = responseText.replace(/```(?:json)?/gi, '');
+    const candidates = [unfenced.trim()];
+
+    const start = unfenced.indexOf('{');
+    if (start !== -1) {
+        const end = findMatchingBrace(unfenced, start);
+        candidates.push(unfenced.slice(start, end === -1 ? undefined : end + 1));
+    }
+
+    for (const candidate of candidates) {
+        for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+            try {
+                const parsed = JSON.parse(attempt);
+                if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                    return parsed;
+                }
+            } catch (error) {
+                // try the next candidate
+            }
+        }
+    }
+
+    return null;
+}
+
+function findMatchingBrace(source, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let index = start; index < source.length; index += 1) {
+        const char = source[index];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth += 1;
+        } else if (char === '}') {
+            depth -= 1;
+            if (depth === 0) {
+                return index;
+            }
+        }
+    }
+    return -1;
+}
+
+function typeOf(value) {
+    if (value === null || value === undefined) {
+        return 'missing';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Lists the schema violations of an analysis without changing it
+function validateAnalysis(analysis, schema = ANALYSIS_SCHEMA) {
+    const errors = [];
+    walkValidate(analysis, schema, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+function walkValidate(value, schema, path, errors) {
+    const actual = typeOf(value);
+    const label = path || 'analysis';
+
+    if (actual !== schema.type) {
+        errors.push({ path: label, message: `expected ${schema.type}, got ${actual}` });
+        return;
+    }
+
+    if (schema.type === 'object') {
+        Object.entries(schema.properties).forEach(([key, childSchema]) => {
+            walkValidate(value[key], childSchema, path ? `${path}.${key}` : key, errors);
+        });
+    } else if (schema.type === 'array') {
+        value.forEach((item, index) => {
+            walkValidate(item, schema.items, `${label}[${index}]`, errors);
+        });
+    }
+}
+
+// Coerces an analysis into the schema shape. Fields that had to be invented are reported as unrecoverable;
+// fields that were converted from another type are reported as coerced.
+function repairAnalysis(analysis, schema = ANALYSIS_SCHEMA) {
+    const report = { coerced: [], unrecoverable: [] };
+    const repaired = coerce(analysis, schema, '', report);
+
+    // Keep anything extra the model returned (e.g. fullText) alongside the schema fields
+    if (analysis && typeof analysis === 'object' && !Array.isArray(analysis)) {
+        Object.keys(analysis).forEach(key => {
+            if (!(key in schema.properties)) {
+                repaired[key] = analysis[key];
+            }
+        });
+    }
+
+    return { analysis: repaired, ...report };
+}
+
+function coerce(value, schema, path, report) {
+    switch (schema.type) {
+        case 'object':
+            return coerceObject(value, schema, path, report);
+        case 'array':
+            return coerceArray(value, schema, path, report);
+        default:
+            return coerceString(value, path, report);
+    }
+}
+
+function coerceObject(value, schema, path, report) {
+    let source = value;
+    if (typeOf(value) !== 'object') {
+        if (typeOf(value) !== 'missing') {
+            report.coerced.push({ path: path || 'analysis', from: typeOf(value), to: 'object' });
+        }
+        source = {};
+    }
+
+    const result = {};
+    Object.entries(schema.properties).forEach(([key, childSchema]) => {
+        result[key] = coerce(source[key], childSchema, path ? `${path}.${key}` : key, report);
+    });
+    return result;
+}
+
+function coerceArray(value, schema, path, report) {
+    const actual = typeOf(value);
+    let items;
+
+    if (actual === 'array') {
+        items = value;
+    } else if (actual === 'missing') {
+        report.unrecoverable.push({ path, reason: 'missing' });
+        return [];
+    } else if (actual === 'string') {
+        items = value.split(/\r?\n/).map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim());
+        report.coerced.push({ path, from: 'string', to: 'array' });
+    } else if (actual === 'object') {
+        items = Object.values(value);
+        report.coerced.push({ path, from: 'object', to: 'array' });
+    } else {
+        items = [value];
+        report.coerced.push({ path, from: actual, to: 'array' });
+    }
+
+    return items
+        .map((item, index) => {
+            const itemPath = `${path}[${index}]`;
+            if (typeOf(item) === schema.items.type) {
+                return item;
+            }
+            return coerce(item, schema.items, itemPath, { coerced: report.coerced, unrecoverable: [] });
+        })
+        .filter(item => !(typeof item === 'string' && (item.trim() === '' || item === NOT_SPECIFIED)));
+}
+
+function coerceString(value, path, report) {
+    const actual = typeOf(value);
+
+    if (actual === 'string') {
+        if (value.trim()) {
+            return value.trim();
+        }
+        report.unrecoverable.push({ path, reason: 'empty' });
+        return NOT_SPECIFIED;
+    }
+
+    if (actual === 'missing') {
+        report.unrecoverable.push({ path, reason: 'missing' });
+        return NOT_SPECIFIED;
+    }
+
+    report.coerced.push({ path, from: actual, to: 'string' });
+
+    if (actual === 'number' || actual === 'boolean') {
+        return String(value);
+    }
+    if (actual === 'array') {
+        return value.map(item => (typeof item === 'string' ? item : JSON.stringify(item))).join('; ');
+    }
+
+    // Objects commonly wrap the text in a single descriptive field
+    const textField = ['text', 'description', 'value', 'requirement', 'name', 'title']
+        .find(key => typeof value[key] === 'string');
+    return textField ? value[textField] : JSON.stringify(value);
+}
+
+// Compact human-readable schema used when asking the model to fix its output
+function describeSchema(schema = ANALYSIS_SCHEMA) {
+    const describe = node => {
+        if (node.type === 'object') {
+            return Object.fromEntries(Object.entries(node.properties).map(([key, child]) => [key, describe(child)]));
+        }
+        if (node.type === 'array') {
+            return [describe(node.items)];
+        }
+        return node.type;
+    };
+    return JSON.stringify(describe(schema), null, 2);
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    NOT_SPECIFIED,
+    extractJson,
+    validateAnalysis,
+    repairAnalysis,
+    describeSchema
+};
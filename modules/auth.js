@@ -1,36 +1,71 @@
+const QRCode = require('qrcode');
 const SimpleDatabase = require('./database');
+const { sessionTTL } = require('./sessionStore');
+const { createMailer, passwordResetMail, emailVerificationMail } = require('./mail');
+const { createAccountToken, parseAccountToken } = require('./accountTokens');
+const {
+    EmailNotVerifiedError,
+    emailVerificationPolicy,
+    emailVerificationTTLMs
+} = require('./emailVerification');
+const {
+    TwoFactorRequiredError,
+    twoFactorRequired,
+    generateTotpSecret,
+    otpauthUri,
+    generateRecoveryCodes
+} = require('./twoFactor');
+
+const TWO_FACTOR_ISSUER = 'AI RFP Proposal Generator';
+
+// One email a minute per account and purpose is plenty and keeps the forms from being used to flood an inbox
+const TOKEN_MAIL_INTERVAL_MS = 60 * 1000;
+
+function sentRecently(record) {
+    return Boolean(record && Date.now() - new Date(record.createdAt) < TOKEN_MAIL_INTERVAL_MS);
+}
+
+function passwordResetTTLMinutes() {
+    return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+}
 
 class AuthMiddleware {
-    constructor() {
-        this.db = new SimpleDatabase();
+    // options.db / options.mailer replace the database in data/ and the mailer MAIL_TRANSPORT chooses
+    constructor(options = {}) {
+        this.db = options.db || new SimpleDatabase();
+        this.mailer = options.mailer || createMailer();
     }
 
     // Middleware to check if user is authenticated
     requireAuth = async (req, res, next) => {
         try {
-            const sessionId = req.session?.sessionId;
+            // express-session has already loaded the stored session; expired or revoked ones come back empty
+            const userId = req.session?.userId;
 
-            if (!sessionId) {
+            if (!userId) {
                 return this.redirectToLogin(req, res);
             }
 
-            const session = await this.db.findSession(sessionId);
+            // Get full user info including theme
+            const user = await this.db.findUserById(userId);
 
-            if (!session) {
+            // With TWO_FACTOR_REQUIRED, sessions from before the account set it up end; logging in again
+            // walks through the setup
+            if (!user || (twoFactorRequired() && !user.twoFactor)) {
                 req.session.destroy((err) => {
                     if (err) console.error('Session destroy error:', err);
                 });
                 return this.redirectToLogin(req, res);
             }
 
-            // Get full user info including theme
-            const user = await this.db.findUserByUsername(session.username);
-
             // Add user info to request
             req.user = {
-                id: session.userId,
-                username: session.username,
-                theme: user?.theme || 'bright'
+                id: user.id,
+                username: user.username,
+                email: user.email || null,
+                emailVerified: Boolean(user.emailVerified),
+                twoFactorEnabled: Boolean(user.twoFactor),
+                theme: user.theme || 'bright'
             };
 
             next();
@@ -40,16 +75,39 @@ class AuthMiddleware {
         }
     }
 
+    // Middleware for routes that change proposals: under EMAIL_VERIFICATION_POLICY=restrict (or block, for an
+    // account signed in without a confirmed address) an account can only look until its email address is
+    // confirmed. Runs before requireAuth, which deals with missing sessions.
+    restrictUnverified = async (req, res, next) => {
+        try {
+            const restricted = ['restrict', 'block'].includes(emailVerificationPolicy());
+            if (!restricted || ['GET', 'HEAD'].includes(req.method) || !req.session?.userId) {
+                return next();
+            }
+
+            const user = await this.db.findUserById(req.session.userId);
+            if (user && !user.emailVerified) {
+                return res.status(403).json({
+                    success: false,
+                    emailNotVerified: true,
+                    message: user.email
+                        ? 'Confirm your email address to make changes. Use the link we emailed you, or send a new one from your profile.'
+                        : 'Add and confirm an email address on your profile to make changes.'
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Email verification middleware error:', error);
+            next(error);
+        }
+    }
+
     // Middleware to redirect authenticated users from login page
     redirectIfAuthenticated = async (req, res, next) => {
         try {
-            const sessionId = req.session?.sessionId;
-
-            if (sessionId) {
-                const session = await this.db.findSession(sessionId);
-                if (session) {
-                    return res.redirect('/');
-                }
+            if (req.session?.userId) {
+                return res.redirect('/');
             }
 
             next();
@@ -75,8 +133,11 @@ class AuthMiddleware {
         return res.redirect('/login');
     }
 
-    // Login method
-    async login(username, password, rememberMe = false) {
+    // Login method; checks the credentials, startSession signs the user in. Accounts with two-factor
+    // authentication also need code, from their authenticator app or a recovery code; without it a
+    // TwoFactorRequiredError asks for one. With TWO_FACTOR_REQUIRED, accounts without it set it up here first
+    // (the error carries the enrollment) and get their recovery codes back in recoveryCodes.
+    async login(username, password, code) {
         try {
             // Validate credentials
             const isValid = await this.db.validatePassword(username, password);
@@ -92,20 +153,25 @@ class AuthMiddleware {
                 throw new Error('User not found');
             }
 
-            // Create session with remember me option
-            const sessionId = await this.db.createSession(user.id, user.username, rememberMe);
+            // Accounts without an address get in read-only (see restrictUnverified) so they can add one
+            if (emailVerificationPolicy() === 'block' && user.email && !user.emailVerified) {
+                throw new EmailNotVerifiedError('Confirm your email address before logging in. Use the link we emailed you, or send a new one.');
+            }
 
-            if (!sessionId) {
-                throw new Error('Failed to create session');
+            let recoveryCodes = null;
+            if (user.twoFactor) {
+                await this.checkSecondFactor(user.id, code);
+            } else if (twoFactorRequired()) {
+                recoveryCodes = await this._enrollAtLogin(user, code);
             }
 
             return {
-                sessionId,
                 user: {
                     id: user.id,
                     username: user.username,
                     theme: user.theme || 'bright'
-                }
+                },
+                recoveryCodes
             };
         } catch (error) {
             throw error;
@@ -140,6 +206,8 @@ class AuthMiddleware {
                 if (!emailRegex.test(email)) {
                     throw new Error('Please enter a valid email address');
                 }
+            } else if (['restrict', 'block'].includes(emailVerificationPolicy())) {
+                throw new Error('An email address is required');
             }
 
             // Validate theme
@@ -154,17 +222,25 @@ class AuthMiddleware {
         }
     }
 
-    // Logout method
-    async logout(sessionId) {
-        try {
-            if (sessionId) {
-                await this.db.deleteSession(sessionId);
-            }
-            return true;
-        } catch (error) {
-            console.error('Logout error:', error);
-            return false;
-        }
+    // Stores the signed-in user in a new session (a fresh id, so a session id planted before login is useless).
+    // The cookie and the stored session expire together: 24 hours, or 30 days with remember me.
+    startSession(req, user, rememberMe = false) {
+        return new Promise((resolve, reject) => {
+            req.session.regenerate((error) => {
+                if (error) {
+                    return reject(error);
+                }
+
+                Object.assign(req.session, {
+                    userId: user.id,
+                    username: user.username,
+                    rememberMe: Boolean(rememberMe),
+                    loggedInAt: new Date().toISOString()
+                });
+                req.session.cookie.maxAge = sessionTTL(rememberMe);
+                req.session.save(saveError => (saveError ? reject(saveError) : resolve()));
+            });
+        });
     }
 
     // Update profile method
@@ -174,8 +250,7 @@ class AuthMiddleware {
             const user = await this.db.findUserByUsername(updates.username || '');
             if (!user || !(await this.db.validatePassword(user.username, currentPassword))) {
                 // If username not provided, find user by ID
-                const users = await this.db.readFile(this.db.usersFile);
-                const userById = users.find(u => u.id === userId);
+                const userById = await this.db.findUserById(userId);
                 if (!userById || !(await this.db.validatePassword(userById.username, currentPassword))) {
                     throw new Error('Current password is incorrect');
                 }
@@ -210,6 +285,193 @@ class AuthMiddleware {
         }
     }
 
+    // Emails a password reset link to the account with this username or email. Resolves the same way whether
+    // or not there is such an account (with an email address), so the response does not reveal which exist.
+    async requestPasswordReset(identifier, baseUrl) {
+        const value = (identifier || '').trim();
+        if (!value) {
+            throw new Error('Enter your username or email address');
+        }
+
+        const user = value.includes('@')
+            ? await this.db.findUserByEmail(value)
+            : await this.db.findUserByUsername(value.toLowerCase());
+        if (!user?.email) {
+            return;
+        }
+
+        if (sentRecently(user.tokens?.passwordReset)) {
+            return;
+        }
+
+        const ttlMinutes = passwordResetTTLMinutes();
+        const { token, record } = createAccountToken(user.id, ttlMinutes * 60 * 1000);
+        await this.db.saveUserToken(user.id, 'passwordReset', record);
+
+        const link = `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+        await this.mailer.send({ to: user.email, ...passwordResetMail({ username: user.username, link, ttlMinutes }) });
+    }
+
+    // Sets a new password with an emailed reset token and signs the user out everywhere
+    async resetPassword(token, newPassword) {
+        if (!newPassword || newPassword.length < 6) {
+            throw new Error('Password must be at least 6 characters long');
+        }
+
+        const parsed = parseAccountToken(token);
+        const user = parsed && await this.db.resetPassword(parsed.userId, parsed.secret, newPassword);
+        if (!user) {
+            throw new Error('This reset link is invalid or has expired. Request a new one.');
+        }
+
+        await this.db.deleteAllUserSessions(user.id);
+        return user;
+    }
+
+    // Emails a link confirming the user's address. Resolves to false when there is nothing to confirm (no
+    // address, already confirmed, EMAIL_VERIFICATION_POLICY=off) or a link to it went out a moment ago.
+    async sendEmailVerification(userId, baseUrl) {
+        const user = await this.db.findUserById(userId);
+        if (emailVerificationPolicy() === 'off' || !user?.email || user.emailVerified) {
+            return false;
+        }
+
+        const previous = user.tokens?.emailVerification;
+        if (previous?.email === user.email && sentRecently(previous)) {
+            return false;
+        }
+
+        const ttlMs = emailVerificationTTLMs();
+        const { token, record } = createAccountToken(user.id, ttlMs);
+        await this.db.saveUserToken(user.id, 'emailVerification', { ...record, email: user.email });
+
+        const link = `${baseUrl}/verify-email?token=${encodeURIComponent(token)}`;
+        await this.mailer.send({
+            to: user.email,
+            ...emailVerificationMail({ username: user.username, link, ttlHours: Math.round(ttlMs / (60 * 60 * 1000)) })
+        });
+        return true;
+    }
+
+    // Resend for someone who cannot log in yet (EMAIL_VERIFICATION_POLICY=block); like requestPasswordReset it
+    // does not reveal whether the account exists
+    async requestEmailVerification(identifier, baseUrl) {
+        const value = (identifier || '').trim();
+        if (!value) {
+            throw new Error('Enter your username or email address');
+        }
+
+        const user = value.includes('@')
+            ? await this.db.findUserByEmail(value)
+            : await this.db.findUserByUsername(value.toLowerCase());
+        if (user) {
+            await this.sendEmailVerification(user.id, baseUrl);
+        }
+    }
+
+    async verifyEmail(token) {
+        const parsed = parseAccountToken(token);
+        const user = parsed && await this.db.verifyEmail(parsed.userId, parsed.secret);
+        if (!user) {
+            throw new Error('This confirmation link is invalid or has expired, or the email address has changed since. Send a new one from your profile.');
+        }
+        return user;
+    }
+
+    // Two-factor authentication
+
+    // Throws unless code is a current authenticator code or an unused recovery code for the user
+    async checkSecondFactor(userId, code) {
+        if (!String(code || '').trim()) {
+            throw new TwoFactorRequiredError('Enter the code from your authenticator app, or one of your recovery codes');
+        }
+        const result = await this.db.checkSecondFactor(userId, code);
+        if (!result) {
+            throw new Error('Invalid authentication code');
+        }
+        return result;
+    }
+
+    // Starts (or restarts) enrollment with a new secret; resolves to what the authenticator app needs:
+    // { secret, otpauthUri, qrCode } where qrCode is a data: URL of the otpauth URI
+    async startTwoFactorSetup(userId, password) {
+        const user = await this.db.findUserById(userId);
+        if (!user || !(await this.db.validatePassword(user.username, password || ''))) {
+            throw new Error('Current password is incorrect');
+        }
+        if (user.twoFactor) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+        const secret = await this.db.startTwoFactorSetup(user.id, generateTotpSecret());
+        return this._enrollment(user, secret);
+    }
+
+    // Finishes enrollment once code shows the app has the secret; resolves to the new recovery codes, which
+    // are not stored in readable form and cannot be shown again
+    async enableTwoFactor(userId, code) {
+        const { codes, hashes } = generateRecoveryCodes();
+        const user = await this.db.enableTwoFactor(userId, code, hashes);
+        if (!user) {
+            throw new Error('That code does not match. Check the time on your device and enter the current code.');
+        }
+        return codes;
+    }
+
+    async disableTwoFactor(userId, password, code) {
+        if (twoFactorRequired()) {
+            throw new Error('Two-factor authentication is required for every account and cannot be turned off');
+        }
+        await this._confirmIdentity(userId, password, code);
+        await this.db.disableTwoFactor(userId);
+    }
+
+    // Replaces all recovery codes, used or not; resolves to the new ones
+    async regenerateRecoveryCodes(userId, password, code) {
+        await this._confirmIdentity(userId, password, code);
+        const { codes, hashes } = generateRecoveryCodes();
+        await this.db.replaceRecoveryCodes(userId, hashes);
+        return codes;
+    }
+
+    // Status for the profile page
+    async getTwoFactorStatus(userId) {
+        const user = await this.db.findUserById(userId);
+        return {
+            enabled: Boolean(user?.twoFactor),
+            required: twoFactorRequired(),
+            enabledAt: user?.twoFactor?.enabledAt || null,
+            recoveryCodesLeft: user?.twoFactor ? user.twoFactor.recoveryCodes.length : 0
+        };
+    }
+
+    // Changing two-factor settings takes the password and a current code, not just a signed-in session
+    async _confirmIdentity(userId, password, code) {
+        const user = await this.db.findUserById(userId);
+        if (!user || !(await this.db.validatePassword(user.username, password || ''))) {
+            throw new Error('Current password is incorrect');
+        }
+        if (!user.twoFactor) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+        await this.checkSecondFactor(user.id, code);
+    }
+
+    // Login of an account that has to set up two-factor authentication: the first attempt gets the enrollment
+    // (kept for the next attempts), the attempt with a code from it enables it
+    async _enrollAtLogin(user, code) {
+        if (user.twoFactorSetup && String(code || '').trim()) {
+            return this.enableTwoFactor(user.id, code);
+        }
+        const secret = user.twoFactorSetup?.secret || await this.db.startTwoFactorSetup(user.id, generateTotpSecret());
+        throw new TwoFactorRequiredError('Two-factor authentication is required for your account. Add it to your ' +
+            'authenticator app, then enter the code it shows.', await this._enrollment(user, secret));
+    }
+
+    async _enrollment(user, secret) {
+        const uri = otpauthUri({ secret, account: user.username, issuer: TWO_FACTOR_ISSUER });
+        return { secret, otpauthUri: uri, qrCode: await QRCode.toDataURL(uri) };
+    }
+
     // Get user info from session
     async getUserFromSession(sessionId) {
         try {
@@ -0,0 +1,242 @@
+const { NOT_SPECIFIED } = require('./analysisSchema');
+
+// Analysis fields whose items must be backed by a verbatim quote from the source document
+const CITED_FIELDS = [
+    'requirements.functional',
+    'requirements.technical',
+    'requirements.compliance',
+    'requirements.deliverables',
+    'evaluation.criteria',
+    'constraints.budget',
+    'constraints.timeline',
+    'constraints.resources',
+    'constraints.other'
+];
+
+const MIN_QUOTE_LENGTH = 8;
+const PAGE_MARKER_PATTERN = /<!--\s*Page\s+(\d+)\s*-->/i;
+const HEADING_PATTERN = /^#{1,6}\s+(.*)$/;
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node?.[key], object);
+    if (parent && typeof parent === 'object') {
+        parent[last] = value;
+    }
+}
+
+// Text used for comparison: markdown, HTML and typographic variants are removed so that a quote copied
+// from the rendered document still matches the converted markdown
+function normalizeForMatch(text) {
+    return String(text || '')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<\/?(ins|del|br)\s*\/?>/gi, ' ')
+        .replace(/\[\^[^\]]+\]/g, ' ')
+        .replace(/^\s*#{1,6}\s+/gm, '')
+        .replace(/[*_`|>]/g, ' ')
+        .replace(/[‘’‚′]/g, "'")
+        .replace(/[“”„″]/g, '"')
+        .replace(/[‐‑‒–—−]/g, '-')
+        .replace(/…/g, '...')
+        .replace(/\u00a0/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+function parsePage(value) {
+    const page = parseInt(value, 10);
+    return Number.isInteger(page) ? page : null;
+}
+
+function itemText(item) {
+    if (typeof item === 'string') {
+        return item;
+    }
+    const key = ['text', 'description', 'requirement', 'criterion', 'value'].find(name => typeof item[name] === 'string');
+    return key ? item[key] : null;
+}
+
+// The model returns cited items as { text, quote, section, page }. The stored analysis keeps plain strings
+// (templates and variables depend on that), so the citation details are split off into a separate list.
+function separateCitations(analysisData) {
+    const analysis = structuredClone(analysisData);
+    const citations = [];
+
+    CITED_FIELDS.forEach(path => {
+        const value = getPath(analysis, path);
+
+        const split = item => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                return item;
+            }
+            const text = itemText(item);
+            if (text === null) {
+                return item;
+            }
+            citations.push({
+                path,
+                text,
+                quote: typeof item.quote === 'string' ? item.quote : null,
+                section: typeof item.section === 'string' ? item.section : null,
+                page: parsePage(item.page)
+            });
+            return text;
+        };
+
+        if (Array.isArray(value)) {
+            setPath(analysis, path, value.map(split));
+        } else if (value && typeof value === 'object') {
+            setPath(analysis, path, split(value));
+        }
+    });
+
+    return { analysis, citations };
+}
+
+// One citation entry per cited item in the final analysis, matched back by field and text
+function collectCitations(analysis, citations = []) {
+    const byKey = new Map();
+    citations.forEach(citation => {
+        const key = `${citation.path}\u0000${normalizeForMatch(citation.text)}`;
+        if (!byKey.has(key)) {
+            byKey.set(key, citation);
+        }
+    });
+
+    const entries = [];
+    CITED_FIELDS.forEach(path => {
+        const value = getPath(analysis, path);
+        const items = Array.isArray(value) ? value : [value];
+
+        items.forEach((text, index) => {
+            if (typeof text !== 'string' || !text.trim() || text === NOT_SPECIFIED) {
+                return;
+            }
+            const match = byKey.get(`${path}\u0000${normalizeForMatch(text)}`);
+            entries.push({
+                path,
+                index: Array.isArray(value) ? index : null,
+                text,
+                quote: match?.quote || null,
+                section: match?.section || null,
+                page: match?.page ?? null
+            });
+        });
+    });
+
+    return entries;
+}
+
+// Flattens the source markdown into one normalized string while remembering which section and page
+// every line came from, so a match position can be mapped back to a location
+function indexSource(sourceMarkdown) {
+    const lines = [];
+    let normalized = '';
+    let section = null;
+    let page = null;
+
+    String(sourceMarkdown || '').split(/\r?\n/).forEach(line => {
+        const pageMatch = PAGE_MARKER_PATTERN.exec(line);
+        if (pageMatch) {
+            page = parseInt(pageMatch[1], 10);
+        }
+        const headingMatch = HEADING_PATTERN.exec(line.trim());
+        if (headingMatch) {
+            section = headingMatch[1].replace(/[*_`]/g, '').trim();
+        }
+
+        const text = normalizeForMatch(line);
+        if (!text) {
+            return;
+        }
+        if (normalized) {
+            normalized += ' ';
+        }
+        lines.push({ start: normalized.length, section, page });
+        normalized += text;
+    });
+
+    return { normalized, lines };
+}
+
+function locate(index, position) {
+    let found = index.lines[0];
+    for (const line of index.lines) {
+        if (line.start > position) {
+            break;
+        }
+        found = line;
+    }
+    return found ? { section: found.section, page: found.page } : null;
+}
+
+// Finds a quote in the source; "..." in the quote may stand for omitted text between fragments
+function findQuote(index, quote) {
+    const fragments = normalizeForMatch(quote)
+        .split(/\.{3,}/)
+        .map(fragment => fragment.trim())
+        .filter(Boolean);
+
+    if (!fragments.length) {
+        return -1;
+    }
+
+    let from = 0;
+    let firstPosition = -1;
+    for (const fragment of fragments) {
+        const position = index.normalized.indexOf(fragment, from);
+        if (position === -1) {
+            return -1;
+        }
+        if (firstPosition === -1) {
+            firstPosition = position;
+        }
+        from = position + fragment.length;
+    }
+    return firstPosition;
+}
+
+// Marks every citation verified or not, and records where in the source the quote was actually found
+function verifyCitations(citations, sourceMarkdown) {
+    const index = indexSource(sourceMarkdown);
+
+    return citations.map(citation => {
+        const quote = (citation.quote || '').trim();
+        if (!quote) {
+            return { ...citation, verified: false, reason: 'No source quote provided', location: null };
+        }
+        if (normalizeForMatch(quote).replace(/\.{3,}/g, '').length < MIN_QUOTE_LENGTH) {
+            return { ...citation, verified: false, reason: 'Quote too short to verify', location: null };
+        }
+
+        const position = findQuote(index, quote);
+        if (position === -1) {
+            return { ...citation, verified: false, reason: 'Quote not found in source document', location: null };
+        }
+        return { ...citation, verified: true, reason: null, location: locate(index, position) };
+    });
+}
+
+function summarizeCitations(citations = []) {
+    const verified = citations.filter(citation => citation.verified).length;
+    return {
+        total: citations.length,
+        verified,
+        unverified: citations.length - verified
+    };
+}
+
+module.exports = {
+    CITED_FIELDS,
+    normalizeForMatch,
+    separateCitations,
+    collectCitations,
+    verifyCitations,
+    summarizeCitations
+};
@@ -0,0 +1,212 @@
+const { revisesItem } = require('./analysisMerge');
+const { formatDocumentSource } = require('./documentSet');
+
+// Requirement categories of the analysis with the ID prefix of each and the response template section that
+// answers it by default
+const REQUIREMENT_CATEGORIES = [
+    {
+        key: 'functional',
+        prefix: 'FR',
+        title: 'Functional',
+        responseSection: 'Understanding of Requirements > Functional Requirements Response'
+    },
+    {
+        key: 'technical',
+        prefix: 'TR',
+        title: 'Technical',
+        responseSection: 'Understanding of Requirements > Technical Requirements Response'
+    },
+    {
+        key: 'compliance',
+        prefix: 'CR',
+        title: 'Compliance',
+        responseSection: 'Understanding of Requirements > Compliance & Regulatory'
+    },
+    {
+        key: 'deliverables',
+        prefix: 'DL',
+        title: 'Deliverables',
+        responseSection: 'Deliverables'
+    }
+];
+
+// An empty status means the requirement has not been assessed yet
+const COMPLIANCE_STATUSES = ['compliant', 'partial', 'exception'];
+
+const EDITABLE_FIELDS = ['responseSection', 'owner', 'status', 'notes'];
+
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function formatId(prefix, number) {
+    return `${prefix}-${String(number).padStart(3, '0')}`;
+}
+
+function idNumber(id) {
+    return parseInt(String(id).split('-').pop(), 10) || 0;
+}
+
+// Gives every extracted requirement an ID such as FR-001. IDs are kept for requirements whose text matches one
+// of the previous IDs (re-analysis of the same RFP) and for requirements an amendment reworded; new
+// requirements continue after the highest number ever used in their category, so an ID is never handed to a
+// different requirement.
+function assignRequirementIds(analysis, previous = []) {
+    const entries = [];
+
+    REQUIREMENT_CATEGORIES.forEach(category => {
+        const earlier = previous.filter(entry => entry.category === category.key);
+        const texts = analysis?.requirements?.[category.key] || [];
+        const ids = new Array(texts.length).fill(null);
+        const taken = new Set();
+        let next = earlier.reduce((max, entry) => Math.max(max, idNumber(entry.id)), 0) + 1;
+
+        // Unchanged requirements first, so a reworded one cannot take the ID of one that is still there
+        [(entry, text) => normalizeText(entry.text) === normalizeText(text), (entry, text) => revisesItem(entry.text, text)]
+            .forEach(matches => {
+                texts.forEach((text, index) => {
+                    const match = !ids[index] && earlier.find(entry => !taken.has(entry.id) && matches(entry, text));
+                    if (match) {
+                        ids[index] = match.id;
+                        taken.add(match.id);
+                    }
+                });
+            });
+
+        texts.forEach((text, index) => {
+            const id = ids[index] || formatId(category.prefix, next++);
+            entries.push({ id, category: category.key, path: `requirements.${category.key}`, index, text });
+        });
+    });
+
+    return entries;
+}
+
+function requirementId(analysis, path, index) {
+    return (analysis?.requirementIds || []).find(entry => entry.path === path && entry.index === index)?.id || null;
+}
+
+// One row per requirement of the analysis. Rows of a previous matrix are matched by ID, so owners, statuses
+// and notes survive a rebuild; rows whose requirement is gone are dropped.
+function buildComplianceMatrix(analysis, previousMatrix = null) {
+    const ids = analysis?.requirementIds || assignRequirementIds(analysis);
+    const previousRows = new Map((previousMatrix?.rows || []).map(row => [row.id, row]));
+    const now = new Date().toISOString();
+
+    const rows = ids.map(entry => {
+        const previous = previousRows.get(entry.id) || {};
+        const category = REQUIREMENT_CATEGORIES.find(definition => definition.key === entry.category);
+        return {
+            id: entry.id,
+            category: entry.category,
+            requirement: entry.text,
+            // The RFP document (base, amendment, ...) stating the requirement; not editable
+            source: formatDocumentSource(analysis, entry.path, entry.index),
+            responseSection: previous.responseSection ?? category.responseSection,
+            owner: previous.owner ?? '',
+            status: previous.status ?? '',
+            notes: previous.notes ?? ''
+        };
+    });
+
+    return {
+        createdAt: previousMatrix?.createdAt || now,
+        updatedAt: now,
+        rows
+    };
+}
+
+function validateRowFields(row, label, errors) {
+    EDITABLE_FIELDS.forEach(field => {
+        if (row[field] !== undefined && typeof row[field] !== 'string') {
+            errors.push(`${label}.${field} must be a string`);
+        }
+    });
+    if (row.status && !COMPLIANCE_STATUSES.includes(row.status)) {
+        errors.push(`${label}.status must be one of ${COMPLIANCE_STATUSES.join(', ')} or empty`);
+    }
+}
+
+// Problems with a matrix file edited by hand, as messages; empty when the matrix is usable
+function validateComplianceMatrix(matrix) {
+    if (!matrix || !Array.isArray(matrix.rows)) {
+        return ['matrix must be an object with a rows array'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    matrix.rows.forEach((row, index) => {
+        const label = `rows[${index}]`;
+        if (!row || typeof row.id !== 'string' || !row.id) {
+            errors.push(`${label}.id is required`);
+            return;
+        }
+        if (seen.has(row.id)) {
+            errors.push(`${label}.id ${row.id} is duplicated`);
+        }
+        seen.add(row.id);
+        validateRowFields(row, label, errors);
+    });
+    return errors;
+}
+
+// Applies edits from the UI ([{ id, responseSection?, owner?, status?, notes? }]); requirement text and IDs
+// come from the analysis and cannot be changed here
+function applyMatrixUpdates(matrix, updates) {
+    if (!Array.isArray(updates)) {
+        throw new Error('Rows must be an array');
+    }
+
+    const rows = new Map(matrix.rows.map(row => [row.id, row]));
+    const errors = [];
+    updates.forEach((update, index) => {
+        if (!rows.has(update?.id)) {
+            errors.push(`rows[${index}]: unknown requirement ID ${update?.id}`);
+            return;
+        }
+        validateRowFields(update, `rows[${index}]`, errors);
+    });
+    if (errors.length) {
+        throw new Error(`Invalid compliance matrix update: ${errors.join('; ')}`);
+    }
+
+    updates.forEach(update => {
+        const row = rows.get(update.id);
+        EDITABLE_FIELDS.forEach(field => {
+            if (update[field] !== undefined) {
+                row[field] = update[field].trim();
+            }
+        });
+    });
+
+    matrix.updatedAt = new Date().toISOString();
+    return matrix;
+}
+
+// Row counts per status (plus not yet assessed) for the matrix panel
+function summarizeMatrix(matrix) {
+    const rows = matrix?.rows || [];
+    const summary = { total: rows.length, unassessed: 0 };
+    COMPLIANCE_STATUSES.forEach(status => {
+        summary[status] = 0;
+    });
+    rows.forEach(row => {
+        if (COMPLIANCE_STATUSES.includes(row.status)) {
+            summary[row.status] += 1;
+        } else {
+            summary.unassessed += 1;
+        }
+    });
+    return summary;
+}
+
+module.exports = {
+    REQUIREMENT_CATEGORIES,
+    COMPLIANCE_STATUSES,
+    assignRequirementIds,
+    requirementId,
+    buildComplianceMatrix,
+    validateComplianceMatrix,
+    applyMatrixUpdates,
+    summarizeMatrix
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Thrown when a write was based on an older copy than the stored one. current carries what is stored now
+// (its etag and the record or content) so the client can merge or overwrite.
+class ConflictError extends Error {
+    constructor(message, current) {
+        super(message);
+        this.name = 'ConflictError';
+        this.current = current;
+    }
+}
+
+// Proposal records count their saves in revision; records saved before revisions existed are at 0
+function proposalETag(proposal) {
+    return `"${proposal.revision || 0}"`;
+}
+
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Artifacts are identified by their content, so the ETag also finds the version in the artifact's history
+function contentETag(content) {
+    return `"${contentHash(content).slice(0, 16)}"`;
+}
+
+// The hash prefix of an artifact ETag, or null for anything else
+function etagHash(etag) {
+    const match = /^(?:W\/)?"([0-9a-f]{16})"$/.exec(String(etag || '').trim());
+    return match ? match[1] : null;
+}
+
+// Whether an If-Match header allows writing over the resource with the given ETag. No header means the
+// client did not ask for a check.
+function matchesETag(ifMatch, etag) {
+    if (!ifMatch) {
+        return true;
+    }
+    return ifMatch.split(',').some(candidate => {
+        const tag = candidate.trim();
+        return tag === '*' || tag.replace(/^W\//, '') === etag;
+    });
+}
+
+// Runs async work one at a time per key, so a check and the write it guards are not interleaved with
+// another request for the same resource
+class KeyedLock {
+    constructor() {
+        this.tails = new Map();
+    }
+
+    async run(key, work) {
+        const previous = this.tails.get(key) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => {
+            release = resolve;
+        });
+        const tail = previous.then(() => current);
+        this.tails.set(key, tail);
+
+        await previous;
+        try {
+            return await work();
+        } finally {
+            release();
+            if (this.tails.get(key) === tail) {
+                this.tails.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    ConflictError,
+    proposalETag,
+    contentHash,
+    contentETag,
+    etagHash,
+    matchesETag,
+    KeyedLock
+};
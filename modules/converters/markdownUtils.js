@@ -0,0 +1,99 @@
+const NUMBERED_SECTION_PATTERN = /^((?:\d+\.)*\d+)\.?\s+(\S.*)$/;
+
+function escapeTableCell(value) {
+    return String(value || '')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, '<br>')
+        .trim();
+}
+
+// Render rows of cell strings as a GitHub-flavoured markdown table, first row as header
+function renderTable(rows) {
+    if (!rows.length) {
+        return '';
+    }
+
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...new Array(columnCount - row.length).fill('')];
+    const toRow = row => `| ${pad(row).map(escapeTableCell).join(' | ')} |`;
+
+    const [header, ...body] = rows;
+    return [
+        toRow(header),
+        `| ${new Array(columnCount).fill('---').join(' | ')} |`,
+        ...body.map(toRow)
+    ].join('\n');
+}
+
+// Inline runs of { text, bold, italic, revision } become markdown, merging neighbours with equal formatting
+function renderSegments(segments) {
+    const merged = [];
+    segments.forEach(segment => {
+        const last = merged[merged.length - 1];
+        if (last && !last.raw && !segment.raw &&
+            last.bold === segment.bold && last.italic === segment.italic && last.revision === segment.revision) {
+            last.text += segment.text;
+        } else {
+            merged.push({ ...segment });
+        }
+    });
+
+    return merged.map(segment => {
+        if (segment.raw) {
+            return segment.text;
+        }
+
+        let text = segment.text;
+        const trimmed = text.trim();
+        if (!trimmed) {
+            return text;
+        }
+
+        const leading = text.slice(0, text.indexOf(trimmed));
+        const trailing = text.slice(text.indexOf(trimmed) + trimmed.length);
+        text = trimmed;
+
+        if (segment.italic) {
+            text = `*${text}*`;
+        }
+        if (segment.bold) {
+            text = `**${text}**`;
+        }
+        // Tracked changes are kept visible so reviewers can see what the issuer added or struck
+        if (segment.revision === 'ins') {
+            text = `<ins>${text}</ins>`;
+        } else if (segment.revision === 'del') {
+            text = `<del>${text}</del>`;
+        }
+
+        return `${leading}${text}${trailing}`;
+    }).join('');
+}
+
+// Short "3.2 Technical Requirements" style lines are section titles; returns a heading level or null
+function numberedSectionLevel(text, maxLength = 90) {
+    if (!text || text.length > maxLength) {
+        return null;
+    }
+
+    const match = text.match(NUMBERED_SECTION_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const title = match[2];
+    // Sentences ending in punctuation are numbered list items, not section titles
+    if (/[.;:,]$/.test(title) || !/^[A-Z]/.test(title)) {
+        return null;
+    }
+
+    const depth = match[1].split('.').length;
+    return Math.min(depth + 1, 6);
+}
+
+module.exports = {
+    escapeTableCell,
+    renderTable,
+    renderSegments,
+    numberedSectionLevel
+};
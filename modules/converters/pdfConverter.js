@@ -0,0 +1,338 @@
+const { renderTable, numberedSectionLevel } = require('./markdownUtils');
+
+// pdfjs-dist only ships ES modules, so it is loaded lazily via dynamic import
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return pdfjsPromise;
+}
+
+const BULLET_PATTERN = /^[•●▪■◦‣○\-–—*]\s+/;
+const PAGE_MARKER_PATTERN = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i;
+
+async function convertPdfToMarkdown(buffer) {
+    const pdfjs = await loadPdfjs();
+    const loadingTask = pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        disableFontFace: true,
+        useSystemFonts: false,
+        verbosity: 0
+    });
+
+    const pdf = await loadingTask.promise;
+
+    try {
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+            const page = await pdf.getPage(pageNumber);
+            const textContent = await page.getTextContent();
+            pages.push({
+                number: pageNumber,
+                lines: buildLines(textContent.items)
+            });
+            page.cleanup();
+        }
+
+        const hasText = pages.some(page => page.lines.length > 0);
+        if (!hasText) {
+            return {
+                markdown: '',
+                pageCount: pdf.numPages,
+                hasText: false
+            };
+        }
+
+        removeRepeatedHeadersAndFooters(pages);
+
+        const bodyFontSize = detectBodyFontSize(pages);
+        const headingLevels = detectHeadingLevels(pages, bodyFontSize);
+
+        const sections = pages.map(page => {
+            const blocks = renderPageBlocks(page.lines, bodyFontSize, headingLevels);
+            return `<!-- Page ${page.number} -->\n\n${blocks.join('\n\n')}`.trim();
+        });
+
+        return {
+            markdown: sections.join('\n\n'),
+            pageCount: pdf.numPages,
+            hasText: true
+        };
+    } finally {
+        await loadingTask.destroy();
+    }
+}
+
+// Group positioned text items into visual lines made of one or more cells
+function buildLines(items) {
+    const fragments = items
+        .filter(item => typeof item.str === 'string' && item.str.trim().length > 0)
+        .map(item => {
+            const fontSize = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10 || item.height || 0;
+            return {
+                text: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width || 0,
+                fontSize
+            };
+        })
+        .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+    const lines = [];
+    fragments.forEach(fragment => {
+        const tolerance = Math.max(fragment.fontSize * 0.5, 2);
+        const line = lines.find(candidate => Math.abs(candidate.y - fragment.y) <= tolerance);
+        if (line) {
+            line.fragments.push(fragment);
+        } else {
+            lines.push({ y: fragment.y, fragments: [fragment] });
+        }
+    });
+
+    return lines
+        .sort((a, b) => b.y - a.y)
+        .map(line => {
+            const sorted = line.fragments.sort((a, b) => a.x - b.x);
+            const cells = [];
+            let current = null;
+
+            sorted.forEach(fragment => {
+                if (!current) {
+                    current = { text: fragment.text, x: fragment.x, end: fragment.x + fragment.width };
+                    cells.push(current);
+                    return;
+                }
+
+                const gap = fragment.x - current.end;
+                if (gap > fragment.fontSize * 2) {
+                    current = { text: fragment.text, x: fragment.x, end: fragment.x + fragment.width };
+                    cells.push(current);
+                    return;
+                }
+
+                const needsSpace = gap > fragment.fontSize * 0.15 && !/\s$/.test(current.text) && !/^\s/.test(fragment.text);
+                current.text += (needsSpace ? ' ' : '') + fragment.text;
+                current.end = Math.max(current.end, fragment.x + fragment.width);
+            });
+
+            const fontSize = Math.max(...sorted.map(fragment => fragment.fontSize));
+            const normalizedCells = cells
+                .map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }))
+                .filter(cell => cell.text);
+
+            return {
+                y: line.y,
+                fontSize,
+                cells: normalizedCells,
+                text: normalizedCells.map(cell => cell.text).join(' ')
+            };
+        })
+        .filter(line => line.text);
+}
+
+// Running headers, footers and page numbers repeat on most pages and add noise to the analysis
+function removeRepeatedHeadersAndFooters(pages) {
+    if (pages.length < 2) {
+        pages.forEach(page => {
+            page.lines = page.lines.filter(line => !PAGE_MARKER_PATTERN.test(line.text));
+        });
+        return;
+    }
+
+    const normalize = text => text.toLowerCase().replace(/\d+/g, '#').trim();
+    const counts = new Map();
+
+    pages.forEach(page => {
+        const edgeLines = [...page.lines.slice(0, 2), ...page.lines.slice(-2)];
+        new Set(edgeLines.map(line => normalize(line.text))).forEach(key => {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+    });
+
+    const threshold = Math.max(2, Math.ceil(pages.length * 0.5));
+    pages.forEach(page => {
+        const lastIndex = page.lines.length - 1;
+        page.lines = page.lines.filter((line, index) => {
+            const isEdge = index < 2 || index > lastIndex - 2;
+            if (!isEdge) {
+                return true;
+            }
+            return counts.get(normalize(line.text)) < threshold && !PAGE_MARKER_PATTERN.test(line.text);
+        });
+    });
+}
+
+function detectBodyFontSize(pages) {
+    const weights = new Map();
+    pages.forEach(page => {
+        page.lines.forEach(line => {
+            weights.set(line.fontSize, (weights.get(line.fontSize) || 0) + line.text.length);
+        });
+    });
+
+    let bodySize = 0;
+    let bestWeight = -1;
+    weights.forEach((weight, size) => {
+        if (weight > bestWeight) {
+            bestWeight = weight;
+            bodySize = size;
+        }
+    });
+    return bodySize;
+}
+
+// Larger-than-body font sizes map to heading levels, biggest first
+function detectHeadingLevels(pages, bodyFontSize) {
+    const sizes = new Set();
+    pages.forEach(page => {
+        page.lines.forEach(line => {
+            if (isHeadingCandidate(line, bodyFontSize)) {
+                sizes.add(line.fontSize);
+            }
+        });
+    });
+
+    const levels = new Map();
+    [...sizes].sort((a, b) => b - a).forEach((size, index) => {
+        levels.set(size, Math.min(index + 1, 4));
+    });
+    return levels;
+}
+
+function isHeadingCandidate(line, bodyFontSize) {
+    return line.cells.length === 1 &&
+        line.text.length <= 120 &&
+        line.fontSize >= bodyFontSize * 1.15;
+}
+
+function renderPageBlocks(lines, bodyFontSize, headingLevels) {
+    const blocks = [];
+    let paragraph = [];
+    let previousLine = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push(joinParagraphLines(paragraph));
+            paragraph = [];
+        }
+    };
+
+    for (let index = 0; index < lines.length; index += 1) {
+        const line = lines[index];
+
+        const tableRows = collectTableRows(lines, index);
+        if (tableRows.length >= 2) {
+            flushParagraph();
+            blocks.push(renderTableRows(tableRows));
+            index += tableRows.length - 1;
+            previousLine = lines[index];
+            continue;
+        }
+
+        if (isHeadingCandidate(line, bodyFontSize)) {
+            flushParagraph();
+            const level = headingLevels.get(line.fontSize) || 2;
+            blocks.push(`${'#'.repeat(level + 1)} ${line.text}`);
+            previousLine = line;
+            continue;
+        }
+
+        const sectionLevel = line.cells.length === 1 ? numberedSectionLevel(line.text) : null;
+        if (sectionLevel) {
+            flushParagraph();
+            blocks.push(`${'#'.repeat(sectionLevel)} ${line.text}`);
+            previousLine = line;
+            continue;
+        }
+
+        if (BULLET_PATTERN.test(line.text)) {
+            flushParagraph();
+            const item = `- ${line.text.replace(BULLET_PATTERN, '')}`;
+            const lastBlock = blocks[blocks.length - 1];
+            if (lastBlock && lastBlock.startsWith('- ') && previousLine && isContinuous(previousLine, line)) {
+                blocks[blocks.length - 1] = `${lastBlock}\n${item}`;
+            } else {
+                blocks.push(item);
+            }
+            previousLine = line;
+            continue;
+        }
+
+        if (paragraph.length && previousLine && !isContinuous(previousLine, line)) {
+            flushParagraph();
+        }
+
+        paragraph.push(line.cells.map(cell => cell.text).join(' '));
+        previousLine = line;
+    }
+
+    flushParagraph();
+    return blocks;
+}
+
+function isContinuous(previousLine, line) {
+    const gap = previousLine.y - line.y;
+    return gap <= Math.max(previousLine.fontSize, line.fontSize) * 1.8;
+}
+
+function joinParagraphLines(lines) {
+    return lines.reduce((text, line) => {
+        if (!text) {
+            return line;
+        }
+        // Re-join words hyphenated across a line break
+        if (/[a-z]-$/.test(text) && /^[a-z]/.test(line)) {
+            return text.slice(0, -1) + line;
+        }
+        return `${text} ${line}`;
+    }, '');
+}
+
+// Consecutive multi-cell lines with aligned columns are treated as a table
+function collectTableRows(lines, startIndex) {
+    const first = lines[startIndex];
+    if (first.cells.length < 2) {
+        return [];
+    }
+
+    const rows = [first];
+    for (let index = startIndex + 1; index < lines.length; index += 1) {
+        const line = lines[index];
+        const previous = rows[rows.length - 1];
+        if (line.cells.length < 2 || !isContinuous(previous, line) || !columnsAlign(first, line)) {
+            break;
+        }
+        rows.push(line);
+    }
+    return rows;
+}
+
+function columnsAlign(reference, line) {
+    const tolerance = reference.fontSize * 3;
+    return line.cells.every(cell => reference.cells.some(refCell => Math.abs(refCell.x - cell.x) <= tolerance));
+}
+
+function renderTableRows(rows) {
+    const columns = rows[0].cells.map(cell => cell.x);
+    const tolerance = rows[0].fontSize * 3;
+
+    return renderTable(rows.map(line => {
+        const values = columns.map(() => '');
+        line.cells.forEach(cell => {
+            let columnIndex = columns.findIndex(x => Math.abs(x - cell.x) <= tolerance);
+            if (columnIndex === -1) {
+                columnIndex = columns.length - 1;
+            }
+            values[columnIndex] = values[columnIndex] ? `${values[columnIndex]} ${cell.text}` : cell.text;
+        });
+        return values;
+    }));
+}
+
+module.exports = {
+    convertPdfToMarkdown
+};
@@ -0,0 +1,442 @@
+const { renderTable, renderSegments, numberedSectionLevel } = require('./markdownUtils');
+
+// Destinations that hold metadata or binary data rather than document text
+const IGNORED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'info', 'pict', 'object', 'objdata', 'themedata', 'colorschememapping',
+    'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+    'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+    'fldinst', 'bkmkstart', 'bkmkend', 'pn', 'revtbl', 'filetbl', 'mmathPr', 'shpinst', 'nonshppict'
+]);
+
+const LIST_ITEM_PATTERN = /^(- |\d+[.)] |[a-z][.)] )/;
+
+const SYMBOL_MAP = {
+    '~': ' ',
+    '_': '-',
+    '-': '',
+    '\\': '\\',
+    '{': '{',
+    '}': '}'
+};
+
+const CONTROL_CHARACTERS = {
+    emdash: '—',
+    endash: '–',
+    bullet: '•',
+    lquote: '‘',
+    rquote: '’',
+    ldblquote: '“',
+    rdblquote: '”',
+    emspace: ' ',
+    enspace: ' ',
+    qmspace: ' '
+};
+
+function convertRtfToMarkdown(buffer) {
+    const source = Buffer.isBuffer(buffer) ? buffer.toString('latin1') : String(buffer);
+    if (!source.trimStart().startsWith('{\\rtf')) {
+        throw new Error('Not a valid RTF document');
+    }
+
+    const parser = new RtfParser(source);
+    parser.parse();
+    return parser.toMarkdown();
+}
+
+class RtfParser {
+    constructor(source) {
+        this.source = source;
+        this.position = 0;
+        this.codePage = 1252;
+
+        this.state = {
+            bold: false,
+            italic: false,
+            fontSize: 24,
+            skip: false,
+            destination: null,
+            unicodeSkip: 1,
+            styleIndex: 0,
+            outlineLevel: null,
+            inTable: false
+        };
+        this.stack = [];
+
+        this.styles = new Map();
+        this.styleBuffer = null;
+
+        this.blocks = [];
+        this.paragraph = [];
+        this.paragraphState = null;
+        this.tableRows = [];
+        this.currentRow = [];
+        this.currentCell = [];
+
+        this.footnotes = [];
+        this.footnoteSegments = null;
+
+        this.pendingBytes = [];
+        this.skipChars = 0;
+    }
+
+    parse() {
+        const { source } = this;
+        while (this.position < source.length) {
+            const char = source[this.position];
+
+            if (char === '{') {
+                this.flushBytes();
+                this.stack.push({ ...this.state });
+                this.position += 1;
+            } else if (char === '}') {
+                this.flushBytes();
+                this.closeGroup();
+                this.position += 1;
+            } else if (char === '\\') {
+                this.readControl();
+            } else if (char === '\r' || char === '\n') {
+                this.position += 1;
+            } else {
+                this.flushBytes();
+                this.emitText(char);
+                this.position += 1;
+            }
+        }
+
+        this.flushBytes();
+        this.endParagraph();
+        this.flushTable();
+    }
+
+    closeGroup() {
+        const closingState = this.state;
+        this.state = this.stack.pop() || this.state;
+
+        if (closingState.destination === 'stylesheet-entry' && this.styleBuffer) {
+            const name = this.styleBuffer.text.replace(/;\s*$/, '').trim();
+            this.styles.set(this.styleBuffer.index, name);
+            this.styleBuffer = null;
+        }
+
+        if (closingState.destination === 'footnote' && this.state.destination !== 'footnote' && this.footnoteSegments) {
+            this.footnotes.push(renderSegments(this.footnoteSegments).trim());
+            this.footnoteSegments = null;
+        }
+    }
+
+    readControl() {
+        const { source } = this;
+        const next = source[this.position + 1];
+
+        // Hex-escaped byte in the document code page
+        if (next === "'") {
+            const hex = source.substr(this.position + 2, 2);
+            this.position += 4;
+            if (this.skipChars > 0) {
+                this.skipChars -= 1;
+                return;
+            }
+            this.pendingBytes.push(parseInt(hex, 16));
+            return;
+        }
+
+        this.flushBytes();
+
+        if (!/[a-zA-Z]/.test(next)) {
+            this.position += 2;
+            if (next === '*') {
+                this.state.pendingIgnorable = true;
+            } else if (next === '\r' || next === '\n') {
+                this.handleWord('par', null);
+            } else if (SYMBOL_MAP[next] !== undefined) {
+                this.emitText(SYMBOL_MAP[next]);
+            }
+            return;
+        }
+
+        const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(source.slice(this.position, this.position + 40));
+        this.position += match[0].length;
+        const word = match[1];
+        const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+
+        if (word === 'bin' && param) {
+            this.position += param;
+            return;
+        }
+
+        this.handleWord(word, param);
+    }
+
+    handleWord(word, param) {
+        const state = this.state;
+        if (state.skip) {
+            return;
+        }
+
+        // A control word right after "\*" names a destination we do not understand
+        if (state.pendingIgnorable) {
+            state.pendingIgnorable = false;
+            if (word !== 'footnote') {
+                state.skip = true;
+                return;
+            }
+        }
+
+        if (IGNORED_DESTINATIONS.has(word)) {
+            state.skip = true;
+            return;
+        }
+
+        switch (word) {
+            case 'ansicpg':
+                this.codePage = param || 1252;
+                return;
+            case 'stylesheet':
+                state.destination = 'stylesheet';
+                return;
+            case 's':
+                if (state.destination === 'stylesheet' || state.destination === 'stylesheet-entry') {
+                    state.destination = 'stylesheet-entry';
+                    this.styleBuffer = { index: param || 0, text: '' };
+                } else {
+                    state.styleIndex = param || 0;
+                }
+                return;
+            case 'footnote':
+                state.destination = 'footnote';
+                this.footnoteSegments = [];
+                this.emitRaw(`[^${this.footnotes.length + 1}]`);
+                return;
+            case 'uc':
+                state.unicodeSkip = param === null ? 1 : param;
+                return;
+            case 'u': {
+                const codePoint = param < 0 ? param + 65536 : param;
+                this.emitText(String.fromCharCode(codePoint));
+                this.skipChars = state.unicodeSkip;
+                return;
+            }
+            case 'b':
+                state.bold = param !== 0;
+                return;
+            case 'i':
+                state.italic = param !== 0;
+                return;
+            case 'fs':
+                state.fontSize = param || 24;
+                return;
+            case 'plain':
+                state.bold = false;
+                state.italic = false;
+                state.fontSize = 24;
+                return;
+            case 'pard':
+                state.styleIndex = 0;
+                state.outlineLevel = null;
+                state.inTable = false;
+                return;
+            case 'outlinelevel':
+                state.outlineLevel = param;
+                return;
+            case 'intbl':
+                state.inTable = true;
+                return;
+            case 'par':
+                if (state.destination === 'footnote') {
+                    this.emitText(' ');
+                } else {
+                    this.endParagraph();
+                }
+                return;
+            case 'line':
+                this.emitText(state.destination === 'footnote' ? ' ' : '\n');
+                return;
+            case 'tab':
+                this.emitText(state.inTable ? ' ' : '\t');
+                return;
+            case 'cell':
+                this.endCell();
+                return;
+            case 'row':
+                this.endRow();
+                return;
+            case 'page':
+            case 'sect':
+                this.endParagraph();
+                return;
+            default:
+                if (CONTROL_CHARACTERS[word]) {
+                    this.emitText(CONTROL_CHARACTERS[word]);
+                }
+        }
+    }
+
+    flushBytes() {
+        if (!this.pendingBytes.length) {
+            return;
+        }
+
+        const bytes = Uint8Array.from(this.pendingBytes);
+        this.pendingBytes = [];
+
+        let text;
+        try {
+            text = new TextDecoder(`windows-${this.codePage}`).decode(bytes);
+        } catch (error) {
+            text = Buffer.from(bytes).toString('latin1');
+        }
+        this.emitText(text);
+    }
+
+    emitText(text) {
+        const state = this.state;
+        if (state.skip) {
+            return;
+        }
+
+        if (this.skipChars > 0) {
+            const skipped = Math.min(this.skipChars, text.length);
+            this.skipChars -= skipped;
+            text = text.slice(skipped);
+            if (!text) {
+                return;
+            }
+        }
+
+        if (state.destination === 'stylesheet' || state.destination === 'stylesheet-entry') {
+            if (this.styleBuffer) {
+                this.styleBuffer.text += text;
+            }
+            return;
+        }
+
+        const segment = { text, bold: state.bold, italic: state.italic };
+
+        if (state.destination === 'footnote') {
+            this.footnoteSegments.push(segment);
+            return;
+        }
+
+        if (!this.paragraphState) {
+            this.paragraphState = { ...state, maxFontSize: state.fontSize };
+        }
+        this.paragraphState.maxFontSize = Math.max(this.paragraphState.maxFontSize, state.fontSize);
+        this.paragraph.push(segment);
+    }
+
+    emitRaw(text) {
+        if (!this.paragraphState) {
+            this.paragraphState = { ...this.stack[this.stack.length - 1], maxFontSize: this.state.fontSize };
+        }
+        this.paragraph.push({ text, raw: true });
+    }
+
+    takeParagraph() {
+        const segments = this.paragraph;
+        const paragraphState = this.paragraphState || this.state;
+        this.paragraph = [];
+        this.paragraphState = null;
+        return { segments, paragraphState };
+    }
+
+    endCell() {
+        const { segments } = this.takeParagraph();
+        this.currentCell.push(renderSegments(segments).trim());
+        this.currentRow.push(this.currentCell.filter(Boolean).join('\n'));
+        this.currentCell = [];
+    }
+
+    endRow() {
+        if (this.currentRow.some(cell => cell)) {
+            this.tableRows.push(this.currentRow);
+        }
+        this.currentRow = [];
+    }
+
+    flushTable() {
+        if (this.currentRow.length) {
+            this.endRow();
+        }
+        if (this.tableRows.length) {
+            this.blocks.push(renderTable(this.tableRows));
+            this.tableRows = [];
+        }
+    }
+
+    endParagraph() {
+        const { segments, paragraphState } = this.takeParagraph();
+
+        // Paragraph marks inside a cell separate lines of the same cell
+        if (paragraphState.inTable) {
+            const text = renderSegments(segments).trim();
+            if (text) {
+                this.currentCell.push(text);
+            }
+            return;
+        }
+
+        this.flushTable();
+
+        const textSegments = segments.filter(segment => !segment.raw && segment.text.trim());
+        if (!textSegments.length) {
+            return;
+        }
+
+        const plainText = segments.map(segment => segment.text).join('').replace(/\s+/g, ' ').trim();
+        const headingLevel = this.headingLevelFor(paragraphState, textSegments, plainText);
+
+        if (headingLevel) {
+            this.blocks.push(`${'#'.repeat(headingLevel)} ${plainText}`);
+            return;
+        }
+
+        const text = renderSegments(segments)
+            .replace(/\t/g, ' ')
+            .replace(/[ \u00a0]+$/gm, '')
+            .trim()
+            .replace(/^[•·]\s*/, '- ');
+
+        // Consecutive list paragraphs (rendered from \pntext / \listtext labels) form one markdown list
+        const lastBlock = this.blocks[this.blocks.length - 1];
+        if (LIST_ITEM_PATTERN.test(text) && lastBlock && LIST_ITEM_PATTERN.test(lastBlock.split('\n').pop())) {
+            this.blocks[this.blocks.length - 1] = `${lastBlock}\n${text}`;
+        } else {
+            this.blocks.push(text);
+        }
+    }
+
+    // Headings come from heading styles, explicit outline levels or short all-bold lines
+    headingLevelFor(paragraphState, textSegments, plainText) {
+        const styleName = this.styles.get(paragraphState.styleIndex) || '';
+        const styleMatch = /^heading\s*(\d)/i.exec(styleName);
+        if (styleMatch) {
+            return Math.min(parseInt(styleMatch[1], 10), 6);
+        }
+        if (/^title$/i.test(styleName)) {
+            return 1;
+        }
+
+        if (Number.isInteger(paragraphState.outlineLevel) && paragraphState.outlineLevel < 9) {
+            return Math.min(paragraphState.outlineLevel + 1, 6);
+        }
+
+        const allBold = textSegments.every(segment => segment.bold);
+        if (allBold && plainText.length <= 120 && !/[.;:,]$/.test(plainText)) {
+            return numberedSectionLevel(plainText, 120) || 2;
+        }
+
+        return null;
+    }
+
+    toMarkdown() {
+        const blocks = [...this.blocks];
+        if (this.footnotes.length) {
+            blocks.push(this.footnotes.map((text, index) => `[^${index + 1}]: ${text}`).join('\n'));
+        }
+        return blocks.join('\n\n');
+    }
+}
+
+module.exports = {
+    convertRtfToMarkdown
+};
@@ -0,0 +1,518 @@
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const WordExtractor = require('word-extractor');
+const { renderTable, renderSegments, numberedSectionLevel } = require('./markdownUtils');
+
+const BULLET_FORMATS = new Set(['bullet', 'none']);
+
+async function convertDocxToMarkdown(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+
+    const documentXml = await readPart(zip, 'word/document.xml');
+    if (!documentXml) {
+        throw new Error('Not a valid DOCX file: word/document.xml is missing');
+    }
+
+    const context = {
+        styles: parseStyles(await readPart(zip, 'word/styles.xml')),
+        numbering: parseNumbering(await readPart(zip, 'word/numbering.xml')),
+        counters: new Map(),
+        notes: {
+            footnote: parseNotes(await readPart(zip, 'word/footnotes.xml'), 'footnote'),
+            endnote: parseNotes(await readPart(zip, 'word/endnotes.xml'), 'endnote')
+        },
+        referencedNotes: []
+    };
+
+    const body = firstChild(documentXml.documentElement, 'body');
+    const blocks = renderBlocks(children(body), context);
+
+    const noteLines = context.referencedNotes.map(({ kind, id }) => {
+        const note = context.notes[kind].get(id);
+        const text = note ? renderNoteText(note, context) : '';
+        return `[^${noteLabel(kind, id)}]: ${text}`;
+    });
+
+    if (noteLines.length) {
+        blocks.push(noteLines.join('\n'));
+    }
+
+    return blocks.join('\n\n');
+}
+
+// Legacy binary .doc files carry no reliable structure, so headings and tables are inferred from the text
+async function convertDocToMarkdown(buffer) {
+    const extractor = new WordExtractor();
+    const document = await extractor.extract(buffer);
+
+    const blocks = [];
+    let tableRows = [];
+
+    const flushTable = () => {
+        if (tableRows.length) {
+            blocks.push(tableRows.length > 1 ? renderTable(tableRows) : tableRows[0].join(' '));
+            tableRows = [];
+        }
+    };
+
+    document.getBody()
+        .split(/\r?\n/)
+        .forEach(rawLine => {
+            const line = rawLine.replace(/\s+$/, '');
+
+            if (line.includes('\t')) {
+                // Word ends every cell with a cell mark and every row with an extra one
+                line.split(/\t\t/).forEach(row => {
+                    const cells = row.split('\t').map(cell => cell.trim());
+                    if (cells.some(Boolean)) {
+                        tableRows.push(cells);
+                    }
+                });
+                return;
+            }
+
+            flushTable();
+
+            const text = line.trim();
+            if (!text) {
+                return;
+            }
+
+            const level = numberedSectionLevel(text);
+            blocks.push(level ? `${'#'.repeat(level)} ${text}` : text);
+        });
+
+    flushTable();
+
+    const footnotes = document.getFootnotes().trim();
+    if (footnotes) {
+        blocks.push(`## Footnotes\n\n${footnotes}`);
+    }
+
+    const endnotes = document.getEndnotes().trim();
+    if (endnotes) {
+        blocks.push(`## Endnotes\n\n${endnotes}`);
+    }
+
+    return blocks.join('\n\n');
+}
+
+async function readPart(zip, partName) {
+    const file = zip.file(partName);
+    if (!file) {
+        return null;
+    }
+
+    const xml = await file.async('string');
+    return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+function children(node, localName) {
+    const result = [];
+    if (!node) {
+        return result;
+    }
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 1 && (!localName || child.localName === localName)) {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+function firstChild(node, localName) {
+    return children(node, localName)[0] || null;
+}
+
+function attr(node, name) {
+    if (!node) {
+        return null;
+    }
+    return node.getAttribute(`w:${name}`) || node.getAttribute(name) || null;
+}
+
+function isOn(node) {
+    if (!node) {
+        return false;
+    }
+    const value = attr(node, 'val');
+    return value === null || !['0', 'false', 'none'].includes(value);
+}
+
+function parseStyles(stylesXml) {
+    const styles = new Map();
+    if (!stylesXml) {
+        return styles;
+    }
+
+    children(stylesXml.documentElement, 'style').forEach(styleNode => {
+        const id = attr(styleNode, 'styleId');
+        const pPr = firstChild(styleNode, 'pPr');
+        const numPr = firstChild(pPr, 'numPr');
+        const outline = firstChild(pPr, 'outlineLvl');
+
+        styles.set(id, {
+            name: attr(firstChild(styleNode, 'name'), 'val') || id,
+            basedOn: attr(firstChild(styleNode, 'basedOn'), 'val'),
+            outlineLevel: outline ? parseInt(attr(outline, 'val'), 10) : null,
+            numId: numPr ? attr(firstChild(numPr, 'numId'), 'val') : null,
+            ilvl: numPr ? parseInt(attr(firstChild(numPr, 'ilvl'), 'val') || '0', 10) : null
+        });
+    });
+
+    return styles;
+}
+
+function parseNumbering(numberingXml) {
+    const abstractLevels = new Map();
+    const instances = new Map();
+    if (!numberingXml) {
+        return instances;
+    }
+
+    children(numberingXml.documentElement, 'abstractNum').forEach(abstractNode => {
+        const levels = new Map();
+        children(abstractNode, 'lvl').forEach(levelNode => {
+            levels.set(parseInt(attr(levelNode, 'ilvl'), 10), {
+                format: attr(firstChild(levelNode, 'numFmt'), 'val') || 'decimal',
+                text: attr(firstChild(levelNode, 'lvlText'), 'val') || '',
+                start: parseInt(attr(firstChild(levelNode, 'start'), 'val') || '1', 10)
+            });
+        });
+        abstractLevels.set(attr(abstractNode, 'abstractNumId'), levels);
+    });
+
+    children(numberingXml.documentElement, 'num').forEach(numNode => {
+        const abstractId = attr(firstChild(numNode, 'abstractNumId'), 'val');
+        instances.set(attr(numNode, 'numId'), abstractLevels.get(abstractId) || new Map());
+    });
+
+    return instances;
+}
+
+function parseNotes(notesXml, kind) {
+    const notes = new Map();
+    if (!notesXml) {
+        return notes;
+    }
+
+    children(notesXml.documentElement, kind).forEach(noteNode => {
+        // Separator and continuation notes carry a type and hold no content
+        if (!attr(noteNode, 'type') || attr(noteNode, 'type') === 'normal') {
+            notes.set(attr(noteNode, 'id'), noteNode);
+        }
+    });
+
+    return notes;
+}
+
+function noteLabel(kind, id) {
+    return kind === 'endnote' ? `endnote-${id}` : id;
+}
+
+function renderNoteText(noteNode, context) {
+    return children(noteNode, 'p')
+        .map(paragraph => renderInline(paragraph, context).trim())
+        .filter(Boolean)
+        .join(' ');
+}
+
+function renderBlocks(nodes, context, { inTableCell = false } = {}) {
+    const blocks = [];
+    let listBuffer = [];
+
+    const flushList = () => {
+        if (listBuffer.length) {
+            blocks.push(listBuffer.join('\n'));
+            listBuffer = [];
+        }
+    };
+
+    nodes.forEach(node => {
+        if (node.localName === 'p') {
+            const rendered = renderParagraph(node, context);
+            if (!rendered) {
+                return;
+            }
+            if (rendered.isListItem) {
+                listBuffer.push(rendered.text);
+            } else {
+                flushList();
+                blocks.push(rendered.text);
+            }
+        } else if (node.localName === 'tbl') {
+            flushList();
+            blocks.push(inTableCell ? renderNestedTableText(node, context) : renderWordTable(node, context));
+        } else if (node.localName === 'sdt') {
+            flushList();
+            blocks.push(...renderBlocks(children(firstChild(node, 'sdtContent')), context, { inTableCell }));
+        } else if (['ins', 'moveTo', 'customXml'].includes(node.localName)) {
+            flushList();
+            blocks.push(...renderBlocks(children(node), context, { inTableCell }));
+        }
+    });
+
+    flushList();
+    return blocks.filter(Boolean);
+}
+
+function resolveStyle(styleId, styles) {
+    const resolved = { headingLevel: null, numId: null, ilvl: null };
+    const visited = new Set();
+    let current = styleId;
+
+    while (current && styles.has(current) && !visited.has(current)) {
+        visited.add(current);
+        const style = styles.get(current);
+
+        if (resolved.headingLevel === null) {
+            const nameMatch = /^heading\s*(\d)$/i.exec(style.name);
+            if (nameMatch) {
+                resolved.headingLevel = parseInt(nameMatch[1], 10);
+            } else if (/^title$/i.test(style.name)) {
+                resolved.headingLevel = 1;
+            } else if (Number.isInteger(style.outlineLevel) && style.outlineLevel < 9) {
+                resolved.headingLevel = style.outlineLevel + 1;
+            }
+        }
+
+        if (resolved.numId === null && style.numId) {
+            resolved.numId = style.numId;
+            resolved.ilvl = style.ilvl || 0;
+        }
+
+        current = style.basedOn;
+    }
+
+    return resolved;
+}
+
+function renderParagraph(paragraph, context) {
+    const pPr = firstChild(paragraph, 'pPr');
+    const styleId = attr(firstChild(pPr, 'pStyle'), 'val');
+    const style = resolveStyle(styleId, context.styles);
+
+    let headingLevel = style.headingLevel;
+    const outline = firstChild(pPr, 'outlineLvl');
+    if (outline) {
+        const level = parseInt(attr(outline, 'val'), 10);
+        headingLevel = level < 9 ? level + 1 : null;
+    }
+
+    const numPr = firstChild(pPr, 'numPr');
+    const numId = numPr ? attr(firstChild(numPr, 'numId'), 'val') : style.numId;
+    const ilvl = numPr ? parseInt(attr(firstChild(numPr, 'ilvl'), 'val') || '0', 10) : (style.ilvl || 0);
+
+    const text = renderInline(paragraph, context).trim();
+    if (!text) {
+        return null;
+    }
+
+    const label = numId && numId !== '0' ? nextNumberLabel(numId, ilvl, context) : null;
+
+    if (headingLevel) {
+        const plain = text.replace(/^\*\*(.*)\*\*$/, '$1');
+        const prefix = label && !label.bullet ? `${label.text} ` : '';
+        return { text: `${'#'.repeat(Math.min(headingLevel, 6))} ${prefix}${plain}`, isListItem: false };
+    }
+
+    if (label) {
+        const indent = '   '.repeat(ilvl);
+        const marker = label.bullet ? '-' : label.text;
+        return { text: `${indent}${marker} ${text}`, isListItem: true };
+    }
+
+    return { text, isListItem: false };
+}
+
+// Word numbers lists itself, so counters are tracked per list instance to keep requirement numbers intact
+function nextNumberLabel(numId, ilvl, context) {
+    const levels = context.numbering.get(numId);
+    const level = levels?.get(ilvl);
+    if (!level || BULLET_FORMATS.has(level.format)) {
+        return { bullet: true };
+    }
+
+    if (!context.counters.has(numId)) {
+        context.counters.set(numId, []);
+    }
+    const counters = context.counters.get(numId);
+
+    counters[ilvl] = counters[ilvl] === undefined ? level.start : counters[ilvl] + 1;
+    counters.length = ilvl + 1;
+
+    const text = level.text.replace(/%(\d)/g, (match, levelNumber) => {
+        const index = parseInt(levelNumber, 10) - 1;
+        const referenced = levels.get(index);
+        const value = counters[index] === undefined ? (referenced?.start || 1) : counters[index];
+        return formatNumber(value, referenced?.format || 'decimal');
+    });
+
+    return { bullet: false, text: text || `${counters[ilvl]}.` };
+}
+
+function formatNumber(value, format) {
+    switch (format) {
+        case 'lowerLetter':
+            return toLetters(value).toLowerCase();
+        case 'upperLetter':
+            return toLetters(value);
+        case 'lowerRoman':
+            return toRoman(value).toLowerCase();
+        case 'upperRoman':
+            return toRoman(value);
+        default:
+            return String(value);
+    }
+}
+
+function toLetters(value) {
+    let result = '';
+    let remaining = value;
+    while (remaining > 0) {
+        const offset = (remaining - 1) % 26;
+        result = String.fromCharCode(65 + offset) + result;
+        remaining = Math.floor((remaining - 1) / 26);
+    }
+    return result;
+}
+
+function toRoman(value) {
+    const numerals = [
+        [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+        [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+    ];
+    let result = '';
+    let remaining = value;
+    numerals.forEach(([amount, numeral]) => {
+        while (remaining >= amount) {
+            result += numeral;
+            remaining -= amount;
+        }
+    });
+    return result;
+}
+
+// Inline content: runs, hyperlinks, tracked insertions/deletions and note references
+function renderInline(node, context) {
+    const segments = [];
+    collectRuns(node, context, segments, null);
+    return renderSegments(segments);
+}
+
+function collectRuns(node, context, segments, revision) {
+    children(node).forEach(child => {
+        switch (child.localName) {
+            case 'r':
+                segments.push(...renderRun(child, context, revision));
+                break;
+            case 'ins':
+            case 'moveTo':
+                collectRuns(child, context, segments, 'ins');
+                break;
+            case 'del':
+            case 'moveFrom':
+                collectRuns(child, context, segments, 'del');
+                break;
+            case 'hyperlink':
+            case 'smartTag':
+            case 'customXml':
+            case 'fldSimple':
+                collectRuns(child, context, segments, revision);
+                break;
+            case 'sdt':
+                collectRuns(firstChild(child, 'sdtContent'), context, segments, revision);
+                break;
+            default:
+                break;
+        }
+    });
+}
+
+function renderRun(run, context, revision) {
+    const rPr = firstChild(run, 'rPr');
+    const format = {
+        bold: isOn(firstChild(rPr, 'b')),
+        italic: isOn(firstChild(rPr, 'i')),
+        revision
+    };
+
+    const segments = [];
+    children(run).forEach(child => {
+        switch (child.localName) {
+            case 't':
+            case 'delText':
+                segments.push({ ...format, text: child.textContent });
+                break;
+            case 'tab':
+                segments.push({ ...format, text: ' ' });
+                break;
+            case 'br':
+            case 'cr':
+                segments.push({ ...format, text: '\n' });
+                break;
+            case 'noBreakHyphen':
+                segments.push({ ...format, text: '-' });
+                break;
+            case 'footnoteReference':
+            case 'endnoteReference': {
+                const kind = child.localName === 'footnoteReference' ? 'footnote' : 'endnote';
+                const id = attr(child, 'id');
+                if (!context.referencedNotes.some(note => note.kind === kind && note.id === id)) {
+                    context.referencedNotes.push({ kind, id });
+                }
+                segments.push({ bold: false, italic: false, revision, text: `[^${noteLabel(kind, id)}]`, raw: true });
+                break;
+            }
+            default:
+                break;
+        }
+    });
+    return segments;
+}
+
+function renderWordTable(table, context) {
+    const rows = [];
+
+    children(table, 'tr').forEach(rowNode => {
+        const row = [];
+
+        children(rowNode, 'tc').forEach(cellNode => {
+            const tcPr = firstChild(cellNode, 'tcPr');
+            const span = parseInt(attr(firstChild(tcPr, 'gridSpan'), 'val') || '1', 10);
+            const vMerge = firstChild(tcPr, 'vMerge');
+            const continuesMerge = vMerge && attr(vMerge, 'val') !== 'restart';
+
+            // Vertically merged continuation cells repeat nothing; the text lives in the first cell
+            const text = continuesMerge
+                ? ''
+                : renderBlocks(children(cellNode), context, { inTableCell: true }).join('\n');
+
+            row.push(text);
+            for (let extra = 1; extra < span; extra += 1) {
+                row.push('');
+            }
+        });
+
+        if (row.some(cell => cell.trim())) {
+            rows.push(row);
+        }
+    });
+
+    return renderTable(rows);
+}
+
+// A table inside a table cell cannot be a Markdown table; each row becomes a line of its cells' text
+function renderNestedTableText(table, context) {
+    return children(table, 'tr')
+        .map(row => children(row, 'tc').map(cell => children(cell, 'p')
+            .map(paragraph => renderInline(paragraph, context).trim())
+            .filter(Boolean)
+            .join(' ')).join(' / '))
+        .join('\n');
+}
+
+module.exports = {
+    convertDocxToMarkdown,
+    convertDocToMarkdown
+};
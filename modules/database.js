@@ -1,117 +1,129 @@
-const fs = require('fs').promises;
 const path = require('path');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const { ConflictError, proposalETag } = require('./concurrency');
+const { createStore, importJsonData } = require('./storage');
+const { SCHEMA_VERSIONS, runMigrations } = require('./migrations');
+const { matchesAccountToken } = require('./accountTokens');
+const { emailVerificationPolicy, emailVerificationTTLMs } = require('./emailVerification');
+const { matchTotp, hashRecoveryCode } = require('./twoFactor');
+
+// After this many wrong second-factor codes in a row, codes are refused for a while
+const SECOND_FACTOR_MAX_FAILURES = 5;
+const SECOND_FACTOR_LOCK_MS = 5 * 60 * 1000;
+
+// A user record as callers may see it: without the password hash, token hashes and two-factor secrets
+function withoutSecrets(user) {
+    const { password, tokens, twoFactor, twoFactorSetup, ...rest } = user;
+    return rest;
+}
+
+// Whether the user's email address went unconfirmed for longer than a verification link works
+function hasLapsedEmail(user) {
+    return Boolean(user.email && !user.emailVerified && user.emailAddedAt &&
+        Date.now() - new Date(user.emailAddedAt) > emailVerificationTTLMs());
+}
 
 class SimpleDatabase {
-    constructor() {
-        this.dataDir = path.join(__dirname, '..', 'data');
-        this.usersFile = path.join(this.dataDir, 'users.json');
-        this.sessionsFile = path.join(this.dataDir, 'sessions.json');
-        this.proposalsFile = path.join(this.dataDir, 'proposals.json');
-        this.init();
+    // options.backend / options.dataDir / options.file choose the storage adapter (see ./storage)
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+        this.store = createStore({ ...options, dataDir: this.dataDir });
+        this.ready = this.init();
     }
 
     async init() {
         try {
-            await fs.mkdir(this.dataDir, { recursive: true });
+            const created = await this.store.init();
 
-            // Initialize users file if it doesn't exist
-            try {
-                await fs.access(this.usersFile);
-            } catch {
-                await fs.writeFile(this.usersFile, JSON.stringify([], null, 2));
+            // A new SQLite database starts with what the JSON backend stored
+            if (created && this.store.importRecords) {
+                const { counts, skipped } = await importJsonData(this.store, this.dataDir);
+                console.log(`Imported ${counts.users} users, ${counts.sessions} sessions, ${counts.proposals} proposals and ${counts.jobs} jobs from the JSON data files`);
+                skipped.forEach(record => console.warn(`Skipped invalid record while importing ${record}`));
             }
 
-            // Initialize sessions file if it doesn't exist
-            try {
-                await fs.access(this.sessionsFile);
-            } catch {
-                await fs.writeFile(this.sessionsFile, JSON.stringify([], null, 2));
-            }
-
-            // Initialize proposals file if it doesn't exist
-            try {
-                await fs.access(this.proposalsFile);
-            } catch {
-                await fs.writeFile(this.proposalsFile, JSON.stringify([], null, 2));
+            // Bring records stored by earlier versions up to the current schema
+            const { migrated, backup } = await runMigrations(this.store);
+            if (migrated) {
+                console.log(`Migrated ${migrated} records to the current schema (backup: ${backup})`);
             }
         } catch (error) {
             console.error('Database initialization error:', error);
+            throw error;
         }
     }
 
-    async readFile(filePath) {
-        try {
-            const data = await fs.readFile(filePath, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error(`Error reading file ${filePath}:`, error);
-            return [];
-        }
-    }
-
-    async writeFile(filePath, data) {
-        try {
-            await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-            return true;
-        } catch (error) {
-            console.error(`Error writing file ${filePath}:`, error);
-            return false;
-        }
-    }
-
-    async getAllProposals() {
-        return this.readFile(this.proposalsFile);
+    async close() {
+        await this.ready.catch(() => {});
+        await this.store.close();
     }
 
-    async saveAllProposals(proposals) {
-        return this.writeFile(this.proposalsFile, proposals);
+    async _store() {
+        await this.ready;
+        return this.store;
     }
 
     // User management methods
     async createUser(username, password, email, theme) {
-        try {
-            const users = await this.readFile(this.usersFile);
+        const store = await this._store();
 
-            // Check if username already exists
-            if (users.find(user => user.username === username)) {
-                throw new Error('Username already exists');
-            }
+        // Check if username already exists
+        if (await store.findUser('username', username)) {
+            throw new Error('Username already exists');
+        }
 
-            // Check if email already exists
-            if (email && users.find(user => user.email === email)) {
-                throw new Error('Email already exists');
-            }
+        // Check if email already exists
+        await this._releaseLapsedEmail(email);
+        if (email && await store.findUser('email', email)) {
+            throw new Error('Email already exists');
+        }
 
-            // Hash password
-            const hashedPassword = await bcrypt.hash(password, 10);
-
-            // Create new user
-            const newUser = {
-                id: uuidv4(),
-                username,
-                email: email || null,
-                theme: theme || 'bright',
-                password: hashedPassword,
-                createdAt: new Date().toISOString()
-            };
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        // Create new user; the store checks uniqueness again in case another registration got there first
+        const newUser = {
+            id: uuidv4(),
+            username,
+            email: email || null,
+            theme: theme || 'bright',
+            emailVerified: false,
+            emailAddedAt: email ? new Date().toISOString() : null,
+            password: hashedPassword,
+            createdAt: new Date().toISOString(),
+            schemaVersion: SCHEMA_VERSIONS.users
+        };
+        await store.insertUser(newUser);
+
+        // Return user without password
+        return withoutSecrets(newUser);
+    }
 
-            users.push(newUser);
-            await this.writeFile(this.usersFile, users);
+    async findUserByUsername(username) {
+        try {
+            const store = await this._store();
+            return await store.findUser('username', username);
+        } catch (error) {
+            console.error('Error finding user:', error);
+            return null;
+        }
+    }
 
-            // Return user without password
-            const { password: _, ...userWithoutPassword } = newUser;
-            return userWithoutPassword;
+    async findUserByEmail(email) {
+        try {
+            const store = await this._store();
+            return await store.findUser('email', email);
         } catch (error) {
-            throw error;
+            console.error('Error finding user:', error);
+            return null;
         }
     }
 
-    async findUserByUsername(username) {
+    async findUserById(userId) {
         try {
-            const users = await this.readFile(this.usersFile);
-            return users.find(user => user.username === username) || null;
+            const store = await this._store();
+            return await store.findUser('id', userId);
         } catch (error) {
             console.error('Error finding user:', error);
             return null;
@@ -133,84 +145,231 @@ class SimpleDatabase {
     }
 
     async updateUser(userId, updates) {
-        try {
-            const users = await this.readFile(this.usersFile);
-            const userIndex = users.findIndex(user => user.id === userId);
+        const store = await this._store();
+        const changes = {};
 
-            if (userIndex === -1) {
-                throw new Error('User not found');
-            }
+        // Update allowed fields
+        if (updates.email !== undefined) {
+            changes.email = updates.email;
+        }
 
-            const user = users[userIndex];
+        if (updates.theme !== undefined) {
+            changes.theme = updates.theme;
+        }
 
-            // Update allowed fields
-            if (updates.email !== undefined) {
-                // Check if new email already exists (only if different from current)
-                if (updates.email !== user.email && updates.email) {
-                    const existingUser = users.find(u => u.email === updates.email && u.id !== userId);
-                    if (existingUser) {
-                        throw new Error('Email already exists');
-                    }
-                }
-                user.email = updates.email;
-            }
+        if (updates.password !== undefined) {
+            changes.password = await bcrypt.hash(updates.password, 10);
+        }
 
-            if (updates.theme !== undefined) {
-                user.theme = updates.theme;
-            }
+        changes.updatedAt = new Date().toISOString();
 
-            if (updates.password !== undefined) {
-                user.password = await bcrypt.hash(updates.password, 10);
+        // The store refuses an email another user already has. A new address has to be confirmed again.
+        await this._releaseLapsedEmail(changes.email);
+        const user = await store.updateUser(userId, (current) => {
+            if (changes.email === undefined || (changes.email || null) === (current.email || null)) {
+                return changes;
             }
+            const { emailVerification, ...tokens } = current.tokens || {};
+            return {
+                ...changes,
+                email: changes.email || null,
+                emailVerified: false,
+                emailAddedAt: changes.email ? changes.updatedAt : null,
+                tokens
+            };
+        });
 
-            user.updatedAt = new Date().toISOString();
-            users[userIndex] = user;
+        // Return user without password
+        return withoutSecrets(user);
+    }
 
-            await this.writeFile(this.usersFile, users);
+    // One-time emailed tokens (see accountTokens.js) are kept on the user as tokens[purpose]; saving one
+    // replaces the user's earlier token for that purpose
+    async saveUserToken(userId, purpose, record) {
+        const store = await this._store();
+        await store.updateUser(userId, user => ({ tokens: { ...user.tokens, [purpose]: record } }));
+    }
 
-            // Return user without password
-            const { password: _, ...userWithoutPassword } = user;
-            return userWithoutPassword;
+    // Uses up the user's token for purpose if secret matches it and it has not expired, storing changes in the
+    // same step, so a token works once even when presented twice at the same time. changes may be a function
+    // of the user and the token record that returns null to refuse the token. Resolves to the updated user, or
+    // null for a wrong, used, expired or refused token.
+    async consumeUserToken(userId, purpose, secret, changes = {}) {
+        const store = await this._store();
+        const invalid = new Error('Invalid token');
+        try {
+            const user = await store.updateUser(userId, (current) => {
+                const record = current.tokens?.[purpose];
+                const accepted = matchesAccountToken(record, secret) &&
+                    (typeof changes === 'function' ? changes(current, record) : changes);
+                if (!accepted) {
+                    throw invalid;
+                }
+                const { [purpose]: used, ...tokens } = current.tokens;
+                return { ...accepted, tokens, updatedAt: new Date().toISOString() };
+            });
+            return withoutSecrets(user);
         } catch (error) {
+            if (error === invalid || error.message === 'User not found') {
+                return null;
+            }
             throw error;
         }
     }
 
-    // Session management methods
-    async createSession(userId, username, rememberMe = false) {
-        try {
-            const sessions = await this.readFile(this.sessionsFile);
-
-            const sessionId = uuidv4();
-
-            // Set expiration: 24 hours default, 30 days if remember me
-            const expirationTime = rememberMe
-                ? 30 * 24 * 60 * 60 * 1000  // 30 days
-                : 24 * 60 * 60 * 1000;      // 24 hours
-
-            const newSession = {
-                id: sessionId,
-                userId,
-                username,
-                rememberMe: rememberMe || false,
-                createdAt: new Date().toISOString(),
-                expiresAt: new Date(Date.now() + expirationTime).toISOString()
-            };
+    async resetPassword(userId, secret, newPassword) {
+        const password = await bcrypt.hash(newPassword, 10);
+        return this.consumeUserToken(userId, 'passwordReset', secret, { password });
+    }
 
-            sessions.push(newSession);
-            await this.writeFile(this.sessionsFile, sessions);
+    // The link only confirms the address it was sent to
+    async verifyEmail(userId, secret) {
+        return this.consumeUserToken(userId, 'emailVerification', secret, (user, record) =>
+            (user.email && record.email === user.email ? { emailVerified: true } : null));
+    }
+
+    // Two-factor authentication. twoFactorSetup holds the secret being enrolled until a code from it is
+    // confirmed; twoFactor holds the active secret, the hashes of the unused recovery codes, the last time step
+    // a code was used for (codes are refused for it and earlier ones) and the count of wrong codes in a row.
+    async startTwoFactorSetup(userId, secret) {
+        const store = await this._store();
+        await store.updateUser(userId, { twoFactorSetup: { secret, createdAt: new Date().toISOString() } });
+        return secret;
+    }
 
-            return sessionId;
+    // Turns on the secret being enrolled when code is current for it. Resolves to the updated user, or null
+    // when there is nothing being enrolled or the code is wrong.
+    async enableTwoFactor(userId, code, recoveryCodeHashes) {
+        const store = await this._store();
+        const invalid = new Error('Invalid code');
+        try {
+            const user = await store.updateUser(userId, (current) => {
+                const setup = current.twoFactorSetup;
+                const step = setup ? matchTotp(setup.secret, code) : null;
+                if (step === null) {
+                    throw invalid;
+                }
+                const now = new Date().toISOString();
+                return {
+                    twoFactor: {
+                        secret: setup.secret,
+                        enabledAt: now,
+                        lastUsedStep: step,
+                        recoveryCodes: recoveryCodeHashes,
+                        failures: 0,
+                        lastFailureAt: null
+                    },
+                    twoFactorSetup: null,
+                    updatedAt: now
+                };
+            });
+            return withoutSecrets(user);
         } catch (error) {
-            console.error('Error creating session:', error);
-            return null;
+            if (error === invalid) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Checks a code from the authenticator app or an unused recovery code (which is used up) and records the
+    // outcome in the same step, so neither works twice. Resolves to { method, recoveryCodesLeft } when it is
+    // valid and null when it is not; throws while too many wrong codes in a row keep codes refused.
+    async checkSecondFactor(userId, code) {
+        const store = await this._store();
+        let result = null;
+        let locked = false;
+        await store.updateUser(userId, (current) => {
+            const state = current.twoFactor;
+            result = null;
+            locked = false;
+            if (!state) {
+                throw new Error('Two-factor authentication is not enabled');
+            }
+            if (state.failures >= SECOND_FACTOR_MAX_FAILURES &&
+                Date.now() - new Date(state.lastFailureAt) < SECOND_FACTOR_LOCK_MS) {
+                locked = true;
+                return {};
+            }
+
+            const step = matchTotp(state.secret, code, state.lastUsedStep);
+            const hash = hashRecoveryCode(code);
+            if (step !== null) {
+                result = { method: 'totp', recoveryCodesLeft: state.recoveryCodes.length };
+                return { twoFactor: { ...state, lastUsedStep: step, failures: 0, lastFailureAt: null } };
+            }
+            if (state.recoveryCodes.includes(hash)) {
+                const recoveryCodes = state.recoveryCodes.filter(existing => existing !== hash);
+                result = { method: 'recovery', recoveryCodesLeft: recoveryCodes.length };
+                return { twoFactor: { ...state, recoveryCodes, failures: 0, lastFailureAt: null } };
+            }
+            return { twoFactor: { ...state, failures: state.failures + 1, lastFailureAt: new Date().toISOString() } };
+        });
+
+        if (locked) {
+            throw new Error('Too many invalid codes. Wait a few minutes and try again.');
+        }
+        return result;
+    }
+
+    async replaceRecoveryCodes(userId, recoveryCodeHashes) {
+        const store = await this._store();
+        const user = await store.updateUser(userId, (current) => {
+            if (!current.twoFactor) {
+                throw new Error('Two-factor authentication is not enabled');
+            }
+            return { twoFactor: { ...current.twoFactor, recoveryCodes: recoveryCodeHashes } };
+        });
+        return withoutSecrets(user);
+    }
+
+    async disableTwoFactor(userId) {
+        const store = await this._store();
+        const user = await store.updateUser(userId, {
+            twoFactor: null,
+            twoFactorSetup: null,
+            updatedAt: new Date().toISOString()
+        });
+        return withoutSecrets(user);
+    }
+
+    // An address left unconfirmed for longer than a verification link works is not reserved any more: the
+    // account holding it loses it, so someone typing in a colleague's address cannot keep them from using it
+    async _releaseLapsedEmail(email) {
+        if (!email || emailVerificationPolicy() === 'off') {
+            return;
+        }
+
+        const store = await this._store();
+        const holder = await store.findUser('email', email);
+        if (holder && hasLapsedEmail(holder)) {
+            await store.updateUser(holder.id, user => (user.email === email && hasLapsedEmail(user)
+                ? { email: null, emailAddedAt: null }
+                : {}));
+            console.log(`Released the unconfirmed email address of user ${holder.username}`);
         }
     }
 
+    // Session management methods. Sessions are the express-session sessions of signed-in users (see
+    // sessionStore.js): state is what express-session keeps, the other fields are for lookups and expiry.
+    async saveSession(sessionId, { userId, username, rememberMe, createdAt, expiresAt, state }) {
+        const store = await this._store();
+        return store.saveSession({
+            id: sessionId,
+            userId,
+            username,
+            rememberMe: rememberMe || false,
+            createdAt: createdAt || new Date().toISOString(),
+            expiresAt,
+            state,
+            schemaVersion: SCHEMA_VERSIONS.sessions
+        });
+    }
+
     async findSession(sessionId) {
         try {
-            const sessions = await this.readFile(this.sessionsFile);
-            const session = sessions.find(s => s.id === sessionId);
+            const store = await this._store();
+            const session = await store.findSession(sessionId);
 
             if (!session) {
                 return null;
@@ -231,9 +390,8 @@ class SimpleDatabase {
 
     async deleteSession(sessionId) {
         try {
-            const sessions = await this.readFile(this.sessionsFile);
-            const filteredSessions = sessions.filter(s => s.id !== sessionId);
-            await this.writeFile(this.sessionsFile, filteredSessions);
+            const store = await this._store();
+            await store.deleteSession(sessionId);
             return true;
         } catch (error) {
             console.error('Error deleting session:', error);
@@ -243,9 +401,8 @@ class SimpleDatabase {
 
     async deleteAllUserSessions(userId) {
         try {
-            const sessions = await this.readFile(this.sessionsFile);
-            const filteredSessions = sessions.filter(s => s.userId !== userId);
-            await this.writeFile(this.sessionsFile, filteredSessions);
+            const store = await this._store();
+            await store.deleteUserSessions(userId);
             return true;
         } catch (error) {
             console.error('Error deleting user sessions:', error);
@@ -255,13 +412,11 @@ class SimpleDatabase {
 
     async cleanExpiredSessions() {
         try {
-            const sessions = await this.readFile(this.sessionsFile);
-            const now = new Date();
-            const activeSessions = sessions.filter(s => new Date(s.expiresAt) > now);
+            const store = await this._store();
+            const removed = await store.deleteExpiredSessions(new Date());
 
-            if (activeSessions.length !== sessions.length) {
-                await this.writeFile(this.sessionsFile, activeSessions);
-                console.log(`Cleaned ${sessions.length - activeSessions.length} expired sessions`);
+            if (removed) {
+                console.log(`Cleaned ${removed} expired sessions`);
             }
 
             return true;
@@ -274,8 +429,8 @@ class SimpleDatabase {
     // Proposal management methods
     async getProposalsByUser(userId) {
         try {
-            const proposals = await this.getAllProposals();
-            return proposals.filter(proposal => proposal.userId === userId);
+            const store = await this._store();
+            return await store.listProposals(userId);
         } catch (error) {
             console.error('Error fetching proposals:', error);
             return [];
@@ -284,53 +439,88 @@ class SimpleDatabase {
 
     async getProposalRecord(userId, proposalId) {
         try {
-            const proposals = await this.getAllProposals();
-            return proposals.find(proposal => proposal.id === proposalId && proposal.userId === userId) || null;
+            const store = await this._store();
+            return await store.findProposal(userId, proposalId);
         } catch (error) {
             console.error('Error fetching proposal:', error);
             return null;
         }
     }
 
+    // Every save increments the proposal's revision. A record read before another save landed is refused with
+    // a ConflictError instead of overwriting that save.
     async saveProposalRecord(proposal) {
-        const proposals = await this.getAllProposals();
-        const existingIndex = proposals.findIndex(p => p.id === proposal.id && p.userId === proposal.userId);
-
-        if (existingIndex >= 0) {
-            // Update existing proposal
-            proposals[existingIndex] = proposal;
-        } else {
-            // Add new proposal
-            proposals.push(proposal);
-        }
+        const store = await this._store();
+        const saved = await store.upsertProposal(proposal.userId, proposal.id, (current) => {
+            if (current && (current.revision || 0) !== (proposal.revision || 0)) {
+                throw new ConflictError('This proposal was changed by another request. Reload it and try again.', {
+                    etag: proposalETag(current),
+                    proposal: current
+                });
+            }
+            return { ...proposal, revision: (current?.revision || 0) + 1, schemaVersion: SCHEMA_VERSIONS.proposals };
+        });
 
-        await this.saveAllProposals(proposals);
+        proposal.revision = saved.revision;
+        proposal.schemaVersion = saved.schemaVersion;
         return proposal;
     }
 
-    async updateProposalRecord(proposal) {
-        const proposals = await this.getAllProposals();
-        const index = proposals.findIndex(p => p.id === proposal.id && p.userId === proposal.userId);
+    // Applies update(proposal) to the stored record and saves it in one step, for changes that are valid
+    // whatever else changed in the meantime (artifact sizes, generated drafts and exports). Only options.revise
+    // (a change of the documents and the analysis built from them) moves the revision and with it the proposal
+    // ETag; derived metadata must not make clients' proposal ETags stale.
+    async updateProposalRecord(userId, proposalId, update, options = {}) {
+        const store = await this._store();
+        return store.upsertProposal(userId, proposalId, (proposal) => {
+            if (!proposal) {
+                throw new Error('Proposal not found');
+            }
+
+            update(proposal);
+            if (options.revise) {
+                proposal.revision = (proposal.revision || 0) + 1;
+            }
+            return proposal;
+        });
+    }
 
-        if (index === -1) {
+    async deleteProposalRecord(userId, proposalId) {
+        const store = await this._store();
+        if (!(await store.deleteProposal(userId, proposalId))) {
             throw new Error('Proposal not found');
         }
+        return true;
+    }
 
-        proposals[index] = proposal;
-        await this.saveAllProposals(proposals);
-        return proposal;
+    // Background job methods
+    async createJob(job) {
+        const store = await this._store();
+        return store.insertJob({ ...job, schemaVersion: SCHEMA_VERSIONS.jobs });
     }
 
-    async deleteProposalRecord(userId, proposalId) {
-        const proposals = await this.getAllProposals();
-        const filtered = proposals.filter(p => !(p.id === proposalId && p.userId === userId));
+    async findJob(jobId) {
+        const store = await this._store();
+        return store.findJob(jobId);
+    }
 
-        if (filtered.length === proposals.length) {
-            throw new Error('Proposal not found');
-        }
+    async updateJob(jobId, updates) {
+        const store = await this._store();
+        return store.updateJob(jobId, job => ({
+            ...job,
+            ...updates,
+            updatedAt: new Date().toISOString()
+        }));
+    }
 
-        await this.saveAllProposals(filtered);
-        return true;
+    async getJobsByProposal(userId, proposalId) {
+        const store = await this._store();
+        return store.listJobs({ userId, proposalId });
+    }
+
+    async getJobsByStatus(statuses) {
+        const store = await this._store();
+        return store.listJobs({ statuses });
     }
 }
 
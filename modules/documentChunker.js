@@ -0,0 +1,179 @@
+const PAGE_MARKER_PATTERN = /^\s*<!--\s*Page\s+(\d+)\s*-->\s*$/i;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+
+const DEFAULT_MAX_CHARS = 60000;
+
+// Splits converted markdown into sections at headings, remembering the heading trail and the page
+// each section starts and ends on
+function splitSections(markdown) {
+    const sections = [];
+    const trail = [];
+    let page = null;
+    let current = { headings: [], startPage: null, endPage: null, lines: [] };
+
+    const finish = () => {
+        if (current.lines.some(line => line.trim())) {
+            current.endPage = page;
+            sections.push(current);
+        }
+    };
+
+    String(markdown || '').split(/\r?\n/).forEach(line => {
+        const pageMatch = PAGE_MARKER_PATTERN.exec(line);
+        if (pageMatch) {
+            page = parseInt(pageMatch[1], 10);
+            if (current.startPage === null) {
+                current.startPage = page;
+            }
+            current.lines.push(line);
+            return;
+        }
+
+        const headingMatch = HEADING_PATTERN.exec(line);
+        if (headingMatch) {
+            finish();
+            const level = headingMatch[1].length;
+            trail.length = Math.min(trail.length, level - 1);
+            trail[level - 1] = headingMatch[2].trim();
+            current = { headings: trail.filter(Boolean), startPage: page, endPage: page, lines: [line] };
+            return;
+        }
+
+        if (current.startPage === null) {
+            current.startPage = page;
+        }
+        current.lines.push(line);
+    });
+    finish();
+
+    return sections.map(section => ({
+        headings: section.headings,
+        startPage: section.startPage,
+        endPage: section.endPage,
+        text: section.lines.join('\n').trim()
+    }));
+}
+
+// Sections longer than a chunk are cut at paragraph breaks, and single paragraphs longer than a chunk at line
+// or sentence boundaries
+function splitOversized(text, maxChars) {
+    if (text.length <= maxChars) {
+        return [text];
+    }
+
+    const pieces = [];
+    let buffer = '';
+    const push = () => {
+        if (buffer.trim()) {
+            pieces.push(buffer.trim());
+        }
+        buffer = '';
+    };
+
+    const units = text.split(/\n{2,}/).flatMap(paragraph => {
+        if (paragraph.length <= maxChars) {
+            return [paragraph];
+        }
+        return paragraph.split(/(?<=\n)|(?<=[.!?])\s+/).flatMap(part => {
+            const slices = [];
+            for (let start = 0; start < part.length; start += maxChars) {
+                slices.push(part.slice(start, start + maxChars));
+            }
+            return slices;
+        });
+    });
+
+    units.forEach(unit => {
+        const separator = buffer ? '\n\n' : '';
+        if (buffer.length + separator.length + unit.length > maxChars) {
+            push();
+            buffer = unit;
+        } else {
+            buffer += separator + unit;
+        }
+    });
+    push();
+
+    return pieces;
+}
+
+// Packs whole sections into chunks of at most maxChars. Every chunk after the first restates where it starts
+// (heading trail and page) so the model can cite sections and pages correctly.
+function chunkMarkdown(markdown, options = {}) {
+    const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+    const source = String(markdown || '');
+
+    if (source.length <= maxChars) {
+        return [buildChunk(0, [{ text: source.trim(), headings: [], startPage: null, endPage: null }], false)];
+    }
+
+    // A part cut from the middle of a section starts on the page the part before it ended on
+    const parts = [];
+    splitSections(source).forEach(section => {
+        let page = section.startPage;
+        splitOversized(section.text, maxChars).forEach((text, index) => {
+            const markers = text.split('\n')
+                .map(line => PAGE_MARKER_PATTERN.exec(line))
+                .filter(Boolean)
+                .map(match => parseInt(match[1], 10));
+            const startPage = index > 0 && PAGE_MARKER_PATTERN.test(text.split('\n')[0]) ? markers[0] : page;
+            const endPage = markers.length ? markers[markers.length - 1] : startPage;
+            parts.push({ ...section, text, startPage, endPage, continued: index > 0 });
+            page = endPage;
+        });
+    });
+
+    const chunks = [];
+    let group = [];
+    let size = 0;
+
+    parts.forEach(part => {
+        if (group.length && size + part.text.length + 2 > maxChars) {
+            chunks.push(buildChunk(chunks.length, group, true));
+            group = [];
+            size = 0;
+        }
+        group.push(part);
+        size += part.text.length + 2;
+    });
+    if (group.length) {
+        chunks.push(buildChunk(chunks.length, group, true));
+    }
+
+    return chunks;
+}
+
+function buildChunk(index, parts, withContext) {
+    const first = parts[0];
+    const pages = parts.flatMap(part => [part.startPage, part.endPage]).filter(page => page !== null);
+    const startPage = pages.length ? Math.min(...pages) : null;
+    const endPage = pages.length ? Math.max(...pages) : null;
+
+    const context = [];
+    if (withContext && index > 0) {
+        const startsWithPageMarker = PAGE_MARKER_PATTERN.test(first.text.split('\n')[0]);
+        if (first.startPage !== null && !startsWithPageMarker) {
+            context.push(`<!-- Page ${first.startPage} -->`);
+        }
+        if (first.headings.length && (first.continued || !HEADING_PATTERN.test(first.text.split('\n')[0]))) {
+            context.push(`<!-- Continued from: ${first.headings.join(' > ')} -->`);
+        }
+    }
+
+    const content = [...context, ...parts.map(part => part.text)].join('\n\n');
+    return {
+        index,
+        title: first.headings[first.headings.length - 1] || `Part ${index + 1}`,
+        headings: [...new Set(parts.map(part => part.headings[part.headings.length - 1]).filter(Boolean))],
+        startPage,
+        endPage,
+        characters: content.length,
+        content
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_CHARS,
+    chunkMarkdown,
+    splitSections
+};
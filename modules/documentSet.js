@@ -0,0 +1,224 @@
+const { NOT_SPECIFIED } = require('./analysisSchema');
+const { LIST_FIELDS, FIRST_VALUE_FIELDS, mergeAnalyses, sameItem, revisesItem } = require('./analysisMerge');
+const { CITED_FIELDS, normalizeForMatch, summarizeCitations } = require('./citations');
+
+// Kinds of documents a bid is made of, in the order their analyses are merged. Amendments come last: the
+// AMENDABLE_FIELDS they state replace those of the earlier documents.
+const DOCUMENT_KINDS = {
+    base: { title: 'Base RFP', order: 0 },
+    attachment: { title: 'Attachment', order: 1 },
+    qa: { title: 'Q&A', order: 2 },
+    amendment: { title: 'Amendment', order: 3 }
+};
+
+// The title, issuer and summary of an amendment describe the amendment itself, so they never replace the RFP's
+const AMENDABLE_FIELDS = [
+    'overview.dueDate',
+    'constraints.budget',
+    'constraints.timeline',
+    'constraints.resources'
+];
+
+const KIND_PATTERNS = [
+    { kind: 'amendment', pattern: /\b(amendments?|addend(um|a)|modifications?|revisions?)\b/i },
+    { kind: 'qa', pattern: /\b(q\s*&\s*a|q\s*and\s*a|questions?\s+(and|&)\s+answers?|clarifications?|responses?\s+to\s+(vendor|bidder|offeror)\s+questions)\b/i },
+    { kind: 'attachment', pattern: /\b(attachments?|appendix|appendices|exhibits?|annex(es)?)\b/i }
+];
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function isSpecified(value) {
+    return typeof value === 'string' && value.trim() !== '' && value.trim() !== NOT_SPECIFIED;
+}
+
+function analyzedDocuments(documents = []) {
+    return documents.filter(document => document.analysis);
+}
+
+// Guesses the kind of an upload the user did not classify. The first document of a proposal is the base
+// RFP; after that the file name decides, then the opening text, and anything else is an attachment.
+function classifyDocument(fileName, markdown, documents = []) {
+    if (!analyzedDocuments(documents).some(document => document.kind === 'base')) {
+        return 'base';
+    }
+
+    const name = String(fileName || '').replace(/[_.-]+/g, ' ');
+    const opening = String(markdown || '').slice(0, 2000);
+    const byName = KIND_PATTERNS.find(entry => entry.pattern.test(name));
+    const byContent = KIND_PATTERNS.find(entry => entry.pattern.test(opening));
+    return (byName || byContent)?.kind || 'attachment';
+}
+
+// The kind requested with an upload, or the classified one for 'auto' (or nothing)
+function resolveDocumentKind(requested, fileName, markdown, documents) {
+    if (!requested || requested === 'auto') {
+        return classifyDocument(fileName, markdown, documents);
+    }
+    if (!DOCUMENT_KINDS[requested]) {
+        throw new Error(`Unknown document type: ${requested}. Use one of auto, ${Object.keys(DOCUMENT_KINDS).join(', ')}.`);
+    }
+    return requested;
+}
+
+function orderDocuments(documents) {
+    return [...documents].sort((left, right) =>
+        DOCUMENT_KINDS[left.kind].order - DOCUMENT_KINDS[right.kind].order ||
+        new Date(left.uploadedAt) - new Date(right.uploadedAt));
+}
+
+function describeDocument(document) {
+    return { id: document.id, name: document.name, kind: document.kind, uploadedAt: document.uploadedAt };
+}
+
+// Analyses to merge, with the list items an amendment restates with changes replaced by the amended wording
+// so the consolidated analysis does not keep both versions
+function applyRevisions(ordered) {
+    const analyses = ordered.map(document => structuredClone(document.analysis));
+
+    ordered.forEach((document, position) => {
+        if (document.kind !== 'amendment') {
+            return;
+        }
+        LIST_FIELDS.forEach(path => {
+            (getPath(document.analysis, path) || []).forEach(revised => {
+                analyses.slice(0, position).forEach(earlier => {
+                    const items = getPath(earlier, path) || [];
+                    const index = items.findIndex(item => typeof item === 'string' && revisesItem(item, revised));
+                    if (index !== -1) {
+                        items[index] = revised;
+                    }
+                });
+            });
+        });
+    });
+
+    return analyses;
+}
+
+// Which document each list item and single value of the consolidated analysis came from: the first
+// document (in merge order) stating it, or for amendable values the amendment that overrode it
+function traceSources(merged, ordered) {
+    const sources = [];
+
+    LIST_FIELDS.forEach(path => {
+        (getPath(merged, path) || []).forEach((text, index) => {
+            const document = ordered.find(candidate => (getPath(candidate.analysis, path) || [])
+                .some(item => typeof item === 'string' && sameItem(item, text)));
+            if (document) {
+                sources.push({ path, index, documentId: document.id });
+            }
+        });
+    });
+
+    const newestFirst = [...ordered].reverse().filter(document => document.kind === 'amendment');
+    FIRST_VALUE_FIELDS.forEach(path => {
+        const value = getPath(merged, path);
+        if (!isSpecified(value)) {
+            return;
+        }
+        const candidates = AMENDABLE_FIELDS.includes(path) ? [...newestFirst, ...ordered] : ordered;
+        const document = candidates.find(candidate => getPath(candidate.analysis, path) === value);
+        if (document) {
+            sources.push({ path, index: null, documentId: document.id });
+        }
+    });
+
+    return sources;
+}
+
+// Citations of the documents, moved to the position their item has in the consolidated analysis. Each was
+// verified against its own document when that document was analyzed.
+function remapCitations(merged, ordered) {
+    const byKey = new Map();
+    ordered.forEach(document => {
+        (document.analysis.citations || []).forEach(citation => {
+            const key = `${citation.path}\u0000${normalizeForMatch(citation.text)}`;
+            if (!byKey.has(key)) {
+                byKey.set(key, { ...citation, documentId: document.id });
+            }
+        });
+    });
+
+    const citations = [];
+    CITED_FIELDS.forEach(path => {
+        const value = getPath(merged, path);
+        const items = Array.isArray(value) ? value : [value];
+        items.forEach((text, index) => {
+            const citation = isSpecified(text) && byKey.get(`${path}\u0000${normalizeForMatch(text)}`);
+            if (citation) {
+                citations.push({ ...citation, index: Array.isArray(value) ? index : null, text });
+            }
+        });
+    });
+    return citations;
+}
+
+// One analysis for the whole bid from the analyses of its documents. The result has the shape of a single
+// document's analysis plus metadata.documents and sources (see traceSources); null when nothing is analyzed.
+function mergeDocumentAnalyses(documents) {
+    const ordered = orderDocuments(analyzedDocuments(documents));
+    if (!ordered.length) {
+        return null;
+    }
+
+    const analyses = applyRevisions(ordered);
+    const base = analyses[0];
+    let merged;
+
+    if (ordered.length === 1) {
+        merged = base;
+    } else {
+        const validations = analyses.map(analysis => analysis.validation || {});
+        merged = {
+            metadata: {
+                ...base.metadata,
+                analysisDate: analyses.map(analysis => analysis.metadata?.analysisDate).filter(Boolean).sort().pop()
+            },
+            ...mergeAnalyses(analyses, {
+                overrides: analyses.filter((analysis, index) => ordered[index].kind === 'amendment'),
+                overrideFields: AMENDABLE_FIELDS
+            }),
+            validation: {
+                valid: validations.every(validation => validation.valid !== false),
+                repromptAttempts: validations.reduce((total, validation) => total + (validation.repromptAttempts || 0), 0),
+                coercedFields: [...new Set(validations.flatMap(validation => validation.coercedFields || []))],
+                // A field is only unrecoverable if no document produced it
+                unrecoverableFields: validations
+                    .map(validation => validation.unrecoverableFields || [])
+                    .reduce((common, fields) => common.filter(field => fields.includes(field)))
+            }
+        };
+        merged.citations = remapCitations(merged, ordered);
+        merged.grounding = summarizeCitations(merged.citations);
+    }
+
+    merged.metadata.documents = ordered.map(describeDocument);
+    merged.sources = traceSources(merged, ordered);
+    return merged;
+}
+
+// The document an item of a consolidated analysis came from ({ id, name, kind, uploadedAt }), or null
+function documentSource(analysis, path, index) {
+    const source = (analysis?.sources || []).find(entry => entry.path === path && entry.index === index);
+    return source
+        ? (analysis.metadata?.documents || []).find(document => document.id === source.documentId) || null
+        : null;
+}
+
+// "name (Kind)" of the document an item came from, or '' when the analysis has no source for it
+function formatDocumentSource(analysis, path, index) {
+    const document = documentSource(analysis, path, index);
+    return document ? `${document.name} (${DOCUMENT_KINDS[document.kind]?.title || document.kind})` : '';
+}
+
+module.exports = {
+    DOCUMENT_KINDS,
+    classifyDocument,
+    resolveDocumentKind,
+    orderDocuments,
+    mergeDocumentAnalyses,
+    documentSource,
+    formatDocumentSource
+};
@@ -0,0 +1,27 @@
+// What an account can do before its email address is confirmed. 'off' sends no verification emails,
+// 'warn' only reminds the user, 'restrict' keeps proposals read-only and 'block' refuses to log in.
+const EMAIL_VERIFICATION_POLICIES = ['off', 'warn', 'restrict', 'block'];
+
+class EmailNotVerifiedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EmailNotVerifiedError';
+    }
+}
+
+function emailVerificationPolicy() {
+    const configured = (process.env.EMAIL_VERIFICATION_POLICY || '').toLowerCase();
+    return EMAIL_VERIFICATION_POLICIES.includes(configured) ? configured : 'warn';
+}
+
+// How long a verification link works, and how long an unconfirmed address stays reserved for its account
+function emailVerificationTTLMs() {
+    return (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+}
+
+module.exports = {
+    EMAIL_VERIFICATION_POLICIES,
+    EmailNotVerifiedError,
+    emailVerificationPolicy,
+    emailVerificationTTLMs
+};
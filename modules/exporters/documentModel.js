@@ -0,0 +1,163 @@
+const { marked } = require('marked');
+const { NOT_SPECIFIED } = require('../analysisSchema');
+const { dateFilter } = require('../templateRenderer');
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+};
+
+function decodeEntities(text) {
+    return String(text || '').replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity]);
+}
+
+function slugify(text, used) {
+    const base = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+    let slug = base;
+    for (let suffix = 2; used.has(slug); suffix += 1) {
+        slug = `${base}-${suffix}`;
+    }
+    used.add(slug);
+    return slug;
+}
+
+// Inline tokens become flat runs of { text, bold, italic, code, strike, link, lineBreak }. Soft line breaks are
+// kept as breaks: drafts are written line by line ("**Prepared for:** ...") and read better that way.
+function toRuns(tokens = [], style = {}) {
+    return tokens.flatMap(token => {
+        switch (token.type) {
+            case 'strong':
+                return toRuns(token.tokens, { ...style, bold: true });
+            case 'em':
+                return toRuns(token.tokens, { ...style, italic: true });
+            case 'del':
+                return toRuns(token.tokens, { ...style, strike: true });
+            case 'link':
+                return toRuns(token.tokens, { ...style, link: token.href });
+            case 'codespan':
+                return [{ ...style, code: true, text: decodeEntities(token.text) }];
+            case 'br':
+                return [{ ...style, lineBreak: true, text: '' }];
+            case 'html':
+                // Revision marks and other inline tags from converted documents are dropped, their text kept
+                return [];
+            case 'text':
+            case 'escape':
+                if (token.tokens) {
+                    return toRuns(token.tokens, style);
+                }
+                return decodeEntities(token.text).split('\n').flatMap((line, index) => (index === 0
+                    ? [{ ...style, text: line }]
+                    : [{ ...style, lineBreak: true, text: '' }, { ...style, text: line }]));
+            default:
+                return token.text ? [{ ...style, text: decodeEntities(token.text) }] : [];
+        }
+    }).filter(run => run.lineBreak || run.text);
+}
+
+function runsText(runs) {
+    return runs.map(run => (run.lineBreak ? ' ' : run.text)).join('').trim();
+}
+
+function toBlocks(tokens = [], context) {
+    return tokens.flatMap(token => {
+        switch (token.type) {
+            case 'heading': {
+                const runs = toRuns(token.tokens);
+                const text = runsText(runs);
+                const heading = { type: 'heading', depth: token.depth, text, runs, id: slugify(text, context.ids) };
+                context.headings.push(heading);
+                return [heading];
+            }
+            case 'paragraph':
+                return [{ type: 'paragraph', runs: toRuns(token.tokens) }];
+            case 'text':
+                // Text directly inside tight list items
+                return [{ type: 'paragraph', runs: toRuns(token.tokens || [token]) }];
+            case 'list':
+                return [{
+                    type: 'list',
+                    ordered: token.ordered,
+                    start: token.ordered ? (parseInt(token.start, 10) || 1) : null,
+                    items: token.items.map(item => toBlocks(item.tokens, context))
+                }];
+            case 'table':
+                return [{
+                    type: 'table',
+                    header: token.header.map(cell => toRuns(cell.tokens)),
+                    rows: token.rows.map(row => row.map(cell => toRuns(cell.tokens)))
+                }];
+            case 'blockquote':
+                return [{ type: 'quote', blocks: toBlocks(token.tokens, context) }];
+            case 'code':
+                return [{ type: 'code', text: token.text }];
+            case 'hr':
+                return [{ type: 'rule' }];
+            case 'html': {
+                const text = decodeEntities(token.text.replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]+>/g, '')).trim();
+                return text ? [{ type: 'paragraph', runs: [{ text }] }] : [];
+            }
+            default:
+                return [];
+        }
+    });
+}
+
+// Parses a rendered draft into the block structure shared by the HTML, DOCX and PDF exporters:
+// headings (with anchor ids), paragraphs, lists, tables, quotes, code and rules
+function parseDocument(markdown) {
+    const context = { ids: new Set(), headings: [] };
+    const blocks = toBlocks(marked.lexer(String(markdown || '')), context);
+    return { blocks, headings: context.headings };
+}
+
+// Table of contents entries: the two top heading levels. A lone leading H1 is the document title (it is on
+// the cover page already), so the contents then start at H2.
+function buildTableOfContents(document) {
+    const { blocks, headings } = document;
+    const titleHeading = blocks[0]?.type === 'heading' && blocks[0].depth === 1 &&
+        headings.filter(heading => heading.depth === 1).length === 1 ? blocks[0] : null;
+
+    const candidates = headings.filter(heading => heading !== titleHeading);
+    if (!candidates.length) {
+        return [];
+    }
+    const topDepth = Math.min(...candidates.map(heading => heading.depth));
+    return candidates
+        .filter(heading => heading.depth <= topDepth + 1)
+        .map(heading => ({ id: heading.id, text: heading.text, level: heading.depth - topDepth, heading }));
+}
+
+function specified(value) {
+    return typeof value === 'string' && value.trim() && value.trim() !== NOT_SPECIFIED ? value.trim() : null;
+}
+
+// Cover page and running header details taken from the proposal and its RFP analysis
+function buildExportMetadata(proposal) {
+    const overview = proposal.artifacts?.analysis?.overview || {};
+    const dueDate = specified(overview.dueDate);
+    return {
+        proposalName: proposal.name || 'Proposal',
+        rfpTitle: specified(overview.title),
+        organization: specified(overview.organization),
+        dueDate: dueDate ? dateFilter(dueDate, 'MMMM D, YYYY') : null,
+        preparedOn: dateFilter(new Date(), 'MMMM D, YYYY')
+    };
+}
+
+// Text for the running header: proposal name and, when known, the due date
+function headerText(metadata) {
+    return metadata.dueDate ? `${metadata.proposalName} | Due ${metadata.dueDate}` : metadata.proposalName;
+}
+
+module.exports = {
+    parseDocument,
+    buildTableOfContents,
+    buildExportMetadata,
+    headerText,
+    runsText
+};
@@ -0,0 +1,251 @@
+const {
+    AlignmentType,
+    Bookmark,
+    BorderStyle,
+    Document,
+    ExternalHyperlink,
+    Footer,
+    Header,
+    HeadingLevel,
+    LevelFormat,
+    Packer,
+    PageBreak,
+    PageNumber,
+    Paragraph,
+    ShadingType,
+    Table,
+    TableCell,
+    TableOfContents,
+    TableRow,
+    TextRun,
+    WidthType
+} = require('docx');
+const { buildTableOfContents, headerText } = require('./documentModel');
+
+const HEADING_LEVELS = [
+    HeadingLevel.HEADING_1,
+    HeadingLevel.HEADING_2,
+    HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4,
+    HeadingLevel.HEADING_5,
+    HeadingLevel.HEADING_6
+];
+
+const ORDERED_LIST = 'ordered-list';
+const MAX_LIST_LEVEL = 5;
+const BODY_FONT = 'Calibri';
+const CODE_FONT = 'Courier New';
+const MUTED_COLOR = '627D98';
+const TABLE_BORDER = { style: BorderStyle.SINGLE, size: 4, color: 'BCCCDC' };
+
+function toTextRuns(runs, base = {}) {
+    return runs.map(run => {
+        if (run.lineBreak) {
+            return new TextRun({ break: 1 });
+        }
+        const textRun = new TextRun({
+            ...base,
+            text: run.text,
+            bold: run.bold || base.bold,
+            italics: run.italic || base.italics,
+            strike: run.strike,
+            font: run.code ? CODE_FONT : base.font,
+            style: run.link ? 'Hyperlink' : undefined
+        });
+        return run.link ? new ExternalHyperlink({ link: run.link, children: [textRun] }) : textRun;
+    });
+}
+
+// Converts document blocks to DOCX paragraphs and tables. Ordered lists each get their own numbering
+// instance so numbering restarts per list.
+class DocxBuilder {
+    constructor() {
+        this.listInstance = 0;
+        this.bookmarks = new Map();
+    }
+
+    blocks(blocks, context = {}) {
+        return blocks.flatMap(block => this.block(block, context));
+    }
+
+    block(block, context) {
+        const indent = context.indent ? { left: context.indent } : undefined;
+
+        switch (block.type) {
+            case 'heading': {
+                const runs = toTextRuns(block.runs);
+                const bookmark = this.bookmarks.get(block.id);
+                return [new Paragraph({
+                    heading: HEADING_LEVELS[block.depth - 1],
+                    children: bookmark ? [new Bookmark({ id: bookmark, children: runs })] : runs
+                })];
+            }
+            case 'paragraph':
+                return [new Paragraph({ children: toTextRuns(block.runs, context.run), indent })];
+            case 'list':
+                return this.list(block, context);
+            case 'table':
+                return [this.table(block)];
+            case 'quote':
+                return this.blocks(block.blocks, {
+                    ...context,
+                    indent: (context.indent || 0) + 720,
+                    run: { italics: true, color: MUTED_COLOR }
+                });
+            case 'code':
+                return block.text.split('\n').map(line => new Paragraph({
+                    indent,
+                    spacing: { after: 0 },
+                    shading: { type: ShadingType.CLEAR, fill: 'F0F4F8', color: 'auto' },
+                    children: [new TextRun({ text: line, font: CODE_FONT, size: 18 })]
+                }));
+            case 'rule':
+                return [new Paragraph({
+                    border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'D9E2EC', space: 1 } }
+                })];
+            default:
+                return [];
+        }
+    }
+
+    list(block, context) {
+        const level = Math.min(context.listLevel ?? 0, MAX_LIST_LEVEL);
+        const instance = block.ordered ? (this.listInstance += 1) : null;
+
+        return block.items.flatMap(item => item.flatMap((child, index) => {
+            if (child.type === 'list') {
+                return this.list(child, { ...context, listLevel: level + 1 });
+            }
+            if (index === 0 && child.type === 'paragraph') {
+                const marker = block.ordered
+                    ? { numbering: { reference: ORDERED_LIST, level, instance } }
+                    : { bullet: { level } };
+                return [new Paragraph({ ...marker, children: toTextRuns(child.runs, context.run) })];
+            }
+            // Further paragraphs of an item line up with its text
+            return this.block(child, { ...context, indent: 720 * (level + 1) });
+        }));
+    }
+
+    table(block) {
+        const cell = (runs, header) => new TableCell({
+            borders: { top: TABLE_BORDER, bottom: TABLE_BORDER, left: TABLE_BORDER, right: TABLE_BORDER },
+            shading: header ? { type: ShadingType.CLEAR, fill: 'F0F4F8', color: 'auto' } : undefined,
+            margins: { top: 60, bottom: 60, left: 100, right: 100 },
+            children: [new Paragraph({ children: toTextRuns(runs, header ? { bold: true } : {}) })]
+        });
+
+        return new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: [
+                new TableRow({ tableHeader: true, children: block.header.map(runs => cell(runs, true)) }),
+                ...block.rows.map(row => new TableRow({ children: row.map(runs => cell(runs, false)) }))
+            ]
+        });
+    }
+}
+
+function coverPage(metadata) {
+    const line = (text, options = {}) => new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 200 },
+        children: [new TextRun({ text, ...options })]
+    });
+
+    return [
+        new Paragraph({ spacing: { before: 3600 } }),
+        new Paragraph({
+            heading: HeadingLevel.TITLE,
+            alignment: AlignmentType.CENTER,
+            children: [new TextRun({ text: metadata.proposalName })]
+        }),
+        metadata.rfpTitle && line(`Response to ${metadata.rfpTitle}`, { size: 30, color: MUTED_COLOR }),
+        new Paragraph({ spacing: { before: 1200 } }),
+        metadata.organization && line(`Prepared for: ${metadata.organization}`, { size: 24 }),
+        metadata.dueDate && line(`Due date: ${metadata.dueDate}`, { size: 24 }),
+        line(`Prepared on: ${metadata.preparedOn}`, { size: 24 })
+    ].filter(Boolean);
+}
+
+function runningHeader(metadata) {
+    return new Header({
+        children: [new Paragraph({
+            alignment: AlignmentType.RIGHT,
+            children: [new TextRun({ text: headerText(metadata), size: 18, color: MUTED_COLOR })]
+        })]
+    });
+}
+
+function pageNumberFooter() {
+    return new Footer({
+        children: [new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [new TextRun({
+                size: 18,
+                color: MUTED_COLOR,
+                children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES_IN_SECTION]
+            })]
+        })]
+    });
+}
+
+// Word document with a cover page, a table of contents field and numbered pages. The contents are written
+// without page numbers; Word fills them in when it updates fields on opening (updateFields).
+async function exportDocx(document, metadata) {
+    const builder = new DocxBuilder();
+    const contents = buildTableOfContents(document);
+    contents.forEach((entry, index) => builder.bookmarks.set(entry.id, `_Toc${String(index + 1).padStart(6, '0')}`));
+
+    const depths = contents.map(entry => entry.heading.depth);
+    const tableOfContents = contents.length
+        ? [
+            new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun({ text: 'Table of Contents', size: 36 })] }),
+            new TableOfContents('Table of Contents', {
+                hyperlink: true,
+                headingStyleRange: `${Math.min(...depths)}-${Math.max(...depths)}`,
+                cachedEntries: contents.map(entry => ({
+                    title: entry.text,
+                    level: entry.level,
+                    href: builder.bookmarks.get(entry.id)
+                }))
+            }),
+            new Paragraph({ children: [new PageBreak()] })
+        ]
+        : [];
+
+    const doc = new Document({
+        creator: metadata.proposalName,
+        title: metadata.proposalName,
+        features: { updateFields: true },
+        styles: {
+            default: { document: { run: { font: BODY_FONT, size: 22 } } }
+        },
+        numbering: {
+            config: [{
+                reference: ORDERED_LIST,
+                levels: Array.from({ length: MAX_LIST_LEVEL + 1 }, (value, level) => ({
+                    level,
+                    format: LevelFormat.DECIMAL,
+                    text: `%${level + 1}.`,
+                    alignment: AlignmentType.START,
+                    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+                }))
+            }]
+        },
+        sections: [
+            { children: coverPage(metadata) },
+            {
+                properties: { page: { pageNumbers: { start: 1 } } },
+                headers: { default: runningHeader(metadata) },
+                footers: { default: pageNumberFooter() },
+                children: [...tableOfContents, ...builder.blocks(document.blocks)]
+            }
+        ]
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+module.exports = {
+    exportDocx
+};
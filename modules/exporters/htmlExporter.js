@@ -0,0 +1,158 @@
+const { buildTableOfContents, headerText } = require('./documentModel');
+
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderRuns(runs) {
+    return runs.map(run => {
+        if (run.lineBreak) {
+            return '<br>';
+        }
+        const wrappers = [
+            [run.code, 'code'],
+            [run.strike, 'del'],
+            [run.italic, 'em'],
+            [run.bold, 'strong']
+        ];
+        const html = wrappers.reduce((text, [enabled, tag]) => (enabled ? `<${tag}>${text}</${tag}>` : text), escapeHtml(run.text));
+        return run.link ? `<a href="${escapeHtml(run.link)}">${html}</a>` : html;
+    }).join('');
+}
+
+function renderBlocks(blocks) {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.depth} id="${block.id}">${renderRuns(block.runs)}</h${block.depth}>`;
+            case 'paragraph':
+                return `<p>${renderRuns(block.runs)}</p>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const items = block.items.map(item => {
+                    // Tight list items hold a single paragraph; keep them unwrapped
+                    const content = item.length === 1 && item[0].type === 'paragraph'
+                        ? renderRuns(item[0].runs)
+                        : renderBlocks(item);
+                    return `<li>${content}</li>`;
+                });
+                return `<${tag}${start}>${items.join('')}</${tag}>`;
+            }
+            case 'table': {
+                const header = block.header.map(cell => `<th>${renderRuns(cell)}</th>`).join('');
+                const rows = block.rows.map(row => `<tr>${row.map(cell => `<td>${renderRuns(cell)}</td>`).join('')}</tr>`);
+                return `<table><thead><tr>${header}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+            }
+            case 'quote':
+                return `<blockquote>${renderBlocks(block.blocks)}</blockquote>`;
+            case 'code':
+                return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+            case 'rule':
+                return '<hr>';
+            default:
+                return '';
+        }
+    }).join('\n');
+}
+
+function renderCover(metadata) {
+    const details = [
+        metadata.rfpTitle && `<p class="cover-subtitle">Response to ${escapeHtml(metadata.rfpTitle)}</p>`,
+        metadata.organization && `<p><strong>Prepared for:</strong> ${escapeHtml(metadata.organization)}</p>`,
+        metadata.dueDate && `<p><strong>Due date:</strong> ${escapeHtml(metadata.dueDate)}</p>`,
+        `<p><strong>Prepared on:</strong> ${escapeHtml(metadata.preparedOn)}</p>`
+    ].filter(Boolean);
+
+    return `<section class="cover">
+<h1 class="cover-title">${escapeHtml(metadata.proposalName)}</h1>
+${details.join('\n')}
+</section>`;
+}
+
+function renderTableOfContents(entries) {
+    if (!entries.length) {
+        return '';
+    }
+    const items = entries.map(entry => `<li class="toc-level-${entry.level}"><a href="#${entry.id}">${escapeHtml(entry.text)}</a></li>`);
+    return `<nav class="toc">
+<h2>Table of Contents</h2>
+<ol>
+${items.join('\n')}
+</ol>
+</nav>`;
+}
+
+// Print styles use CSS paged media: the running header and the page numbers are page margin boxes, so
+// printing to PDF from a browser produces the same layout as the PDF export
+function buildStyles(metadata) {
+    const header = headerText(metadata).replace(/["\\]/g, '\\$&');
+    return `
+        body { font-family: Georgia, "Times New Roman", serif; color: #1f2933; line-height: 1.55; margin: 0; }
+        main, .cover, .toc { max-width: 800px; margin: 0 auto; padding: 2rem; }
+        h1, h2, h3, h4 { font-family: "Helvetica Neue", Arial, sans-serif; color: #102a43; line-height: 1.25; }
+        h2 { border-bottom: 1px solid #d9e2ec; padding-bottom: 0.25rem; margin-top: 2rem; }
+        table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+        th, td { border: 1px solid #bcccdc; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+        th { background: #f0f4f8; }
+        blockquote { border-left: 4px solid #bcccdc; margin: 1rem 0; padding: 0 1rem; color: #486581; }
+        pre { background: #f0f4f8; padding: 0.75rem; overflow-x: auto; }
+        code { font-family: Consolas, "Courier New", monospace; font-size: 0.9em; }
+        hr { border: 0; border-top: 1px solid #d9e2ec; margin: 1.5rem 0; }
+        .cover { min-height: 80vh; display: flex; flex-direction: column; justify-content: center; }
+        .cover-title { font-size: 2.5rem; margin-bottom: 0.5rem; }
+        .cover-subtitle { font-size: 1.3rem; color: #486581; margin-top: 0; }
+        .toc ol { list-style: none; padding-left: 0; }
+        .toc a { color: inherit; text-decoration: none; }
+        .toc a:hover { text-decoration: underline; }
+        .toc-level-1 { margin-top: 0.4rem; font-weight: bold; }
+        .toc-level-2 { padding-left: 1.5rem; }
+
+        @page {
+            size: A4;
+            margin: 25mm 20mm;
+            @top-center { content: "${header}"; font: 9pt Arial, sans-serif; color: #627d98; }
+            @bottom-center { content: "Page " counter(page) " of " counter(pages); font: 9pt Arial, sans-serif; color: #627d98; }
+        }
+        @page :first {
+            @top-center { content: none; }
+            @bottom-center { content: none; }
+        }
+        @media print {
+            main, .cover, .toc { max-width: none; padding: 0; }
+            .cover { min-height: 0; height: 240mm; break-after: page; }
+            .toc { break-after: page; }
+            h1, h2, h3, h4 { break-after: avoid; }
+            tr, pre, blockquote { break-inside: avoid; }
+        }`;
+}
+
+// Standalone HTML document: styles are inlined so the file can be opened or shared without the app
+function exportHtml(document, metadata) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(metadata.proposalName)}</title>
+<style>${buildStyles(metadata)}
+</style>
+</head>
+<body>
+${renderCover(metadata)}
+${renderTableOfContents(buildTableOfContents(document))}
+<main>
+${renderBlocks(document.blocks)}
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    exportHtml
+};
@@ -0,0 +1,28 @@
+const { parseDocument, buildExportMetadata } = require('./documentModel');
+const { exportHtml } = require('./htmlExporter');
+const { exportDocx } = require('./docxExporter');
+const { exportPdf } = require('./pdfExporter');
+const { MATRIX_EXPORT_FORMATS, exportMatrix } = require('./matrixExporter');
+
+const EXPORT_FORMATS = {
+    docx: { extension: '.docx', label: 'Word', render: exportDocx },
+    pdf: { extension: '.pdf', label: 'PDF', render: exportPdf },
+    html: { extension: '.html', label: 'HTML', render: exportHtml }
+};
+
+// Renders draft markdown in one of the EXPORT_FORMATS; resolves to a Buffer (DOCX, PDF) or a string (HTML)
+async function exportDocument(format, markdown, metadata) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unsupported export format: ${format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+    }
+    return exporter.render(parseDocument(markdown), metadata);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportDocument,
+    buildExportMetadata,
+    MATRIX_EXPORT_FORMATS,
+    exportMatrix
+};
@@ -0,0 +1,94 @@
+const ExcelJS = require('exceljs');
+const { REQUIREMENT_CATEGORIES, COMPLIANCE_STATUSES } = require('../complianceMatrix');
+
+const MATRIX_COLUMNS = [
+    { key: 'id', header: 'ID', width: 10 },
+    { key: 'category', header: 'Category', width: 14 },
+    { key: 'requirement', header: 'Requirement', width: 60 },
+    { key: 'source', header: 'Source Document', width: 28 },
+    { key: 'responseSection', header: 'Response Section', width: 36 },
+    { key: 'owner', header: 'Owner', width: 18 },
+    { key: 'status', header: 'Status', width: 14 },
+    { key: 'notes', header: 'Notes', width: 40 }
+];
+
+function rowValues(row) {
+    const category = REQUIREMENT_CATEGORIES.find(definition => definition.key === row.category);
+    return {
+        ...row,
+        category: category ? category.title : row.category,
+        status: row.status || 'not assessed'
+    };
+}
+
+// Spreadsheets run cells starting with these characters as formulas
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV with a byte order mark so Excel reads it as UTF-8
+function exportMatrixCsv(matrix) {
+    const lines = [
+        MATRIX_COLUMNS.map(column => csvCell(column.header)).join(','),
+        ...matrix.rows.map(row => {
+            const values = rowValues(row);
+            return MATRIX_COLUMNS.map(column => csvCell(values[column.key])).join(',');
+        })
+    ];
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+// Workbook with one sheet: frozen, filterable header row and a status drop-down for editing in Excel
+async function exportMatrixXlsx(matrix, metadata = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = metadata.proposalName || 'RFP Proposal Generator';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Compliance Matrix', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = MATRIX_COLUMNS;
+    matrix.rows.forEach(row => sheet.addRow(rowValues(row)));
+
+    const header = sheet.getRow(1);
+    header.font = { bold: true };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF0F4F8' } };
+    sheet.autoFilter = { from: 'A1', to: { row: 1, column: MATRIX_COLUMNS.length } };
+
+    const statusColumn = MATRIX_COLUMNS.findIndex(column => column.key === 'status') + 1;
+    sheet.eachRow((row, rowNumber) => {
+        row.alignment = { vertical: 'top', wrapText: true };
+        if (rowNumber > 1) {
+            row.getCell(statusColumn).dataValidation = {
+                type: 'list',
+                allowBlank: true,
+                formulae: [`"${[...COMPLIANCE_STATUSES, 'not assessed'].join(',')}"`]
+            };
+        }
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const MATRIX_EXPORT_FORMATS = {
+    csv: { extension: '.csv', label: 'CSV', render: exportMatrixCsv },
+    xlsx: { extension: '.xlsx', label: 'Excel', render: exportMatrixXlsx }
+};
+
+// Renders the compliance matrix in one of the MATRIX_EXPORT_FORMATS; resolves to a string (CSV) or a Buffer (XLSX)
+async function exportMatrix(format, matrix, metadata) {
+    const exporter = MATRIX_EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unsupported matrix export format: ${format}. Use one of ${Object.keys(MATRIX_EXPORT_FORMATS).join(', ')}.`);
+    }
+    return exporter.render(matrix, metadata);
+}
+
+module.exports = {
+    MATRIX_EXPORT_FORMATS,
+    exportMatrix
+};
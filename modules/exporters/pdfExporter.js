@@ -0,0 +1,341 @@
+const PDFDocument = require('pdfkit');
+const { buildTableOfContents, headerText } = require('./documentModel');
+
+const MARGINS = { top: 72, bottom: 72, left: 64, right: 64 };
+const HEADING_SIZES = [20, 16, 13, 12, 11, 11];
+const BODY_SIZE = 10.5;
+const TOC_LINE_HEIGHT = 20;
+const LIST_INDENT = 18;
+const TEXT_COLOR = '#1f2933';
+const MUTED_COLOR = '#627d98';
+const LINK_COLOR = '#1d4ed8';
+const RULE_COLOR = '#d9e2ec';
+
+// The standard PDF fonts only cover WinAnsi; characters outside it would come out garbled
+function printable(text) {
+    return String(text)
+        .replace(/[→⇒]/g, '->')
+        .replace(/[←⇐]/g, '<-')
+        .replace(/[✓✔]/g, 'v')
+        .replace(/[^\x09\x0a\x0d\x20-\x7e\u00a0-\u00ff\u2013\u2014\u2018-\u201e\u2020-\u2022\u2026\u2030\u20ac\u2122]/g, '?');
+}
+
+function fontFor(run = {}) {
+    if (run.code) {
+        return 'Courier';
+    }
+    if (run.bold && run.italic) {
+        return 'Helvetica-BoldOblique';
+    }
+    if (run.bold) {
+        return 'Helvetica-Bold';
+    }
+    return run.italic ? 'Helvetica-Oblique' : 'Helvetica';
+}
+
+// Lays out document blocks top to bottom with PDFKit, letting it break pages. Heading positions are recorded
+// (page index and named destination) for the table of contents.
+class PdfWriter {
+    constructor(doc) {
+        this.doc = doc;
+        this.headingPages = new Map();
+    }
+
+    get left() {
+        return this.doc.page.margins.left;
+    }
+
+    get contentWidth() {
+        return this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+    }
+
+    get bottom() {
+        return this.doc.page.height - this.doc.page.margins.bottom;
+    }
+
+    currentPageIndex() {
+        const range = this.doc.bufferedPageRange();
+        return range.start + range.count - 1;
+    }
+
+    ensureSpace(height) {
+        if (this.doc.y + height > this.bottom) {
+            this.doc.addPage();
+        }
+    }
+
+    // Writes runs as one paragraph; line breaks inside the runs start new lines
+    runs(runs, { indent = 0, size = BODY_SIZE, base = {}, color = TEXT_COLOR, destination = null } = {}) {
+        const doc = this.doc;
+        const lines = [[]];
+        runs.forEach(run => {
+            if (run.lineBreak) {
+                lines.push([]);
+            } else {
+                lines[lines.length - 1].push(run);
+            }
+        });
+
+        lines.forEach((line, lineIndex) => {
+            const parts = line.length ? line : [{ text: ' ' }];
+            parts.forEach((run, index) => {
+                const style = { ...base, ...run };
+                const options = {
+                    continued: index < parts.length - 1,
+                    link: run.link || null,
+                    underline: Boolean(run.link),
+                    strike: Boolean(run.strike),
+                    lineGap: 2
+                };
+                if (destination && lineIndex === 0 && index === 0) {
+                    options.destination = destination;
+                }
+
+                doc.font(fontFor(style)).fontSize(run.code ? size - 1 : size).fillColor(run.link ? LINK_COLOR : color);
+                if (index === 0) {
+                    doc.text(printable(run.text), this.left + indent, doc.y, { ...options, width: this.contentWidth - indent });
+                } else {
+                    doc.text(printable(run.text), options);
+                }
+            });
+        });
+    }
+
+    blocks(blocks, context = {}) {
+        blocks.forEach(block => this.block(block, context));
+    }
+
+    block(block, context) {
+        const doc = this.doc;
+        const indent = context.indent || 0;
+
+        switch (block.type) {
+            case 'heading': {
+                const size = HEADING_SIZES[block.depth - 1];
+                this.ensureSpace(size * 4);
+                doc.moveDown(block.depth <= 2 ? 0.8 : 0.5);
+                this.headingPages.set(block.id, this.currentPageIndex());
+                this.runs(block.runs, { indent, size, base: { bold: true }, color: '#102a43', destination: block.id });
+                if (block.depth <= 2) {
+                    doc.moveTo(this.left, doc.y + 2).lineTo(this.left + this.contentWidth, doc.y + 2)
+                        .lineWidth(0.5).strokeColor(RULE_COLOR).stroke();
+                }
+                doc.moveDown(0.4);
+                break;
+            }
+            case 'paragraph':
+                this.runs(block.runs, { indent, base: context.base, color: context.color });
+                doc.moveDown(0.5);
+                break;
+            case 'list':
+                this.list(block, context);
+                doc.moveDown(0.3);
+                break;
+            case 'table':
+                this.table(block, indent);
+                break;
+            case 'quote': {
+                const startPage = this.currentPageIndex();
+                const startY = doc.y;
+                this.blocks(block.blocks, { ...context, indent: indent + 14, base: { italic: true }, color: MUTED_COLOR });
+                if (this.currentPageIndex() === startPage) {
+                    doc.moveTo(this.left + indent + 4, startY).lineTo(this.left + indent + 4, doc.y - 6)
+                        .lineWidth(2).strokeColor(RULE_COLOR).stroke();
+                }
+                break;
+            }
+            case 'code': {
+                doc.font('Courier').fontSize(BODY_SIZE - 1.5);
+                const width = this.contentWidth - indent - 12;
+                const height = doc.heightOfString(printable(block.text), { width });
+                this.ensureSpace(Math.min(height, 200) + 12);
+                if (doc.y + height + 12 <= this.bottom) {
+                    doc.rect(this.left + indent, doc.y, this.contentWidth - indent, height + 12).fill('#f0f4f8');
+                }
+                doc.fillColor(TEXT_COLOR).text(printable(block.text), this.left + indent + 6, doc.y + 6, { width });
+                doc.moveDown(0.8);
+                break;
+            }
+            case 'rule':
+                this.ensureSpace(12);
+                doc.moveTo(this.left, doc.y + 4).lineTo(this.left + this.contentWidth, doc.y + 4)
+                    .lineWidth(0.5).strokeColor(RULE_COLOR).stroke();
+                doc.moveDown(1);
+                break;
+            default:
+                break;
+        }
+    }
+
+    list(block, context) {
+        const doc = this.doc;
+        const indent = context.indent || 0;
+
+        block.items.forEach((item, itemIndex) => {
+            const marker = block.ordered ? `${block.start + itemIndex}.` : '•';
+            this.ensureSpace(BODY_SIZE * 2);
+
+            item.forEach((child, childIndex) => {
+                if (childIndex === 0 && child.type === 'paragraph') {
+                    const y = doc.y;
+                    doc.font('Helvetica').fontSize(BODY_SIZE).fillColor(TEXT_COLOR)
+                        .text(marker, this.left + indent, y, { width: LIST_INDENT, lineBreak: false });
+                    doc.y = y;
+                    this.runs(child.runs, { indent: indent + LIST_INDENT, base: context.base, color: context.color });
+                    doc.moveDown(0.2);
+                } else {
+                    this.block(child, { ...context, indent: indent + LIST_INDENT });
+                }
+            });
+        });
+    }
+
+    table(block, indent) {
+        const doc = this.doc;
+        const cellText = runs => printable(runs.map(run => (run.lineBreak ? '\n' : run.text)).join(''));
+
+        doc.x = this.left + indent;
+        doc.font('Helvetica').fontSize(BODY_SIZE - 1).fillColor(TEXT_COLOR);
+        doc.table({
+            maxWidth: this.contentWidth - indent,
+            defaultStyle: { border: 0.5, borderColor: '#bcccdc', padding: 4 },
+            rowStyles: index => (index === 0 ? { backgroundColor: '#f0f4f8', font: { src: 'Helvetica-Bold' } } : {}),
+            data: [block.header.map(cellText), ...block.rows.map(row => row.map(cellText))]
+        });
+        doc.x = this.left;
+        doc.moveDown(0.6);
+    }
+}
+
+function drawCover(doc, metadata) {
+    const width = doc.page.width - MARGINS.left - MARGINS.right;
+    doc.y = doc.page.height * 0.3;
+    doc.font('Helvetica-Bold').fontSize(28).fillColor('#102a43')
+        .text(printable(metadata.proposalName), MARGINS.left, doc.y, { width, align: 'center' });
+
+    if (metadata.rfpTitle) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(15).fillColor(MUTED_COLOR)
+            .text(printable(`Response to ${metadata.rfpTitle}`), { width, align: 'center' });
+    }
+
+    doc.y = doc.page.height * 0.6;
+    doc.font('Helvetica').fontSize(12).fillColor(TEXT_COLOR);
+    [
+        metadata.organization && `Prepared for: ${metadata.organization}`,
+        metadata.dueDate && `Due date: ${metadata.dueDate}`,
+        `Prepared on: ${metadata.preparedOn}`
+    ].filter(Boolean).forEach(line => {
+        doc.text(printable(line), MARGINS.left, doc.y, { width, align: 'center' });
+        doc.moveDown(0.4);
+    });
+}
+
+function tocPageCount(doc, entries) {
+    const firstPageLines = Math.floor((doc.page.height - MARGINS.top - MARGINS.bottom - 50) / TOC_LINE_HEIGHT);
+    const pageLines = Math.floor((doc.page.height - MARGINS.top - MARGINS.bottom) / TOC_LINE_HEIGHT);
+    return entries.length <= firstPageLines ? 1 : 1 + Math.ceil((entries.length - firstPageLines) / pageLines);
+}
+
+// Fills the pages reserved after the cover once every heading's page is known
+function drawTableOfContents(doc, entries, firstPage, headingPages) {
+    const width = doc.page.width - MARGINS.left - MARGINS.right;
+    let page = firstPage;
+    doc.switchToPage(page);
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#102a43')
+        .text('Table of Contents', MARGINS.left, MARGINS.top, { width });
+    let y = MARGINS.top + 50;
+
+    entries.forEach(entry => {
+        if (y + TOC_LINE_HEIGHT > doc.page.height - MARGINS.bottom) {
+            page += 1;
+            doc.switchToPage(page);
+            y = MARGINS.top;
+        }
+        const indent = (entry.level - 1) * 18;
+        const pageNumber = String(headingPages.get(entry.id) ?? '');
+        doc.font(entry.level === 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(entry.level === 1 ? 11 : 10).fillColor(TEXT_COLOR);
+        doc.text(printable(entry.text), MARGINS.left + indent, y, {
+            width: width - indent - 40,
+            lineBreak: false,
+            ellipsis: true,
+            goTo: entry.id
+        });
+        doc.text(pageNumber, MARGINS.left, y, { width, align: 'right', lineBreak: false });
+        y += TOC_LINE_HEIGHT;
+    });
+
+    entries.forEach(entry => {
+        if (entry.level === 1) {
+            doc.outline.addItem(printable(entry.text));
+        }
+    });
+}
+
+// Running header and "Page N of M" footer on every page after the cover. Margins are lifted while drawing
+// so PDFKit does not treat text in the margin area as overflow and add pages.
+function drawPageDecorations(doc, metadata) {
+    const range = doc.bufferedPageRange();
+    const total = range.count - 1;
+
+    for (let index = 1; index < range.count; index += 1) {
+        doc.switchToPage(range.start + index);
+        const { margins } = doc.page;
+        const saved = { ...margins };
+        doc.page.margins = { top: 0, bottom: 0, left: margins.left, right: margins.right };
+        const width = doc.page.width - margins.left - margins.right;
+
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+        doc.text(printable(headerText(metadata)), margins.left, 36, { width, align: 'right', lineBreak: false });
+        doc.moveTo(margins.left, 48).lineTo(margins.left + width, 48).lineWidth(0.5).strokeColor(RULE_COLOR).stroke();
+        doc.text(`Page ${index} of ${total}`, margins.left, doc.page.height - 44, { width, align: 'center', lineBreak: false });
+
+        doc.page.margins = saved;
+    }
+}
+
+// Print-ready A4 PDF: cover page, table of contents with page numbers and links, body, running headers
+// and page numbers. Pages are buffered so the contents can be written after the body is laid out.
+function exportPdf(document, metadata) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margins: MARGINS,
+            bufferPages: true,
+            info: { Title: metadata.proposalName, Subject: metadata.rfpTitle || '' }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            drawCover(doc, metadata);
+
+            const entries = buildTableOfContents(document);
+            const tocStart = entries.length ? doc.bufferedPageRange().count : null;
+            if (entries.length) {
+                const pages = tocPageCount(doc, entries);
+                for (let page = 0; page < pages; page += 1) {
+                    doc.addPage();
+                }
+            }
+
+            doc.addPage();
+            const writer = new PdfWriter(doc);
+            writer.blocks(document.blocks);
+
+            if (entries.length) {
+                drawTableOfContents(doc, entries, tocStart, writer.headingPages);
+            }
+            drawPageDecorations(doc, metadata);
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = {
+    exportPdf
+};
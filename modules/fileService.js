@@ -1,13 +1,23 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { convertPdfToMarkdown } = require('./converters/pdfConverter');
+const { convertDocxToMarkdown, convertDocToMarkdown } = require('./converters/wordConverter');
+const { convertRtfToMarkdown } = require('./converters/rtfConverter');
+
+// Versions kept per artifact; older ones are pruned
+const DEFAULT_HISTORY_LIMIT = 50;
 
 class FileService {
     constructor() {
         this.uploadDir = path.join(__dirname, '..', 'uploads');
         this.outputDir = path.join(__dirname, '..', 'generated');
 
+        const historyLimit = parseInt(process.env.ARTIFACT_HISTORY_LIMIT, 10);
+        this.historyLimit = Number.isInteger(historyLimit) && historyLimit > 0 ? historyLimit : DEFAULT_HISTORY_LIMIT;
+
         // Ensure directories exist
         fs.ensureDirSync(this.uploadDir);
         fs.ensureDirSync(this.outputDir);
@@ -58,18 +68,27 @@ class FileService {
         return this.upload.single('rfpDocument');
     }
 
-    async saveGeneratedFile(content, fileName, proposalId, type = 'text') {
+    // With version ({ author, note }) the written content is also kept as a new version of the file
+    async saveGeneratedFile(content, fileName, proposalId, type = 'text', version = null) {
         try {
             const proposalDir = path.join(this.outputDir, proposalId);
             await fs.ensureDir(proposalDir);
 
             const filePath = path.join(proposalDir, fileName);
+            if (version) {
+                await this._ensureHistoryBaseline(proposalId, fileName);
+            }
 
             if (type === 'json') {
                 await fs.writeJson(filePath, content, { spaces: 2 });
+            } else if (type === 'binary') {
+                await fs.writeFile(filePath, content);
             } else {
                 await fs.writeFile(filePath, content, 'utf-8');
             }
+            if (version) {
+                await this.recordVersion(proposalId, fileName, version);
+            }
 
             return {
                 id: uuidv4(),
@@ -108,6 +127,16 @@ class FileService {
         }
     }
 
+    // Resolves a generated file for streaming (binary exports cannot go through getGeneratedFile's utf-8 read)
+    async getGeneratedFilePath(proposalId, fileName) {
+        const proposalDir = path.join(this.outputDir, proposalId);
+        const filePath = path.join(proposalDir, fileName);
+        if (path.dirname(filePath) !== proposalDir || !(await fs.pathExists(filePath))) {
+            throw new Error('File not found');
+        }
+        return filePath;
+    }
+
     async listGeneratedFiles(proposalId) {
         try {
             const proposalDir = path.join(this.outputDir, proposalId);
@@ -152,11 +181,48 @@ class FileService {
                 return 'yaml';
             case '.txt':
                 return 'text';
+            case '.html':
+                return 'html';
+            case '.docx':
+                return 'docx';
+            case '.pdf':
+                return 'pdf';
+            case '.csv':
+                return 'csv';
+            case '.xlsx':
+                return 'xlsx';
             default:
                 return 'unknown';
         }
     }
 
+    getMimeType(fileName) {
+        const ext = path.extname(fileName).toLowerCase();
+        switch (ext) {
+            case '.md':
+                return 'text/markdown; charset=utf-8';
+            case '.json':
+                return 'application/json; charset=utf-8';
+            case '.yaml':
+            case '.yml':
+                return 'application/yaml; charset=utf-8';
+            case '.html':
+                return 'text/html; charset=utf-8';
+            case '.docx':
+                return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+            case '.pdf':
+                return 'application/pdf';
+            case '.csv':
+                return 'text/csv; charset=utf-8';
+            case '.xlsx':
+                return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+            case '.txt':
+                return 'text/plain; charset=utf-8';
+            default:
+                return 'application/octet-stream';
+        }
+    }
+
     async deleteUploadedFile(filePath) {
         try {
             await fs.remove(filePath);
@@ -165,7 +231,7 @@ class FileService {
         }
     }
 
-    async updateGeneratedFile(proposalId, fileName, content) {
+    async updateGeneratedFile(proposalId, fileName, content, version = null) {
         try {
             const proposalDir = path.join(this.outputDir, proposalId);
             const filePath = path.join(proposalDir, fileName);
@@ -175,7 +241,13 @@ class FileService {
                 throw new Error('File not found');
             }
 
+            if (version) {
+                await this._ensureHistoryBaseline(proposalId, fileName);
+            }
             await fs.writeFile(filePath, content, 'utf-8');
+            if (version) {
+                await this.recordVersion(proposalId, fileName, version);
+            }
             const stats = await fs.stat(filePath);
 
             return {
@@ -188,6 +260,105 @@ class FileService {
         }
     }
 
+    async deleteGeneratedFile(proposalId, fileName) {
+        const filePath = await this.getGeneratedFilePath(proposalId, fileName);
+        await fs.remove(filePath);
+        await fs.remove(this._historyDir(proposalId, fileName));
+    }
+
+    // Version history of generated files: generated/<proposal>/.history/<file name>/ holds one file per version
+    // (1.md, 2.md, ...) and versions.json with { version, createdAt, author, note, size, hash } for each
+    _historyDir(proposalId, fileName) {
+        if (!fileName || path.basename(fileName) !== fileName) {
+            throw new Error('File not found');
+        }
+        return path.join(this.outputDir, proposalId, '.history', fileName);
+    }
+
+    async _readVersionIndex(historyDir) {
+        const indexFile = path.join(historyDir, 'versions.json');
+        return (await fs.pathExists(indexFile)) ? fs.readJson(indexFile) : [];
+    }
+
+    // Files written before version history existed get their current content as version 1, so the first
+    // recorded change can be undone
+    async _ensureHistoryBaseline(proposalId, fileName) {
+        const historyDir = this._historyDir(proposalId, fileName);
+        const filePath = path.join(this.outputDir, proposalId, fileName);
+        if ((await this._readVersionIndex(historyDir)).length || !(await fs.pathExists(filePath))) {
+            return;
+        }
+
+        const stats = await fs.stat(filePath);
+        await this.recordVersion(proposalId, fileName, {
+            author: null,
+            note: 'Before version history',
+            createdAt: stats.mtime.toISOString()
+        });
+    }
+
+    // Keeps the current content of a generated file as its newest version; nothing is recorded when the content
+    // equals the newest version. Returns the version entry.
+    async recordVersion(proposalId, fileName, { author = null, note = '', createdAt = null } = {}) {
+        const historyDir = this._historyDir(proposalId, fileName);
+        const filePath = path.join(this.outputDir, proposalId, fileName);
+        const content = await fs.readFile(filePath);
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+        const versions = await this._readVersionIndex(historyDir);
+        const latest = versions[versions.length - 1];
+        if (latest && latest.hash === hash) {
+            return latest;
+        }
+
+        const entry = {
+            version: latest ? latest.version + 1 : 1,
+            createdAt: createdAt || new Date().toISOString(),
+            author,
+            note: String(note || '').slice(0, 200),
+            size: content.length,
+            hash
+        };
+        await fs.ensureDir(historyDir);
+        await fs.writeFile(path.join(historyDir, `${entry.version}${path.extname(fileName)}`), content);
+        versions.push(entry);
+
+        // The oldest versions go once the limit is reached
+        const pruned = versions.splice(0, Math.max(0, versions.length - this.historyLimit));
+        await Promise.all(pruned.map(old => fs.remove(path.join(historyDir, `${old.version}${path.extname(fileName)}`))));
+        await fs.writeJson(path.join(historyDir, 'versions.json'), versions, { spaces: 2 });
+
+        return entry;
+    }
+
+    // Versions of a generated file, newest first
+    async listFileVersions(proposalId, fileName) {
+        await this._ensureHistoryBaseline(proposalId, fileName);
+        const versions = await this._readVersionIndex(this._historyDir(proposalId, fileName));
+        return versions.reverse();
+    }
+
+    async getFileVersion(proposalId, fileName, version) {
+        const historyDir = this._historyDir(proposalId, fileName);
+        const entry = (await this._readVersionIndex(historyDir)).find(candidate => candidate.version === Number(version));
+        if (!entry) {
+            throw new Error(`Version ${version} of ${fileName} not found`);
+        }
+
+        const content = await fs.readFile(path.join(historyDir, `${entry.version}${path.extname(fileName)}`), 'utf-8');
+        return { ...entry, content };
+    }
+
+    // The newest version whose content hash starts with hashPrefix (as in an artifact ETag), or null
+    async findFileVersionByHash(proposalId, fileName, hashPrefix) {
+        if (!hashPrefix) {
+            return null;
+        }
+        const versions = await this._readVersionIndex(this._historyDir(proposalId, fileName));
+        const entry = versions.reverse().find(candidate => candidate.hash.startsWith(hashPrefix));
+        return entry ? this.getFileVersion(proposalId, fileName, entry.version) : null;
+    }
+
     async deleteGeneratedFiles(proposalId) {
         try {
             const proposalDir = path.join(this.outputDir, proposalId);
@@ -216,13 +387,11 @@ class FileService {
                 // Already text-based, read directly
                 content = await fs.readFile(filePath, 'utf-8');
             } else if (ext === '.pdf') {
-                // For PDF, we need to extract text - for now, read as binary and add note
-                const buffer = await fs.readFile(filePath);
-                content = `# PDF Document: ${originalName}\n\n[PDF content would be extracted here. Current implementation reads binary data.]\n\nFile size: ${buffer.length} bytes\n\nPlease ensure this PDF contains readable text for proper analysis.`;
+                content = await this.convertPdf(filePath, originalName);
             } else if (ext === '.doc' || ext === '.docx') {
-                // For Word docs, read as binary and add note
-                const buffer = await fs.readFile(filePath);
-                content = `# Word Document: ${originalName}\n\n[Word document content would be extracted here. Current implementation reads binary data.]\n\nFile size: ${buffer.length} bytes\n\nPlease convert this document to PDF or plain text for better analysis.`;
+                content = await this.convertWord(filePath, originalName, ext);
+            } else if (ext === '.rtf') {
+                content = await this.convertRtf(filePath, originalName);
             } else {
                 // Unknown format, try to read as text
                 try {
@@ -250,6 +419,41 @@ class FileService {
         }
     }
 
+    async convertPdf(filePath, originalName) {
+        const buffer = await fs.readFile(filePath);
+        const result = await convertPdfToMarkdown(buffer);
+
+        if (!result.hasText) {
+            return `# PDF Document: ${originalName}\n\n[No extractable text was found in this PDF. It may be a scanned image.]\n\nPages: ${result.pageCount}\n\nPlease upload a text-based PDF or run OCR on the document before uploading.`;
+        }
+
+        return `# PDF Document: ${originalName}\n\n${result.markdown}`;
+    }
+
+    async convertWord(filePath, originalName, ext) {
+        const buffer = await fs.readFile(filePath);
+        const markdown = ext === '.docx'
+            ? await convertDocxToMarkdown(buffer)
+            : await convertDocToMarkdown(buffer);
+
+        if (!markdown.trim()) {
+            return `# Word Document: ${originalName}\n\n[No text content was found in this document.]\n\nFile size: ${buffer.length} bytes`;
+        }
+
+        return `# Word Document: ${originalName}\n\n${markdown}`;
+    }
+
+    async convertRtf(filePath, originalName) {
+        const buffer = await fs.readFile(filePath);
+        const markdown = convertRtfToMarkdown(buffer);
+
+        if (!markdown.trim()) {
+            return `# RTF Document: ${originalName}\n\n[No text content was found in this document.]\n\nFile size: ${buffer.length} bytes`;
+        }
+
+        return `# RTF Document: ${originalName}\n\n${markdown}`;
+    }
+
     generateCacheKey(originalName, filePath) {
         // Create a cache key based on filename and file modification time
         const crypto = require('crypto');
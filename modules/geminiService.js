@@ -1,66 +1,214 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs-extra');
-const path = require('path');
+const { createLlmProvider } = require('./llm');
+const { extractJson, validateAnalysis, repairAnalysis, describeSchema } = require('./analysisSchema');
+const { separateCitations, collectCitations, verifyCitations, summarizeCitations } = require('./citations');
+const { requirementId } = require('./complianceMatrix');
+const { DOCUMENT_KINDS, formatDocumentSource } = require('./documentSet');
+const { chunkMarkdown, DEFAULT_MAX_CHARS } = require('./documentChunker');
+const { mergeAnalyses } = require('./analysisMerge');
+
+const DEFAULT_REPAIR_ATTEMPTS = 1;
 
 class GeminiService {
-    constructor() {
-        this.apiKey = process.env.GEMINI_API_KEY;
-
-        // Debug logging to help troubleshoot
-        console.log('Environment variables check:');
-        console.log('GEMINI_API_KEY exists:', !!this.apiKey);
-        console.log('GEMINI_API_KEY length:', this.apiKey ? this.apiKey.length : 0);
-        console.log('GEMINI_API_KEY starts with:', this.apiKey ? this.apiKey.substring(0, 10) + '...' : 'N/A');
-
-        if (!this.apiKey) {
-            console.error('Available env vars:', Object.keys(process.env).filter(key => key.includes('GEMINI')));
-            throw new Error('GEMINI_API_KEY environment variable is required');
-        }
+    constructor(options = {}) {
+        // The LLM backend is pluggable; Gemini remains the default provider
+        this.provider = options.provider || createLlmProvider();
+
+        const repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+        this.maxRepairAttempts = Number.isInteger(repairAttempts) && repairAttempts >= 0 ? repairAttempts : DEFAULT_REPAIR_ATTEMPTS;
 
-        this.genAI = new GoogleGenerativeAI(this.apiKey);
-
-        // Fallback model order - try these in sequence if one fails
-        /*this.modelFallbacks = [
-            'gemini-2.0-flash',  // Most capable, but often has quota issues
-            'gemini-1.5-flash',
-            'gemini-1.5-pro',
-            'gemini-pro',  // Legacy stable model
-            'gemini-2.0-flash-exp'  // Keep as last option due to quota issues
-        ]; */
-        this.modelFallbacks = [
-            'gemini-2.0-flash'
-        ];
-        
-
-        this.currentModelIndex = 0;
-        this.model = this.genAI.getGenerativeModel({ model: this.modelFallbacks[0] });
+        // Documents longer than this many characters are split into section-aligned chunks
+        const chunkChars = parseInt(process.env.LLM_CHUNK_CHARS, 10);
+        this.maxChunkChars = Number.isInteger(chunkChars) && chunkChars > 0 ? chunkChars : DEFAULT_MAX_CHARS;
     }
 
-    async analyzeRFPDocument(filePath, fileName, proposalName) {
+    async analyzeRFPDocument(filePath, fileName, proposalName, options = {}) {
+        console.log(`Starting analysis of ${fileName} (${filePath}) for proposal: ${proposalName}`);
+        const fileContent = await fs.readFile(filePath, 'utf-8');
+        return await this.analyzeWithFallback(fileContent, fileName, proposalName, options);
+    }
 
-        //const result = await this.model.generateContent("Give me a three-line poem about the sea.");
-        //const response = result.response;
-        //const analysisText = response.text();
-        //console.log(analysisText);
-        //return analysisText;
+    async analyzeWithFallback(fileContent, fileName, proposalName, options = {}) {
+        const analysisDate = new Date().toISOString();
+        const onProgress = options.onProgress || (() => {});
+        const { signal } = options;
 
-        console.log(`Starting analysis for file: ${filePath}/${fileName} under proposal: ${proposalName}`);
-        const fileContent = await fs.readFile(filePath, 'utf-8');
-        return await this.analyzeWithFallback(fileContent, fileName, proposalName);
+        try {
+            // Long documents are analyzed section by section and the partial analyses merged afterwards
+            const chunks = chunkMarkdown(fileContent, { maxChars: this.maxChunkChars });
+            const context = { fileName, proposalName, analysisDate, totalChunks: chunks.length };
+            if (chunks.length > 1) {
+                console.log(`Document has ${fileContent.length} characters; analyzing in ${chunks.length} chunks`);
+            }
+
+            const results = [];
+            const chunkReports = [];
+            for (const chunk of chunks) {
+                signal?.throwIfAborted();
+                const report = {
+                    index: chunk.index,
+                    title: chunk.title,
+                    startPage: chunk.startPage,
+                    endPage: chunk.endPage,
+                    characters: chunk.characters,
+                    status: 'running'
+                };
+                onProgress({ stage: 'analyze', completed: chunkReports.length, total: chunks.length, chunk: report });
+
+                try {
+                    const result = await this.analyzeChunk(chunk, context);
+                    results.push(result);
+                    report.status = 'succeeded';
+                } catch (error) {
+                    // A single-pass analysis has nothing to fall back on, and cancellation stops everything
+                    if (chunks.length === 1 || signal?.aborted) {
+                        throw error;
+                    }
+                    console.error(`Chunk ${chunk.index + 1}/${chunks.length} (${chunk.title}) failed:`, error.message);
+                    report.status = 'failed';
+                    report.error = error.message;
+                }
+
+                chunkReports.push(report);
+                onProgress({ stage: 'analyze', completed: chunkReports.length, total: chunks.length, chunk: report });
+            }
+
+            if (!results.length) {
+                throw new Error(`All ${chunks.length} document chunks failed to analyze`);
+            }
+
+            const analysis = results.length === 1 && chunks.length === 1
+                ? results[0].analysis
+                : this.combineChunkResults(results);
+
+            analysis.metadata = {
+                ...analysis.metadata,
+                fileName,
+                analysisDate,
+                proposalName,
+                modelUsed: results[0].model,
+                provider: results[0].provider,
+                chunks: chunkReports
+            };
+
+            const failedChunks = chunkReports.filter(report => report.status === 'failed');
+            analysis.validation = {
+                valid: failedChunks.length === 0 && results.every(result => result.validation.valid),
+                repromptAttempts: results.reduce((total, result) => total + result.validation.repromptAttempts, 0),
+                coercedFields: [...new Set(results.flatMap(result => result.validation.coercedFields))],
+                // With several chunks a field is only unrecoverable if no chunk produced it
+                unrecoverableFields: results
+                    .map(result => result.validation.unrecoverableFields)
+                    .reduce((common, fields) => common.filter(field => fields.includes(field))),
+                failedChunks: failedChunks.map(report => report.index)
+            };
+
+            // Every cited item is checked against the full converted markdown, not just its chunk
+            const citations = results.flatMap(result => result.citations);
+            analysis.citations = verifyCitations(collectCitations(analysis, citations), fileContent);
+            analysis.grounding = summarizeCitations(analysis.citations);
+            if (analysis.grounding.unverified) {
+                console.warn(`${analysis.grounding.unverified} of ${analysis.grounding.total} cited items could not be verified against the source`);
+            }
+
+            if (analysis.validation.unrecoverableFields.length) {
+                console.warn(`Analysis has ${analysis.validation.unrecoverableFields.length} unrecoverable fields:`, analysis.validation.unrecoverableFields.join(', '));
+            }
+
+            console.log(`Successfully analyzed RFP with ${results[0].provider} model: ${results[0].model}`);
+            return analysis;
+
+        } catch (error) {
+            console.error('RFP analysis failed:', error.message);
+            throw error;
+        }
     }
 
-    async analyzeWithFallback(fileContent, fileName, proposalName, attemptCount = 0) {
-        if (attemptCount >= this.modelFallbacks.length) {
-            throw new Error('All Gemini models failed. Please try again later or check your API quota.');
+    // Runs one extraction (prompt, schema validation, re-prompt, repair) over a chunk of the document
+    async analyzeChunk(chunk, context) {
+        const prompt = this.buildAnalysisPrompt(chunk.content, context, chunk);
+        const providerOptions = {
+            document: chunk.content,
+            fileName: context.fileName,
+            proposalName: context.proposalName,
+            analysisDate: context.analysisDate
+        };
+
+        const result = await this.provider.analyze(prompt, providerOptions);
+        const metadata = {
+            fileName: context.fileName,
+            analysisDate: context.analysisDate,
+            proposalName: context.proposalName,
+            modelUsed: result.model,
+            provider: result.provider
+        };
+
+        // Citations are split off first so the remaining analysis can be validated as plain strings
+        let { analysisData, citations } = this.splitResponse(result.text);
+        let validation = analysisData
+            ? validateAnalysis(this.withMetadata(analysisData, metadata))
+            : { valid: false, errors: [{ path: 'analysis', message: 'response did not contain a JSON object' }] };
+
+        // Ask the model to fix its own output before falling back to coercion
+        let repromptAttempts = 0;
+        while (!validation.valid && repromptAttempts < this.maxRepairAttempts) {
+            repromptAttempts += 1;
+            console.log(`Analysis failed schema validation (${validation.errors.length} errors), re-prompting (attempt ${repromptAttempts})`);
+
+            const repairPrompt = this.buildRepairPrompt(analysisData ? JSON.stringify(analysisData) : result.text, validation.errors);
+            const repairResult = await this.provider.analyze(repairPrompt, providerOptions);
+            const repairedResponse = this.splitResponse(repairResult.text);
+
+            if (repairedResponse.analysisData) {
+                analysisData = repairedResponse.analysisData;
+                if (repairedResponse.citations.some(citation => citation.quote)) {
+                    citations = repairedResponse.citations;
+                }
+                validation = validateAnalysis(this.withMetadata(analysisData, metadata));
+            }
         }
 
-        const currentModel = this.modelFallbacks[attemptCount];
-        console.log(`Attempting analysis with model: ${currentModel} (attempt ${attemptCount + 1})`);
+        if (!analysisData) {
+            console.error('LLM response contained no usable JSON; keeping the raw text for review');
+            analysisData = { fullText: result.text };
+        }
 
-        try {
-            const model = this.genAI.getGenerativeModel({ model: currentModel });
+        const repaired = repairAnalysis(this.withMetadata(analysisData, metadata));
+        return {
+            analysis: repaired.analysis,
+            citations,
+            model: result.model,
+            provider: result.provider,
+            validation: {
+                valid: validation.valid,
+                repromptAttempts,
+                coercedFields: repaired.coerced.map(entry => entry.path),
+                unrecoverableFields: repaired.unrecoverable.map(entry => entry.path)
+            }
+        };
+    }
+
+    combineChunkResults(results) {
+        const analysis = {
+            metadata: { ...results[0].analysis.metadata },
+            ...mergeAnalyses(results.map(result => result.analysis))
+        };
+
+        const rawText = results.map(result => result.analysis.fullText).filter(Boolean);
+        if (rawText.length) {
+            analysis.fullText = rawText.join('\n\n---\n\n');
+        }
+        return analysis;
+    }
 
-            const prompt = `
+    buildAnalysisPrompt(content, context, chunk = null) {
+        const partNote = chunk && context.totalChunks > 1
+            ? `DOCUMENT PART: This is part ${chunk.index + 1} of ${context.totalChunks} of a longer document${this.describePages(chunk)}. Extract only what this part states and use "Not specified in RFP" for anything it does not cover; other parts are analyzed separately and merged.
+
+`
+            : '';
+
+        return `
 You are an expert RFP (Request for Proposal) analyst. Analyze the following RFP document and extract structured information to help create a winning proposal response.
 
 CRITICAL INSTRUCTIONS:
@@ -68,18 +216,19 @@ CRITICAL INSTRUCTIONS:
 - If information is unclear or missing, explicitly state "Not specified in RFP"
 - Focus on factual extraction only
 - Be precise and comprehensive
+- Every requirement, evaluation criterion and constraint must cite the document: "quote" is copied character-for-character from the document (no paraphrasing), "section" is the heading it appears under, and "page" is the number from the nearest preceding <!-- Page N --> marker (null if there are none)
 
-DOCUMENT TO ANALYZE:
-${fileContent}
+${partNote}DOCUMENT TO ANALYZE:
+${content}
 
 Please provide a comprehensive analysis in the following JSON format:
 
 {
     "metadata": {
-        "fileName": "${fileName}",
-        "analysisDate": "${new Date().toISOString()}",
-        "proposalName": "${proposalName}",
-        "modelUsed": "${currentModel}"
+        "fileName": "${context.fileName}",
+        "analysisDate": "${context.analysisDate}",
+        "proposalName": "${context.proposalName}",
+        "modelUsed": "${this.provider.models[0]}"
     },
     "overview": {
         "title": "RFP title or project name",
@@ -89,31 +238,31 @@ Please provide a comprehensive analysis in the following JSON format:
     },
     "requirements": {
         "functional": [
-            "List of functional requirements"
+            { "text": "Functional requirement", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 }
         ],
         "technical": [
-            "List of technical requirements"
+            { "text": "Technical requirement", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 }
         ],
         "compliance": [
-            "Compliance and regulatory requirements"
+            { "text": "Compliance or regulatory requirement", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 }
         ],
         "deliverables": [
-            "Expected deliverables"
+            { "text": "Expected deliverable", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 }
         ]
     },
     "evaluation": {
         "criteria": [
-            "How proposals will be evaluated"
+            { "text": "How proposals will be evaluated", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 }
         ],
         "weights": "Scoring weights if specified",
         "timeline": "Project timeline expectations"
     },
     "constraints": {
-        "budget": "Budget information if available",
-        "timeline": "Timeline constraints",
-        "resources": "Resource constraints",
+        "budget": { "text": "Budget information if available", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 },
+        "timeline": { "text": "Timeline constraints", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 },
+        "resources": { "text": "Resource constraints", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 },
         "other": [
-            "Any other constraints"
+            { "text": "Any other constraint", "quote": "Exact sentence from the document", "section": "Section heading", "page": 1 }
         ]
     },
     "questions": [
@@ -126,83 +275,51 @@ Please provide a comprehensive analysis in the following JSON format:
 
 Remember: Only include information that is explicitly stated or clearly implied in the RFP. Mark uncertain information as "Needs clarification" or "Not specified in RFP".
 `;
+    }
 
-            const result = await model.generateContent(prompt);
-            const response = result.response;
-            const analysisText = response.text();
-
-            // Try to parse JSON from response
-            let analysisData;
-            try {
-                // Extract JSON from the response (might be wrapped in markdown)
-                const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    analysisData = JSON.parse(jsonMatch[0]);
-                } else {
-                    throw new Error('No JSON found in response');
-                }
-            } catch (parseError) {
-                console.error('Failed to parse Gemini JSON response:', parseError);
-                // Fallback to structured text analysis
-                analysisData = this.parseStructuredResponse(analysisText, fileName, proposalName, currentModel);
-            }
-
-            console.log(`Successfully analyzed RFP with model: ${currentModel}`);
-            return analysisData;
-
-        } catch (error) {
-            console.error(`Model ${currentModel} failed:`, error.message);
-
-            // Check if this is a quota error specifically
-            if (error.message.includes('429') || error.message.includes('quota')) {
-                console.log(`Quota exceeded for ${currentModel}, trying next model...`);
-            } else {
-                console.log(`Error with ${currentModel}, trying next model...`);
-            }
+    describePages(chunk) {
+        if (chunk.startPage === null) {
+            return '';
+        }
+        return chunk.endPage !== null && chunk.endPage !== chunk.startPage
+            ? ` (pages ${chunk.startPage}-${chunk.endPage})`
+            : ` (page ${chunk.startPage})`;
+    }
 
-            // Try next model in fallback chain
-            return await this.analyzeWithFallback(fileContent, fileName, proposalName, attemptCount + 1);
+    splitResponse(responseText) {
+        const extracted = extractJson(responseText);
+        if (!extracted) {
+            return { analysisData: null, citations: [] };
         }
+        const { analysis, citations } = separateCitations(extracted);
+        return { analysisData: analysis, citations };
     }
 
-    parseStructuredResponse(text, fileName, proposalName, modelUsed = 'unknown') {
-        // Fallback parser if JSON parsing fails
+    withMetadata(analysisData, metadata) {
         return {
-            metadata: {
-                fileName: fileName,
-                analysisDate: new Date().toISOString(),
-                proposalName: proposalName,
-                modelUsed: modelUsed
-            },
-            overview: {
-                title: "Analysis completed - see full text",
-                organization: "Not specified in RFP",
-                dueDate: "Not specified in RFP",
-                projectSummary: text.substring(0, 500) + "..."
-            },
-            requirements: {
-                functional: ["See full analysis text"],
-                technical: ["See full analysis text"],
-                compliance: ["See full analysis text"],
-                deliverables: ["See full analysis text"]
-            },
-            evaluation: {
-                criteria: ["See full analysis text"],
-                weights: "Not specified in RFP",
-                timeline: "See full analysis text"
-            },
-            constraints: {
-                budget: "Not specified in RFP",
-                timeline: "See full analysis text",
-                resources: "Not specified in RFP",
-                other: ["See full analysis text"]
-            },
-            questions: ["Review full analysis for key questions"],
-            opportunities: ["Review full analysis for opportunities"],
-            fullText: text
+            ...analysisData,
+            metadata: { ...analysisData.metadata, ...metadata }
         };
     }
 
+    buildRepairPrompt(previousOutput, errors) {
+        const problems = errors.slice(0, 50).map(error => `- ${error.path}: ${error.message}`).join('\n');
+        return `
+Your previous answer did not match the required JSON schema.
+
+PROBLEMS FOUND:
+${problems}
+
+REQUIRED SCHEMA (types of each field):
+${describeSchema()}
+
+PREVIOUS ANSWER:
+${previousOutput.slice(0, 60000)}
+
+Return ONLY the corrected JSON object. Keep every value that was already correct, convert mistyped values to the required type, and use "Not specified in RFP" for strings (or an empty array for lists) where the information is not in the document. Do not add information that was not in your previous answer.
+`;
+    }
+
     generateNunjucksTemplate(analysis) {
         const template = `# {{ metadata.proposalName }} - Response to {{ overview.title }}
 
@@ -375,16 +492,30 @@ Remember: Only include information that is explicitly stated or clearly implied
     generateRequirementsMarkdown(analysis) {
         let markdown = `# Requirements Analysis: ${analysis.overview.title}\n\n`;
         markdown += `**Generated:** ${analysis.metadata.analysisDate}\n`;
-        markdown += `**Source:** ${analysis.metadata.fileName}\n`;
+        const documents = analysis.metadata.documents || [];
+        if (documents.length > 1) {
+            markdown += `**Source Documents:** ${documents.map(document => `${document.name} (${DOCUMENT_KINDS[document.kind]?.title || document.kind})`).join(', ')}\n`;
+        } else {
+            markdown += `**Source:** ${analysis.metadata.fileName}\n`;
+        }
         markdown += `**Organization:** ${analysis.overview.organization}\n`;
-        markdown += `**Due Date:** ${analysis.overview.dueDate}\n\n`;
+        markdown += `**Due Date:** ${analysis.overview.dueDate}\n`;
+        if ((analysis.metadata.chunks || []).length > 1) {
+            markdown += `**Document Parts Analyzed:** ${analysis.metadata.chunks.filter(chunk => chunk.status === 'succeeded').length} of ${analysis.metadata.chunks.length}\n`;
+        }
+        if (analysis.grounding) {
+            markdown += `**Source Verification:** ${analysis.grounding.verified} of ${analysis.grounding.total} cited items verified against the source document\n`;
+        }
+        markdown += `\n`;
 
         markdown += `## Project Overview\n\n${analysis.overview.projectSummary}\n\n`;
 
         if (analysis.requirements.functional.length > 0) {
             markdown += `## Functional Requirements\n\n`;
             analysis.requirements.functional.forEach((req, i) => {
-                markdown += `${i + 1}. ${req}\n`;
+                markdown += `${i + 1}. ${this.formatRequirementId(analysis, 'requirements.functional', i)}${req}\n`;
+                markdown += this.formatCitation(analysis, 'requirements.functional', i);
+                markdown += this.formatSource(analysis, 'requirements.functional', i);
             });
             markdown += `\n`;
         }
@@ -392,7 +523,9 @@ Remember: Only include information that is explicitly stated or clearly implied
         if (analysis.requirements.technical.length > 0) {
             markdown += `## Technical Requirements\n\n`;
             analysis.requirements.technical.forEach((req, i) => {
-                markdown += `${i + 1}. ${req}\n`;
+                markdown += `${i + 1}. ${this.formatRequirementId(analysis, 'requirements.technical', i)}${req}\n`;
+                markdown += this.formatCitation(analysis, 'requirements.technical', i);
+                markdown += this.formatSource(analysis, 'requirements.technical', i);
             });
             markdown += `\n`;
         }
@@ -400,7 +533,9 @@ Remember: Only include information that is explicitly stated or clearly implied
         if (analysis.requirements.compliance.length > 0) {
             markdown += `## Compliance Requirements\n\n`;
             analysis.requirements.compliance.forEach((req, i) => {
-                markdown += `${i + 1}. ${req}\n`;
+                markdown += `${i + 1}. ${this.formatRequirementId(analysis, 'requirements.compliance', i)}${req}\n`;
+                markdown += this.formatCitation(analysis, 'requirements.compliance', i);
+                markdown += this.formatSource(analysis, 'requirements.compliance', i);
             });
             markdown += `\n`;
         }
@@ -408,7 +543,9 @@ Remember: Only include information that is explicitly stated or clearly implied
         if (analysis.requirements.deliverables.length > 0) {
             markdown += `## Expected Deliverables\n\n`;
             analysis.requirements.deliverables.forEach((del, i) => {
-                markdown += `${i + 1}. ${del}\n`;
+                markdown += `${i + 1}. ${this.formatRequirementId(analysis, 'requirements.deliverables', i)}${del}\n`;
+                markdown += this.formatCitation(analysis, 'requirements.deliverables', i);
+                markdown += this.formatSource(analysis, 'requirements.deliverables', i);
             });
             markdown += `\n`;
         }
@@ -417,6 +554,7 @@ Remember: Only include information that is explicitly stated or clearly implied
             markdown += `## Evaluation Criteria\n\n`;
             analysis.evaluation.criteria.forEach((criteria, i) => {
                 markdown += `${i + 1}. ${criteria}\n`;
+                markdown += this.formatCitation(analysis, 'evaluation.criteria', i);
             });
             markdown += `\n`;
         }
@@ -425,14 +563,17 @@ Remember: Only include information that is explicitly stated or clearly implied
             markdown += `## Project Constraints\n\n`;
             if (analysis.constraints.budget) {
                 markdown += `**Budget:** ${analysis.constraints.budget}\n`;
+                markdown += this.formatCitation(analysis, 'constraints.budget', null);
             }
             if (analysis.constraints.timeline) {
                 markdown += `**Timeline:** ${analysis.constraints.timeline}\n`;
+                markdown += this.formatCitation(analysis, 'constraints.timeline', null);
             }
             if (analysis.constraints.other.length > 0) {
                 markdown += `**Other Constraints:**\n`;
                 analysis.constraints.other.forEach((constraint, i) => {
                     markdown += `- ${constraint}\n`;
+                    markdown += this.formatCitation(analysis, 'constraints.other', i);
                 });
             }
             markdown += `\n`;
@@ -451,10 +592,73 @@ Remember: Only include information that is explicitly stated or clearly implied
             analysis.opportunities.forEach((opp, i) => {
                 markdown += `${i + 1}. ${opp}\n`;
             });
+            markdown += `\n`;
+        }
+
+        const unverified = (analysis.citations || []).filter(citation => !citation.verified);
+        if (unverified.length > 0) {
+            markdown += `## Unverified Items\n\n`;
+            markdown += `These items could not be matched to a quote in the source document and may be inaccurate:\n\n`;
+            unverified.forEach((citation) => {
+                markdown += `- **${citation.path}**: ${citation.text} _(${citation.reason})_\n`;
+            });
+            markdown += `\n`;
+        }
+
+        const unrecoverable = analysis.validation?.unrecoverableFields || [];
+        const failedChunks = (analysis.metadata.chunks || []).filter(chunk => chunk.status === 'failed');
+        if (unrecoverable.length > 0 || failedChunks.length > 0) {
+            markdown += `## Analysis Warnings\n\n`;
+        }
+        if (failedChunks.length > 0) {
+            markdown += `The following parts of the document could not be analyzed, so their requirements are missing from this report:\n\n`;
+            failedChunks.forEach((chunk) => {
+                const pages = chunk.startPage !== null ? ` (pages ${chunk.startPage}-${chunk.endPage})` : '';
+                markdown += `- Part ${chunk.index + 1}: ${chunk.title}${pages} — ${chunk.error}\n`;
+            });
+            markdown += `\n`;
+        }
+        if (unrecoverable.length > 0) {
+            markdown += `The model did not return the following fields, so they were filled with defaults. Review them against the source document:\n\n`;
+            unrecoverable.forEach((field) => {
+                markdown += `- \`${field}\`\n`;
+            });
         }
 
         return markdown;
     }
+
+    // Bold requirement ID in front of a listed item, when the item has one
+    formatRequirementId(analysis, path, index) {
+        const id = requirementId(analysis, path, index);
+        return id ? `**${id}** ` : '';
+    }
+
+    // Quote and location under a cited item, or a visible warning when the quote is missing from the source
+    formatCitation(analysis, path, index) {
+        const citation = (analysis.citations || []).find(entry => entry.path === path && entry.index === index);
+        if (!citation) {
+            return '';
+        }
+
+        if (!citation.verified) {
+            return `   - **Unverified:** ${citation.reason}${citation.quote ? ` (quoted: "${citation.quote}")` : ''}\n`;
+        }
+
+        const section = citation.location?.section || citation.section;
+        const page = citation.location?.page ?? citation.page;
+        const reference = [section && `§ ${section}`, page && `p. ${page}`].filter(Boolean).join(', ');
+        return `   > "${citation.quote}"${reference ? ` — ${reference}` : ''}\n`;
+    }
+
+    // The document a listed item came from; only shown when the analysis consolidates several documents
+    formatSource(analysis, path, index) {
+        if ((analysis.metadata?.documents || []).length < 2) {
+            return '';
+        }
+        const source = formatDocumentSource(analysis, path, index);
+        return source ? `   - *From:* ${source}\n` : '';
+    }
 }
 
 module.exports = GeminiService;
\ No newline at end of file
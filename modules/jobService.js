@@ -0,0 +1,301 @@
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { DOCUMENT_KINDS } = require('./documentSet');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const TERMINAL_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Stages of RFP processing with their share of the overall progress
+const RFP_STAGES = [
+    { key: 'convert', title: 'Convert document', weight: 10 },
+    { key: 'analyze', title: 'Analyze requirements', weight: 80 },
+    { key: 'artifacts', title: 'Generate artifacts', weight: 10 }
+];
+
+function isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+}
+
+// The job as clients see it: the uploaded file's location on the server stays internal
+function publicJob(job) {
+    const { filePath, ...input } = job.input || {};
+    return { ...job, input };
+}
+
+// Runs RFP processing in the background, one job at a time. Jobs are persisted in the database so their
+// status survives restarts; jobs that were queued or running when the server stopped are started again.
+// Every change is emitted as an 'update' event with the full job.
+class JobService extends EventEmitter {
+    constructor(db, proposalService) {
+        super();
+        this.db = db;
+        this.proposalService = proposalService;
+        this.queue = [];
+        this.activeJobId = null;
+        this.controllers = new Map();
+        this.writeChain = Promise.resolve();
+
+        // Each open progress stream subscribes to updates
+        this.setMaxListeners(0);
+    }
+
+    // options.documentKind: a DOCUMENT_KINDS key, or 'auto' to classify the document when it is processed
+    async enqueueRfpProcessing(userId, proposalId, filePath, originalName, options = {}) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            await this.proposalService.fileService.deleteUploadedFile(filePath);
+            throw new Error('Proposal not found');
+        }
+
+        const documentKind = options.documentKind || 'auto';
+        if (documentKind !== 'auto' && !DOCUMENT_KINDS[documentKind]) {
+            await this.proposalService.fileService.deleteUploadedFile(filePath);
+            throw new Error(`Unknown document type: ${documentKind}. Use one of auto, ${Object.keys(DOCUMENT_KINDS).join(', ')}.`);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: uuidv4(),
+            type: 'rfp-processing',
+            userId,
+            proposalId,
+            status: JOB_STATUS.QUEUED,
+            progress: 0,
+            stages: RFP_STAGES.map(stage => ({ key: stage.key, title: stage.title, status: 'pending', progress: 0 })),
+            input: { filePath, originalName, documentKind },
+            result: null,
+            error: null,
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        await this.db.createJob(job);
+        this.emit('update', job);
+
+        this.queue.push(job.id);
+        this.processQueue();
+        return job;
+    }
+
+    async getJob(userId, jobId) {
+        const job = await this.db.findJob(jobId);
+        if (!job || job.userId !== userId) {
+            throw new Error('Job not found');
+        }
+        return job;
+    }
+
+    async listProposalJobs(userId, proposalId) {
+        const jobs = await this.db.getJobsByProposal(userId, proposalId);
+        return jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async cancelJob(userId, jobId) {
+        const job = await this.getJob(userId, jobId);
+        if (isTerminal(job)) {
+            throw new Error(`Job already ${job.status}`);
+        }
+
+        if (job.status === JOB_STATUS.QUEUED) {
+            this.queue = this.queue.filter(id => id !== jobId);
+            await this.proposalService.fileService.deleteUploadedFile(job.input.filePath);
+            return this.updateJob(jobId, {
+                status: JOB_STATUS.CANCELLED,
+                finishedAt: new Date().toISOString()
+            });
+        }
+
+        // Running jobs stop at the next checkpoint (between stages or document chunks)
+        const controller = this.controllers.get(jobId);
+        if (controller) {
+            controller.abort();
+        }
+        return this.updateJob(jobId, { cancelRequested: true });
+    }
+
+    // Called at startup: anything that was queued or interrupted mid-run is queued again
+    async resumePendingJobs() {
+        await this.db.ready;
+        const pending = await this.db.getJobsByStatus([JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]);
+        pending.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        for (const job of pending) {
+            if (!(await fs.pathExists(job.input.filePath))) {
+                await this.updateJob(job.id, {
+                    status: JOB_STATUS.FAILED,
+                    error: 'Uploaded document is no longer available; please upload it again.',
+                    finishedAt: new Date().toISOString()
+                });
+                continue;
+            }
+
+            if (job.status === JOB_STATUS.RUNNING) {
+                console.log(`Resuming interrupted job ${job.id} for proposal ${job.proposalId}`);
+                await this.updateJob(job.id, {
+                    status: JOB_STATUS.QUEUED,
+                    resumedAt: new Date().toISOString()
+                });
+            }
+            this.queue.push(job.id);
+        }
+
+        this.processQueue();
+        return pending.length;
+    }
+
+    async processQueue() {
+        if (this.activeJobId || !this.queue.length) {
+            return;
+        }
+
+        const jobId = this.queue.shift();
+        this.activeJobId = jobId;
+        try {
+            await this.runJob(jobId);
+        } catch (error) {
+            console.error(`Job ${jobId} could not be run:`, error);
+        } finally {
+            this.activeJobId = null;
+            this.processQueue();
+        }
+    }
+
+    async runJob(jobId) {
+        const job = await this.db.findJob(jobId);
+        if (!job || job.status !== JOB_STATUS.QUEUED) {
+            return;
+        }
+
+        const controller = new AbortController();
+        this.controllers.set(jobId, controller);
+
+        await this.updateJob(jobId, {
+            status: JOB_STATUS.RUNNING,
+            startedAt: new Date().toISOString(),
+            attempts: (job.attempts || 0) + 1,
+            progress: 0,
+            stages: RFP_STAGES.map(stage => ({ key: stage.key, title: stage.title, status: 'pending', progress: 0 }))
+        });
+
+        try {
+            const result = await this.proposalService.processRFPDocument(
+                job.userId,
+                job.proposalId,
+                job.input.filePath,
+                job.input.originalName,
+                {
+                    documentKind: job.input.documentKind,
+                    signal: controller.signal,
+                    onProgress: event => this.recordProgress(jobId, event)
+                }
+            );
+
+            await this.updateJob(jobId, current => ({
+                status: JOB_STATUS.SUCCEEDED,
+                progress: 100,
+                stages: current.stages.map(stage => ({ ...stage, status: 'completed', progress: 100 })),
+                finishedAt: new Date().toISOString(),
+                result: {
+                    document: result.document,
+                    impact: result.impact?.summary || null,
+                    artifacts: result.artifacts,
+                    validation: result.analysis.validation,
+                    grounding: result.analysis.grounding
+                }
+            }));
+        } catch (error) {
+            const cancelled = controller.signal.aborted;
+            if (!cancelled) {
+                console.error(`Job ${jobId} failed:`, error.message);
+            }
+
+            await this.updateJob(jobId, current => ({
+                status: cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+                error: cancelled ? null : error.message,
+                stages: current.stages.map(stage => (stage.status === 'running'
+                    ? { ...stage, status: cancelled ? 'cancelled' : 'failed' }
+                    : stage)),
+                finishedAt: new Date().toISOString()
+            }));
+        } finally {
+            this.controllers.delete(jobId);
+        }
+    }
+
+    // Progress events come from processRFPDocument: { stage, status } for stage changes and
+    // { stage: 'analyze', completed, total, chunk } for each document chunk
+    recordProgress(jobId, event) {
+        this.updateJob(jobId, current => {
+            const stages = current.stages.map(stage => {
+                if (stage.key !== event.stage) {
+                    return stage;
+                }
+
+                const next = { ...stage, status: event.status || 'running' };
+                if (event.total) {
+                    next.progress = Math.round((event.completed / event.total) * 100);
+                    next.completedChunks = event.completed;
+                    next.totalChunks = event.total;
+                } else if (next.status === 'completed') {
+                    next.progress = 100;
+                }
+
+                if (event.chunk) {
+                    const chunks = [...(stage.chunks || [])];
+                    chunks[event.chunk.index] = event.chunk;
+                    next.chunks = chunks;
+                }
+                return next;
+            });
+
+            const progress = Math.round(RFP_STAGES.reduce((total, definition) => {
+                const stage = stages.find(entry => entry.key === definition.key);
+                return total + (definition.weight * (stage?.progress || 0)) / 100;
+            }, 0));
+
+            return { stages, progress, currentStage: event.stage };
+        }).catch(error => {
+            console.error(`Failed to record progress for job ${jobId}:`, error.message);
+        });
+    }
+
+    // Job writes are serialized so progress events never overwrite each other; updates may be a function
+    // of the current job
+    updateJob(jobId, updates) {
+        const write = this.writeChain.then(async () => {
+            let changes = updates;
+            if (typeof updates === 'function') {
+                const current = await this.db.findJob(jobId);
+                if (!current) {
+                    throw new Error('Job not found');
+                }
+                changes = updates(current);
+            }
+
+            const job = await this.db.updateJob(jobId, changes);
+            this.emit('update', job);
+            return job;
+        });
+
+        this.writeChain = write.catch(() => {});
+        return write;
+    }
+}
+
+module.exports = {
+    JobService,
+    JOB_STATUS,
+    isTerminal,
+    publicJob
+};
@@ -0,0 +1,60 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LlmProvider = require('./llmProvider');
+
+const DEFAULT_MODELS = ['gemini-2.0-flash'];
+
+class GeminiProvider extends LlmProvider {
+    constructor(options = {}) {
+        super('gemini', options.models?.length ? options.models : DEFAULT_MODELS);
+        this.apiKey = options.apiKey;
+        this.genAI = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+    }
+
+    getModel(model, generationConfig = {}) {
+        // Checked per call so a missing key fails the request instead of the server start
+        if (!this.genAI) {
+            throw new Error('GEMINI_API_KEY environment variable is required for the Gemini provider');
+        }
+        return this.genAI.getGenerativeModel({ model, generationConfig });
+    }
+
+    async _analyze(model, prompt, options) {
+        const generativeModel = this.getModel(model, {
+            temperature: 0,
+            responseMimeType: 'application/json',
+            ...options.generationConfig
+        });
+        const result = await generativeModel.generateContent(prompt);
+        return result.response.text();
+    }
+
+    async _generate(model, prompt, options) {
+        const generativeModel = this.getModel(model, this.buildGenerationConfig(options));
+        const result = await generativeModel.generateContent(prompt);
+        return result.response.text();
+    }
+
+    async *_stream(model, prompt, options) {
+        const generativeModel = this.getModel(model, this.buildGenerationConfig(options));
+        const result = await generativeModel.generateContentStream(prompt);
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) {
+                yield text;
+            }
+        }
+    }
+
+    buildGenerationConfig(options) {
+        const config = { ...options.generationConfig };
+        if (options.temperature !== undefined) {
+            config.temperature = options.temperature;
+        }
+        if (options.maxTokens !== undefined) {
+            config.maxOutputTokens = options.maxTokens;
+        }
+        return config;
+    }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,47 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+    gemini: env => new GeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        models: parseList(env.GEMINI_MODELS)
+    }),
+    openai: env => new OpenAiCompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        models: parseList(env.OPENAI_MODELS || env.OPENAI_MODEL),
+        jsonMode: env.OPENAI_JSON_MODE !== 'false',
+        timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || undefined
+    }),
+    mock: env => new MockProvider({
+        fixturesDir: env.MOCK_LLM_FIXTURES_DIR
+    })
+};
+
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Picks the provider named by LLM_PROVIDER (default: gemini, or the offline mock under NODE_ENV=test)
+function createLlmProvider(env = process.env) {
+    const defaultProvider = env.NODE_ENV === 'test' ? 'mock' : 'gemini';
+    const name = (env.LLM_PROVIDER || defaultProvider).trim().toLowerCase();
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const provider = factory(env);
+    console.log(`LLM provider: ${provider.name} (models: ${provider.models.join(', ')})`);
+    return provider;
+}
+
+module.exports = {
+    createLlmProvider,
+    PROVIDERS
+};
@@ -0,0 +1,91 @@
+// Base class for LLM providers. Implementations override the _analyze/_generate/_stream hooks;
+// the public methods add model fallback so callers never deal with individual models.
+class LlmProvider {
+    constructor(name, models = []) {
+        this.name = name;
+        this.models = models.filter(Boolean);
+
+        if (this.models.length === 0) {
+            throw new Error(`No models configured for LLM provider "${name}"`);
+        }
+    }
+
+    // Structured extraction: deterministic output, JSON requested where the backend supports it
+    async analyze(prompt, options = {}) {
+        return this.withModelFallback(model => this._analyze(model, prompt, options));
+    }
+
+    // Free-form text generation
+    async generate(prompt, options = {}) {
+        return this.withModelFallback(model => this._generate(model, prompt, options));
+    }
+
+    // Yields text chunks as they arrive. Falls back to the next model only if nothing was emitted yet.
+    async *stream(prompt, options = {}) {
+        let lastError = null;
+
+        for (const model of this.models) {
+            let emitted = false;
+            try {
+                for await (const chunk of this._stream(model, prompt, options)) {
+                    emitted = true;
+                    yield chunk;
+                }
+                return;
+            } catch (error) {
+                if (emitted) {
+                    throw error;
+                }
+                lastError = error;
+                console.error(`${this.name} model ${model} failed while streaming:`, error.message);
+            }
+        }
+
+        throw this.exhaustedError(lastError);
+    }
+
+    async withModelFallback(operation) {
+        let lastError = null;
+
+        for (const model of this.models) {
+            console.log(`Calling ${this.name} model: ${model}`);
+            try {
+                const text = await operation(model);
+                return { text, model, provider: this.name };
+            } catch (error) {
+                lastError = error;
+                if (this.isQuotaError(error)) {
+                    console.log(`Quota exceeded for ${model}, trying next model...`);
+                } else {
+                    console.error(`Model ${model} failed:`, error.message);
+                }
+            }
+        }
+
+        throw this.exhaustedError(lastError);
+    }
+
+    isQuotaError(error) {
+        const message = error?.message || '';
+        return error?.status === 429 || message.includes('429') || message.toLowerCase().includes('quota');
+    }
+
+    exhaustedError(lastError) {
+        const detail = lastError ? ` Last error: ${lastError.message}` : '';
+        return new Error(`All ${this.name} models failed. Please try again later or check your API quota.${detail}`);
+    }
+
+    async _analyze(model, prompt, options) {
+        return this._generate(model, prompt, { ...options, temperature: 0 });
+    }
+
+    async _generate() {
+        throw new Error(`${this.name} provider does not implement generate()`);
+    }
+
+    async *_stream(model, prompt, options) {
+        yield await this._generate(model, prompt, options);
+    }
+}
+
+module.exports = LlmProvider;
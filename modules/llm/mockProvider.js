@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const LlmProvider = require('./llmProvider');
+
+const NOT_SPECIFIED = 'Not specified in RFP';
+const MAX_ITEMS_PER_LIST = 25;
+
+const REQUIREMENT_PATTERN = /\b(shall|must|is required to|are required to|will be required to|required to)\b/i;
+const TECHNICAL_PATTERN = /\b(system|software|platform|hosting|hosted|cloud|api|integrat\w*|interface|database|data|server|network|security|encrypt\w*|sso|single sign-on|authentication|performance|availability|uptime|browser|mobile|infrastructure|backup)\b/i;
+const COMPLIANCE_PATTERN = /\b(comply|compliance|compliant|certif\w*|regulat\w*|law|statute|hipaa|fedramp|fisma|gdpr|ada|section 508|wcag|insurance|licen[cs]\w*|audit|accessib\w*|bond|w-9|e-verify)\b/i;
+const DELIVERABLE_PATTERN = /\b(deliver\w*|report\w*|documentation|training|plan|manual|submit\w*|provide .*(report|plan|documentation)|handover|transition)\b/i;
+const EVALUATION_PATTERN = /\b(evaluat\w*|scor\w*|points|weight\w*|criteria|criterion|award\w*)\b/i;
+const DATE_PATTERN = /\b(?:\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.? \d{1,2},? \d{4})\b/i;
+
+// Offline provider for development and automated tests: no network, same input -> same output.
+// Analyses come from a fixture file when one matches, otherwise from keyword heuristics over the document.
+class MockProvider extends LlmProvider {
+    constructor(options = {}) {
+        super('mock', ['mock-heuristic']);
+        this.fixturesDir = options.fixturesDir || null;
+    }
+
+    async _analyze(model, prompt, options) {
+        const document = options.document || extractDocument(prompt);
+
+        const fixture = await this.loadFixture(document, options.fileName);
+        if (fixture) {
+            return JSON.stringify(fixture);
+        }
+
+        return JSON.stringify(buildHeuristicAnalysis(document, {
+            fileName: options.fileName || 'document.md',
+            proposalName: options.proposalName || 'Proposal',
+            analysisDate: options.analysisDate || new Date(0).toISOString(),
+            modelUsed: model
+        }));
+    }
+
+    async _generate(model, prompt) {
+        const digest = hashText(prompt).slice(0, 12);
+        const firstLine = prompt.trim().split(/\r?\n/)[0].slice(0, 200);
+        return `[mock response ${digest}] ${firstLine}`;
+    }
+
+    async *_stream(model, prompt, options) {
+        const text = await this._generate(model, prompt, options);
+        for (const word of text.split(/(?<=\s)/)) {
+            yield word;
+        }
+    }
+
+    // Fixtures are looked up by document hash first, then by the source file name
+    async loadFixture(document, fileName) {
+        if (!this.fixturesDir) {
+            return null;
+        }
+
+        const candidates = [`${hashText(document)}.json`];
+        if (fileName) {
+            candidates.push(`${path.basename(fileName, path.extname(fileName))}.json`);
+        }
+
+        for (const candidate of candidates) {
+            const fixturePath = path.join(this.fixturesDir, candidate);
+            if (await fs.pathExists(fixturePath)) {
+                console.log(`Mock LLM using fixture ${fixturePath}`);
+                return fs.readJson(fixturePath);
+            }
+        }
+        return null;
+    }
+}
+
+function hashText(text) {
+    return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+function extractDocument(prompt) {
+    const match = /DOCUMENT TO ANALYZE:\s*([\s\S]*?)\n\s*Please provide/.exec(prompt);
+    return match ? match[1] : prompt;
+}
+
+function buildHeuristicAnalysis(document, metadata) {
+    const lines = document.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const sentences = splitSentences(document);
+
+    const requirements = { functional: [], technical: [], compliance: [], deliverables: [] };
+    sentences.filter(sentence => REQUIREMENT_PATTERN.test(sentence)).forEach(sentence => {
+        if (COMPLIANCE_PATTERN.test(sentence)) {
+            requirements.compliance.push(sentence);
+        } else if (TECHNICAL_PATTERN.test(sentence)) {
+            requirements.technical.push(sentence);
+        } else if (DELIVERABLE_PATTERN.test(sentence)) {
+            requirements.deliverables.push(sentence);
+        } else {
+            requirements.functional.push(sentence);
+        }
+    });
+    Object.keys(requirements).forEach(key => {
+        requirements[key] = unique(requirements[key]).slice(0, MAX_ITEMS_PER_LIST);
+    });
+
+    const criteria = unique(sentences.filter(sentence => EVALUATION_PATTERN.test(sentence) && !REQUIREMENT_PATTERN.test(sentence)))
+        .slice(0, MAX_ITEMS_PER_LIST);
+    const weights = unique(criteria.flatMap(sentence => sentence.match(/\d+(?:\.\d+)?\s?%/g) || []));
+    const timelineSentences = sentences.filter(sentence => /\b(within \d+|\d+\s+(days|weeks|months|years)|timeline|schedule|milestone|period of performance)\b/i.test(sentence));
+    const budgetSentences = sentences.filter(sentence => /\$\s?\d|\bbudget\b|not[- ]to[- ]exceed/i.test(sentence));
+    const resourceSentences = sentences.filter(sentence => /\b(staff|personnel|resources|key personnel|team)\b/i.test(sentence));
+    const questions = unique(sentences.filter(sentence => sentence.endsWith('?'))).slice(0, 10);
+
+    return {
+        metadata: {
+            fileName: metadata.fileName,
+            analysisDate: metadata.analysisDate,
+            proposalName: metadata.proposalName,
+            modelUsed: metadata.modelUsed
+        },
+        overview: {
+            title: findTitle(lines) || NOT_SPECIFIED,
+            organization: findOrganization(document) || NOT_SPECIFIED,
+            dueDate: findDueDate(sentences) || NOT_SPECIFIED,
+            projectSummary: findSummary(lines) || NOT_SPECIFIED
+        },
+        requirements: {
+            functional: requirements.functional.map(cite),
+            technical: requirements.technical.map(cite),
+            compliance: requirements.compliance.map(cite),
+            deliverables: requirements.deliverables.map(cite)
+        },
+        evaluation: {
+            criteria: criteria.map(cite),
+            weights: weights.length ? weights.join(', ') : NOT_SPECIFIED,
+            timeline: timelineSentences[0] || NOT_SPECIFIED
+        },
+        constraints: {
+            budget: citeOrDefault(budgetSentences[0]),
+            timeline: citeOrDefault(timelineSentences[1] || timelineSentences[0]),
+            resources: citeOrDefault(resourceSentences[0]),
+            other: unique(sentences.filter(sentence => /\b(must not|shall not|may not|prohibited|only)\b/i.test(sentence)))
+                .slice(0, 10)
+                .map(cite)
+        },
+        questions: questions.length
+            ? questions
+            : requirements.compliance.slice(0, 5).map(requirement => `How will we demonstrate compliance with: ${requirement}`),
+        opportunities: criteria.slice(0, 5).map(criterion => `Address evaluation criterion directly: ${criterion}`)
+    };
+}
+
+// Heuristic items are sentences lifted from the document, so each one is its own source quote
+function cite(sentence) {
+    return { text: sentence, quote: sentence, section: null, page: null };
+}
+
+function citeOrDefault(sentence) {
+    return sentence ? cite(sentence) : NOT_SPECIFIED;
+}
+
+function splitSentences(document) {
+    return document
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .split(/\r?\n/)
+        .filter(line => !/^\s*(#|\|)/.test(line))
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)]|[a-z][.)])\s+/, '').trim())
+        .join('\n')
+        .split(/(?<=[.!?])\s+|\n{2,}/)
+        .map(sentence => sentence.replace(/\s+/g, ' ').replace(/[*_`]/g, '').trim())
+        .filter(sentence => sentence.length >= 12 && sentence.length <= 600);
+}
+
+function findTitle(lines) {
+    const heading = lines.find(line => /^#{1,3}\s+/.test(line) && !/^#\s+(PDF|Word|RTF|RFP) Document:/i.test(line));
+    if (heading) {
+        return heading.replace(/^#+\s+/, '').trim();
+    }
+    return lines.find(line => !line.startsWith('<!--')) || null;
+}
+
+function findOrganization(document) {
+    const labelled = /(?:issuing (?:agency|organization)|issued by|agency|organization|owner)\s*[:\-]\s*([^\n.]{3,100})/i.exec(document);
+    if (labelled) {
+        return labelled[1].trim();
+    }
+    const named = /\b((?:City|County|State|Town|Department|Ministry|Office|University|Board) of [A-Z][\w&.' -]{2,60}?)(?=[,.;\n]| seeks| is | invites| requests)/.exec(document);
+    return named ? named[1].trim() : null;
+}
+
+function findDueDate(sentences) {
+    const dueSentence = sentences.find(sentence => /\b(due|deadline|no later than|submitted by|closing date)\b/i.test(sentence) && DATE_PATTERN.test(sentence));
+    if (dueSentence) {
+        return dueSentence.match(DATE_PATTERN)[0];
+    }
+    return null;
+}
+
+function findSummary(lines) {
+    const paragraph = lines.find(line => !/^(#|\||<!--|[-*•])/.test(line) && line.length > 60);
+    return paragraph ? paragraph.replace(/[*_`]/g, '').slice(0, 500) : null;
+}
+
+function unique(items) {
+    return [...new Set(items)];
+}
+
+module.exports = MockProvider;
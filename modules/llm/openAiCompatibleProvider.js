@@ -0,0 +1,137 @@
+const LlmProvider = require('./llmProvider');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Talks to any server implementing the OpenAI chat completions API (OpenAI, vLLM, Ollama, LM Studio, ...)
+class OpenAiCompatibleProvider extends LlmProvider {
+    constructor(options = {}) {
+        super('openai-compatible', options.models || []);
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        this.jsonMode = options.jsonMode !== false;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    async _analyze(model, prompt, options) {
+        const body = this.buildBody(model, prompt, { ...options, temperature: 0 });
+        if (this.jsonMode) {
+            body.response_format = { type: 'json_object' };
+        }
+        const data = await this.post(body);
+        return this.extractText(data);
+    }
+
+    async _generate(model, prompt, options) {
+        const data = await this.post(this.buildBody(model, prompt, options));
+        return this.extractText(data);
+    }
+
+    async *_stream(model, prompt, options) {
+        const response = await this.request({ ...this.buildBody(model, prompt, options), stream: true });
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+
+            // Server-sent events are separated by blank lines; keep any partial event for the next read
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+
+            for (const event of events) {
+                const text = this.parseStreamEvent(event);
+                if (text === null) {
+                    return;
+                }
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+
+        if (buffer.trim()) {
+            const text = this.parseStreamEvent(buffer);
+            if (text) {
+                yield text;
+            }
+        }
+    }
+
+    // Returns the delta text, '' for events without content, or null once the stream is done
+    parseStreamEvent(event) {
+        let text = '';
+        for (const line of event.split(/\r?\n/)) {
+            if (!line.startsWith('data:')) {
+                continue;
+            }
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') {
+                return null;
+            }
+            try {
+                const data = JSON.parse(payload);
+                text += data.choices?.[0]?.delta?.content || '';
+            } catch (error) {
+                console.error('Ignoring malformed stream event from LLM server:', error.message);
+            }
+        }
+        return text;
+    }
+
+    buildBody(model, prompt, options = {}) {
+        const messages = [];
+        if (options.system) {
+            messages.push({ role: 'system', content: options.system });
+        }
+        messages.push({ role: 'user', content: prompt });
+
+        const body = { model, messages };
+        if (options.temperature !== undefined) {
+            body.temperature = options.temperature;
+        }
+        if (options.maxTokens !== undefined) {
+            body.max_tokens = options.maxTokens;
+        }
+        return body;
+    }
+
+    async post(body) {
+        const response = await this.request(body);
+        return response.json();
+    }
+
+    async request(body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const error = new Error(`LLM server responded with ${response.status}: ${detail.slice(0, 500)}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+
+    extractText(data) {
+        const text = data?.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error('LLM server returned no message content');
+        }
+        return text;
+    }
+}
+
+module.exports = OpenAiCompatibleProvider;
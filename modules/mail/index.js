@@ -0,0 +1,82 @@
+const path = require('path');
+const { ConsoleTransport, FileTransport, SmtpTransport } = require('./transports');
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', '..', 'data', 'mail');
+
+const TRANSPORTS = {
+    console: () => new ConsoleTransport(),
+    file: env => new FileTransport({
+        dir: env.MAIL_DIR || DEFAULT_MAIL_DIR
+    }),
+    smtp: env => new SmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+    })
+};
+
+// Sends the app's emails through the transport named by MAIL_TRANSPORT (default: console)
+class Mailer {
+    constructor(transport, from) {
+        this.transport = transport;
+        this.from = from;
+    }
+
+    async send({ to, subject, text }) {
+        return this.transport.send({ from: this.from, to, subject, text });
+    }
+}
+
+function createMailer(env = process.env) {
+    const name = (env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+    const factory = TRANSPORTS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Supported transports: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    return new Mailer(factory(env), env.MAIL_FROM || 'AI RFP Proposal Generator <no-reply@localhost>');
+}
+
+// Email with the link to choose a new password
+function passwordResetMail({ username, link, ttlMinutes }) {
+    return {
+        subject: 'Reset your password',
+        text: [
+            `Hello ${username},`,
+            '',
+            'Someone asked to reset the password of your AI RFP Proposal Generator account. To choose a new password, open:',
+            '',
+            link,
+            '',
+            `The link works once and expires in ${ttlMinutes} minutes. Resetting signs you out everywhere.`,
+            'If you did not ask for this, ignore this email; your password stays the same.'
+        ].join('\n')
+    };
+}
+
+// Email with the link that confirms the address belongs to the account
+function emailVerificationMail({ username, link, ttlHours }) {
+    return {
+        subject: 'Confirm your email address',
+        text: [
+            `Hello ${username},`,
+            '',
+            'Please confirm that this is the email address of your AI RFP Proposal Generator account by opening:',
+            '',
+            link,
+            '',
+            `The link works once and expires in ${ttlHours} hours.`,
+            'If you did not sign up or change your email address, ignore this email.'
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    TRANSPORTS,
+    createMailer,
+    passwordResetMail,
+    emailVerificationMail
+};
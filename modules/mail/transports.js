@@ -0,0 +1,72 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Text of a message as an .eml file (RFC 5322 headers, plain text body)
+function formatMessage({ from, to, subject, text }) {
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text
+    ].join('\r\n');
+}
+
+// Prints messages to the server log; for local development
+class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(message) {
+        console.log(`--- Mail (not sent) ---\n${formatMessage(message)}\n--- End of mail ---`);
+        return { id: null };
+    }
+}
+
+// Writes each message to an .eml file in dir; for local testing
+class FileTransport {
+    constructor({ dir }) {
+        this.name = 'file';
+        this.dir = dir;
+    }
+
+    async send(message) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const recipient = message.to.replace(/[^a-z0-9@.-]+/gi, '_');
+        const file = path.join(this.dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.eml`);
+        await fs.writeFile(file, formatMessage(message));
+        return { id: file };
+    }
+}
+
+// Delivers through an SMTP server (nodemailer)
+class SmtpTransport {
+    constructor({ host, port, secure, user, pass }) {
+        if (!host) {
+            throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+        }
+        this.name = 'smtp';
+        const nodemailer = require('nodemailer');
+        this.transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { id: info.messageId };
+    }
+}
+
+module.exports = {
+    ConsoleTransport,
+    FileTransport,
+    SmtpTransport
+};
@@ -0,0 +1,154 @@
+const { v4: uuidv4 } = require('uuid');
+const { COLLECTIONS } = require('./storage');
+
+// Ordered upgrades of stored records. A record's schemaVersion is the last migration applied to it (none: 0);
+// new records are written at SCHEMA_VERSIONS. Migrations are synchronous, get a copy of the record and
+// return the upgraded record. Append new ones with the next version of their collection; never edit old ones.
+const MIGRATIONS = [
+    {
+        collection: 'users',
+        version: 1,
+        description: 'Start recording the schema version',
+        up: user => ({ email: null, theme: 'bright', ...user })
+    },
+    {
+        collection: 'users',
+        version: 2,
+        // No emailAddedAt: addresses from before verification stay reserved for their account until confirmed
+        description: 'Mark email addresses as not yet verified',
+        up: user => ({ ...user, emailVerified: false })
+    },
+    {
+        collection: 'sessions',
+        version: 1,
+        description: 'Start recording the schema version',
+        up: session => ({ rememberMe: false, ...session })
+    },
+    {
+        collection: 'sessions',
+        version: 2,
+        // Their cookies pointed at the in-memory express session, which no longer exists after a restart
+        description: 'Expire sessions from before login sessions were stored in the database',
+        up: session => (session.state ? session : { ...session, expiresAt: new Date(0).toISOString() })
+    },
+    {
+        collection: 'proposals',
+        version: 1,
+        description: 'Keep artifacts in artifacts.outputs instead of the unused templates/requirements lists',
+        up: (proposal) => {
+            const { templates = [], requirements = [], outputs = [], ...rest } = proposal.artifacts || {};
+            const names = new Set(outputs.map(artifact => artifact.name));
+            const legacy = [...templates, ...requirements].filter(artifact => artifact?.name && !names.has(artifact.name));
+            return {
+                ...proposal,
+                documents: proposal.documents || [],
+                artifacts: { ...rest, outputs: [...outputs, ...legacy] }
+            };
+        }
+    },
+    {
+        collection: 'proposals',
+        version: 2,
+        // Proposals analyzed before documents were kept separately have a single analysis for the last upload.
+        // It becomes the analysis of that document (the base RFP); earlier uploads had been overwritten.
+        description: 'Move the analysis of proposals from before multi-document support onto their document',
+        up: (proposal) => {
+            const analysis = proposal.artifacts.analysis;
+            if (!analysis || proposal.documents.some(document => document.analysis)) {
+                return proposal;
+            }
+
+            let document = proposal.documents[proposal.documents.length - 1];
+            if (!document) {
+                document = { id: uuidv4(), name: analysis.metadata?.fileName || 'RFP document', uploadedAt: analysis.metadata?.analysisDate };
+                proposal.documents.push(document);
+            }
+            const { metadata, sources, requirementIds, ...remaining } = analysis;
+            Object.assign(document, {
+                kind: 'base',
+                analysisCompleted: true,
+                sourceArtifact: proposal.artifacts.outputs.find(a => a.type === 'Source Document')?.name || null,
+                analysis: { ...remaining, metadata: { ...metadata, documents: undefined } }
+            });
+            return proposal;
+        }
+    },
+    {
+        collection: 'jobs',
+        version: 1,
+        description: 'Start recording the schema version',
+        up: job => job
+    }
+];
+
+const SCHEMA_VERSIONS = Object.fromEntries(COLLECTIONS.map(collection => [
+    collection,
+    Math.max(0, ...MIGRATIONS.filter(migration => migration.collection === collection).map(migration => migration.version))
+]));
+
+// The upgraded copy of record and the migrations it took, or null when it is current. Records written by a
+// newer version of the app are refused rather than guessed at.
+function migrateRecord(collection, record) {
+    const version = record.schemaVersion || 0;
+    if (version > SCHEMA_VERSIONS[collection]) {
+        throw new Error(`${collection} record ${record.id} has schema version ${version}; ` +
+            `this version of the app knows up to ${SCHEMA_VERSIONS[collection]}`);
+    }
+
+    let upgraded = structuredClone(record);
+    const applied = [];
+    MIGRATIONS
+        .filter(migration => migration.collection === collection && migration.version > version)
+        .forEach((migration) => {
+            upgraded = { ...migration.up(upgraded), schemaVersion: migration.version };
+            applied.push(migration);
+        });
+    return applied.length ? { record: upgraded, applied } : null;
+}
+
+// What running the migrations would change, per collection: { collection, records, pending: [{ id, from, to, migrations }] }
+async function planMigrations(store) {
+    const plan = [];
+    for (const collection of COLLECTIONS) {
+        const records = await store.listRecords(collection);
+        const pending = [];
+        records.forEach((record) => {
+            const result = migrateRecord(collection, record);
+            if (result) {
+                pending.push({
+                    id: record.id,
+                    from: record.schemaVersion || 0,
+                    to: result.record.schemaVersion,
+                    migrations: result.applied.map(migration => `${migration.version}: ${migration.description}`)
+                });
+            }
+        });
+        plan.push({ collection, records: records.length, pending });
+    }
+    return plan;
+}
+
+// Upgrades every outdated record; each collection is stored in one step. Unless dryRun, the data is backed
+// up first when anything is pending. Resolves to { plan, migrated, backup }.
+async function runMigrations(store, options = {}) {
+    const plan = await planMigrations(store);
+    const pending = plan.reduce((total, entry) => total + entry.pending.length, 0);
+    if (options.dryRun || !pending) {
+        return { plan, migrated: 0, backup: null };
+    }
+
+    const backup = await store.backup();
+    let migrated = 0;
+    for (const { collection } of plan) {
+        migrated += await store.updateRecords(collection, record => migrateRecord(collection, record)?.record || null);
+    }
+    return { plan, migrated, backup };
+}
+
+module.exports = {
+    MIGRATIONS,
+    SCHEMA_VERSIONS,
+    migrateRecord,
+    planMigrations,
+    runMigrations
+};
@@ -0,0 +1,122 @@
+// generateVariableTemplate seeds every user-written field with "{{ TO_BE_FILLED: hint }}"; a field counts as
+// filled once no placeholder remains in it
+const PLACEHOLDER_PATTERN = /\{\{\s*TO_BE_FILLED\s*:?\s*([\s\S]*?)\s*\}\}/g;
+
+// Completion is reported per section of the variables file; each section covers the listed top-level keys
+const COMPLETION_SECTIONS = [
+    { key: 'solution', title: 'Solution', keys: ['executiveSummary', 'solution', 'differentiators'] },
+    { key: 'team', title: 'Team & Company', keys: ['team', 'company'] },
+    { key: 'budget', title: 'Budget', keys: ['budget'] },
+    { key: 'responses', title: 'Requirement Responses', keys: ['responses'] },
+    { key: 'risks', title: 'Risk Management', keys: ['riskManagement'] }
+];
+
+// Placeholders outside the tracked sections (e.g. added to the template by hand) are reported here
+const OTHER_SECTION = { key: 'other', title: 'Other' };
+
+const PLACEHOLDER_POLICIES = ['warn', 'block'];
+
+// Raised when a render or export is refused because placeholders remain; completion is the full report
+class IncompleteProposalError extends Error {
+    constructor(message, completion) {
+        super(message);
+        this.name = 'IncompleteProposalError';
+        this.completion = completion;
+    }
+}
+
+function findPlaceholders(text) {
+    return Array.from(String(text || '').matchAll(PLACEHOLDER_PATTERN), match => match[1] || '');
+}
+
+function hasPlaceholder(text) {
+    return findPlaceholders(text).length > 0;
+}
+
+// Every scalar leaf of the variables object with its path ("team.keyPersonnel[0].name")
+function collectFields(value, path = '', fields = []) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => collectFields(item, `${path}[${index}]`, fields));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => collectFields(child, path ? `${path}.${key}` : key, fields));
+    } else if (value !== null && value !== undefined) {
+        fields.push({ path, value });
+    }
+    return fields;
+}
+
+function percentOf(filled, total) {
+    return total ? Math.round((filled / total) * 100) : 100;
+}
+
+function buildSection(definition, fields) {
+    const placeholders = fields
+        .filter(field => typeof field.value === 'string' && hasPlaceholder(field.value))
+        .map(field => ({ path: field.path, hint: findPlaceholders(field.value).filter(Boolean).join('; ') }));
+    const filled = fields.length - placeholders.length;
+
+    return {
+        key: definition.key,
+        title: definition.title,
+        total: fields.length,
+        filled,
+        remaining: placeholders.length,
+        percent: percentOf(filled, fields.length),
+        placeholders
+    };
+}
+
+// Completion report for a parsed variables object: totals plus one entry per section with the paths and
+// hints of the fields still to fill
+function scanPlaceholders(variables) {
+    const fields = collectFields(variables || {});
+    const topKey = field => field.path.split(/[.[]/)[0];
+
+    const sections = COMPLETION_SECTIONS.map(definition =>
+        buildSection(definition, fields.filter(field => definition.keys.includes(topKey(field)))));
+
+    const trackedKeys = COMPLETION_SECTIONS.flatMap(definition => definition.keys);
+    const other = buildSection(OTHER_SECTION, fields.filter(field =>
+        !trackedKeys.includes(topKey(field)) && typeof field.value === 'string' && hasPlaceholder(field.value)));
+    if (other.total) {
+        sections.push(other);
+    }
+
+    const total = sections.reduce((sum, section) => sum + section.total, 0);
+    const filled = sections.reduce((sum, section) => sum + section.filled, 0);
+
+    return {
+        total,
+        filled,
+        remaining: total - filled,
+        percent: percentOf(filled, total),
+        complete: filled === total,
+        sections,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+// The report without placeholder lists, small enough to keep on the proposal record for the proposal tree
+function summarizeCompletion(report) {
+    return {
+        ...report,
+        sections: report.sections.map(({ placeholders, ...section }) => section)
+    };
+}
+
+// What to do when placeholders remain: 'warn' lets the operation through and reports them, 'block' refuses
+// unless the caller explicitly allows an incomplete result
+function placeholderPolicy(operation) {
+    const defaults = { render: 'warn', export: 'block' };
+    const configured = (process.env[`PLACEHOLDER_${operation.toUpperCase()}_POLICY`] || '').toLowerCase();
+    return PLACEHOLDER_POLICIES.includes(configured) ? configured : defaults[operation];
+}
+
+module.exports = {
+    COMPLETION_SECTIONS,
+    IncompleteProposalError,
+    findPlaceholders,
+    scanPlaceholders,
+    summarizeCompletion,
+    placeholderPolicy
+};
@@ -1,6 +1,53 @@
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { createTwoFilesPatch, diffLines } = require('diff');
 const GeminiService = require('./geminiService');
 const FileService = require('./fileService');
+const { renderTemplate, parseVariables } = require('./templateRenderer');
+const {
+    EXPORT_FORMATS,
+    exportDocument,
+    buildExportMetadata,
+    MATRIX_EXPORT_FORMATS,
+    exportMatrix
+} = require('./exporters');
+const {
+    IncompleteProposalError,
+    findPlaceholders,
+    scanPlaceholders,
+    summarizeCompletion,
+    placeholderPolicy
+} = require('./placeholderTracker');
+const {
+    VARIABLES_SCHEMA,
+    VariablesValidationError,
+    validateVariables,
+    carryOverVariables
+} = require('./variablesSchema');
+const {
+    DOCUMENT_KINDS,
+    resolveDocumentKind,
+    orderDocuments,
+    mergeDocumentAnalyses
+} = require('./documentSet');
+const { buildAmendmentImpact, generateImpactMarkdown } = require('./amendmentImpact');
+const {
+    ConflictError,
+    proposalETag,
+    contentETag,
+    etagHash,
+    matchesETag,
+    KeyedLock
+} = require('./concurrency');
+const { mergeText } = require('./textMerge');
+const {
+    COMPLIANCE_STATUSES,
+    assignRequirementIds,
+    buildComplianceMatrix,
+    validateComplianceMatrix,
+    applyMatrixUpdates,
+    summarizeMatrix
+} = require('./complianceMatrix');
 
 const DEFAULT_PROPOSAL_COUNT = 1;
 
@@ -38,11 +85,20 @@ function buildSubtasks() {
     }));
 }
 
+// File name part for an uploaded document ("Addendum #2.pdf" -> "addendum-2")
+function fileSlug(name) {
+    return path.parse(name || '').name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'document';
+}
+
 class ProposalService {
     constructor(db) {
         this.db = db;
         this.geminiService = new GeminiService();
         this.fileService = new FileService();
+        // Artifact writes that check an ETag run one at a time per artifact
+        this.artifactLocks = new KeyedLock();
+        // Changes of a proposal's document set run one at a time per proposal
+        this.documentLocks = new KeyedLock();
     }
 
     async ensureSeedProposals(userId, username) {
@@ -105,127 +161,120 @@ class ProposalService {
         return true;
     }
 
-    async processRFPDocument(userId, proposalId, filePath, originalName) {
+    // Converts and analyzes one uploaded document and adds it to the proposal's document set (base RFP,
+    // amendments, attachments, Q&A). The consolidated artifacts are then rebuilt from all documents.
+    async processRFPDocument(userId, proposalId, filePath, originalName, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const { signal } = options;
+
         try {
             // Get the proposal
-            const proposal = await this.db.getProposalRecord(userId, proposalId);
+            let proposal = await this.db.getProposalRecord(userId, proposalId);
             if (!proposal) {
                 throw new Error('Proposal not found');
             }
 
             // Convert uploaded file to markdown format for better Gemini analysis
+            onProgress({ stage: 'convert', status: 'running' });
             const markdownContent = await this.fileService.convertToMarkdown(filePath, originalName, proposalId);
+            const kind = resolveDocumentKind(options.documentKind, originalName, markdownContent, proposal.documents);
 
             // Save the converted markdown in the proposal directory for analysis
             const safeBaseName = (proposal.name || 'proposal').replace(/\s+/g, '-').toLowerCase();
-            const markdownFileName = `${safeBaseName}-source-document.md`;
+            const markdownFileName = `${safeBaseName}-source-${fileSlug(originalName)}.md`;
             const markdownFile = await this.fileService.saveGeneratedFile(
                 markdownContent,
                 markdownFileName,
                 proposalId,
-                'text'
+                'text',
+                await this._versionInfo(userId, `Converted from ${originalName}`)
             );
 
+            onProgress({ stage: 'convert', status: 'completed' });
+            signal?.throwIfAborted();
+
             // Analyze the document with Gemini using the markdown version
             const analysis = await this.geminiService.analyzeRFPDocument(
                 markdownFile.path,
                 markdownFileName,
-                proposal.name
+                proposal.name,
+                { onProgress, signal }
             );
+            onProgress({ stage: 'analyze', status: 'completed' });
+            signal?.throwIfAborted();
 
-            // Generate the three required files
-            const nunjucksTemplate = this.geminiService.generateNunjucksTemplate(analysis);
-            const variableTemplate = this.geminiService.generateVariableTemplate(analysis);
-            const requirementsDoc = this.geminiService.generateRequirementsMarkdown(analysis);
+            // The analysis takes a while; the document set is changed on the record as stored now, and merged
+            // back so artifacts generated meanwhile are kept
+            const { document, consolidated, impact, stored } = await this.documentLocks.run(proposalId, async () => {
+                proposal = await this.db.getProposalRecord(userId, proposalId);
+                if (!proposal) {
+                    throw new Error('Proposal not found');
+                }
+                const before = [...(proposal.artifacts?.outputs || [])];
 
-            // Save the generated files
+                // A new base RFP replaces the previous one, and uploading a document again replaces its analysis
+                const replaced = proposal.documents.filter(existing => existing.analysis &&
+                    ((kind === 'base' && existing.kind === 'base') || existing.sourceArtifact === markdownFile.name));
+                const document = {
+                    id: uuidv4(),
+                    name: originalName,
+                    kind,
+                    uploadedAt: new Date().toISOString(),
+                    analysisCompleted: true,
+                    sourceArtifact: markdownFile.name,
+                    analysis
+                };
+                proposal.documents = [...proposal.documents.filter(existing => !replaced.includes(existing)), document];
 
-            const templateFile = await this.fileService.saveGeneratedFile(
-                nunjucksTemplate,
-                `${safeBaseName}-response-template.md`,
-                proposalId,
-                'text'
-            );
+                const outputs = (proposal.artifacts?.outputs || []).filter(artifact => !(artifact.type === 'Source Document' &&
+                    replaced.some(existing => existing.sourceArtifact === artifact.name)));
+                await Promise.all(replaced
+                    .filter(existing => existing.sourceArtifact && existing.sourceArtifact !== markdownFile.name)
+                    .map(existing => this.fileService.deleteGeneratedFile(proposalId, existing.sourceArtifact).catch(() => {})));
 
-            const variableFile = await this.fileService.saveGeneratedFile(
-                variableTemplate,
-                `${safeBaseName}-variables.json`,
-                proposalId,
-                'json'
-            );
-
-            const requirementsFile = await this.fileService.saveGeneratedFile(
-                requirementsDoc,
-                `${safeBaseName}-requirements.md`,
-                proposalId,
-                'text'
-            );
+                proposal.artifacts = {
+                    ...proposal.artifacts,
+                    outputs: [
+                        ...outputs.filter(artifact => artifact.name !== markdownFile.name),
+                        {
+                            id: markdownFile.id,
+                            type: 'Source Document',
+                            documentId: document.id,
+                            name: markdownFile.name,
+                            filePath: markdownFile.path,
+                            createdAt: markdownFile.createdAt
+                        }
+                    ]
+                };
 
-            // Update proposal with document and artifacts
-            proposal.documents = proposal.documents || [];
-            proposal.documents.push({
-                id: uuidv4(),
-                name: originalName,
-                uploadedAt: new Date().toISOString(),
-                analysisCompleted: true
-            });
+                // Generate the consolidated artifacts
+                onProgress({ stage: 'artifacts', status: 'running' });
+                const consolidated = await this._applyDocumentSet(proposal, `Regenerated after analyzing ${originalName}`);
 
-            proposal.artifacts = proposal.artifacts || {};
-            proposal.artifacts.outputs = [
-                {
-                    id: markdownFile.id,
-                    type: 'Source Document',
-                    name: markdownFile.name,
-                    filePath: markdownFile.path,
-                    createdAt: markdownFile.createdAt
-                },
-                {
-                    id: templateFile.id,
-                    type: 'Template',
-                    name: templateFile.name,
-                    filePath: templateFile.path,
-                    createdAt: templateFile.createdAt
-                },
-                {
-                    id: variableFile.id,
-                    type: 'Variables',
-                    name: variableFile.name,
-                    filePath: variableFile.path,
-                    createdAt: variableFile.createdAt
-                },
-                {
-                    id: requirementsFile.id,
-                    type: 'Requirements',
-                    name: requirementsFile.name,
-                    filePath: requirementsFile.path,
-                    createdAt: requirementsFile.createdAt
+                // An amendment gets its impact on the bid right away
+                let impact = null;
+                if (kind === 'amendment') {
+                    try {
+                        ({ impact } = await this._saveAmendmentImpact(proposal, { documentId: document.id }));
+                    } catch (error) {
+                        console.warn(`Amendment impact of ${originalName} not generated:`, error.message);
+                    }
                 }
-            ];
-
-            proposal.artifacts.analysis = analysis;
-
-            // Update the upload_rfp subtask status
-            const uploadTask = proposal.subtasks.find(task => task.key === 'upload_rfp');
-            if (uploadTask) {
-                uploadTask.status = 'completed';
-                uploadTask.metadata = {
-                    completedAt: new Date().toISOString(),
-                    documentsProcessed: 1
-                };
-            }
 
-            proposal.updatedAt = new Date().toISOString();
-
-            // Save the updated proposal
-            await this.db.saveProposalRecord(proposal);
+                const stored = await this._storeDocumentSet(proposal, before);
+                return { document, consolidated, impact, stored };
+            });
 
             // Clean up the uploaded file
             await this.fileService.deleteUploadedFile(filePath);
+            onProgress({ stage: 'artifacts', status: 'completed' });
 
             return {
-                proposal,
-                analysis,
-                artifacts: proposal.artifacts.outputs
+                proposal: stored,
+                document: this._describeDocument(document),
+                analysis: consolidated,
+                impact,
+                artifacts: stored.artifacts.outputs
             };
 
         } catch (error) {
@@ -236,6 +285,80 @@ class ProposalService {
         }
     }
 
+    // Documents of the proposal without their analyses, in merge order
+    async listDocuments(userId, proposalId) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        return orderDocuments(proposal.documents.filter(document => document.analysis))
+            .map(document => this._describeDocument(document));
+    }
+
+    // Changes the kind of an analyzed document and rebuilds the consolidated artifacts; no re-analysis needed.
+    // ifMatch is the proposal ETag the change was made against.
+    async updateDocument(userId, proposalId, documentId, { kind, ifMatch }) {
+        return this.documentLocks.run(proposalId, async () => {
+            const proposal = await this.db.getProposalRecord(userId, proposalId);
+            if (!proposal) {
+                throw new Error('Proposal not found');
+            }
+
+            this._checkProposalETag(proposal, ifMatch);
+            const document = proposal.documents.find(entry => entry.id === documentId && entry.analysis);
+            if (!document) {
+                throw new Error('Document not found');
+            }
+            if (!DOCUMENT_KINDS[kind]) {
+                throw new Error(`Unknown document type: ${kind}. Use one of ${Object.keys(DOCUMENT_KINDS).join(', ')}.`);
+            }
+
+            const before = [...proposal.artifacts.outputs];
+            document.kind = kind;
+            await this._applyDocumentSet(proposal, `Regenerated after marking ${document.name} as ${DOCUMENT_KINDS[kind].title}`);
+            const stored = await this._storeDocumentSet(proposal, before);
+
+            return {
+                document: this._describeDocument(document),
+                artifacts: stored.artifacts.outputs,
+                etag: proposalETag(stored)
+            };
+        });
+    }
+
+    // Removes a document from the bid and rebuilds the consolidated artifacts from the remaining ones
+    async deleteDocument(userId, proposalId, documentId) {
+        return this.documentLocks.run(proposalId, async () => {
+            const proposal = await this.db.getProposalRecord(userId, proposalId);
+            if (!proposal) {
+                throw new Error('Proposal not found');
+            }
+
+            const document = proposal.documents.find(entry => entry.id === documentId);
+            if (!document) {
+                throw new Error('Document not found');
+            }
+            if (document.analysis && proposal.documents.filter(entry => entry.analysis).length === 1) {
+                throw new Error('This is the only analyzed document. Upload another one before removing it.');
+            }
+
+            const before = [...proposal.artifacts.outputs];
+            proposal.documents = proposal.documents.filter(entry => entry !== document);
+            if (document.sourceArtifact) {
+                proposal.artifacts.outputs = proposal.artifacts.outputs.filter(artifact => artifact.name !== document.sourceArtifact);
+                await this.fileService.deleteGeneratedFile(proposalId, document.sourceArtifact).catch(() => {});
+            }
+
+            if (document.analysis) {
+                await this._applyDocumentSet(proposal, `Regenerated after removing ${document.name}`);
+            }
+            const stored = await this._storeDocumentSet(proposal, before);
+
+            return { artifacts: stored.artifacts.outputs, etag: proposalETag(stored) };
+        });
+    }
+
     async getProposalArtifacts(userId, proposalId) {
         const proposal = await this.db.getProposalRecord(userId, proposalId);
         if (!proposal) {
@@ -245,16 +368,41 @@ class ProposalService {
         return proposal.artifacts || { outputs: [], analysis: null };
     }
 
+    async getProposal(userId, proposalId) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+        return proposal;
+    }
+
     async downloadArtifact(userId, proposalId, fileName) {
         const proposal = await this.db.getProposalRecord(userId, proposalId);
         if (!proposal) {
             throw new Error('Proposal not found');
         }
 
-        return await this.fileService.getGeneratedFile(proposalId, fileName);
+        const file = await this.fileService.getGeneratedFile(proposalId, fileName);
+        return { ...file, etag: contentETag(file.content) };
     }
 
-    async updateArtifact(userId, proposalId, fileName, content) {
+    // Location and content type of an artifact for streaming downloads (exports are binary)
+    async getArtifactDownload(userId, proposalId, fileName) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        return {
+            path: await this.fileService.getGeneratedFilePath(proposalId, fileName),
+            contentType: this.fileService.getMimeType(fileName)
+        };
+    }
+
+    // options.note describes the change in the artifact's version history. options.ifMatch is the ETag of the
+    // copy the edit was made on; when the artifact was saved since, a ConflictError carries the saved copy and
+    // a merge of both edits instead.
+    async updateArtifact(userId, proposalId, fileName, content, options = {}) {
         const proposal = await this.db.getProposalRecord(userId, proposalId);
         if (!proposal) {
             throw new Error('Proposal not found');
@@ -266,25 +414,794 @@ class ProposalService {
             throw new Error('Artifact not found');
         }
 
-        // Update the file content
-        const updatedFile = await this.fileService.updateGeneratedFile(proposalId, fileName, content);
+        // JSON artifacts must stay parseable and the variables file must keep the shape the template expects;
+        // nothing is written otherwise
+        let variables = null;
+        if (artifact.type === 'Variables' || fileName.endsWith('.json')) {
+            const parsed = parseVariables(content, fileName);
+            if (artifact.type === 'Variables') {
+                const validation = validateVariables(parsed);
+                if (!validation.valid) {
+                    throw new VariablesValidationError(validation.errors);
+                }
+                variables = parsed;
+            }
+            if (artifact.type === 'Compliance Matrix') {
+                const errors = validateComplianceMatrix(parsed);
+                if (errors.length) {
+                    throw new Error(`Invalid compliance matrix: ${errors.join('; ')}`);
+                }
+            }
+        }
 
-        // Update artifact metadata
-        artifact.size = updatedFile.size;
-        artifact.updatedAt = new Date().toISOString();
+        return this.artifactLocks.run(`${proposalId}/${fileName}`, async () => {
+            const current = await this.fileService.getGeneratedFile(proposalId, fileName);
+            await this._checkArtifactETag(proposalId, fileName, current.content, options.ifMatch, content);
 
-        // Save the updated proposal
-        proposal.updatedAt = new Date().toISOString();
-        await this.db.saveProposalRecord(proposal);
+            // Update the file content
+            const updatedFile = await this.fileService.updateGeneratedFile(
+                proposalId,
+                fileName,
+                content,
+                await this._versionInfo(userId, options.note || 'Edited')
+            );
+
+            // Update artifact metadata on the stored record; the content ETag already guarded this write
+            const updatedAt = new Date().toISOString();
+            await this.db.updateProposalRecord(userId, proposalId, (stored) => {
+                const storedArtifact = stored.artifacts?.outputs?.find(a => a.name === fileName);
+                if (storedArtifact) {
+                    storedArtifact.size = updatedFile.size;
+                    storedArtifact.updatedAt = updatedAt;
+                }
+                if (variables) {
+                    stored.completion = summarizeCompletion(scanPlaceholders(variables));
+                }
+                stored.updatedAt = updatedAt;
+            });
+
+            return {
+                id: artifact.id,
+                name: fileName,
+                size: updatedFile.size,
+                updated: updatedAt,
+                etag: contentETag(content)
+            };
+        });
+    }
+
+    // Saved versions of an artifact, newest first. Every save and regeneration records one; exports are not
+    // versioned because they are rebuilt from the draft.
+    async listArtifactVersions(userId, proposalId, fileName) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        this._findVersionedArtifact(proposal, fileName);
+        return await this.fileService.listFileVersions(proposalId, fileName);
+    }
+
+    async getArtifactVersion(userId, proposalId, fileName, version) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        this._findVersionedArtifact(proposal, fileName);
+        return await this.fileService.getFileVersion(proposalId, fileName, version);
+    }
+
+    // Unified diff between two versions of an artifact; without `to` the newest version is compared
+    async diffArtifactVersions(userId, proposalId, fileName, from, to) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        this._findVersionedArtifact(proposal, fileName);
+        const versions = await this.fileService.listFileVersions(proposalId, fileName);
+        const older = await this.fileService.getFileVersion(proposalId, fileName, from);
+        const newer = await this.fileService.getFileVersion(proposalId, fileName, to ?? versions[0].version);
+
+        const changes = diffLines(older.content, newer.content);
+        const { content: oldContent, ...fromVersion } = older;
+        const { content: newContent, ...toVersion } = newer;
+        return {
+            fileName,
+            from: fromVersion,
+            to: toVersion,
+            patch: createTwoFilesPatch(
+                `${fileName} (version ${older.version})`,
+                `${fileName} (version ${newer.version})`,
+                oldContent,
+                newContent,
+                older.createdAt,
+                newer.createdAt
+            ),
+            additions: changes.filter(change => change.added).reduce((total, change) => total + change.count, 0),
+            deletions: changes.filter(change => change.removed).reduce((total, change) => total + change.count, 0)
+        };
+    }
+
+    // Restoring saves the old content as a new version, with the same validation as an edit, so it can be
+    // undone as well
+    async restoreArtifactVersion(userId, proposalId, fileName, version) {
+        const { content, version: restored } = await this.getArtifactVersion(userId, proposalId, fileName, version);
+        const artifact = await this.updateArtifact(userId, proposalId, fileName, content, {
+            note: `Restored version ${restored}`
+        });
+        const [latest] = await this.fileService.listFileVersions(proposalId, fileName);
+
+        return { artifact, version: latest };
+    }
+
+    // Parsed variables artifact together with the schema the browser builds the variables form from
+    async getVariables(userId, proposalId) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const variablesArtifact = (proposal.artifacts?.outputs || []).find(a => a.type === 'Variables');
+        if (!variablesArtifact) {
+            throw new Error('Upload and analyze an RFP document before editing variables');
+        }
+
+        const variablesFile = await this.fileService.getGeneratedFile(proposalId, variablesArtifact.name);
+        return {
+            fileName: variablesArtifact.name,
+            variables: parseVariables(variablesFile.content, variablesArtifact.name),
+            schema: VARIABLES_SCHEMA,
+            etag: contentETag(variablesFile.content)
+        };
+    }
+
+    // Saves the variables submitted by the variables form; validation and options.ifMatch work as for a raw
+    // JSON edit
+    async saveVariables(userId, proposalId, variables, options = {}) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const variablesArtifact = (proposal.artifacts?.outputs || []).find(a => a.type === 'Variables');
+        if (!variablesArtifact) {
+            throw new Error('Upload and analyze an RFP document before editing variables');
+        }
+
+        const artifact = await this.updateArtifact(
+            userId,
+            proposalId,
+            variablesArtifact.name,
+            JSON.stringify(variables, null, 2),
+            { note: 'Edited in the variables form', ifMatch: options.ifMatch }
+        );
+        const updated = await this.db.getProposalRecord(userId, proposalId);
+
+        return { artifact, completion: updated.completion };
+    }
+
+    // Completion report for the variables artifact, computed on every read. The summary kept on the proposal is
+    // only written along with the variables it is computed from.
+    async getCompletion(userId, proposalId) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const completion = await this._loadCompletion(proposal);
+        if (!completion) {
+            throw new Error('Upload and analyze an RFP document before tracking completion');
+        }
+
+        return completion;
+    }
+
+    // Renders the response template with the current variables file and stores the result as the Draft artifact.
+    // Unfilled placeholders are reported, or refuse the render when the render policy is 'block' and the caller
+    // did not pass allowIncomplete.
+    async renderDraft(userId, proposalId, options = {}) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const outputs = proposal.artifacts?.outputs || [];
+        const templateArtifact = outputs.find(a => a.type === 'Template');
+        const variablesArtifact = outputs.find(a => a.type === 'Variables');
+        if (!templateArtifact || !variablesArtifact) {
+            throw new Error('Upload and analyze an RFP document before rendering a draft');
+        }
+
+        const templateFile = await this.fileService.getGeneratedFile(proposalId, templateArtifact.name);
+        const variablesFile = await this.fileService.getGeneratedFile(proposalId, variablesArtifact.name);
+
+        const variables = parseVariables(variablesFile.content, variablesArtifact.name);
+        const completion = scanPlaceholders(variables);
+        if (!completion.complete && placeholderPolicy('render') === 'block' && !options.allowIncomplete) {
+            throw new IncompleteProposalError(
+                `${completion.remaining} of ${completion.total} fields still contain TO_BE_FILLED placeholders`,
+                completion
+            );
+        }
+
+        const content = renderTemplate(templateFile.content, variables, { templateName: templateArtifact.name });
+
+        const safeBaseName = (proposal.name || 'proposal').replace(/\s+/g, '-').toLowerCase();
+        const draftFile = await this.fileService.saveGeneratedFile(
+            content,
+            `${safeBaseName}-draft.md`,
+            proposalId,
+            'text',
+            await this._versionInfo(userId, 'Rendered from the template')
+        );
+
+        const draftArtifact = {
+            id: draftFile.id,
+            type: 'Draft',
+            name: draftFile.name,
+            filePath: draftFile.path,
+            createdAt: draftFile.createdAt
+        };
+
+        // Re-rendering replaces the previous draft
+        const stored = await this._storeArtifact(userId, proposalId, draftArtifact);
 
         return {
-            id: artifact.id,
-            name: fileName,
-            size: updatedFile.size,
-            updated: artifact.updatedAt
+            artifact: draftArtifact,
+            artifacts: stored.artifacts.outputs,
+            content,
+            completion
         };
     }
 
+    // Exports the rendered Draft as a submission document (DOCX, PDF or HTML) with a cover page, table of
+    // contents, running headers and page numbers; each format is stored as one Export artifact. Placeholders
+    // left in the draft block the export (policy 'block', the default) unless allowIncomplete is passed.
+    async exportDraft(userId, proposalId, format, options = {}) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter) {
+            throw new Error(`Unsupported export format: ${format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+        }
+
+        const outputs = proposal.artifacts?.outputs || [];
+        const draftArtifact = outputs.find(a => a.type === 'Draft');
+        if (!draftArtifact) {
+            throw new Error('Render a draft before exporting');
+        }
+
+        const draftFile = await this.fileService.getGeneratedFile(proposalId, draftArtifact.name);
+        const completion = await this._loadCompletion(proposal).catch(() => null);
+
+        // The exported document is the draft, so placeholders are counted there (the variables may have been
+        // filled in since the draft was last rendered)
+        const draftPlaceholders = findPlaceholders(draftFile.content).length;
+        if (draftPlaceholders && placeholderPolicy('export') === 'block' && !options.allowIncomplete) {
+            throw new IncompleteProposalError(
+                `The draft still contains ${draftPlaceholders} TO_BE_FILLED placeholder(s). Fill them in and render the draft again before exporting.`,
+                completion
+            );
+        }
+
+        const output = await exportDocument(format, draftFile.content, buildExportMetadata(proposal));
+
+        const safeBaseName = (proposal.name || 'proposal').replace(/\s+/g, '-').toLowerCase();
+        const exportFile = await this.fileService.saveGeneratedFile(
+            output,
+            `${safeBaseName}-proposal${exporter.extension}`,
+            proposalId,
+            Buffer.isBuffer(output) ? 'binary' : 'text'
+        );
+
+        const exportArtifact = {
+            id: exportFile.id,
+            type: 'Export',
+            format,
+            name: exportFile.name,
+            filePath: exportFile.path,
+            size: exportFile.size,
+            createdAt: exportFile.createdAt
+        };
+
+        const stored = await this._storeArtifact(userId, proposalId, exportArtifact);
+
+        return {
+            artifact: exportArtifact,
+            artifacts: stored.artifacts.outputs,
+            completion,
+            draftPlaceholders
+        };
+    }
+
+    // Compliance matrix with a status summary. Proposals analyzed before the matrix existed get one built
+    // from their analysis on first access.
+    async getComplianceMatrix(userId, proposalId) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const { artifact, matrix, etag } = await this._ensureComplianceMatrix(proposal);
+        return {
+            fileName: artifact.name,
+            matrix,
+            summary: summarizeMatrix(matrix),
+            statuses: COMPLIANCE_STATUSES,
+            etag
+        };
+    }
+
+    // Saves response sections, owners, statuses and notes edited in the matrix panel. With options.ifMatch a
+    // matrix saved since it was loaded is refused with a ConflictError carrying the saved matrix.
+    async updateComplianceMatrix(userId, proposalId, rows, options = {}) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const { artifact } = await this._ensureComplianceMatrix(proposal);
+        return this.artifactLocks.run(`${proposalId}/${artifact.name}`, async () => {
+            const { matrix, etag } = await this._loadComplianceMatrix(proposal);
+            if (!matchesETag(options.ifMatch, etag)) {
+                throw new ConflictError('The compliance matrix was changed by someone else since you opened it', {
+                    etag,
+                    fileName: artifact.name,
+                    matrix,
+                    summary: summarizeMatrix(matrix)
+                });
+            }
+            applyMatrixUpdates(matrix, rows);
+
+            const content = JSON.stringify(matrix, null, 2);
+            const updatedFile = await this.fileService.updateGeneratedFile(
+                proposalId,
+                artifact.name,
+                content,
+                await this._versionInfo(userId, 'Compliance matrix updated')
+            );
+            await this.db.updateProposalRecord(userId, proposalId, (stored) => {
+                const storedArtifact = stored.artifacts?.outputs?.find(a => a.name === artifact.name);
+                if (storedArtifact) {
+                    storedArtifact.size = updatedFile.size;
+                    storedArtifact.updatedAt = matrix.updatedAt;
+                }
+                stored.updatedAt = new Date().toISOString();
+            });
+
+            return {
+                fileName: artifact.name,
+                matrix,
+                summary: summarizeMatrix(matrix),
+                etag: contentETag(content)
+            };
+        });
+    }
+
+    // Exports the compliance matrix as CSV or XLSX; each format is stored as one Export artifact
+    async exportComplianceMatrix(userId, proposalId, format) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const exporter = MATRIX_EXPORT_FORMATS[format];
+        if (!exporter) {
+            throw new Error(`Unsupported matrix export format: ${format}. Use one of ${Object.keys(MATRIX_EXPORT_FORMATS).join(', ')}.`);
+        }
+
+        const { matrix } = await this._ensureComplianceMatrix(proposal);
+        const output = await exportMatrix(format, matrix, buildExportMetadata(proposal));
+
+        const safeBaseName = (proposal.name || 'proposal').replace(/\s+/g, '-').toLowerCase();
+        const exportFile = await this.fileService.saveGeneratedFile(
+            output,
+            `${safeBaseName}-compliance-matrix${exporter.extension}`,
+            proposalId,
+            Buffer.isBuffer(output) ? 'binary' : 'text'
+        );
+
+        const exportArtifact = {
+            id: exportFile.id,
+            type: 'Export',
+            format,
+            name: exportFile.name,
+            filePath: exportFile.path,
+            size: exportFile.size,
+            createdAt: exportFile.createdAt
+        };
+
+        const stored = await this._storeArtifact(userId, proposalId, exportArtifact);
+
+        return {
+            artifact: exportArtifact,
+            artifacts: stored.artifacts.outputs
+        };
+    }
+
+    // Compares two versions of the RFP and saves the result as an Amendment Impact artifact. With
+    // options.documentId the bid as it was before that document is compared with the bid including it (the
+    // latest amendment when no option is given); options.from and options.to compare two documents directly.
+    async compareDocuments(userId, proposalId, options = {}) {
+        const proposal = await this.db.getProposalRecord(userId, proposalId);
+        if (!proposal) {
+            throw new Error('Proposal not found');
+        }
+
+        const result = await this._saveAmendmentImpact(proposal, options);
+        const stored = await this._storeArtifact(userId, proposalId, result.artifact);
+
+        return {
+            ...result,
+            artifacts: stored.artifacts.outputs
+        };
+    }
+
+    async _saveAmendmentImpact(proposal, options) {
+        const documents = proposal.documents.filter(document => document.analysis);
+        const findDocument = (documentId) => {
+            const document = documents.find(entry => entry.id === documentId);
+            if (!document) {
+                throw new Error('Document not found');
+            }
+            return document;
+        };
+
+        let before;
+        let after;
+        let from;
+        let to;
+        if (options.from || options.to) {
+            if (!options.from || !options.to) {
+                throw new Error('Two documents are required for a comparison');
+            }
+            const first = findDocument(options.from);
+            const second = findDocument(options.to);
+            if (first === second) {
+                throw new Error('Choose two different documents to compare');
+            }
+            ({ analysis: before } = first);
+            ({ analysis: after } = second);
+            from = this._describeDocument(first);
+            to = this._describeDocument(second);
+        } else {
+            const byUpload = [...documents].sort((left, right) => new Date(left.uploadedAt) - new Date(right.uploadedAt));
+            const document = options.documentId
+                ? findDocument(options.documentId)
+                : byUpload.filter(entry => entry.kind === 'amendment').pop();
+            if (!document) {
+                throw new Error('There is no amendment to compare. Upload one or choose two documents.');
+            }
+
+            const earlier = byUpload.slice(0, byUpload.indexOf(document));
+            if (!earlier.length) {
+                throw new Error(`${document.name} is the first document of the proposal; there is nothing to compare it with`);
+            }
+            before = mergeDocumentAnalyses(earlier);
+            after = mergeDocumentAnalyses([...earlier, document]);
+            from = { id: null, name: earlier.map(entry => entry.name).join(' + '), kind: null };
+            to = this._describeDocument(document);
+        }
+
+        const matrix = await this._loadComplianceMatrix(proposal).catch(() => null);
+        const impact = buildAmendmentImpact(before, after, {
+            from: { id: from.id, name: from.name, kind: from.kind },
+            to: { id: to.id, name: to.name, kind: to.kind },
+            requirementIds: proposal.artifacts?.analysis?.requirementIds,
+            matrix: matrix?.matrix
+        });
+
+        const safeBaseName = (proposal.name || 'proposal').replace(/\s+/g, '-').toLowerCase();
+        const impactFile = await this.fileService.saveGeneratedFile(
+            generateImpactMarkdown(impact),
+            `${safeBaseName}-amendment-impact-${fileSlug(to.name)}.md`,
+            proposal.id,
+            'text',
+            await this._versionInfo(proposal.userId, `Compared ${from.name} with ${to.name}`)
+        );
+
+        const impactArtifact = {
+            id: impactFile.id,
+            type: 'Amendment Impact',
+            name: impactFile.name,
+            filePath: impactFile.path,
+            createdAt: impactFile.createdAt
+        };
+        proposal.artifacts.outputs = [
+            ...proposal.artifacts.outputs.filter(a => a.name !== impactFile.name),
+            impactArtifact
+        ];
+
+        return { impact, artifact: impactArtifact };
+    }
+
+    // Adds artifact to the outputs of the stored proposal, replacing the entry with the same file name, and
+    // applies update(record) in the same step. Artifacts are produced from a proposal read earlier, so only
+    // these fields are merged into the current record; edits saved meanwhile are kept. Resolves to the record.
+    async _storeArtifact(userId, proposalId, artifact, update = () => {}) {
+        return this.db.updateProposalRecord(userId, proposalId, (record) => {
+            record.artifacts = record.artifacts || { outputs: [] };
+            record.artifacts.outputs = [
+                ...(record.artifacts.outputs || []).filter(a => a.name !== artifact.name),
+                artifact
+            ];
+            update(record);
+            record.updatedAt = new Date().toISOString();
+        });
+    }
+
+    // Writes a change of the document set made on proposal, a copy read under documentLocks: its documents,
+    // analysis, subtasks and completion, and the outputs it added, replaced or removed compared to before (the
+    // outputs as read). Outputs it left alone are taken as stored now, so drafts, exports and artifact edits
+    // saved meanwhile are kept. The revision moves: proposal ETags read before no longer match.
+    async _storeDocumentSet(proposal, before) {
+        const outputs = proposal.artifacts.outputs;
+        const names = outputs.map(artifact => artifact.name);
+        const removed = before.filter(artifact => !names.includes(artifact.name)).map(artifact => artifact.name);
+
+        return this.db.updateProposalRecord(proposal.userId, proposal.id, (stored) => {
+            const current = stored.artifacts?.outputs || [];
+            stored.documents = proposal.documents;
+            stored.subtasks = proposal.subtasks;
+            stored.completion = proposal.completion;
+            stored.artifacts = {
+                ...stored.artifacts,
+                analysis: proposal.artifacts.analysis,
+                outputs: [
+                    ...outputs
+                        .map(artifact => (before.includes(artifact) ? current.find(entry => entry.name === artifact.name) : artifact))
+                        .filter(Boolean),
+                    ...current.filter(artifact => !names.includes(artifact.name) && !removed.includes(artifact.name))
+                ]
+            };
+            stored.updatedAt = new Date().toISOString();
+        }, { revise: true });
+    }
+
+    async _loadComplianceMatrix(proposal) {
+        const artifact = (proposal.artifacts?.outputs || []).find(a => a.type === 'Compliance Matrix');
+        if (!artifact) {
+            return null;
+        }
+
+        const file = await this.fileService.getGeneratedFile(proposal.id, artifact.name);
+        const matrix = parseVariables(file.content, artifact.name);
+        const errors = validateComplianceMatrix(matrix);
+        if (errors.length) {
+            throw new Error(`Invalid compliance matrix: ${errors.join('; ')}`);
+        }
+        return { artifact, matrix, etag: contentETag(file.content) };
+    }
+
+    // Loads the matrix artifact, creating it (and the requirement IDs it is keyed by) when missing. Stores the
+    // new artifact and IDs on the proposal record when something was created.
+    async _ensureComplianceMatrix(proposal) {
+        const existing = await this._loadComplianceMatrix(proposal);
+        if (existing) {
+            return existing;
+        }
+
+        const analysis = proposal.artifacts?.analysis;
+        if (!analysis) {
+            throw new Error('Upload and analyze an RFP document before building the compliance matrix');
+        }
+
+        if (!analysis.requirementIds) {
+            analysis.requirementIds = assignRequirementIds(analysis);
+        }
+        const matrix = buildComplianceMatrix(analysis);
+
+        const safeBaseName = (proposal.name || 'proposal').replace(/\s+/g, '-').toLowerCase();
+        const matrixFile = await this.fileService.saveGeneratedFile(
+            matrix,
+            `${safeBaseName}-compliance-matrix.json`,
+            proposal.id,
+            'json',
+            await this._versionInfo(proposal.userId, 'Generated')
+        );
+        const artifact = {
+            id: matrixFile.id,
+            type: 'Compliance Matrix',
+            name: matrixFile.name,
+            filePath: matrixFile.path,
+            createdAt: matrixFile.createdAt
+        };
+
+        proposal.artifacts.outputs = [...(proposal.artifacts.outputs || []), artifact];
+        await this._storeArtifact(proposal.userId, proposal.id, artifact, (record) => {
+            if (record.artifacts.analysis && !record.artifacts.analysis.requirementIds) {
+                record.artifacts.analysis.requirementIds = analysis.requirementIds;
+            }
+        });
+
+        return this._loadComplianceMatrix(proposal);
+    }
+
+    // Rebuilds the consolidated analysis and the artifacts derived from it after the document set changed.
+    // Requirement IDs and compliance matrix rows are carried over, and so is everything written in the
+    // variables file; an existing (possibly edited) response template is kept.
+    async _applyDocumentSet(proposal, note) {
+        const proposalId = proposal.id;
+        const version = await this._versionInfo(proposal.userId, note);
+        const analysis = mergeDocumentAnalyses(proposal.documents);
+        const previousAnalysis = proposal.artifacts?.analysis;
+        const outputs = proposal.artifacts?.outputs || [];
+
+        analysis.requirementIds = assignRequirementIds(analysis, previousAnalysis?.requirementIds);
+
+        // The variables file and the matrix are read when they are rebuilt, under their artifact lock
+        let variables = this.geminiService.generateVariableTemplate(analysis);
+        const variablesArtifact = outputs.find(a => a.type === 'Variables');
+        const carryOver = async () => {
+            if (!variablesArtifact) {
+                return variables;
+            }
+            try {
+                const file = await this.fileService.getGeneratedFile(proposalId, variablesArtifact.name);
+                variables = carryOverVariables(variables, parseVariables(file.content, variablesArtifact.name), {
+                    previousIds: previousAnalysis?.requirementIds,
+                    requirementIds: analysis.requirementIds
+                });
+            } catch (error) {
+                console.warn(`Previous variables not carried over, ${variablesArtifact.name} could not be read:`, error.message);
+            }
+            return variables;
+        };
+        const rebuildMatrix = async () => {
+            const previousMatrix = await this._loadComplianceMatrix(proposal).catch(() => null);
+            return buildComplianceMatrix(analysis, previousMatrix?.matrix);
+        };
+
+        const safeBaseName = (proposal.name || 'proposal').replace(/\s+/g, '-').toLowerCase();
+        const templateArtifact = outputs.find(a => a.type === 'Template');
+        const matrixArtifact = outputs.find(a => a.type === 'Compliance Matrix');
+        const generated = [
+            {
+                type: 'Variables',
+                build: carryOver,
+                previous: variablesArtifact,
+                fileName: `${safeBaseName}-variables.json`,
+                format: 'json'
+            },
+            {
+                type: 'Requirements',
+                content: this.geminiService.generateRequirementsMarkdown(analysis),
+                fileName: `${safeBaseName}-requirements.md`,
+                format: 'text'
+            },
+            {
+                type: 'Compliance Matrix',
+                build: rebuildMatrix,
+                previous: matrixArtifact,
+                fileName: `${safeBaseName}-compliance-matrix.json`,
+                format: 'json'
+            }
+        ];
+        if (!templateArtifact) {
+            generated.unshift({
+                type: 'Template',
+                content: this.geminiService.generateNunjucksTemplate(analysis),
+                fileName: `${safeBaseName}-response-template.md`,
+                format: 'text'
+            });
+        }
+
+        // Files users edit are read, carried over and written under the same lock as updateArtifact and
+        // updateComplianceMatrix, so an edit saved meanwhile is carried over instead of overwritten
+        const artifacts = [];
+        for (const entry of generated) {
+            const file = await this.artifactLocks.run(`${proposalId}/${entry.previous?.name || entry.fileName}`, async () => {
+                const content = entry.build ? await entry.build() : entry.content;
+                return this.fileService.saveGeneratedFile(content, entry.fileName, proposalId, entry.format, version);
+            });
+            artifacts.push({
+                id: file.id,
+                type: entry.type,
+                name: file.name,
+                filePath: file.path,
+                createdAt: file.createdAt
+            });
+        }
+
+        // Source documents first, then the consolidated artifacts, then drafts and exports
+        const replacedTypes = artifacts.map(artifact => artifact.type);
+        const kept = outputs.filter(artifact => !replacedTypes.includes(artifact.type));
+        proposal.artifacts.outputs = [
+            ...kept.filter(artifact => artifact.type === 'Source Document'),
+            ...(templateArtifact ? [templateArtifact] : []),
+            ...artifacts,
+            ...kept.filter(artifact => !['Source Document', 'Template'].includes(artifact.type))
+        ];
+        proposal.artifacts.analysis = analysis;
+        proposal.completion = summarizeCompletion(scanPlaceholders(variables));
+
+        // Update the upload_rfp subtask status
+        const uploadTask = proposal.subtasks.find(task => task.key === 'upload_rfp');
+        if (uploadTask) {
+            uploadTask.status = 'completed';
+            uploadTask.metadata = {
+                completedAt: new Date().toISOString(),
+                documentsProcessed: analysis.metadata.documents.length
+            };
+        }
+
+        return analysis;
+    }
+
+    _findVersionedArtifact(proposal, fileName) {
+        const artifact = (proposal.artifacts?.outputs || []).find(a => a.name === fileName);
+        if (!artifact) {
+            throw new Error('Artifact not found');
+        }
+        if (artifact.type === 'Export') {
+            throw new Error('Exports have no version history; export the draft again instead');
+        }
+        return artifact;
+    }
+
+    _checkProposalETag(proposal, ifMatch) {
+        const etag = proposalETag(proposal);
+        if (!matchesETag(ifMatch, etag)) {
+            throw new ConflictError('This proposal was changed by someone else since you loaded it', { etag, proposal });
+        }
+    }
+
+    // Refuses a write made on an older copy of the artifact. The conflict carries the saved copy, who saved it
+    // and, for a write of content, a merge of both edits against the version the writer started from.
+    async _checkArtifactETag(proposalId, fileName, currentContent, ifMatch, content) {
+        const etag = contentETag(currentContent);
+        if (matchesETag(ifMatch, etag)) {
+            return;
+        }
+
+        const [latest] = await this.fileService.listFileVersions(proposalId, fileName);
+        const base = await this.fileService.findFileVersionByHash(proposalId, fileName, etagHash(ifMatch));
+        throw new ConflictError(`${fileName} was changed by ${latest?.author?.username || 'someone else'} since you opened it`, {
+            etag,
+            fileName,
+            content: currentContent,
+            version: latest || null,
+            // Without the starting version every difference counts as a conflict
+            merged: mergeText(base ? base.content : '', content, currentContent)
+        });
+    }
+
+    // Author and note recorded with a new version of an artifact
+    async _versionInfo(userId, note) {
+        const user = await this.db.findUserById(userId);
+        return {
+            author: { id: userId, username: user?.username || null },
+            note
+        };
+    }
+
+    _describeDocument(document) {
+        const requirements = document.analysis?.requirements || {};
+        return {
+            id: document.id,
+            name: document.name,
+            kind: document.kind,
+            uploadedAt: document.uploadedAt,
+            sourceArtifact: document.sourceArtifact || null,
+            requirementCount: Object.values(requirements).reduce((total, list) => total + (list?.length || 0), 0)
+        };
+    }
+
+    async _loadCompletion(proposal) {
+        const variablesArtifact = (proposal.artifacts?.outputs || []).find(a => a.type === 'Variables');
+        if (!variablesArtifact) {
+            return null;
+        }
+
+        const variablesFile = await this.fileService.getGeneratedFile(proposal.id, variablesArtifact.name);
+        return scanPlaceholders(parseVariables(variablesFile.content, variablesArtifact.name));
+    }
+
     _buildProposal({ userId, name, summary, order }) {
         const now = new Date().toISOString();
         return {
@@ -296,8 +1213,7 @@ class ProposalService {
             documents: [],
             subtasks: buildSubtasks(),
             artifacts: {
-                templates: [],
-                requirements: []
+                outputs: []
             },
             order: order || 0,
             createdAt: now,
@@ -0,0 +1,56 @@
+const session = require('express-session');
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;            // 24 hours
+const REMEMBER_ME_TTL_MS = 30 * 24 * 60 * 60 * 1000;   // 30 days
+
+// How long a login lasts, in the cookie and in the database
+function sessionTTL(rememberMe) {
+    return rememberMe ? REMEMBER_ME_TTL_MS : SESSION_TTL_MS;
+}
+
+// express-session store keeping login sessions in the app database, so they survive restarts and expire
+// together with their cookie. Only signed-in sessions are stored; anything else is dropped.
+class DatabaseSessionStore extends session.Store {
+    constructor(db) {
+        super();
+        this.db = db;
+    }
+
+    get(sid, callback) {
+        this.db.findSession(sid)
+            .then(record => callback(null, record?.state || null))
+            .catch(callback);
+    }
+
+    set(sid, sess, callback = () => {}) {
+        if (!sess.userId) {
+            this.destroy(sid, callback);
+            return;
+        }
+
+        const expiresAt = sess.cookie?.expires
+            ? new Date(sess.cookie.expires)
+            : new Date(Date.now() + sessionTTL(sess.rememberMe));
+        this.db.saveSession(sid, {
+            userId: sess.userId,
+            username: sess.username,
+            rememberMe: sess.rememberMe,
+            createdAt: sess.loggedInAt,
+            expiresAt: expiresAt.toISOString(),
+            state: sess
+        })
+            .then(() => callback())
+            .catch(callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+        this.db.deleteSession(sid)
+            .then(() => callback())
+            .catch(callback);
+    }
+}
+
+module.exports = {
+    DatabaseSessionStore,
+    sessionTTL
+};
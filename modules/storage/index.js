@@ -0,0 +1,108 @@
+const path = require('path');
+const { COLLECTIONS, JsonStore } = require('./jsonStore');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/*
+ * Storage adapters keep users, sessions, proposals and background jobs. Both implement:
+ *
+ *   init(), close()
+ *   findUser(field, value)            field: id | username | email
+ *   insertUser(user)                  throws 'Username already exists' / 'Email already exists'
+ *   updateUser(userId, update)        merges update (changes, or a callback returning them for the stored
+ *                                     user) into the stored user
+ *   saveSession(session)              inserts or replaces the session with session.id
+ *   findSession(id), deleteSession(id), deleteUserSessions(userId),
+ *   deleteExpiredSessions(now)        the delete methods resolve to the number of sessions removed
+ *   listProposals(userId), findProposal(userId, proposalId), deleteProposal(userId, proposalId)
+ *   upsertProposal(userId, proposalId, update)
+ *                                     stores update(current or null), atomically with the read
+ *   insertJob(job), findJob(id), updateJob(id, update), listJobs({ userId, proposalId, statuses })
+ *   listRecords(collection), updateRecords(collection, update)
+ *                                     every record of a collection; update returns the new record or null
+ *                                     to leave it, and all changes are stored together
+ *   backup()                          copies the data aside; resolves to where
+ *
+ * update callbacks are synchronous and may throw to leave the stored record unchanged.
+ */
+const STORAGE_BACKENDS = {
+    sqlite: {
+        label: 'SQLite',
+        create: ({ dataDir, file }) => {
+            // Loaded on demand so the JSON backend works without the native module
+            const { SqliteStore } = require('./sqliteStore');
+            return new SqliteStore({ file: file || path.join(dataDir, 'rfp.sqlite') });
+        }
+    },
+    json: {
+        label: 'JSON files',
+        create: ({ dataDir }) => new JsonStore({ dataDir })
+    }
+};
+
+// The adapter chosen by STORAGE_BACKEND (sqlite by default; json for development)
+function createStore(options = {}) {
+    const backend = options.backend || process.env.STORAGE_BACKEND || 'sqlite';
+    const definition = STORAGE_BACKENDS[backend];
+    if (!definition) {
+        throw new Error(`Unknown storage backend: ${backend}. Use one of ${Object.keys(STORAGE_BACKENDS).join(', ')}.`);
+    }
+    return definition.create({
+        dataDir: options.dataDir || DEFAULT_DATA_DIR,
+        file: options.file || process.env.SQLITE_FILE
+    });
+}
+
+// Records of the JSON files in dataDir that the SQLite tables can take; the rest are reported and left out
+async function readJsonData(dataDir) {
+    const data = {};
+    const skipped = [];
+    // Read the way the JSON backend reads them, so a damaged file is imported from its backup
+    const files = new JsonStore({ dataDir });
+    for (const collection of COLLECTIONS) {
+        const records = await files.readFile(files.files[collection]);
+        data[collection] = records.filter(record => {
+            const valid = record && record.id &&
+                (collection !== 'users' || record.username) &&
+                (collection !== 'sessions' || (record.userId && record.expiresAt)) &&
+                (collection !== 'proposals' || record.userId) &&
+                (collection !== 'jobs' || (record.userId && record.proposalId && record.status));
+            if (!valid) {
+                skipped.push(`${collection}: ${record?.id || JSON.stringify(record)}`);
+            }
+            return valid;
+        });
+    }
+
+    // The first user with a username or email wins, as it did in the JSON files
+    const usernames = new Set();
+    const emails = new Set();
+    data.users = data.users.filter(user => {
+        const duplicate = usernames.has(user.username) || (user.email && emails.has(user.email));
+        if (duplicate) {
+            skipped.push(`users: ${user.id} (duplicate username or email)`);
+            return false;
+        }
+        usernames.add(user.username);
+        if (user.email) {
+            emails.add(user.email);
+        }
+        return true;
+    });
+
+    return { data, skipped };
+}
+
+// Copies the JSON files of the development backend into a new SQLite database. The files are left in place.
+async function importJsonData(store, dataDir = DEFAULT_DATA_DIR) {
+    const { data, skipped } = await readJsonData(dataDir);
+    const counts = await store.importRecords(data);
+    return { counts, skipped };
+}
+
+module.exports = {
+    COLLECTIONS,
+    STORAGE_BACKENDS,
+    createStore,
+    importJsonData
+};
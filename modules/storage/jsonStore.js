@@ -0,0 +1,330 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { KeyedLock } = require('../concurrency');
+
+const COLLECTIONS = ['users', 'sessions', 'proposals', 'jobs'];
+const BACKUP_SUFFIX = '.bak';
+
+class CorruptDataError extends Error {
+    constructor(message, file) {
+        super(message);
+        this.name = 'CorruptDataError';
+        this.file = file;
+    }
+}
+
+// The records in a collection file's text, or null when it is not a JSON array (truncated or damaged)
+function parseRecords(data) {
+    try {
+        const records = JSON.parse(data);
+        return Array.isArray(records) ? records : null;
+    } catch {
+        return null;
+    }
+}
+
+// Storage adapter keeping each collection as an array in data/<collection>.json. Every call reads the whole
+// file, so it is meant for development; changes to a file run one at a time and replace it atomically.
+class JsonStore {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir;
+        this.files = Object.fromEntries(COLLECTIONS.map(name => [name, path.join(this.dataDir, `${name}.json`)]));
+        this.locks = new KeyedLock();
+        this.recovering = new Set();
+        this.writes = 0;
+    }
+
+    async init() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        // Initialize collection files that don't exist and report damaged ones; a damaged collection
+        // refuses reads and writes while the others keep working
+        for (const file of Object.values(this.files)) {
+            try {
+                await fs.access(file);
+            } catch {
+                await this.writeFile(file, []);
+                continue;
+            }
+            await this.readFile(file).catch(error => console.error(error.message));
+        }
+    }
+
+    async close() {}
+
+    // The parsed array in filePath. A file that does not parse is never returned as empty: the last good
+    // backup is served instead until the next write replaces the damaged file, and without a usable backup
+    // a CorruptDataError is thrown so nothing gets written over it.
+    async readFile(filePath) {
+        let data;
+        try {
+            data = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = parseRecords(data);
+        if (records) {
+            return records;
+        }
+
+        const backup = await this._readBackup(filePath);
+        if (!backup) {
+            throw new CorruptDataError(`${path.basename(filePath)} is corrupted and has no usable backup. ` +
+                `Restore it (or ${path.basename(filePath)}${BACKUP_SUFFIX}) before starting again.`, filePath);
+        }
+        if (!this.recovering.has(filePath)) {
+            console.warn(`${filePath} is corrupted; using the last good backup until the next write replaces it`);
+            this.recovering.add(filePath);
+        }
+        return backup;
+    }
+
+    async _readBackup(filePath) {
+        try {
+            return parseRecords(await fs.readFile(filePath + BACKUP_SUFFIX, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    // Writes to a temporary file and renames it over filePath, so readers and crashes see either the old or
+    // the new content. The previous content is kept as the backup first; a corrupted file is moved aside
+    // instead so the backup stays good.
+    async writeFile(filePath, data) {
+        const temp = `${filePath}.${process.pid}.${++this.writes}.tmp`;
+        try {
+            const handle = await fs.open(temp, 'w');
+            try {
+                await handle.writeFile(JSON.stringify(data, null, 2));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            if (this.recovering.has(filePath)) {
+                await fs.rename(filePath, `${filePath}.corrupt-${Date.now()}`).catch(() => {});
+                this.recovering.delete(filePath);
+            } else {
+                await this._backup(filePath);
+            }
+            await fs.rename(temp, filePath);
+        } catch (error) {
+            await fs.rm(temp, { force: true });
+            console.error(`Error writing file ${filePath}:`, error);
+            throw error;
+        }
+    }
+
+    async _backup(filePath) {
+        const temp = `${filePath}${BACKUP_SUFFIX}.tmp`;
+        try {
+            await fs.copyFile(filePath, temp);
+            await fs.rename(temp, filePath + BACKUP_SUFFIX);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async _read(collection) {
+        return this.readFile(this.files[collection]);
+    }
+
+    // Reads a collection, lets work change the array and writes it back without another change in between.
+    // Resolves to what work returns.
+    async _modify(collection, work) {
+        return this.locks.run(collection, async () => {
+            const records = await this._read(collection);
+            const result = work(records);
+            await this.writeFile(this.files[collection], records);
+            return result;
+        });
+    }
+
+    // Users
+    async findUser(field, value) {
+        const users = await this._read('users');
+        return users.find(user => user[field] === value) || null;
+    }
+
+    async insertUser(user) {
+        return this._modify('users', (users) => {
+            // Check if username or email already exists
+            if (users.find(existing => existing.username === user.username)) {
+                throw new Error('Username already exists');
+            }
+            if (user.email && users.find(existing => existing.email === user.email)) {
+                throw new Error('Email already exists');
+            }
+            users.push(user);
+            return user;
+        });
+    }
+
+    async updateUser(userId, update) {
+        return this._modify('users', (users) => {
+            const index = users.findIndex(user => user.id === userId);
+            if (index === -1) {
+                throw new Error('User not found');
+            }
+            const changes = typeof update === 'function' ? update(users[index]) : update;
+            if (changes.email && users.some(user => user.email === changes.email && user.id !== userId)) {
+                throw new Error('Email already exists');
+            }
+            users[index] = { ...users[index], ...changes };
+            return users[index];
+        });
+    }
+
+    // Sessions
+    async saveSession(session) {
+        return this._modify('sessions', (sessions) => {
+            const index = sessions.findIndex(existing => existing.id === session.id);
+            if (index === -1) {
+                sessions.push(session);
+            } else {
+                sessions[index] = session;
+            }
+            return session;
+        });
+    }
+
+    async findSession(sessionId) {
+        const sessions = await this._read('sessions');
+        return sessions.find(session => session.id === sessionId) || null;
+    }
+
+    async deleteSessions(predicate) {
+        return this._modify('sessions', (sessions) => {
+            const remaining = sessions.filter(session => !predicate(session));
+            const removed = sessions.length - remaining.length;
+            sessions.splice(0, sessions.length, ...remaining);
+            return removed;
+        });
+    }
+
+    async deleteSession(sessionId) {
+        return this.deleteSessions(session => session.id === sessionId);
+    }
+
+    async deleteUserSessions(userId) {
+        return this.deleteSessions(session => session.userId === userId);
+    }
+
+    async deleteExpiredSessions(now) {
+        return this.deleteSessions(session => new Date(session.expiresAt) <= now);
+    }
+
+    // Proposals
+    async listProposals(userId) {
+        const proposals = await this._read('proposals');
+        return proposals.filter(proposal => proposal.userId === userId);
+    }
+
+    async findProposal(userId, proposalId) {
+        const proposals = await this._read('proposals');
+        return proposals.find(proposal => proposal.id === proposalId && proposal.userId === userId) || null;
+    }
+
+    // Stores what update returns for the current record (null when there is none) in one step
+    async upsertProposal(userId, proposalId, update) {
+        return this._modify('proposals', (proposals) => {
+            const index = proposals.findIndex(proposal => proposal.id === proposalId && proposal.userId === userId);
+            const record = update(index === -1 ? null : proposals[index]);
+            if (index === -1) {
+                proposals.push(record);
+            } else {
+                proposals[index] = record;
+            }
+            return record;
+        });
+    }
+
+    async deleteProposal(userId, proposalId) {
+        return this._modify('proposals', (proposals) => {
+            const index = proposals.findIndex(proposal => proposal.id === proposalId && proposal.userId === userId);
+            if (index === -1) {
+                return false;
+            }
+            proposals.splice(index, 1);
+            return true;
+        });
+    }
+
+    // Background jobs
+    async insertJob(job) {
+        return this._modify('jobs', (jobs) => {
+            jobs.push(job);
+            return job;
+        });
+    }
+
+    async findJob(jobId) {
+        const jobs = await this._read('jobs');
+        return jobs.find(job => job.id === jobId) || null;
+    }
+
+    async updateJob(jobId, update) {
+        return this._modify('jobs', (jobs) => {
+            const index = jobs.findIndex(job => job.id === jobId);
+            if (index === -1) {
+                throw new Error('Job not found');
+            }
+            jobs[index] = update(jobs[index]);
+            return jobs[index];
+        });
+    }
+
+    // filter: { userId, proposalId } and/or { statuses }
+    async listJobs(filter = {}) {
+        const jobs = await this._read('jobs');
+        return jobs.filter(job =>
+            (filter.userId === undefined || job.userId === filter.userId) &&
+            (filter.proposalId === undefined || job.proposalId === filter.proposalId) &&
+            (!filter.statuses || filter.statuses.includes(job.status)));
+    }
+
+    // Whole collections, for data migrations
+    async listRecords(collection) {
+        return this._read(collection);
+    }
+
+    async updateRecords(collection, update) {
+        return this._modify(collection, (records) => {
+            let changed = 0;
+            records.forEach((record, index) => {
+                const updated = update(record);
+                if (updated) {
+                    records[index] = updated;
+                    changed += 1;
+                }
+            });
+            return changed;
+        });
+    }
+
+    // Copies every collection file into data/backups/<time>/ and resolves to that directory
+    async backup() {
+        const dir = path.join(this.dataDir, 'backups', new Date().toISOString().replace(/[:.]/g, '-'));
+        await fs.mkdir(dir, { recursive: true });
+        for (const file of Object.values(this.files)) {
+            await fs.copyFile(file, path.join(dir, path.basename(file))).catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+        }
+        return dir;
+    }
+}
+
+module.exports = {
+    COLLECTIONS,
+    CorruptDataError,
+    JsonStore
+};
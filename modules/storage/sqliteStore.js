@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Records are stored whole as JSON in data; the columns next to it are what lookups, uniqueness and
+// ordering need
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT UNIQUE,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sessions_user_id ON sessions (user_id);
+    CREATE INDEX IF NOT EXISTS sessions_expires_at ON sessions (expires_at);
+
+    CREATE TABLE IF NOT EXISTS proposals (
+        user_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (user_id, id)
+    );
+
+    CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        proposal_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS jobs_proposal ON jobs (user_id, proposal_id);
+    CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status);
+
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+function parse(row) {
+    return row ? JSON.parse(row.data) : null;
+}
+
+// UNIQUE violations on users carry the column in their message ("UNIQUE constraint failed: users.email")
+function uniqueUserError(error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        return new Error(error.message.includes('users.email') ? 'Email already exists' : 'Username already exists');
+    }
+    return error;
+}
+
+// Storage adapter on an embedded SQLite database (better-sqlite3). Calls are synchronous underneath, so
+// every read-check-write below runs in one transaction that no other request can interleave with.
+class SqliteStore {
+    constructor(options = {}) {
+        this.file = options.file;
+        this.db = null;
+    }
+
+    // Resolves to true while the database is new, i.e. until importRecords has succeeded once, so the caller
+    // can import existing data into it (again, if an earlier import failed)
+    async init() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+        this._prepare();
+
+        return !this.statements.metaValue.get('importedAt');
+    }
+
+    async close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    _prepare() {
+        const statements = {
+            userById: 'SELECT data FROM users WHERE id = ?',
+            userByUsername: 'SELECT data FROM users WHERE username = ?',
+            userByEmail: 'SELECT data FROM users WHERE email = ?',
+            insertUser: 'INSERT INTO users (id, username, email, data) VALUES (@id, @username, @email, @data)',
+            updateUser: 'UPDATE users SET username = @username, email = @email, data = @data WHERE id = @id',
+
+            saveSession: `INSERT INTO sessions (id, user_id, expires_at, data) VALUES (@id, @userId, @expiresAt, @data)
+                ON CONFLICT (id) DO UPDATE SET user_id = excluded.user_id, expires_at = excluded.expires_at, data = excluded.data`,
+            updateSession: 'UPDATE sessions SET user_id = @userId, expires_at = @expiresAt, data = @data WHERE id = @id',
+            sessionById: 'SELECT data FROM sessions WHERE id = ?',
+            deleteSession: 'DELETE FROM sessions WHERE id = ?',
+            deleteUserSessions: 'DELETE FROM sessions WHERE user_id = ?',
+            deleteExpiredSessions: 'DELETE FROM sessions WHERE expires_at <= ?',
+
+            proposalsByUser: 'SELECT data FROM proposals WHERE user_id = ?',
+            proposalById: 'SELECT data FROM proposals WHERE user_id = ? AND id = ?',
+            upsertProposal: `INSERT INTO proposals (user_id, id, data) VALUES (@userId, @id, @data)
+                ON CONFLICT (user_id, id) DO UPDATE SET data = excluded.data`,
+            deleteProposal: 'DELETE FROM proposals WHERE user_id = ? AND id = ?',
+
+            insertJob: `INSERT INTO jobs (id, user_id, proposal_id, status, data)
+                VALUES (@id, @userId, @proposalId, @status, @data)`,
+            jobById: 'SELECT data FROM jobs WHERE id = ?',
+            updateJob: 'UPDATE jobs SET status = @status, data = @data WHERE id = @id',
+            jobsByProposal: 'SELECT data FROM jobs WHERE user_id = ? AND proposal_id = ? ORDER BY rowid',
+
+            metaValue: 'SELECT value FROM meta WHERE key = ?',
+            setMetaValue: 'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+        };
+        this.statements = Object.fromEntries(Object.entries(statements)
+            .map(([name, sql]) => [name, this.db.prepare(sql)]));
+    }
+
+    // Runs work in a transaction; it commits when work returns and rolls back when it throws
+    transaction(work) {
+        return this.db.transaction(work)();
+    }
+
+    // Users
+    async findUser(field, value) {
+        const statement = { id: 'userById', username: 'userByUsername', email: 'userByEmail' }[field];
+        if (!statement) {
+            throw new Error(`Users cannot be looked up by ${field}`);
+        }
+        return parse(this.statements[statement].get(value));
+    }
+
+    async insertUser(user) {
+        try {
+            this.statements.insertUser.run({ ...user, email: user.email || null, data: JSON.stringify(user) });
+            return user;
+        } catch (error) {
+            throw uniqueUserError(error);
+        }
+    }
+
+    async updateUser(userId, update) {
+        try {
+            return this.transaction(() => {
+                const user = parse(this.statements.userById.get(userId));
+                if (!user) {
+                    throw new Error('User not found');
+                }
+                const updated = { ...user, ...(typeof update === 'function' ? update(user) : update) };
+                this.statements.updateUser.run({ ...updated, email: updated.email || null, data: JSON.stringify(updated) });
+                return updated;
+            });
+        } catch (error) {
+            throw uniqueUserError(error);
+        }
+    }
+
+    // Sessions
+    async saveSession(session) {
+        this.statements.saveSession.run({ ...session, data: JSON.stringify(session) });
+        return session;
+    }
+
+    async findSession(sessionId) {
+        return parse(this.statements.sessionById.get(sessionId));
+    }
+
+    async deleteSession(sessionId) {
+        return this.statements.deleteSession.run(sessionId).changes;
+    }
+
+    async deleteUserSessions(userId) {
+        return this.statements.deleteUserSessions.run(userId).changes;
+    }
+
+    async deleteExpiredSessions(now) {
+        return this.statements.deleteExpiredSessions.run(now.toISOString()).changes;
+    }
+
+    // Proposals
+    async listProposals(userId) {
+        return this.statements.proposalsByUser.all(userId).map(parse);
+    }
+
+    async findProposal(userId, proposalId) {
+        return parse(this.statements.proposalById.get(userId, proposalId));
+    }
+
+    // Stores what update returns for the current record (null when there is none) in one transaction
+    async upsertProposal(userId, proposalId, update) {
+        return this.transaction(() => {
+            const record = update(parse(this.statements.proposalById.get(userId, proposalId)));
+            this.statements.upsertProposal.run({ userId, id: proposalId, data: JSON.stringify(record) });
+            return record;
+        });
+    }
+
+    async deleteProposal(userId, proposalId) {
+        return this.statements.deleteProposal.run(userId, proposalId).changes > 0;
+    }
+
+    // Background jobs
+    async insertJob(job) {
+        this.statements.insertJob.run({ ...job, data: JSON.stringify(job) });
+        return job;
+    }
+
+    async findJob(jobId) {
+        return parse(this.statements.jobById.get(jobId));
+    }
+
+    async updateJob(jobId, update) {
+        return this.transaction(() => {
+            const job = parse(this.statements.jobById.get(jobId));
+            if (!job) {
+                throw new Error('Job not found');
+            }
+            const updated = update(job);
+            this.statements.updateJob.run({ id: jobId, status: updated.status, data: JSON.stringify(updated) });
+            return updated;
+        });
+    }
+
+    // filter: { userId, proposalId } and/or { statuses }
+    async listJobs(filter = {}) {
+        if (filter.userId !== undefined && filter.proposalId !== undefined && !filter.statuses) {
+            return this.statements.jobsByProposal.all(filter.userId, filter.proposalId).map(parse);
+        }
+
+        const conditions = [];
+        const values = [];
+        if (filter.userId !== undefined) {
+            conditions.push('user_id = ?');
+            values.push(filter.userId);
+        }
+        if (filter.proposalId !== undefined) {
+            conditions.push('proposal_id = ?');
+            values.push(filter.proposalId);
+        }
+        if (filter.statuses) {
+            conditions.push(`status IN (${filter.statuses.map(() => '?').join(', ') || 'NULL'})`);
+            values.push(...filter.statuses);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.db.prepare(`SELECT data FROM jobs ${where} ORDER BY rowid`).all(...values).map(parse);
+    }
+
+    // Whole collections, for data migrations
+    async listRecords(collection) {
+        return this._all(collection);
+    }
+
+    // Stores what update returns for each record (nothing for null) in one transaction; resolves to the count
+    async updateRecords(collection, update) {
+        const write = this._writer(collection);
+        return this.transaction(() => {
+            let changed = 0;
+            this._all(collection).forEach(record => {
+                const updated = update(record);
+                if (updated) {
+                    write(updated);
+                    changed += 1;
+                }
+            });
+            return changed;
+        });
+    }
+
+    _all(collection) {
+        this._writer(collection);
+        return this.db.prepare(`SELECT data FROM ${collection} ORDER BY rowid`).all().map(parse);
+    }
+
+    _writer(collection) {
+        const writers = {
+            users: user => this.statements.updateUser.run({ ...user, email: user.email || null, data: JSON.stringify(user) }),
+            sessions: session => this.statements.updateSession.run({ ...session, data: JSON.stringify(session) }),
+            proposals: proposal => this.statements.upsertProposal.run({
+                userId: proposal.userId,
+                id: proposal.id,
+                data: JSON.stringify(proposal)
+            }),
+            jobs: job => this.statements.updateJob.run({ id: job.id, status: job.status, data: JSON.stringify(job) })
+        };
+        if (!writers[collection]) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return writers[collection];
+    }
+
+    // Copies the database into backups/ next to it (consistent while it is in use); resolves to the copy's path
+    async backup() {
+        const dir = path.join(path.dirname(this.file), 'backups');
+        fs.mkdirSync(dir, { recursive: true });
+        const name = `${path.parse(this.file).name}-${new Date().toISOString().replace(/[:.]/g, '-')}.sqlite`;
+        await this.db.backup(path.join(dir, name));
+        return path.join(dir, name);
+    }
+
+    // Bulk load used by the JSON import; all records go in one transaction or none do
+    async importRecords({ users = [], sessions = [], proposals = [], jobs = [] }) {
+        return this.transaction(() => {
+            users.forEach(user => this.statements.insertUser.run({
+                ...user,
+                email: user.email || null,
+                data: JSON.stringify(user)
+            }));
+            sessions.forEach(session => this.statements.saveSession.run({ ...session, data: JSON.stringify(session) }));
+            proposals.forEach(proposal => this.statements.upsertProposal.run({
+                userId: proposal.userId,
+                id: proposal.id,
+                data: JSON.stringify(proposal)
+            }));
+            jobs.forEach(job => this.statements.insertJob.run({ ...job, data: JSON.stringify(job) }));
+            this.statements.setMetaValue.run('importedAt', new Date().toISOString());
+            return { users: users.length, sessions: sessions.length, proposals: proposals.length, jobs: jobs.length };
+        });
+    }
+}
+
+module.exports = {
+    SqliteStore
+};
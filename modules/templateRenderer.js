@@ -0,0 +1,165 @@
+const nunjucks = require('nunjucks');
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Raised for template syntax/runtime errors and malformed variables; line and column are 1-based
+class TemplateRenderError extends Error {
+    constructor(message, { source, line = null, column = null, snippet = null } = {}) {
+        super(message);
+        this.name = 'TemplateRenderError';
+        this.source = source;
+        this.line = line;
+        this.column = column;
+        this.snippet = snippet;
+    }
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// Formats dates with moment-style tokens (YYYY, MM, DD, MMMM, HH, mm, ...). Values that are not dates,
+// such as "Not specified in RFP", are returned unchanged.
+function dateFilter(value, format = 'YYYY-MM-DD') {
+    if (value === null || value === undefined || value === '') {
+        return value;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return value;
+    }
+
+    const tokens = {
+        YYYY: () => String(date.getFullYear()),
+        YY: () => pad(date.getFullYear() % 100),
+        MMMM: () => MONTH_NAMES[date.getMonth()],
+        MMM: () => MONTH_NAMES[date.getMonth()].slice(0, 3),
+        MM: () => pad(date.getMonth() + 1),
+        M: () => String(date.getMonth() + 1),
+        DD: () => pad(date.getDate()),
+        D: () => String(date.getDate()),
+        HH: () => pad(date.getHours()),
+        mm: () => pad(date.getMinutes()),
+        ss: () => pad(date.getSeconds())
+    };
+
+    return String(format).replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|mm|ss/g, token => tokens[token]());
+}
+
+function createTemplateEnvironment() {
+    const env = new nunjucks.Environment(null, {
+        autoescape: false,
+        trimBlocks: true,
+        lstripBlocks: true
+    });
+
+    env.addFilter('date', dateFilter);
+    return env;
+}
+
+function snippetAround(source, line) {
+    if (!line) {
+        return null;
+    }
+    const lines = source.split(/\r?\n/);
+    const start = Math.max(0, line - 3);
+    return lines
+        .slice(start, Math.min(lines.length, line + 2))
+        .map((text, offset) => `${String(start + offset + 1).padStart(4)}${start + offset + 1 === line ? ' >' : '  '} ${text}`)
+        .join('\n');
+}
+
+// Nunjucks reports positions only inside the message ("[Line 3, Column 5]"): 1-based for syntax errors but
+// 0-based for errors raised while rendering. Unknown filters carry no position, so the filter is looked up.
+function toRenderError(error, templateSource, templateName, phase) {
+    const message = String(error.message || error);
+    const match = /\[Line (\d+), Column (\d+)\]/.exec(message);
+    const offset = phase === 'render' ? 1 : 0;
+    let line = match ? parseInt(match[1], 10) + offset : null;
+    let column = match ? parseInt(match[2], 10) + offset : null;
+
+    const missingFilter = /filter not found: (\w+)/.exec(message);
+    if (!line && missingFilter) {
+        const pattern = new RegExp(`\\|\\s*${missingFilter[1]}\\b`);
+        const index = templateSource.split(/\r?\n/).findIndex(text => pattern.test(text));
+        if (index !== -1) {
+            line = index + 1;
+            column = templateSource.split(/\r?\n/)[index].search(pattern) + 1;
+        }
+    }
+
+    // Unclosed blocks are only noticed at the end of the template
+    if (!line && /unexpected end of file/i.test(message)) {
+        line = templateSource.replace(/\s+$/, '').split(/\r?\n/).length;
+    }
+
+    const detail = message
+        .split('\n')
+        .map(text => text.trim())
+        .filter(text => text && !/^\(.*\)( \[Line \d+, Column \d+\])?$/.test(text))
+        .pop() || 'Template error';
+
+    const location = line ? ` at line ${line}${column ? `, column ${column}` : ''}` : '';
+    return new TemplateRenderError(`${templateName}${location}: ${detail.replace(/^Error:\s*/, '')}`, {
+        source: templateName,
+        line,
+        column,
+        snippet: snippetAround(templateSource, line)
+    });
+}
+
+function parseVariables(variablesSource, variablesName = 'variables.json') {
+    try {
+        return JSON.parse(variablesSource);
+    } catch (error) {
+        // V8 reports "... at position N" (and newer versions "(line L column C)")
+        const lineMatch = /line (\d+) column (\d+)/.exec(error.message);
+        const positionMatch = /position (\d+)/.exec(error.message);
+        let line = lineMatch ? parseInt(lineMatch[1], 10) : null;
+        let column = lineMatch ? parseInt(lineMatch[2], 10) : null;
+
+        if (!line && positionMatch) {
+            const before = variablesSource.slice(0, parseInt(positionMatch[1], 10)).split('\n');
+            line = before.length;
+            column = before[before.length - 1].length + 1;
+        }
+
+        const location = line ? ` at line ${line}, column ${column}` : '';
+        throw new TemplateRenderError(`${variablesName} is not valid JSON${location}: ${error.message}`, {
+            source: variablesName,
+            line,
+            column,
+            snippet: snippetAround(variablesSource, line)
+        });
+    }
+}
+
+function renderTemplate(templateSource, variables, options = {}) {
+    const templateName = options.templateName || 'template';
+    const env = options.env || createTemplateEnvironment();
+
+    let template;
+    try {
+        template = new nunjucks.Template(templateSource, env, templateName, true);
+    } catch (error) {
+        throw toRenderError(error, templateSource, templateName, 'compile');
+    }
+
+    try {
+        return template.render(variables);
+    } catch (error) {
+        throw toRenderError(error, templateSource, templateName, 'render');
+    }
+}
+
+module.exports = {
+    TemplateRenderError,
+    createTemplateEnvironment,
+    dateFilter,
+    parseVariables,
+    renderTemplate
+};
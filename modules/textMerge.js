@@ -0,0 +1,107 @@
+const { diffLines } = require('diff');
+
+const CONFLICT_MARKERS = {
+    start: '<<<<<<< Your changes',
+    separator: '=======',
+    end: '>>>>>>> Saved version'
+};
+
+function splitLines(text) {
+    return String(text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function withNewline(text) {
+    return text && !text.endsWith('\n') ? `${text}\n` : text;
+}
+
+// Changes from base to other as regions of base lines: lines [start, end) replaced by text
+function changeRegions(base, other) {
+    const regions = [];
+    let line = 0;
+    let region = null;
+
+    diffLines(base, other).forEach(part => {
+        if (!part.added && !part.removed) {
+            region = null;
+            line += part.count;
+            return;
+        }
+        if (!region) {
+            region = { start: line, end: line, text: '' };
+            regions.push(region);
+        }
+        if (part.removed) {
+            region.end += part.count;
+            line += part.count;
+        } else {
+            region.text += part.value;
+        }
+    });
+
+    return regions;
+}
+
+// One side's text for base lines [start, end) with that side's regions applied
+function sideText(baseLines, regions, start, end) {
+    let text = '';
+    let line = start;
+    regions.forEach(region => {
+        text += baseLines.slice(line, region.start).join('') + region.text;
+        line = region.end;
+    });
+    return text + baseLines.slice(line, end).join('');
+}
+
+// Three-way line merge of two edits of the same base. Changes to different lines are combined; where both
+// sides changed the same lines differently, both versions are kept between conflict markers.
+function mergeText(base, mine, theirs) {
+    const baseLines = splitLines(base);
+    const regions = [
+        ...changeRegions(base, mine).map(region => ({ ...region, side: 'mine' })),
+        ...changeRegions(base, theirs).map(region => ({ ...region, side: 'theirs' }))
+    ].sort((left, right) => left.start - right.start || left.end - right.end);
+
+    let content = '';
+    let conflicts = 0;
+    let line = 0;
+    let index = 0;
+
+    while (index < regions.length) {
+        // Regions touching the same base lines (or inserting at the same place) are resolved together
+        const cluster = [regions[index]];
+        let { start, end } = regions[index];
+        index += 1;
+        while (index < regions.length && (regions[index].start < end || regions[index].start === start)) {
+            end = Math.max(end, regions[index].end);
+            cluster.push(regions[index]);
+            index += 1;
+        }
+
+        content += baseLines.slice(line, start).join('');
+        line = end;
+
+        const ours = cluster.filter(region => region.side === 'mine');
+        const others = cluster.filter(region => region.side === 'theirs');
+        const mineText = sideText(baseLines, ours, start, end);
+        const theirsText = sideText(baseLines, others, start, end);
+
+        if (!others.length || mineText === theirsText) {
+            content += mineText;
+        } else if (!ours.length) {
+            content += theirsText;
+        } else {
+            conflicts += 1;
+            content = withNewline(content);
+            content += `${CONFLICT_MARKERS.start}\n${withNewline(mineText)}${CONFLICT_MARKERS.separator}\n`;
+            content += `${withNewline(theirsText)}${CONFLICT_MARKERS.end}\n`;
+        }
+    }
+
+    content += baseLines.slice(line).join('');
+    return { content, conflicts };
+}
+
+module.exports = {
+    CONFLICT_MARKERS,
+    mergeText
+};
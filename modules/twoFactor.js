@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// TOTP (RFC 6238) as authenticator apps use it: SHA-1, 6 digits, 30 second steps. Codes from the step before
+// and after are accepted too, to allow for clocks that are a little off.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorRequiredError extends Error {
+    constructor(message, enrollment = null) {
+        super(message);
+        this.name = 'TwoFactorRequiredError';
+        // Set when the account has to set up two-factor authentication before it can log in
+        this.enrollment = enrollment;
+    }
+}
+
+// Whether every account has to use two-factor authentication (TWO_FACTOR_REQUIRED=true)
+function twoFactorRequired() {
+    return (process.env.TWO_FACTOR_REQUIRED || '').toLowerCase() === 'true';
+}
+
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const bits = text.replace(/[\s=]/g, '').toUpperCase().split('').map(char => {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        return value.toString(2).padStart(5, '0');
+    }).join('');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+// A new shared secret, base32 encoded as authenticator apps expect it
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function totpStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+    return String(value).padStart(TOTP_DIGITS, '0');
+}
+
+// The time step code belongs to, or null when it is not a current code. Steps up to lastUsedStep are refused
+// so a code cannot be used twice.
+function matchTotp(secret, code, lastUsedStep = -1, now = Date.now()) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) {
+        return null;
+    }
+    const current = totpStep(now);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        const expected = Buffer.from(totpCode(secret, step));
+        if (step > lastUsedStep && crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// The otpauth:// URI authenticator apps read from the QR code
+function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    // Authenticator apps expect %20 for spaces, not the + URLSearchParams writes
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+// Recovery codes log in once each when the authenticator is lost. Only their SHA-256 hashes are stored.
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// { codes, hashes }: codes are shown to the user once, hashes are stored
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = Array.from({ length: count }, () => {
+        const text = crypto.randomBytes(5).toString('hex');
+        return `${text.slice(0, 5)}-${text.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+    TwoFactorRequiredError,
+    twoFactorRequired,
+    generateTotpSecret,
+    totpCode,
+    totpStep,
+    matchTotp,
+    otpauthUri,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
@@ -0,0 +1,196 @@
+const { ANALYSIS_SCHEMA, validateAnalysis } = require('./analysisSchema');
+
+const text = { type: 'string' };
+const longText = { type: 'string', multiline: true };
+const analysisSection = { type: 'object', readOnly: true, properties: {} };
+
+// Shape of the variables artifact. Besides the types checked on save, the titles and flags drive the variables
+// form in the browser: readOnly sections come from the RFP analysis and are not edited there, itemTitle labels
+// the entries of repeatable lists, and pairedWith shows each response next to the requirement it answers
+// (the template matches them by index, so those lists cannot grow or shrink on their own).
+const VARIABLES_SCHEMA = {
+    type: 'object',
+    properties: {
+        metadata: analysisSection,
+        overview: analysisSection,
+        requirements: { ...ANALYSIS_SCHEMA.properties.requirements, readOnly: true },
+        evaluation: analysisSection,
+        constraints: analysisSection,
+        executiveSummary: { ...longText, title: 'Executive Summary' },
+        solution: {
+            type: 'object',
+            title: 'Solution',
+            properties: {
+                overview: { ...longText, title: 'Solution Overview' },
+                technicalApproach: { ...longText, title: 'Technical Approach' },
+                timeline: {
+                    type: 'array',
+                    title: 'Implementation Timeline',
+                    itemTitle: 'Phase',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            phase: { ...text, title: 'Phase' },
+                            description: { ...longText, title: 'Description' },
+                            duration: { ...text, title: 'Duration' }
+                        }
+                    }
+                }
+            }
+        },
+        team: {
+            type: 'object',
+            title: 'Team',
+            properties: {
+                keyPersonnel: {
+                    type: 'array',
+                    title: 'Key Personnel',
+                    itemTitle: 'Team Member',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { ...text, title: 'Name' },
+                            role: { ...text, title: 'Role' },
+                            qualifications: { ...longText, title: 'Qualifications' }
+                        }
+                    }
+                }
+            }
+        },
+        company: {
+            type: 'object',
+            title: 'Company',
+            properties: {
+                qualifications: { ...longText, title: 'Company Qualifications' },
+                relevantProjects: {
+                    type: 'array',
+                    title: 'Relevant Experience',
+                    itemTitle: 'Project',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { ...text, title: 'Project Name' },
+                            description: { ...longText, title: 'Description' },
+                            year: { ...text, title: 'Year' }
+                        }
+                    }
+                }
+            }
+        },
+        budget: {
+            type: 'object',
+            title: 'Budget',
+            properties: {
+                items: {
+                    type: 'array',
+                    title: 'Cost Summary',
+                    itemTitle: 'Budget Item',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            category: { ...text, title: 'Category' },
+                            cost: { ...text, title: 'Cost' }
+                        }
+                    }
+                },
+                total: { ...text, title: 'Total Project Cost' }
+            }
+        },
+        responses: {
+            type: 'object',
+            title: 'Requirement Responses',
+            properties: {
+                functional: { type: 'array', title: 'Functional Requirements', pairedWith: 'requirements.functional', items: longText },
+                technical: { type: 'array', title: 'Technical Requirements', pairedWith: 'requirements.technical', items: longText },
+                compliance: { type: 'array', title: 'Compliance & Regulatory', pairedWith: 'requirements.compliance', items: longText },
+                deliverables: { type: 'array', title: 'Deliverables', pairedWith: 'requirements.deliverables', items: longText }
+            }
+        },
+        riskManagement: {
+            type: 'array',
+            title: 'Risk Management',
+            itemTitle: 'Risk',
+            items: {
+                type: 'object',
+                properties: {
+                    description: { ...longText, title: 'Risk' },
+                    mitigation: { ...longText, title: 'Mitigation' }
+                }
+            }
+        },
+        differentiators: { ...longText, title: 'Why Choose Us' }
+    }
+};
+
+// Raised when a variables file parses but does not have the shape the response template expects
+class VariablesValidationError extends Error {
+    constructor(errors) {
+        const preview = errors.slice(0, 3).map(error => `${error.path}: ${error.message}`).join('; ');
+        const more = errors.length > 3 ? ` and ${errors.length - 3} more` : '';
+        super(`Variables do not match the expected structure: ${preview}${more}`);
+        this.name = 'VariablesValidationError';
+        this.errors = errors;
+    }
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// Type errors against VARIABLES_SCHEMA plus responses that no longer line up with their requirements
+function validateVariables(variables) {
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        return { valid: false, errors: [{ path: 'variables', message: 'expected a JSON object' }] };
+    }
+
+    const { errors } = validateAnalysis(variables, VARIABLES_SCHEMA);
+
+    Object.entries(VARIABLES_SCHEMA.properties.responses.properties).forEach(([key, schema]) => {
+        const responses = variables.responses?.[key];
+        const requirements = getPath(variables, schema.pairedWith);
+        if (Array.isArray(responses) && Array.isArray(requirements) && responses.length !== requirements.length) {
+            errors.push({
+                path: `responses.${key}`,
+                message: `has ${responses.length} response(s) for ${requirements.length} requirement(s)`
+            });
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Regenerated variables (after the analysis changed) with everything the user wrote in the previous file.
+// Analysis sections come from the new file; responses follow their requirement by ID, so a response stays
+// with its requirement when an amendment inserts or removes requirements before it.
+function carryOverVariables(generated, previous, { previousIds = [], requirementIds = [] } = {}) {
+    const analysisKeys = Object.keys(VARIABLES_SCHEMA.properties)
+        .filter(key => VARIABLES_SCHEMA.properties[key].readOnly);
+    const variables = { ...generated };
+
+    Object.keys(previous).forEach(key => {
+        if (!analysisKeys.includes(key) && key !== 'responses') {
+            variables[key] = previous[key];
+        }
+    });
+
+    const responses = { ...previous.responses, ...generated.responses };
+    Object.keys(VARIABLES_SCHEMA.properties.responses.properties).forEach(category => {
+        const path = `requirements.${category}`;
+        responses[category] = (generated.responses?.[category] || []).map((placeholder, index) => {
+            const id = requirementIds.find(entry => entry.path === path && entry.index === index)?.id;
+            const before = id && previousIds.find(entry => entry.id === id);
+            const response = before ? previous.responses?.[category]?.[before.index] : undefined;
+            return typeof response === 'string' ? response : placeholder;
+        });
+    });
+    variables.responses = responses;
+
+    return variables;
+}
+
+module.exports = {
+    VARIABLES_SCHEMA,
+    VariablesValidationError,
+    validateVariables,
+    carryOverVariables
+};
@@ -4,8 +4,12 @@
  */
 
 import { WorkflowManager } from './modules/workflow.js';
-import { ProposalManager } from './modules/proposal.js';
-import { ApiService } from './modules/api.js';
+import { ProposalManager, DOCUMENT_KIND_TITLES } from './modules/proposal.js';
+import { ApiService, ApiError } from './modules/api.js';
+import { VariablesForm } from './modules/variablesForm.js';
+import { ComplianceMatrixTable } from './modules/complianceMatrix.js';
+import { ArtifactHistoryPanel } from './modules/artifactHistory.js';
+import { showConflictDialog } from './modules/conflictDialog.js';
 import { ThemeUtils, DomUtils, StorageUtils, AsyncUtils, EventEmitter, Logger } from './modules/utils.js';
 
 class RfpProposalApp extends EventEmitter {
@@ -31,6 +35,10 @@ class RfpProposalApp extends EventEmitter {
         // Application state
         this.currentUser = null;
         this.isInitialized = false;
+        this.activeJob = null;
+        this.jobStream = null;
+        this.variablesForm = null;
+        this.matrixTable = null;
 
         this.logger.info('Application initialized');
     }
@@ -51,9 +59,40 @@ class RfpProposalApp extends EventEmitter {
             // File upload elements
             rfpUpload: DomUtils.getElementById('rfpUpload'),
             processRfpBtn: DomUtils.getElementById('processRfpBtn'),
+            cancelRfpBtn: DomUtils.getElementById('cancelRfpBtn'),
             uploadStatus: DomUtils.getElementById('uploadStatus'),
+            documentKind: DomUtils.getElementById('documentKind'),
+            documentSet: DomUtils.getElementById('documentSet'),
+            documentList: DomUtils.getElementById('documentList'),
+            documentCompare: DomUtils.getElementById('documentCompare'),
+            compareFrom: DomUtils.getElementById('compareFrom'),
+            compareTo: DomUtils.getElementById('compareTo'),
+            compareDocumentsBtn: DomUtils.getElementById('compareDocumentsBtn'),
             generatedArtifacts: DomUtils.getElementById('generatedArtifacts'),
-            artifactList: DomUtils.getElementById('artifactList')
+            artifactList: DomUtils.getElementById('artifactList'),
+            renderDraftBtn: DomUtils.getElementById('renderDraftBtn'),
+            renderStatus: DomUtils.getElementById('renderStatus'),
+            renderErrorDetail: DomUtils.getElementById('renderErrorDetail'),
+            exportFormat: DomUtils.getElementById('exportFormat'),
+            exportDraftBtn: DomUtils.getElementById('exportDraftBtn'),
+            unverifiedItems: DomUtils.getElementById('unverifiedItems'),
+            unverifiedSummary: DomUtils.getElementById('unverifiedSummary'),
+            unverifiedList: DomUtils.getElementById('unverifiedList'),
+
+            // Review elements
+            completionPanel: DomUtils.getElementById('completionPanel'),
+            completionSummary: DomUtils.getElementById('completionSummary'),
+            completionBarFill: DomUtils.getElementById('completionBarFill'),
+            completionSections: DomUtils.getElementById('completionSections'),
+            completionEmpty: DomUtils.getElementById('completionEmpty'),
+            refreshCompletionBtn: DomUtils.getElementById('refreshCompletionBtn'),
+            matrixPanel: DomUtils.getElementById('matrixPanel'),
+            matrixSummary: DomUtils.getElementById('matrixSummary'),
+            matrixTable: DomUtils.getElementById('matrixTable'),
+            saveMatrixBtn: DomUtils.getElementById('saveMatrixBtn'),
+            matrixExportFormat: DomUtils.getElementById('matrixExportFormat'),
+            exportMatrixBtn: DomUtils.getElementById('exportMatrixBtn'),
+            matrixStatus: DomUtils.getElementById('matrixStatus')
         };
     }
 
@@ -111,6 +150,8 @@ class RfpProposalApp extends EventEmitter {
                 this.elements.themeToggle.textContent = theme === 'dark' ? '☀️' : '🌙';
             }
 
+            this.renderEmailNotice(userData);
+
             this.logger.info('User data loaded:', userData.username);
         } catch (error) {
             this.logger.error('Failed to load user data:', error);
@@ -118,10 +159,47 @@ class RfpProposalApp extends EventEmitter {
         }
     }
 
+    // Reminder under the header until the account's email address is confirmed; under the restrict and block
+    // policies proposals stay read-only until then
+    renderEmailNotice(user) {
+        document.querySelector('.email-notice')?.remove();
+        if (user.emailVerified || user.emailVerificationPolicy === 'off') {
+            return;
+        }
+
+        const readOnly = ['restrict', 'block'].includes(user.emailVerificationPolicy);
+        const notice = DomUtils.createElement('div', { className: 'email-notice', role: 'status' });
+        const text = DomUtils.createElement('span', {}, user.email
+            ? `Please confirm your email address (${user.email}) using the link we sent you.${readOnly ? ' Until then, proposals are read-only.' : ''}`
+            : `Add an email address to your profile so you can reset your password.${readOnly ? ' Until it is confirmed, proposals are read-only.' : ''}`);
+        notice.appendChild(text);
+
+        if (user.email) {
+            const resendBtn = DomUtils.createElement('button', { type: 'button', className: 'email-notice-action' }, 'Send a new link');
+            resendBtn.addEventListener('click', async () => {
+                resendBtn.disabled = true;
+                try {
+                    const data = await this.apiService.resendEmailVerification();
+                    text.textContent = data.message;
+                } catch (error) {
+                    text.textContent = error.message;
+                    resendBtn.disabled = false;
+                }
+            });
+            notice.appendChild(resendBtn);
+        } else {
+            notice.appendChild(DomUtils.createElement('a', { href: '/profile', className: 'email-notice-action' }, 'Open profile'));
+        }
+
+        document.querySelector('.top-header')?.after(notice);
+    }
+
     initializeManagers() {
         // Initialize workflow manager
         this.workflowManager = new WorkflowManager({
             maxSteps: 4,
+            // Review works on the generated artifacts, so it opens as soon as the RFP is processed
+            independentSteps: [4],
             onStepChange: (step, previousStep) => {
                 this.logger.debug(`Workflow step changed: ${previousStep} -> ${step}`);
                 this.emit('stepChanged', { step, previousStep });
@@ -171,6 +249,61 @@ class RfpProposalApp extends EventEmitter {
             });
         }
 
+        if (this.elements.cancelRfpBtn) {
+            DomUtils.addEventListener(this.elements.cancelRfpBtn, 'click', () => {
+                this.cancelActiveJob();
+            });
+        }
+
+        if (this.elements.renderDraftBtn) {
+            DomUtils.addEventListener(this.elements.renderDraftBtn, 'click', () => {
+                this.handleRenderDraft();
+            });
+        }
+
+        if (this.elements.exportDraftBtn) {
+            DomUtils.addEventListener(this.elements.exportDraftBtn, 'click', () => {
+                this.handleExportDraft();
+            });
+        }
+
+        if (this.elements.compareDocumentsBtn) {
+            DomUtils.addEventListener(this.elements.compareDocumentsBtn, 'click', () => {
+                this.showAmendmentImpact({
+                    from: this.elements.compareFrom?.value,
+                    to: this.elements.compareTo?.value
+                });
+            });
+        }
+
+        if (this.elements.refreshCompletionBtn) {
+            DomUtils.addEventListener(this.elements.refreshCompletionBtn, 'click', () => {
+                this.loadCompletion(this.proposalManager.getActiveProposal()?.id);
+            });
+        }
+
+        if (this.elements.matrixTable) {
+            this.matrixTable = new ComplianceMatrixTable(this.elements.matrixTable, {
+                onChange: (table) => {
+                    if (this.elements.saveMatrixBtn) {
+                        this.elements.saveMatrixBtn.disabled = !table.hasChanges();
+                    }
+                }
+            });
+        }
+
+        if (this.elements.saveMatrixBtn) {
+            DomUtils.addEventListener(this.elements.saveMatrixBtn, 'click', () => {
+                this.saveComplianceMatrix();
+            });
+        }
+
+        if (this.elements.exportMatrixBtn) {
+            DomUtils.addEventListener(this.elements.exportMatrixBtn, 'click', () => {
+                this.handleExportMatrix();
+            });
+        }
+
         // Theme toggle events
         if (this.elements.themeToggle) {
             DomUtils.addEventListener(this.elements.themeToggle, 'click', () => {
@@ -272,15 +405,30 @@ class RfpProposalApp extends EventEmitter {
 
         // Render artifacts
         this.renderArtifacts(proposal.artifacts?.outputs || []);
+        this.renderUnverifiedItems(proposal.artifacts?.analysis);
+        this.showRenderResult('');
+        this.renderCompletion(null);
+        this.loadCompletion(proposal.id);
+        this.renderComplianceMatrix(null);
+        this.loadComplianceMatrix(proposal.id);
+        this.renderDocuments([]);
+        this.loadDocuments(proposal.id);
+
+        // Stop showing progress of another proposal's job
+        this.closeJobStream();
+        this.activeJob = null;
+        this.setProcessingState(false);
 
         // Update file upload UI state
         this.updateFileUploadState();
+
+        this.resumeActiveJob(proposal.id);
     }
 
     handleFileSelection() {
         if (this.elements.rfpUpload.files && this.elements.rfpUpload.files.length) {
             if (this.elements.processRfpBtn) {
-                this.elements.processRfpBtn.disabled = false;
+                this.elements.processRfpBtn.disabled = Boolean(this.activeJob);
             }
             if (this.elements.uploadStatus) {
                 this.elements.uploadStatus.textContent = `${this.elements.rfpUpload.files[0].name} selected.`;
@@ -313,61 +461,719 @@ class RfpProposalApp extends EventEmitter {
             this.proposalManager.clearError();
 
             // Update UI to show processing state
-            if (this.elements.processRfpBtn) {
-                this.elements.processRfpBtn.disabled = true;
-                this.elements.processRfpBtn.textContent = 'Analyzing…';
-            }
+            this.setProcessingState(true);
             if (this.elements.uploadStatus) {
                 this.elements.uploadStatus.textContent = `Uploading ${file.name}…`;
             }
 
-            // Process the document
+            // Processing runs as a server-side job; progress arrives over a Server-Sent Events stream
+            const documentKind = this.elements.documentKind?.value || 'auto';
+            const data = await this.apiService.uploadRfpDocument(activeProposal.id, file, documentKind);
+
+            // Clear file input
+            if (this.elements.rfpUpload) {
+                this.elements.rfpUpload.value = '';
+            }
+            if (this.elements.documentKind) {
+                this.elements.documentKind.value = 'auto';
+            }
+
+            await this.followJob(data.job);
+        } catch (error) {
+            this.logger.error('Error processing RFP document:', error);
+            this.proposalManager.showError(error.message || 'Failed to process document');
+
+            // Reset UI state
+            this.setProcessingState(false);
+            if (this.elements.uploadStatus) {
+                this.elements.uploadStatus.textContent = '';
+            }
+        }
+    }
+
+    setProcessingState(processing) {
+        if (this.elements.processRfpBtn) {
+            this.elements.processRfpBtn.textContent = processing ? 'Analyzing…' : 'Analyze with Gemini';
+            this.elements.processRfpBtn.disabled = processing || !this.elements.rfpUpload?.files?.length;
+        }
+        if (this.elements.cancelRfpBtn) {
+            this.elements.cancelRfpBtn.hidden = !processing;
+            this.elements.cancelRfpBtn.disabled = false;
+        }
+    }
+
+    // Resolves once the job reaches a final state, updating the upload status on every progress event
+    followJob(job) {
+        this.closeJobStream();
+        this.activeJob = job;
+        this.setProcessingState(true);
+        this.showJobProgress(job);
+
+        return new Promise((resolve, reject) => {
+            const handleUpdate = async (update) => {
+                this.activeJob = update;
+                this.showJobProgress(update);
+
+                if (!['succeeded', 'failed', 'cancelled'].includes(update.status)) {
+                    return;
+                }
+
+                this.closeJobStream();
+                this.activeJob = null;
+                try {
+                    await this.handleJobFinished(update);
+                    resolve(update);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            this.jobStream = this.apiService.streamJob(job.id, handleUpdate, async (event, source) => {
+                // EventSource reconnects on its own unless the server refused the stream
+                if (source.readyState !== EventSource.CLOSED) {
+                    return;
+                }
+                try {
+                    const data = await this.apiService.getJob(job.id);
+                    await handleUpdate(data.job);
+                } catch (error) {
+                    this.closeJobStream();
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    closeJobStream() {
+        if (this.jobStream) {
+            this.jobStream.close();
+            this.jobStream = null;
+        }
+    }
+
+    async cancelActiveJob() {
+        if (!this.activeJob) return;
+
+        try {
+            if (this.elements.cancelRfpBtn) {
+                this.elements.cancelRfpBtn.disabled = true;
+            }
+            await this.apiService.cancelJob(this.activeJob.id);
             if (this.elements.uploadStatus) {
-                this.elements.uploadStatus.textContent = 'Analyzing with Gemini 2.0 Flash (hallucination guard enabled)…';
+                this.elements.uploadStatus.textContent = 'Cancelling…';
+            }
+        } catch (error) {
+            this.logger.error('Error cancelling job:', error);
+            this.proposalManager.showError(error.message || 'Failed to cancel processing');
+        }
+    }
+
+    showJobProgress(job) {
+        if (!this.elements.uploadStatus) return;
+
+        if (job.status === 'queued') {
+            this.elements.uploadStatus.textContent = 'Queued for processing…';
+            return;
+        }
+        if (job.status !== 'running') {
+            return;
+        }
+
+        const stage = job.stages.find(entry => entry.status === 'running') || job.stages.find(entry => entry.key === job.currentStage);
+        let detail = stage ? stage.title : 'Processing';
+        if (stage?.key === 'analyze') {
+            detail = 'Analyzing with Gemini (hallucination guard enabled)';
+            if (stage.totalChunks > 1) {
+                detail += ` · part ${Math.min(stage.completedChunks + 1, stage.totalChunks)} of ${stage.totalChunks}`;
             }
+        }
+        this.elements.uploadStatus.textContent = `${detail}… ${job.progress}%`;
+    }
 
-            const data = await this.apiService.uploadRfpDocument(activeProposal.id, file);
+    async handleJobFinished(job) {
+        this.setProcessingState(false);
 
-            // Update success state
+        if (job.status === 'cancelled') {
             if (this.elements.uploadStatus) {
-                this.elements.uploadStatus.textContent = 'Artifacts generated successfully by Gemini 2.0 Flash.';
+                this.elements.uploadStatus.textContent = 'Processing cancelled.';
             }
-            if (this.elements.processRfpBtn) {
-                this.elements.processRfpBtn.textContent = 'Analyze with Gemini';
-                this.elements.processRfpBtn.disabled = false;
+            return;
+        }
+        if (job.status === 'failed') {
+            throw new Error(job.error || 'Failed to process document');
+        }
+
+        // Update proposal data
+        const data = await this.apiService.getProposal(job.proposalId);
+        this.proposalManager.updateProposal(job.proposalId, data.proposal);
+
+        // Only redraw step 1 if the user is still looking at this proposal
+        if (this.proposalManager.getActiveProposal()?.id !== job.proposalId) {
+            return;
+        }
+
+        const analysis = data.proposal.artifacts?.analysis;
+        if (this.elements.uploadStatus) {
+            this.elements.uploadStatus.textContent = this.describeAnalysisResult(analysis);
+        }
+
+        // Render artifacts
+        this.renderArtifacts(data.proposal.artifacts?.outputs || []);
+        this.renderUnverifiedItems(analysis);
+        this.loadDocuments(job.proposalId);
+        this.loadCompletion(job.proposalId);
+        this.loadComplianceMatrix(job.proposalId);
+
+        // Mark step 1 as completed and enable step 2
+        this.workflowManager.enableNextStep();
+
+        this.logger.info('RFP document processed successfully');
+    }
+
+    // Re-attaches to a job that is still running for the selected proposal (e.g. after a page reload)
+    async resumeActiveJob(proposalId) {
+        try {
+            const data = await this.apiService.getProposalJobs(proposalId);
+            const activeJob = (data.jobs || []).find(job => job.status === 'queued' || job.status === 'running');
+            if (activeJob && this.proposalManager.getActiveProposal()?.id === proposalId) {
+                await this.followJob(activeJob);
+            }
+        } catch (error) {
+            this.logger.error('Error resuming processing job:', error);
+            this.proposalManager.showError(error.message || 'Failed to process document');
+            this.setProcessingState(false);
+        }
+    }
+
+    async handleRenderDraft(allowIncomplete = false) {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal) {
+            this.proposalManager.showError('No active proposal selected.');
+            return;
+        }
+
+        this.showRenderResult('Rendering draft…');
+        if (this.elements.renderDraftBtn) {
+            this.elements.renderDraftBtn.disabled = true;
+        }
+
+        let retry = false;
+        try {
+            const data = await this.apiService.renderDraft(activeProposal.id, { allowIncomplete });
+
+            this.proposalManager.updateProposal(activeProposal.id, {
+                artifacts: { ...activeProposal.artifacts, outputs: data.artifacts },
+                completion: data.completion
+            });
+            this.renderArtifacts(data.artifacts || []);
+            this.renderCompletion(data.completion);
+
+            const remaining = data.completion?.remaining || 0;
+            this.showRenderResult(remaining
+                ? `Draft saved as ${data.artifact.name}, but ${remaining} field(s) still contain placeholders. See Step 4.`
+                : `Draft saved as ${data.artifact.name}.`);
+            this.logger.info('Draft rendered:', data.artifact.name);
+        } catch (error) {
+            this.logger.error('Error rendering draft:', error);
+            if (error.status === 409 && !allowIncomplete) {
+                this.renderCompletion(error.data?.completion);
+                retry = confirm(`${error.message}.\n\nRender the draft anyway?`);
             }
+            // Template errors come back with the failing line and the lines around it
+            this.showRenderResult(error.message || 'Failed to render draft', error.data?.snippet);
+        } finally {
+            if (this.elements.renderDraftBtn) {
+                this.elements.renderDraftBtn.disabled = false;
+            }
+        }
+
+        if (retry) {
+            await this.handleRenderDraft(true);
+        }
+    }
+
+    async handleExportDraft(allowIncomplete = false) {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal) {
+            this.proposalManager.showError('No active proposal selected.');
+            return;
+        }
+
+        const format = this.elements.exportFormat?.value || 'docx';
+        this.showRenderResult(`Exporting ${format.toUpperCase()}…`);
+        if (this.elements.exportDraftBtn) {
+            this.elements.exportDraftBtn.disabled = true;
+        }
 
-            // Update proposal data
-            this.proposalManager.updateProposal(activeProposal.id, data.proposal);
+        let retry = false;
+        try {
+            const data = await this.apiService.exportDraft(activeProposal.id, format, { allowIncomplete });
 
-            // Render artifacts
+            this.proposalManager.updateProposal(activeProposal.id, {
+                artifacts: { ...activeProposal.artifacts, outputs: data.artifacts }
+            });
             this.renderArtifacts(data.artifacts || []);
+            this.showRenderResult(`Exported ${data.artifact.name}. Download it from the list above.`);
+            this.logger.info('Proposal exported:', data.artifact.name);
+        } catch (error) {
+            this.logger.error('Error exporting proposal:', error);
+            this.showRenderResult(error.message || 'Failed to export proposal');
+            // Unfilled placeholders block the export until the user confirms
+            if (error.status === 409 && !allowIncomplete) {
+                retry = confirm(`${error.message}\n\nExport the incomplete proposal anyway?`);
+            }
+        } finally {
+            if (this.elements.exportDraftBtn) {
+                this.elements.exportDraftBtn.disabled = false;
+            }
+        }
 
-            // Clear file input
-            if (this.elements.rfpUpload) {
-                this.elements.rfpUpload.value = '';
+        if (retry) {
+            await this.handleExportDraft(true);
+        }
+    }
+
+    async loadCompletion(proposalId) {
+        const proposal = this.proposalManager.getAllProposals().find(p => p.id === proposalId);
+        const hasVariables = (proposal?.artifacts?.outputs || []).some(artifact => artifact.type === 'Variables');
+        if (!hasVariables) {
+            this.renderCompletion(null);
+            return;
+        }
+
+        try {
+            const data = await this.apiService.getCompletion(proposalId);
+            if (this.proposalManager.getActiveProposal()?.id !== proposalId) {
+                return;
+            }
+            this.renderCompletion(data.completion);
+
+            // Keep the proposal tree in step with the latest scan
+            const { sections, ...totals } = data.completion;
+            this.proposalManager.updateProposal(proposalId, {
+                completion: { ...totals, sections: sections.map(({ placeholders, ...section }) => section) }
+            });
+        } catch (error) {
+            this.logger.error('Error loading completion:', error);
+            this.renderCompletion(null, error.message);
+        }
+    }
+
+    renderCompletion(completion, errorMessage = null) {
+        if (!this.elements.completionPanel || !this.elements.completionSections) return;
+
+        this.elements.completionSections.innerHTML = '';
+        this.elements.completionPanel.hidden = !completion;
+        if (this.elements.completionEmpty) {
+            this.elements.completionEmpty.hidden = Boolean(completion);
+            this.elements.completionEmpty.textContent = errorMessage ||
+                'Upload and analyze an RFP document to track which fields still need to be filled.';
+        }
+        if (!completion) return;
+
+        if (this.elements.completionSummary) {
+            this.elements.completionSummary.textContent = completion.complete
+                ? `All ${completion.total} fields are filled in.`
+                : `${completion.filled} of ${completion.total} fields filled (${completion.percent}%) · ${completion.remaining} placeholder(s) left`;
+        }
+        if (this.elements.completionBarFill) {
+            this.elements.completionBarFill.style.width = `${completion.percent}%`;
+        }
+
+        completion.sections.forEach((section) => {
+            const item = DomUtils.createElement('li', {
+                className: `completion-section${section.remaining ? '' : ' complete'}`
+            });
+            const header = DomUtils.createElement('div', { className: 'completion-section-header' });
+            header.appendChild(DomUtils.createElement('span', { className: 'completion-section-title' }, section.title));
+            header.appendChild(DomUtils.createElement('span', { className: 'completion-section-count' },
+                `${section.filled}/${section.total} · ${section.percent}%`));
+            item.appendChild(header);
+
+            if (section.placeholders?.length) {
+                const list = DomUtils.createElement('ul', { className: 'completion-placeholders' });
+                section.placeholders.forEach((placeholder) => {
+                    const entry = DomUtils.createElement('li', { className: 'completion-placeholder' });
+                    entry.appendChild(DomUtils.createElement('code', {}, placeholder.path));
+                    if (placeholder.hint) {
+                        entry.appendChild(DomUtils.createElement('span', {}, placeholder.hint));
+                    }
+                    list.appendChild(entry);
+                });
+                item.appendChild(list);
             }
 
-            // Mark step 1 as completed and enable step 2
-            this.workflowManager.enableNextStep();
+            this.elements.completionSections.appendChild(item);
+        });
+    }
 
-            this.logger.info('RFP document processed successfully');
+    async loadDocuments(proposalId) {
+        const proposal = this.proposalManager.getAllProposals().find(p => p.id === proposalId);
+        if (!proposal?.artifacts?.analysis) {
+            this.renderDocuments([]);
+            return;
+        }
 
+        try {
+            const data = await this.apiService.getDocuments(proposalId);
+            if (this.proposalManager.getActiveProposal()?.id !== proposalId) {
+                return;
+            }
+            this.renderDocuments(data.documents);
         } catch (error) {
-            this.logger.error('Error processing RFP document:', error);
-            this.proposalManager.showError(error.message || 'Failed to process document');
+            this.logger.error('Error loading documents:', error);
+            this.renderDocuments([]);
+        }
+    }
 
-            // Reset UI state
-            if (this.elements.processRfpBtn) {
-                this.elements.processRfpBtn.textContent = 'Analyze with Gemini';
-                this.elements.processRfpBtn.disabled = false;
+    // One row per analyzed document with its type, which can be changed, and a remove button
+    renderDocuments(documents) {
+        if (!this.elements.documentSet || !this.elements.documentList) return;
+
+        this.elements.documentSet.hidden = documents.length === 0;
+        this.elements.documentList.innerHTML = '';
+        this.renderDocumentComparison(documents);
+
+        // Every document but the first one uploaded can be compared with the bid as it was before it
+        const firstUploaded = documents.reduce((first, doc) =>
+            (!first || new Date(doc.uploadedAt) < new Date(first.uploadedAt) ? doc : first), null);
+
+        documents.forEach((doc) => {
+            const item = DomUtils.createElement('li', { className: 'document-item' });
+            const info = DomUtils.createElement('div', { className: 'document-info' });
+            info.appendChild(DomUtils.createElement('span', { className: 'document-name' }, doc.name));
+            info.appendChild(DomUtils.createElement('span', { className: 'document-meta' },
+                `${doc.requirementCount} requirement(s) · uploaded ${new Date(doc.uploadedAt).toLocaleString()}`));
+            item.appendChild(info);
+
+            const kindSelect = DomUtils.createElement('select', { 'aria-label': `Type of ${doc.name}` });
+            Object.entries(DOCUMENT_KIND_TITLES).forEach(([kind, title]) => {
+                kindSelect.appendChild(DomUtils.createElement('option', { value: kind }, title));
+            });
+            kindSelect.value = doc.kind;
+            DomUtils.addEventListener(kindSelect, 'change', () => {
+                this.changeDocumentKind(doc, kindSelect);
+            });
+            item.appendChild(kindSelect);
+
+            if (doc !== firstUploaded) {
+                const impactBtn = DomUtils.createElement('button', { type: 'button', className: 'btn-secondary' }, 'Impact');
+                impactBtn.title = 'Show what this document changed in the bid';
+                DomUtils.addEventListener(impactBtn, 'click', () => {
+                    this.showAmendmentImpact({ documentId: doc.id });
+                });
+                item.appendChild(impactBtn);
             }
-            if (this.elements.uploadStatus) {
-                this.elements.uploadStatus.textContent = '';
+
+            const removeBtn = DomUtils.createElement('button', { type: 'button', className: 'btn-secondary' }, 'Remove');
+            removeBtn.disabled = documents.length === 1;
+            DomUtils.addEventListener(removeBtn, 'click', () => {
+                this.removeDocument(doc);
+            });
+            item.appendChild(removeBtn);
+
+            this.elements.documentList.appendChild(item);
+        });
+    }
+
+    // Two document pickers to compare any two versions of the RFP, e.g. a reissued RFP with the original
+    renderDocumentComparison(documents) {
+        if (!this.elements.documentCompare) return;
+
+        this.elements.documentCompare.hidden = documents.length < 2;
+        [this.elements.compareFrom, this.elements.compareTo].forEach((select, position) => {
+            if (!select) return;
+            select.innerHTML = '';
+            documents.forEach((doc) => {
+                select.appendChild(DomUtils.createElement('option', { value: doc.id }, doc.name));
+            });
+            select.selectedIndex = Math.min(position, documents.length - 1);
+        });
+    }
+
+    async showAmendmentImpact(options) {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal) return;
+
+        try {
+            this.proposalManager.clearError();
+            const data = await this.apiService.compareDocuments(activeProposal.id, options);
+            this.renderArtifacts(data.artifacts);
+            await this.viewArtifact(data.artifact.name);
+        } catch (error) {
+            this.logger.error('Error comparing documents:', error);
+            this.proposalManager.showError(error.message || 'Failed to compare documents');
+        }
+    }
+
+    // etag: the proposal ETag the change is made against, by default the revision the page has loaded
+    async changeDocumentKind(doc, kindSelect, etag = this.proposalManager.getActiveProposal()?.revision) {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal) return;
+
+        kindSelect.disabled = true;
+        try {
+            this.proposalManager.clearError();
+            const data = await this.apiService.updateDocument(activeProposal.id, doc.id, kindSelect.value, etag);
+            this.rememberProposalETag(activeProposal.id, data.etag);
+            await this.reloadAnalysis(activeProposal.id);
+        } catch (error) {
+            if (error instanceof ApiError && error.isConflict()) {
+                const choice = await showConflictDialog({
+                    title: 'Proposal changed',
+                    message: `${error.message}. Its documents or artifacts may differ from what you see.`,
+                    mergeLabel: null,
+                    overwriteLabel: 'Apply anyway'
+                });
+                if (choice === 'overwrite') {
+                    await this.changeDocumentKind(doc, kindSelect, error.data.conflict.etag);
+                } else {
+                    await this.reloadAnalysis(activeProposal.id);
+                }
+                return;
             }
+            this.logger.error('Error updating document:', error);
+            this.proposalManager.showError(error.message || 'Failed to update document');
+            kindSelect.value = doc.kind;
+            kindSelect.disabled = false;
         }
     }
 
+    async removeDocument(doc) {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal || !confirm(`Remove ${doc.name} from this proposal? Its requirements are dropped from the analysis.`)) {
+            return;
+        }
+
+        try {
+            this.proposalManager.clearError();
+            const data = await this.apiService.deleteDocument(activeProposal.id, doc.id);
+            this.rememberProposalETag(activeProposal.id, data.etag);
+            await this.reloadAnalysis(activeProposal.id);
+        } catch (error) {
+            this.logger.error('Error removing document:', error);
+            this.proposalManager.showError(error.message || 'Failed to remove document');
+        }
+    }
+
+    // Keeps the proposal ETag ("<revision>") a write answered with, so the next conditional write is made
+    // against it rather than the revision loaded with the page
+    rememberProposalETag(proposalId, etag) {
+        const revision = Number(/^(?:W\/)?"(\d+)"$/.exec(etag || '')?.[1]);
+        if (Number.isInteger(revision)) {
+            this.proposalManager.updateProposal(proposalId, { revision });
+        }
+    }
+
+    // Redraws everything derived from the consolidated analysis after the document set changed
+    async reloadAnalysis(proposalId) {
+        const data = await this.apiService.getProposal(proposalId);
+        this.proposalManager.updateProposal(proposalId, data.proposal);
+
+        this.renderArtifacts(data.proposal.artifacts?.outputs || []);
+        this.renderUnverifiedItems(data.proposal.artifacts?.analysis);
+        this.loadDocuments(proposalId);
+        this.loadCompletion(proposalId);
+        this.loadComplianceMatrix(proposalId);
+    }
+
+    async loadComplianceMatrix(proposalId) {
+        const proposal = this.proposalManager.getAllProposals().find(p => p.id === proposalId);
+        if (!proposal?.artifacts?.analysis) {
+            this.renderComplianceMatrix(null);
+            return;
+        }
+
+        try {
+            const data = await this.apiService.getComplianceMatrix(proposalId);
+            if (this.proposalManager.getActiveProposal()?.id !== proposalId) {
+                return;
+            }
+            if (this.matrixTable) {
+                this.matrixTable.statuses = data.statuses;
+            }
+            this.renderComplianceMatrix(data);
+        } catch (error) {
+            this.logger.error('Error loading compliance matrix:', error);
+            this.renderComplianceMatrix(null);
+        }
+    }
+
+    renderComplianceMatrix(data) {
+        if (!this.elements.matrixPanel || !this.matrixTable) return;
+
+        this.elements.matrixPanel.hidden = !data;
+        this.matrixETag = data?.etag || null;
+        this.showMatrixStatus('');
+        if (this.elements.saveMatrixBtn) {
+            this.elements.saveMatrixBtn.disabled = true;
+        }
+        this.matrixTable.render(data?.matrix);
+        if (!data) return;
+
+        const { summary } = data;
+        if (this.elements.matrixSummary) {
+            this.elements.matrixSummary.textContent = summary.total
+                ? `${summary.total} requirement(s): ${summary.compliant} compliant, ${summary.partial} partial, ${summary.exception} exception, ${summary.unassessed} not assessed`
+                : 'No requirements were extracted from the RFP.';
+        }
+    }
+
+    async saveComplianceMatrix() {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal || !this.matrixTable?.hasChanges()) return;
+
+        if (this.elements.saveMatrixBtn) {
+            this.elements.saveMatrixBtn.disabled = true;
+        }
+        try {
+            const data = await this.apiService.updateComplianceMatrix(
+                activeProposal.id,
+                this.matrixTable.getChangedRows(),
+                this.matrixETag
+            );
+            this.renderComplianceMatrix(data);
+            this.showMatrixStatus('Compliance matrix saved.');
+            this.logger.info('Compliance matrix saved');
+        } catch (error) {
+            if (error instanceof ApiError && error.isConflict()) {
+                await this.resolveMatrixConflict(error);
+                return;
+            }
+            this.logger.error('Error saving compliance matrix:', error);
+            this.showMatrixStatus(error.message || 'Failed to save compliance matrix');
+            if (this.elements.saveMatrixBtn) {
+                this.elements.saveMatrixBtn.disabled = false;
+            }
+        }
+    }
+
+    // Someone saved the matrix after it was loaded: put the edits made here on top of their matrix for review,
+    // or save every row as shown here over it
+    async resolveMatrixConflict(error) {
+        const { conflict } = error.data;
+        const choice = await showConflictDialog({
+            title: 'Compliance matrix changed',
+            message: error.message,
+            mergeHint: 'Merge loads the saved matrix and applies the rows you edited on top of it.'
+        });
+
+        if (this.elements.saveMatrixBtn) {
+            this.elements.saveMatrixBtn.disabled = false;
+        }
+        if (choice === 'overwrite') {
+            this.matrixETag = conflict.etag;
+            this.matrixTable.markAllChanged();
+            await this.saveComplianceMatrix();
+        } else if (choice === 'merge') {
+            this.matrixTable.rebase(conflict.matrix);
+            this.matrixETag = conflict.etag;
+            this.showMatrixStatus('Merged with the saved matrix; your edited rows are applied on top. Review them, then save.');
+        } else {
+            this.showMatrixStatus(error.message);
+        }
+    }
+
+    async handleExportMatrix() {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal) {
+            this.proposalManager.showError('No active proposal selected.');
+            return;
+        }
+
+        // Unsaved edits would be missing from the export
+        if (this.matrixTable?.hasChanges()) {
+            await this.saveComplianceMatrix();
+            if (this.matrixTable.hasChanges()) return;
+        }
+
+        const format = this.elements.matrixExportFormat?.value || 'xlsx';
+        this.showMatrixStatus(`Exporting ${format.toUpperCase()}…`);
+        if (this.elements.exportMatrixBtn) {
+            this.elements.exportMatrixBtn.disabled = true;
+        }
+
+        try {
+            const data = await this.apiService.exportComplianceMatrix(activeProposal.id, format);
+            this.proposalManager.updateProposal(activeProposal.id, {
+                artifacts: { ...activeProposal.artifacts, outputs: data.artifacts }
+            });
+            this.renderArtifacts(data.artifacts || []);
+            this.downloadArtifact(data.artifact.name);
+            this.showMatrixStatus(`Exported ${data.artifact.name}.`);
+            this.logger.info('Compliance matrix exported:', data.artifact.name);
+        } catch (error) {
+            this.logger.error('Error exporting compliance matrix:', error);
+            this.showMatrixStatus(error.message || 'Failed to export compliance matrix');
+        } finally {
+            if (this.elements.exportMatrixBtn) {
+                this.elements.exportMatrixBtn.disabled = false;
+            }
+        }
+    }
+
+    showMatrixStatus(message) {
+        if (this.elements.matrixStatus) {
+            this.elements.matrixStatus.textContent = message;
+        }
+    }
+
+    showRenderResult(message, errorSnippet = null) {
+        if (this.elements.renderStatus) {
+            this.elements.renderStatus.textContent = message;
+        }
+        if (this.elements.renderErrorDetail) {
+            this.elements.renderErrorDetail.textContent = errorSnippet || '';
+            this.elements.renderErrorDetail.hidden = !errorSnippet;
+        }
+    }
+
+    describeAnalysisResult(analysis) {
+        const unrecoverable = analysis?.validation?.unrecoverableFields || [];
+        const unverified = analysis?.grounding?.unverified || 0;
+        const warnings = [];
+
+        if (unrecoverable.length) {
+            const preview = unrecoverable.slice(0, 5).join(', ');
+            const more = unrecoverable.length > 5 ? ` and ${unrecoverable.length - 5} more` : '';
+            warnings.push(`${unrecoverable.length} field(s) could not be recovered from the model output: ${preview}${more}`);
+        }
+        if (unverified) {
+            warnings.push(`${unverified} of ${analysis.grounding.total} extracted item(s) could not be verified against the source`);
+        }
+
+        if (!warnings.length) {
+            return 'Artifacts generated successfully.';
+        }
+        return `Artifacts generated, but ${warnings.join('; ')}. Review the Requirements artifact.`;
+    }
+
+    renderUnverifiedItems(analysis) {
+        if (!this.elements.unverifiedList || !this.elements.unverifiedItems) return;
+
+        this.elements.unverifiedList.innerHTML = '';
+
+        const unverified = (analysis?.citations || []).filter(citation => !citation.verified);
+        if (!unverified.length) {
+            this.elements.unverifiedItems.hidden = true;
+            return;
+        }
+
+        this.elements.unverifiedItems.hidden = false;
+        if (this.elements.unverifiedSummary) {
+            this.elements.unverifiedSummary.textContent =
+                `${unverified.length} of ${analysis.citations.length} extracted items have no matching quote in the source document. Check them before relying on them.`;
+        }
+
+        unverified.forEach((citation) => {
+            const item = DomUtils.createElement('li', { className: 'unverified-item' });
+            item.appendChild(DomUtils.createElement('span', { className: 'unverified-field' }, citation.path));
+            item.appendChild(DomUtils.createElement('span', { className: 'unverified-text' }, citation.text));
+            item.appendChild(DomUtils.createElement('span', { className: 'unverified-reason' }, citation.reason));
+            this.elements.unverifiedList.appendChild(item);
+        });
+    }
+
     renderArtifacts(outputs = []) {
         if (!this.elements.artifactList) return;
 
@@ -408,7 +1214,18 @@ class RfpProposalApp extends EventEmitter {
             this.downloadArtifact(artifact.name);
         });
 
-        actions.appendChild(viewBtn);
+        if (artifact.type === 'Variables') {
+            const formBtn = DomUtils.createElement('button', { className: 'artifact-view' }, 'Edit Form');
+            DomUtils.addEventListener(formBtn, 'click', () => {
+                this.editVariables();
+            });
+            actions.appendChild(formBtn);
+        }
+
+        // Word and PDF exports are binary and can only be downloaded
+        if (!(artifact.type === 'Export' && artifact.format !== 'html')) {
+            actions.appendChild(viewBtn);
+        }
         actions.appendChild(downloadBtn);
 
         item.appendChild(type);
@@ -468,11 +1285,16 @@ class RfpProposalApp extends EventEmitter {
         // Populate modal content
         const title = modal.querySelector('.modal-title');
         const editor = modal.querySelector('.artifact-editor');
+        const noteInput = modal.querySelector('.artifact-note');
         const saveBtn = modal.querySelector('.save-artifact');
         const closeBtn = modal.querySelector('.close-modal');
 
         title.textContent = artifactData.fileName;
         editor.value = artifactData.content;
+        noteInput.value = '';
+        modal.querySelector('.markdown-btn').click();
+        modal.dataset.etag = artifactData.etag || '';
+        this.showArtifactStatus(artifactData.status || '');
 
         // Store current artifact data for saving
         modal.dataset.fileName = artifactData.fileName;
@@ -484,7 +1306,7 @@ class RfpProposalApp extends EventEmitter {
         editor.focus();
 
         // Bind events
-        saveBtn.onclick = () => this.saveArtifact(artifactData.fileName, editor.value);
+        saveBtn.onclick = () => this.saveArtifact(artifactData.fileName, editor.value, noteInput.value);
         closeBtn.onclick = () => this.closeArtifactModal();
 
         // Close on background click
@@ -516,11 +1338,15 @@ class RfpProposalApp extends EventEmitter {
                     <div class="editor-toolbar">
                         <button class="editor-btn preview-btn" type="button">Preview</button>
                         <button class="editor-btn markdown-btn active" type="button">Markdown</button>
+                        <button class="editor-btn history-btn" type="button">History</button>
                     </div>
                     <textarea class="artifact-editor" placeholder="Loading content..."></textarea>
                     <div class="artifact-preview" style="display: none;"></div>
+                    <div class="artifact-history" style="display: none;"></div>
                 </div>
                 <div class="modal-footer">
+                    <span class="artifact-status" role="status" hidden></span>
+                    <input class="artifact-note" type="text" maxlength="200" placeholder="Describe your change (optional)" aria-label="Change note">
                     <button class="save-artifact" type="button">Save Changes</button>
                     <button class="cancel-edit" type="button">Cancel</button>
                 </div>
@@ -530,22 +1356,33 @@ class RfpProposalApp extends EventEmitter {
         // Add preview toggle functionality
         const previewBtn = modal.querySelector('.preview-btn');
         const markdownBtn = modal.querySelector('.markdown-btn');
+        const historyBtn = modal.querySelector('.history-btn');
         const editor = modal.querySelector('.artifact-editor');
         const preview = modal.querySelector('.artifact-preview');
+        const history = modal.querySelector('.artifact-history');
+
+        // One of editor, preview and history is shown at a time
+        const showView = (button, view) => {
+            [previewBtn, markdownBtn, historyBtn].forEach(btn => btn.classList.toggle('active', btn === button));
+            [editor, preview, history].forEach(element => {
+                element.style.display = element === view ? 'block' : 'none';
+            });
+        };
 
         previewBtn.onclick = () => {
-            previewBtn.classList.add('active');
-            markdownBtn.classList.remove('active');
             preview.innerHTML = this.markdownToHtml(editor.value);
-            editor.style.display = 'none';
-            preview.style.display = 'block';
+            showView(previewBtn, preview);
         };
 
-        markdownBtn.onclick = () => {
-            markdownBtn.classList.add('active');
-            previewBtn.classList.remove('active');
-            preview.style.display = 'none';
-            editor.style.display = 'block';
+        markdownBtn.onclick = () => showView(markdownBtn, editor);
+
+        this.artifactHistory = new ArtifactHistoryPanel(history, {
+            apiService: this.apiService,
+            onRestore: () => this.handleArtifactRestored(modal.dataset.fileName)
+        });
+        historyBtn.onclick = () => {
+            showView(historyBtn, history);
+            this.artifactHistory.load(this.proposalManager.getActiveProposal()?.id, modal.dataset.fileName);
         };
 
         const cancelBtn = modal.querySelector('.cancel-edit');
@@ -554,7 +1391,8 @@ class RfpProposalApp extends EventEmitter {
         return modal;
     }
 
-    async saveArtifact(fileName, content) {
+    // etag is the version the edit was made on; by default the one the modal was opened with
+    async saveArtifact(fileName, content, note = '', etag = document.getElementById('artifactModal')?.dataset.etag) {
         const activeProposal = this.proposalManager.getActiveProposal();
         if (!activeProposal) {
             this.proposalManager.showError('No active proposal selected.');
@@ -562,33 +1400,84 @@ class RfpProposalApp extends EventEmitter {
         }
 
         try {
-            const response = await fetch(`/api/proposals/${activeProposal.id}/artifacts/${fileName}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ content })
-            });
-
-            const data = await response.json();
-
-            if (!data.success) {
-                throw new Error(data.message || 'Failed to save artifact');
-            }
+            await this.apiService.updateArtifact(activeProposal.id, fileName, content, note, etag);
 
             this.proposalManager.showError(''); // Clear any existing errors
             this.closeArtifactModal();
 
             // Refresh the proposal data to update artifact info
             await this.proposalManager.loadProposals(activeProposal.id);
+            this.loadCompletion(activeProposal.id);
+            this.loadComplianceMatrix(activeProposal.id);
 
             this.logger.info('Artifact saved:', fileName);
         } catch (error) {
+            if (error instanceof ApiError && error.isConflict()) {
+                await this.resolveArtifactConflict(fileName, content, note, error);
+                return;
+            }
             console.error('Save artifact error:', error);
             this.proposalManager.showError('Failed to save artifact: ' + error.message);
         }
     }
 
+    // Someone saved the artifact after the modal was opened: merge both edits into the editor for review, or
+    // save over their version
+    async resolveArtifactConflict(fileName, content, note, error) {
+        const { conflict } = error.data;
+        const choice = await showConflictDialog({
+            title: `${fileName} was changed`,
+            message: error.message,
+            version: conflict.version
+        });
+
+        if (choice === 'overwrite') {
+            await this.saveArtifact(fileName, content, note, conflict.etag);
+            return;
+        }
+        if (choice !== 'merge') {
+            return;
+        }
+
+        const modal = document.getElementById('artifactModal');
+        modal.querySelector('.markdown-btn').click();
+        modal.querySelector('.artifact-editor').value = conflict.merged.content;
+        modal.dataset.etag = conflict.etag;
+        this.showArtifactStatus(conflict.merged.conflicts
+            ? `${conflict.merged.conflicts} overlapping edit(s) are marked with <<<<<<< and >>>>>>>. Resolve them, then save.`
+            : 'Merged with the saved version. Review the result, then save.');
+    }
+
+    showArtifactStatus(message) {
+        const status = document.querySelector('#artifactModal .artifact-status');
+        if (!status) return;
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    // The restored content replaces what the editor shows; everything derived from the artifact is reloaded
+    async handleArtifactRestored(fileName) {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal) return;
+
+        try {
+            const response = await fetch(`/api/proposals/${activeProposal.id}/artifacts/${fileName}/view`);
+            const data = await response.json();
+            const modal = document.getElementById('artifactModal');
+            if (data.success && modal?.dataset.fileName === fileName) {
+                modal.querySelector('.artifact-editor').value = data.content;
+                modal.dataset.etag = data.etag;
+            }
+
+            await this.proposalManager.loadProposals(activeProposal.id);
+            this.loadCompletion(activeProposal.id);
+            this.loadComplianceMatrix(activeProposal.id);
+            this.logger.info('Artifact version restored:', fileName);
+        } catch (error) {
+            this.logger.error('Error reloading restored artifact:', error);
+        }
+    }
+
     closeArtifactModal() {
         const modal = document.getElementById('artifactModal');
         if (modal) {
@@ -596,6 +1485,200 @@ class RfpProposalApp extends EventEmitter {
         }
     }
 
+    async editVariables() {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal) {
+            this.proposalManager.showError('No active proposal selected.');
+            return;
+        }
+
+        try {
+            const data = await this.apiService.getVariables(activeProposal.id);
+            this.showVariablesModal(data);
+        } catch (error) {
+            this.logger.error('Error loading variables:', error);
+            this.proposalManager.showError('Failed to load variables: ' + error.message);
+        }
+    }
+
+    showVariablesModal({ fileName, variables, schema, etag }) {
+        let modal = document.getElementById('variablesModal');
+        if (!modal) {
+            modal = this.createVariablesModal();
+            document.body.appendChild(modal);
+        }
+
+        const title = modal.querySelector('.modal-title');
+        const container = modal.querySelector('.variables-form');
+        const saveBtn = modal.querySelector('.save-artifact');
+        const jsonBtn = modal.querySelector('.edit-json');
+
+        title.textContent = `${fileName} (form)`;
+        this.variablesForm = new VariablesForm(container, schema, variables);
+        this.variablesSource = { fileName, schema, etag };
+
+        // A file edited by hand into another shape cannot be shown as a form; it has to be fixed as JSON first
+        const loadErrors = this.variablesForm.validate();
+        if (loadErrors.length) {
+            container.innerHTML = '';
+            this.showVariablesErrors(loadErrors, 'This file does not match the variables structure. Fix it in the JSON editor:');
+        } else {
+            this.variablesForm.render();
+            this.showVariablesErrors([]);
+        }
+        saveBtn.disabled = loadErrors.length > 0;
+
+        saveBtn.onclick = () => this.saveVariables();
+        jsonBtn.onclick = () => {
+            this.closeVariablesModal();
+            this.viewArtifact(fileName);
+        };
+
+        modal.style.display = 'flex';
+    }
+
+    createVariablesModal() {
+        const modal = document.createElement('div');
+        modal.id = 'variablesModal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content artifact-modal variables-modal">
+                <div class="modal-header">
+                    <h3 class="modal-title">Variables</h3>
+                    <button class="close-modal" type="button">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="variables-errors" hidden></div>
+                    <div class="variables-form"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="edit-json cancel-edit" type="button">Edit JSON</button>
+                    <button class="save-artifact" type="button">Save Changes</button>
+                    <button class="cancel-edit" type="button">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close-modal').onclick = () => this.closeVariablesModal();
+        modal.querySelector('.modal-footer > .cancel-edit:last-child').onclick = () => this.closeVariablesModal();
+        modal.onclick = (e) => {
+            if (e.target === modal) {
+                this.closeVariablesModal();
+            }
+        };
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.style.display === 'flex') {
+                this.closeVariablesModal();
+            }
+        });
+
+        return modal;
+    }
+
+    showVariablesErrors(errors, heading = 'Please fix the highlighted fields:') {
+        const panel = document.querySelector('#variablesModal .variables-errors');
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        panel.hidden = !errors.length;
+        if (!errors.length) return;
+
+        panel.appendChild(DomUtils.createElement('p', {}, heading));
+        const list = DomUtils.createElement('ul');
+        errors.forEach((error) => {
+            list.appendChild(DomUtils.createElement('li', {}, `${error.path}: ${error.message}`));
+        });
+        panel.appendChild(list);
+    }
+
+    async saveVariables() {
+        const activeProposal = this.proposalManager.getActiveProposal();
+        if (!activeProposal || !this.variablesForm) {
+            this.proposalManager.showError('No active proposal selected.');
+            return;
+        }
+
+        const errors = this.variablesForm.validate();
+        this.variablesForm.showErrors(errors);
+        this.showVariablesErrors(errors);
+        if (errors.length) return;
+
+        try {
+            await this.apiService.saveVariables(activeProposal.id, this.variablesForm.getValue(), this.variablesSource.etag);
+
+            this.proposalManager.showError('');
+            this.closeVariablesModal();
+
+            await this.proposalManager.loadProposals(activeProposal.id);
+            this.loadCompletion(activeProposal.id);
+
+            this.logger.info('Variables saved');
+        } catch (error) {
+            if (error instanceof ApiError && error.isConflict()) {
+                await this.resolveVariablesConflict(error);
+                return;
+            }
+            this.logger.error('Error saving variables:', error);
+            // Rejected by the server's validation: point at the offending fields
+            const serverErrors = error.data?.errors || [{ path: 'variables', message: error.message }];
+            this.variablesForm.showErrors(serverErrors);
+            this.showVariablesErrors(serverErrors);
+        }
+    }
+
+    // Someone saved the variables after the form was opened. A merge without overlapping edits goes back into
+    // the form; overlapping edits have to be resolved in the JSON editor.
+    async resolveVariablesConflict(error) {
+        const { conflict } = error.data;
+        const choice = await showConflictDialog({
+            title: 'Variables changed',
+            message: error.message,
+            version: conflict.version
+        });
+
+        if (choice === 'overwrite') {
+            this.variablesSource.etag = conflict.etag;
+            await this.saveVariables();
+            return;
+        }
+        if (choice !== 'merge') {
+            return;
+        }
+
+        const { fileName, schema } = this.variablesSource;
+        let variables = null;
+        if (!conflict.merged.conflicts) {
+            try {
+                variables = JSON.parse(conflict.merged.content);
+            } catch {
+                variables = null;
+            }
+        }
+        if (variables) {
+            this.showVariablesModal({ fileName, schema, variables, etag: conflict.etag });
+            return;
+        }
+
+        this.closeVariablesModal();
+        this.showArtifactModal({
+            fileName,
+            content: conflict.merged.content,
+            etag: conflict.etag,
+            status: conflict.merged.conflicts
+                ? `${conflict.merged.conflicts} overlapping edit(s) are marked with <<<<<<< and >>>>>>>. Resolve them, then save.`
+                : 'The merged variables are not valid JSON. Fix them, then save.'
+        });
+    }
+
+    closeVariablesModal() {
+        const modal = document.getElementById('variablesModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        this.variablesForm = null;
+        this.variablesSource = null;
+    }
+
     markdownToHtml(markdown) {
         // Simple markdown to HTML converter
         return markdown
@@ -18,11 +18,11 @@ export class ApiService {
         const url = `${this.baseUrl}${endpoint}`;
         const config = {
             credentials: this.credentials,
+            ...options,
             headers: {
                 ...this.defaultHeaders,
                 ...options.headers
-            },
-            ...options
+            }
         };
 
         try {
@@ -123,6 +123,10 @@ export class ApiService {
         return this.post('/api/logout');
     }
 
+    async resendEmailVerification() {
+        return this.post('/api/resend-verification');
+    }
+
     // Proposal API methods
     async getProposals() {
         return this.get('/api/proposals');
@@ -145,12 +149,124 @@ export class ApiService {
     }
 
     // Document processing API methods
-    async uploadRfpDocument(proposalId, file) {
+    // documentKind: 'auto' (classified by the server), 'base', 'amendment', 'attachment' or 'qa'
+    async uploadRfpDocument(proposalId, file, documentKind = 'auto') {
         const formData = new FormData();
+        formData.append('documentKind', documentKind);
         formData.append('rfpDocument', file);
         return this.post(`/api/proposals/${proposalId}/upload-rfp`, formData);
     }
 
+    async getDocuments(proposalId) {
+        return this.get(`/api/proposals/${proposalId}/documents`);
+    }
+
+    // etag: the proposal ETag (or revision) the change is based on; a newer proposal fails with 409
+    async updateDocument(proposalId, documentId, kind, etag) {
+        return this.put(`/api/proposals/${proposalId}/documents/${documentId}`, { kind }, this.ifMatch(etag));
+    }
+
+    async deleteDocument(proposalId, documentId) {
+        return this.delete(`/api/proposals/${proposalId}/documents/${documentId}`);
+    }
+
+    // options: { documentId } for what a document changed in the bid, or { from, to } to compare two documents
+    async compareDocuments(proposalId, options = {}) {
+        return this.post(`/api/proposals/${proposalId}/amendment-impact`, options);
+    }
+
+    async renderDraft(proposalId, options = {}) {
+        return this.post(`/api/proposals/${proposalId}/render`, { allowIncomplete: Boolean(options.allowIncomplete) });
+    }
+
+    async exportDraft(proposalId, format, options = {}) {
+        return this.post(`/api/proposals/${proposalId}/export`, {
+            format,
+            allowIncomplete: Boolean(options.allowIncomplete)
+        });
+    }
+
+    async getCompletion(proposalId) {
+        return this.get(`/api/proposals/${proposalId}/completion`);
+    }
+
+    async getComplianceMatrix(proposalId) {
+        return this.get(`/api/proposals/${proposalId}/compliance-matrix`);
+    }
+
+    async updateComplianceMatrix(proposalId, rows, etag) {
+        return this.put(`/api/proposals/${proposalId}/compliance-matrix`, { rows }, this.ifMatch(etag));
+    }
+
+    async exportComplianceMatrix(proposalId, format) {
+        return this.post(`/api/proposals/${proposalId}/compliance-matrix/export`, { format });
+    }
+
+    // Artifact version history
+    async getArtifactVersions(proposalId, fileName) {
+        return this.get(`/api/proposals/${proposalId}/artifacts/${encodeURIComponent(fileName)}/versions`);
+    }
+
+    async diffArtifactVersions(proposalId, fileName, from, to) {
+        const params = new URLSearchParams({ from: String(from) });
+        if (to !== undefined) {
+            params.set('to', String(to));
+        }
+        return this.get(`/api/proposals/${proposalId}/artifacts/${encodeURIComponent(fileName)}/diff?${params}`);
+    }
+
+    async restoreArtifactVersion(proposalId, fileName, version) {
+        return this.post(`/api/proposals/${proposalId}/artifacts/${encodeURIComponent(fileName)}/versions/${version}/restore`, {});
+    }
+
+    async getVariables(proposalId) {
+        return this.get(`/api/proposals/${proposalId}/variables`);
+    }
+
+    async saveVariables(proposalId, variables, etag) {
+        return this.put(`/api/proposals/${proposalId}/variables`, { variables }, this.ifMatch(etag));
+    }
+
+    async updateArtifact(proposalId, fileName, content, note, etag) {
+        return this.put(`/api/proposals/${proposalId}/artifacts/${encodeURIComponent(fileName)}`, { content, note },
+            this.ifMatch(etag));
+    }
+
+    // Request options for a conditional write: the server refuses it with 409 when the resource changed since
+    // the given ETag was read. Without an ETag the write is unconditional.
+    ifMatch(etag) {
+        if (etag === undefined || etag === null || etag === '') {
+            return {};
+        }
+        const value = typeof etag === 'number' ? `"${etag}"` : etag;
+        return { headers: { 'If-Match': value } };
+    }
+
+    // Processing job API methods
+    async getJob(jobId) {
+        return this.get(`/api/jobs/${jobId}`);
+    }
+
+    async cancelJob(jobId) {
+        return this.post(`/api/jobs/${jobId}/cancel`, {});
+    }
+
+    async getProposalJobs(proposalId) {
+        return this.get(`/api/proposals/${proposalId}/jobs`);
+    }
+
+    // Opens a Server-Sent Events stream of job updates; returns the EventSource so callers can close it
+    streamJob(jobId, onUpdate, onError) {
+        const source = new EventSource(`${this.baseUrl}/api/jobs/${jobId}/events`, {
+            withCredentials: this.credentials === 'include'
+        });
+        source.addEventListener('job', (event) => onUpdate(JSON.parse(event.data)));
+        if (onError) {
+            source.onerror = (event) => onError(event, source);
+        }
+        return source;
+    }
+
     async downloadArtifact(proposalId, fileName) {
         return this.downloadFile(`/api/proposals/${proposalId}/artifacts/${encodeURIComponent(fileName)}`);
     }
@@ -201,6 +317,11 @@ export class ApiError extends Error {
     isNotFound() {
         return this.status === 404;
     }
+
+    // A conditional write refused because someone else saved first; data.conflict has the saved copy
+    isConflict() {
+        return this.status === 409 && Boolean(this.data?.conflict);
+    }
 }
 
 // Request interceptor utility
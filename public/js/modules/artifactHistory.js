@@ -0,0 +1,163 @@
+/**
+ * Artifact History Module
+ * Lists the saved versions of an artifact, shows diffs between any two and restores old versions
+ */
+
+import { DomUtils } from './utils.js';
+
+function formatDate(value) {
+    return new Date(value).toLocaleString();
+}
+
+export class ArtifactHistoryPanel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.apiService = options.apiService;
+        // Called with the restore result once an old version is the current one again
+        this.onRestore = options.onRestore || (() => {});
+        this.proposalId = null;
+        this.fileName = null;
+        this.versions = [];
+    }
+
+    async load(proposalId, fileName) {
+        this.proposalId = proposalId;
+        this.fileName = fileName;
+        this.container.innerHTML = '';
+        this.container.appendChild(DomUtils.createElement('p', { className: 'history-empty' }, 'Loading history…'));
+
+        try {
+            const data = await this.apiService.getArtifactVersions(proposalId, fileName);
+            this.versions = data.versions;
+            this.render();
+        } catch (error) {
+            this.versions = [];
+            this.container.innerHTML = '';
+            this.container.appendChild(DomUtils.createElement('p', { className: 'history-empty' },
+                error.message || 'Failed to load history'));
+        }
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.versions.length > 1) {
+            this.container.appendChild(this.renderCompare());
+        }
+
+        const list = DomUtils.createElement('ol', { className: 'history-list' });
+        this.versions.forEach((version, position) => {
+            list.appendChild(this.renderVersion(version, position === 0));
+        });
+        this.container.appendChild(list);
+
+        this.diffOutput = DomUtils.createElement('pre', { className: 'artifact-diff' });
+        this.diffOutput.hidden = true;
+        this.container.appendChild(this.diffOutput);
+    }
+
+    renderVersion(version, current) {
+        const item = DomUtils.createElement('li', { className: `history-item${current ? ' current' : ''}` });
+
+        const info = DomUtils.createElement('div', { className: 'history-info' });
+        info.appendChild(DomUtils.createElement('strong', {}, `Version ${version.version}${current ? ' (current)' : ''}`));
+        info.appendChild(DomUtils.createElement('span', { className: 'history-meta' },
+            `${formatDate(version.createdAt)} · ${version.author?.username || 'system'}`));
+        if (version.note) {
+            info.appendChild(DomUtils.createElement('span', { className: 'history-note' }, version.note));
+        }
+        item.appendChild(info);
+
+        const actions = DomUtils.createElement('div', { className: 'history-actions' });
+        const previous = this.versions[this.versions.indexOf(version) + 1];
+        if (previous) {
+            const changesBtn = DomUtils.createElement('button', { type: 'button', className: 'btn-secondary' }, 'Changes');
+            changesBtn.title = `Compare with version ${previous.version}`;
+            changesBtn.addEventListener('click', () => this.showDiff(previous.version, version.version));
+            actions.appendChild(changesBtn);
+        }
+        if (!current) {
+            const restoreBtn = DomUtils.createElement('button', { type: 'button', className: 'btn-secondary' }, 'Restore');
+            restoreBtn.addEventListener('click', () => this.restore(version.version));
+            actions.appendChild(restoreBtn);
+        }
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    // Pickers for a diff between any two versions
+    renderCompare() {
+        const compare = DomUtils.createElement('div', { className: 'history-compare' });
+        const fromSelect = DomUtils.createElement('select', { 'aria-label': 'Compare from version' });
+        const toSelect = DomUtils.createElement('select', { 'aria-label': 'Compare to version' });
+
+        this.versions.forEach((version) => {
+            fromSelect.appendChild(DomUtils.createElement('option', { value: String(version.version) }, `Version ${version.version}`));
+            toSelect.appendChild(DomUtils.createElement('option', { value: String(version.version) }, `Version ${version.version}`));
+        });
+        fromSelect.value = String(this.versions[1].version);
+        toSelect.value = String(this.versions[0].version);
+
+        const compareBtn = DomUtils.createElement('button', { type: 'button', className: 'btn-secondary' }, 'Compare');
+        compareBtn.addEventListener('click', () => this.showDiff(fromSelect.value, toSelect.value));
+
+        compare.appendChild(fromSelect);
+        compare.appendChild(DomUtils.createElement('span', {}, '→'));
+        compare.appendChild(toSelect);
+        compare.appendChild(compareBtn);
+        return compare;
+    }
+
+    async showDiff(from, to) {
+        try {
+            const diff = await this.apiService.diffArtifactVersions(this.proposalId, this.fileName, from, to);
+            this.renderDiff(diff);
+        } catch (error) {
+            this.renderDiffMessage(error.message || 'Failed to compare versions');
+        }
+    }
+
+    // Unified diff with added and removed lines highlighted; the file header lines are left out
+    renderDiff(diff) {
+        this.diffOutput.innerHTML = '';
+        this.diffOutput.hidden = false;
+        this.diffOutput.appendChild(DomUtils.createElement('span', { className: 'diff-summary' },
+            `Version ${diff.from.version} → ${diff.to.version}: +${diff.additions} −${diff.deletions} line(s)\n`));
+
+        const lines = diff.patch.split('\n').slice(4);
+        if (!diff.additions && !diff.deletions) {
+            this.diffOutput.appendChild(DomUtils.createElement('span', {}, 'The versions are identical.'));
+            return;
+        }
+        lines.forEach((line) => {
+            let className = 'diff-context';
+            if (line.startsWith('@@')) className = 'diff-hunk';
+            else if (line.startsWith('+')) className = 'diff-added';
+            else if (line.startsWith('-')) className = 'diff-removed';
+            this.diffOutput.appendChild(DomUtils.createElement('span', { className }, `${line}\n`));
+        });
+        this.diffOutput.scrollIntoView({ block: 'nearest' });
+    }
+
+    renderDiffMessage(message) {
+        this.diffOutput.innerHTML = '';
+        this.diffOutput.hidden = false;
+        this.diffOutput.textContent = message;
+    }
+
+    async restore(version) {
+        if (!confirm(`Restore version ${version} of ${this.fileName}? The current content stays in the history.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.apiService.restoreArtifactVersion(this.proposalId, this.fileName, version);
+            await this.load(this.proposalId, this.fileName);
+            this.onRestore(result);
+        } catch (error) {
+            const details = (error.data?.errors || []).map(entry => `${entry.path}: ${entry.message}`);
+            this.renderDiffMessage([error.message || 'Failed to restore version', ...details].join('\n'));
+        }
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Compliance Matrix Module
+ * Renders the requirement compliance matrix as an editable table
+ */
+
+import { DomUtils } from './utils.js';
+
+const CATEGORY_TITLES = {
+    functional: 'Functional',
+    technical: 'Technical',
+    compliance: 'Compliance',
+    deliverables: 'Deliverables'
+};
+
+export class ComplianceMatrixTable {
+    constructor(table, options = {}) {
+        this.table = table;
+        this.statuses = options.statuses || ['compliant', 'partial', 'exception'];
+        this.onChange = options.onChange || (() => {});
+        this.rows = [];
+        this.changed = new Set();
+    }
+
+    render(matrix) {
+        // Edits are kept on a copy until they are saved
+        this.rows = (matrix?.rows || []).map(row => ({ ...row }));
+        this.changed.clear();
+        this.table.innerHTML = '';
+
+        const head = DomUtils.createElement('thead');
+        const headRow = DomUtils.createElement('tr');
+        ['ID', 'Requirement', 'Response Section', 'Owner', 'Status', 'Notes'].forEach((title) => {
+            headRow.appendChild(DomUtils.createElement('th', {}, title));
+        });
+        head.appendChild(headRow);
+        this.table.appendChild(head);
+
+        const body = DomUtils.createElement('tbody');
+        this.rows.forEach((row) => body.appendChild(this.renderRow(row)));
+        this.table.appendChild(body);
+    }
+
+    renderRow(row) {
+        const tr = DomUtils.createElement('tr', { className: `matrix-row status-${row.status || 'unassessed'}` });
+
+        const idCell = DomUtils.createElement('td', { className: 'matrix-id' });
+        idCell.appendChild(DomUtils.createElement('strong', {}, row.id));
+        idCell.appendChild(DomUtils.createElement('span', { className: 'matrix-category' }, CATEGORY_TITLES[row.category] || row.category));
+        tr.appendChild(idCell);
+
+        const requirementCell = DomUtils.createElement('td', { className: 'matrix-requirement' }, row.requirement);
+        if (row.source) {
+            requirementCell.appendChild(DomUtils.createElement('span', { className: 'matrix-source' }, row.source));
+        }
+        tr.appendChild(requirementCell);
+        tr.appendChild(this.inputCell(row, 'responseSection', DomUtils.createElement('input', { type: 'text' })));
+        tr.appendChild(this.inputCell(row, 'owner', DomUtils.createElement('input', { type: 'text', placeholder: 'Unassigned' })));
+
+        const select = DomUtils.createElement('select');
+        select.appendChild(DomUtils.createElement('option', { value: '' }, 'Not assessed'));
+        this.statuses.forEach((status) => {
+            select.appendChild(DomUtils.createElement('option', { value: status },
+                status.charAt(0).toUpperCase() + status.slice(1)));
+        });
+        tr.appendChild(this.inputCell(row, 'status', select, () => {
+            tr.className = `matrix-row status-${row.status || 'unassessed'}`;
+        }));
+
+        tr.appendChild(this.inputCell(row, 'notes', DomUtils.createElement('textarea', { rows: '2' })));
+        return tr;
+    }
+
+    inputCell(row, field, input, afterChange = () => {}) {
+        const cell = DomUtils.createElement('td');
+        input.value = row[field] || '';
+        input.setAttribute('aria-label', `${row.id} ${field}`);
+
+        const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+        input.addEventListener(eventName, () => {
+            row[field] = input.value;
+            this.changed.add(row.id);
+            afterChange();
+            this.onChange(this);
+        });
+
+        cell.appendChild(input);
+        return cell;
+    }
+
+    // Renders another copy of the matrix (one saved elsewhere in the meantime) with the edits made here since
+    // the last render applied on top; edits to rows that copy does not have are dropped
+    rebase(matrix) {
+        const edits = new Map(this.getChangedRows().map(row => [row.id, row]));
+        this.render({ ...matrix, rows: (matrix?.rows || []).map(row => ({ ...row, ...edits.get(row.id) })) });
+        this.rows.filter(row => edits.has(row.id)).forEach(row => this.changed.add(row.id));
+        this.onChange(this);
+    }
+
+    // The next save sends every row, replacing the stored matrix with what is shown
+    markAllChanged() {
+        this.rows.forEach(row => this.changed.add(row.id));
+    }
+
+    hasChanges() {
+        return this.changed.size > 0;
+    }
+
+    // Only the editable fields of rows changed since the last render
+    getChangedRows() {
+        return this.rows
+            .filter(row => this.changed.has(row.id))
+            .map(({ id, responseSection, owner, status, notes }) => ({ id, responseSection, owner, status, notes }));
+    }
+}
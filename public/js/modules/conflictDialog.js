@@ -0,0 +1,81 @@
+/**
+ * Conflict Dialog Module
+ * Asks how to resolve a save refused because someone else saved the same item first
+ */
+
+import { DomUtils } from './utils.js';
+
+function describeSaved(version) {
+    if (!version) return '';
+    const author = version.author?.username || 'the system';
+    const note = version.note ? ` (${version.note})` : '';
+    return `Saved version ${version.version} by ${author}, ${new Date(version.createdAt).toLocaleString()}${note}.`;
+}
+
+/**
+ * Resolves to 'merge', 'overwrite' or 'cancel'. options: title, message, version (the saved version entry,
+ * if known), mergeLabel/overwriteLabel/mergeHint; mergeLabel null leaves the merge choice out.
+ */
+export function showConflictDialog(options = {}) {
+    const {
+        title = 'Changed by someone else',
+        message = 'This item was saved by someone else after you opened it.',
+        version = null,
+        mergeLabel = 'Merge',
+        overwriteLabel = 'Overwrite',
+        mergeHint = 'Merge keeps both sets of changes; overlapping edits are marked for you to resolve.'
+    } = options;
+
+    return new Promise((resolve) => {
+        const overlay = DomUtils.createElement('div', { className: 'modal-overlay conflict-overlay', role: 'dialog', 'aria-modal': 'true' });
+        const dialog = DomUtils.createElement('div', { className: 'modal-content conflict-modal' });
+
+        const header = DomUtils.createElement('div', { className: 'modal-header' });
+        header.appendChild(DomUtils.createElement('h3', { className: 'modal-title' }, title));
+        dialog.appendChild(header);
+
+        const body = DomUtils.createElement('div', { className: 'modal-body conflict-body' });
+        body.appendChild(DomUtils.createElement('p', {}, message));
+        if (version) {
+            body.appendChild(DomUtils.createElement('p', { className: 'conflict-saved' }, describeSaved(version)));
+        }
+        if (mergeLabel) {
+            body.appendChild(DomUtils.createElement('p', { className: 'conflict-hint' }, mergeHint));
+        }
+        body.appendChild(DomUtils.createElement('p', { className: 'conflict-hint' },
+            `${overwriteLabel} replaces the saved copy with yours.`));
+        dialog.appendChild(body);
+
+        const footer = DomUtils.createElement('div', { className: 'modal-footer' });
+        const close = (choice) => {
+            document.removeEventListener('keydown', onKeydown, true);
+            overlay.remove();
+            resolve(choice);
+        };
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                close('cancel');
+            }
+        };
+
+        if (mergeLabel) {
+            const mergeBtn = DomUtils.createElement('button', { type: 'button', className: 'save-artifact' }, mergeLabel);
+            mergeBtn.addEventListener('click', () => close('merge'));
+            footer.appendChild(mergeBtn);
+        }
+        const overwriteBtn = DomUtils.createElement('button', { type: 'button', className: 'cancel-edit' }, overwriteLabel);
+        overwriteBtn.addEventListener('click', () => close('overwrite'));
+        footer.appendChild(overwriteBtn);
+        const cancelBtn = DomUtils.createElement('button', { type: 'button', className: 'cancel-edit' }, 'Cancel');
+        cancelBtn.addEventListener('click', () => close('cancel'));
+        footer.appendChild(cancelBtn);
+        dialog.appendChild(footer);
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', onKeydown, true);
+        overlay.style.display = 'flex';
+        footer.firstChild.focus();
+    });
+}
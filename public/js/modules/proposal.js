@@ -3,6 +3,13 @@
  * Handles proposal CRUD operations, state management, and UI updates
  */
 
+export const DOCUMENT_KIND_TITLES = {
+    base: 'Base RFP',
+    attachment: 'Attachment',
+    qa: 'Q&A',
+    amendment: 'Amendment'
+};
+
 export class ProposalManager {
     constructor(options = {}) {
         this.proposals = [];
@@ -270,6 +277,9 @@ export class ProposalManager {
         const documentCount = Array.isArray(proposal.documents) ? proposal.documents.length : 0;
         const subtaskCount = Array.isArray(proposal.subtasks) ? proposal.subtasks.length : 0;
         metaEl.textContent = `${documentCount} documents • ${subtaskCount} subtasks`;
+        if (proposal.completion) {
+            metaEl.textContent += ` • ${proposal.completion.percent}% filled`;
+        }
 
         textWrap.appendChild(nameEl);
         textWrap.appendChild(metaEl);
@@ -324,6 +334,12 @@ export class ProposalManager {
             treeList.appendChild(artifactsItem);
         }
 
+        // Placeholder completion of the variables
+        if (proposal.completion) {
+            const completionItem = this.createCompletionSection(proposal.completion);
+            treeList.appendChild(completionItem);
+        }
+
         // Subtasks section
         (proposal.subtasks || []).forEach((task) => {
             const taskItem = this.createTaskItem(task);
@@ -349,7 +365,8 @@ export class ProposalManager {
             proposal.documents.forEach((doc) => {
                 const docItem = document.createElement('li');
                 docItem.className = 'proposal-subitem';
-                docItem.textContent = doc.name || 'Untitled document';
+                const kind = DOCUMENT_KIND_TITLES[doc.kind];
+                docItem.textContent = `${doc.name || 'Untitled document'}${kind ? ` (${kind})` : ''}`;
                 docList.appendChild(docItem);
             });
             documentsItem.appendChild(docList);
@@ -380,6 +397,34 @@ export class ProposalManager {
         return artifactsItem;
     }
 
+    createCompletionSection(completion) {
+        const completionItem = document.createElement('li');
+        completionItem.className = `proposal-branch-item completion-${completion.complete ? 'complete' : 'pending'}`;
+
+        const completionTitle = document.createElement('div');
+        completionTitle.className = 'task-title';
+        completionTitle.textContent = 'Completion';
+
+        const completionStatus = document.createElement('div');
+        completionStatus.className = 'task-status';
+        completionStatus.textContent = `${completion.percent}% (${completion.remaining} left)`;
+
+        completionItem.appendChild(completionTitle);
+        completionItem.appendChild(completionStatus);
+
+        const sectionList = document.createElement('ul');
+        sectionList.className = 'proposal-sublist';
+        (completion.sections || []).forEach((section) => {
+            const sectionItem = document.createElement('li');
+            sectionItem.className = 'proposal-subitem';
+            sectionItem.textContent = `${section.title}: ${section.filled}/${section.total}`;
+            sectionList.appendChild(sectionItem);
+        });
+        completionItem.appendChild(sectionList);
+
+        return completionItem;
+    }
+
     createTaskItem(task) {
         const taskItem = document.createElement('li');
         taskItem.className = `proposal-branch-item task-${task.status}`;
@@ -0,0 +1,225 @@
+/**
+ * Variables Form Module
+ * Builds an editable form for the variables artifact from the schema served with it
+ */
+
+import { DomUtils } from './utils.js';
+
+// Path notation shared with the server's validation errors: "team.keyPersonnel[0].name"
+function formatPath(path) {
+    return path.reduce((text, key) => (
+        typeof key === 'number' ? `${text}[${key}]` : (text ? `${text}.${key}` : key)
+    ), '');
+}
+
+function getValueAt(object, path) {
+    return path.reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setValueAt(object, path, value) {
+    const parent = getValueAt(object, path.slice(0, -1));
+    parent[path[path.length - 1]] = value;
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+// Empty value of the schema's shape, used for newly added list items
+function emptyValue(schema) {
+    if (schema.type === 'object') {
+        return Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [key, emptyValue(child)]));
+    }
+    return schema.type === 'array' ? [] : '';
+}
+
+export class VariablesForm {
+    constructor(container, schema, variables) {
+        this.container = container;
+        this.schema = schema;
+        // Edits go to a copy; sections the form does not show (the RFP analysis) are kept as loaded
+        this.value = JSON.parse(JSON.stringify(variables));
+    }
+
+    getValue() {
+        return this.value;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        Object.entries(this.schema.properties).forEach(([key, schema]) => {
+            if (schema.readOnly) return;
+
+            const section = DomUtils.createElement('fieldset', { className: 'variables-section' });
+            section.appendChild(DomUtils.createElement('legend', {}, schema.title || key));
+            section.appendChild(this.renderNode([key], schema, false));
+            this.container.appendChild(section);
+        });
+    }
+
+    renderNode(path, schema, showTitle = true) {
+        if (schema.type === 'array') {
+            return this.renderList(path, schema, showTitle);
+        }
+
+        if (schema.type === 'object') {
+            const group = DomUtils.createElement('div', { className: 'variables-group' });
+            Object.entries(schema.properties).forEach(([key, child]) => {
+                group.appendChild(this.renderNode([...path, key], child));
+            });
+            return group;
+        }
+
+        return this.renderField(path, schema, showTitle ? schema.title : '');
+    }
+
+    renderField(path, schema, label) {
+        const field = DomUtils.createElement('label', { className: 'variables-field' });
+        if (label) {
+            field.appendChild(DomUtils.createElement('span', { className: 'variables-label' }, label));
+        }
+
+        const input = schema.multiline
+            ? DomUtils.createElement('textarea', { rows: '3' })
+            : DomUtils.createElement('input', { type: 'text' });
+        input.dataset.path = formatPath(path);
+
+        const value = getValueAt(this.value, path);
+        input.value = value == null ? '' : String(value);
+        input.addEventListener('input', () => {
+            setValueAt(this.value, path, input.value);
+            input.classList.remove('invalid');
+        });
+
+        field.appendChild(input);
+        return field;
+    }
+
+    renderList(path, schema, showTitle) {
+        const list = DomUtils.createElement('div', { className: 'variables-list' });
+        list.dataset.path = formatPath(path);
+        if (showTitle && schema.title) {
+            list.appendChild(DomUtils.createElement('h4', { className: 'variables-list-title' }, schema.title));
+        }
+
+        if (schema.pairedWith) {
+            this.renderResponses(list, path, schema);
+            return list;
+        }
+
+        const current = getValueAt(this.value, path);
+        const items = Array.isArray(current) ? current : [];
+        const itemTitle = schema.itemTitle || 'Item';
+
+        items.forEach((item, index) => {
+            const entry = DomUtils.createElement('div', { className: 'variables-item' });
+            const header = DomUtils.createElement('div', { className: 'variables-item-header' });
+            header.appendChild(DomUtils.createElement('span', {}, `${itemTitle} ${index + 1}`));
+
+            const removeBtn = DomUtils.createElement('button', { type: 'button', className: 'btn-secondary variables-remove' }, 'Remove');
+            removeBtn.addEventListener('click', () => {
+                items.splice(index, 1);
+                list.replaceWith(this.renderList(path, schema, showTitle));
+            });
+            header.appendChild(removeBtn);
+
+            entry.appendChild(header);
+            entry.appendChild(this.renderNode([...path, index], schema.items));
+            list.appendChild(entry);
+        });
+
+        const addBtn = DomUtils.createElement('button', { type: 'button', className: 'btn-secondary variables-add' }, `Add ${itemTitle}`);
+        addBtn.addEventListener('click', () => {
+            if (!Array.isArray(getValueAt(this.value, path))) {
+                setValueAt(this.value, path, []);
+            }
+            getValueAt(this.value, path).push(emptyValue(schema.items));
+            list.replaceWith(this.renderList(path, schema, showTitle));
+        });
+        list.appendChild(addBtn);
+
+        return list;
+    }
+
+    // One response per requirement, shown side by side; the list follows the requirements and cannot be
+    // extended here because the template pairs them by position
+    renderResponses(list, path, schema) {
+        const requirements = getValueAt(this.value, schema.pairedWith.split('.')) || [];
+        if (!requirements.length) {
+            list.appendChild(DomUtils.createElement('p', { className: 'variables-empty' }, 'No requirements in this category.'));
+            return;
+        }
+
+        if (!Array.isArray(getValueAt(this.value, path))) {
+            setValueAt(this.value, path, []);
+        }
+
+        requirements.forEach((requirement, index) => {
+            const pair = DomUtils.createElement('div', { className: 'variables-pair' });
+            const requirementText = DomUtils.createElement('div', { className: 'variables-requirement' });
+            requirementText.appendChild(DomUtils.createElement('span', { className: 'variables-label' }, `Requirement ${index + 1}`));
+            requirementText.appendChild(DomUtils.createElement('p', {}, String(requirement)));
+
+            if (getValueAt(this.value, [...path, index]) === undefined) {
+                setValueAt(this.value, [...path, index], '');
+            }
+
+            pair.appendChild(requirementText);
+            pair.appendChild(this.renderField([...path, index], schema.items, 'Response'));
+            list.appendChild(pair);
+        });
+    }
+
+    // Same checks as the server: every field has the type the schema names and each response list matches
+    // its requirements. Returns [{ path, message }].
+    validate() {
+        const errors = [];
+
+        const walk = (value, schema, path) => {
+            const actual = typeOf(value);
+            if (actual !== schema.type) {
+                errors.push({ path: formatPath(path) || 'variables', message: `expected ${schema.type}, got ${actual}` });
+                return;
+            }
+            if (schema.type === 'object') {
+                Object.entries(schema.properties).forEach(([key, child]) => walk(value[key], child, [...path, key]));
+            } else if (schema.type === 'array') {
+                value.forEach((item, index) => walk(item, schema.items, [...path, index]));
+            }
+        };
+        walk(this.value, this.schema, []);
+
+        Object.entries(this.schema.properties).forEach(([key, schema]) => {
+            if (schema.type !== 'object') return;
+            Object.entries(schema.properties).forEach(([childKey, child]) => {
+                const responses = getValueAt(this.value, [key, childKey]);
+                const requirements = child.pairedWith && getValueAt(this.value, child.pairedWith.split('.'));
+                if (Array.isArray(responses) && Array.isArray(requirements) && responses.length !== requirements.length) {
+                    errors.push({
+                        path: formatPath([key, childKey]),
+                        message: `has ${responses.length} response(s) for ${requirements.length} requirement(s)`
+                    });
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // Highlights the inputs and lists named in validation errors; the first one is scrolled into view
+    showErrors(errors = []) {
+        this.container.querySelectorAll('.invalid').forEach(element => element.classList.remove('invalid'));
+
+        const marked = errors
+            .map(error => this.container.querySelector(`[data-path="${CSS.escape(error.path)}"]`))
+            .filter(Boolean);
+        marked.forEach(element => element.classList.add('invalid'));
+
+        if (marked.length) {
+            marked[0].scrollIntoView({ block: 'center' });
+        }
+    }
+}
@@ -8,6 +8,8 @@ export class WorkflowManager {
         this.currentStep = 1;
         this.completedSteps = [];
         this.maxSteps = options.maxSteps || 4;
+        // Steps that only depend on step 1 and open as soon as it is completed
+        this.independentSteps = options.independentSteps || [];
         this.workflowTabs = document.getElementById('workflowTabs');
 
         // Event callbacks
@@ -113,6 +115,8 @@ export class WorkflowManager {
         } else if (step <= Math.max(...this.completedSteps) + 1) {
             // Can access next step after completing previous steps
             tab.disabled = false;
+        } else if (this.independentSteps.includes(step) && this.completedSteps.includes(1)) {
+            tab.disabled = false;
         } else {
             // Future steps are disabled
             tab.disabled = true;
@@ -161,6 +165,7 @@ export class WorkflowManager {
     isStepAccessible(step) {
         if (step === 1) return true;
         if (this.completedSteps.length === 0) return false;
+        if (this.independentSteps.includes(step) && this.completedSteps.includes(1)) return true;
         return step <= Math.max(...this.completedSteps) + 1;
     }
 
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Shows or applies pending data migrations. The server applies them at startup too; use this to check first.
+//
+//   node scripts/migrate.js                  dry run: list what would change
+//   node scripts/migrate.js --apply          back up the data, then migrate it
+//   options: --backend sqlite|json (default STORAGE_BACKEND), --data-dir <dir>, --file <sqlite file>
+require('dotenv').config();
+const { createStore } = require('../modules/storage');
+const { SCHEMA_VERSIONS, runMigrations } = require('../modules/migrations');
+
+function parseArgs(argv) {
+    const options = { apply: false };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (arg === '--apply') {
+            options.apply = true;
+        } else if (arg === '--dry-run') {
+            options.apply = false;
+        } else if (['--backend', '--data-dir', '--file'].includes(arg) && argv[i + 1]) {
+            options[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = argv[i += 1];
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+function printPlan(plan) {
+    plan.forEach(({ collection, records, pending }) => {
+        console.log(`${collection}: ${records} records, ${pending.length} to migrate (current schema version ${SCHEMA_VERSIONS[collection]})`);
+        const counts = {};
+        pending.forEach(entry => entry.migrations.forEach((migration) => {
+            counts[migration] = (counts[migration] || 0) + 1;
+        }));
+        Object.entries(counts).forEach(([migration, count]) => console.log(`  ${migration} (${count})`));
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const store = createStore(options);
+    await store.init();
+    try {
+        const { plan, migrated, backup } = await runMigrations(store, { dryRun: !options.apply });
+        printPlan(plan);
+        if (!options.apply) {
+            console.log('Dry run; nothing was changed. Run with --apply to migrate.');
+        } else if (migrated) {
+            console.log(`Migrated ${migrated} records. Backup: ${backup}`);
+        } else {
+            console.log('Everything is up to date.');
+        }
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SimpleDatabase = require('../modules/database');
+const AuthMiddleware = require('../modules/auth');
+const { createAccountToken, parseAccountToken, matchesAccountToken } = require('../modules/accountTokens');
+
+const BASE_URL = 'https://rfp.example.com';
+
+// An AuthMiddleware on a JSON store of its own whose mailer keeps the emails it is given
+async function withAuth(run) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-'));
+    const db = new SimpleDatabase({ backend: 'json', dataDir });
+    const mailer = { sent: [], send: async mail => mailer.sent.push(mail) };
+    const auth = new AuthMiddleware({ db, mailer });
+    try {
+        await db.ready;
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+        return await run(auth, user, mailer);
+    } finally {
+        await db.close();
+        await fs.remove(dataDir);
+    }
+}
+
+// The token in the link of the last email sent
+function lastToken(mailer) {
+    const link = /https:\/\/\S+/.exec(mailer.sent[mailer.sent.length - 1].text)[0];
+    return new URL(link).searchParams.get('token');
+}
+
+test('account tokens carry the user id and store only a hash of the secret', () => {
+    const { token, record } = createAccountToken('user-1', 60 * 1000);
+    const parsed = parseAccountToken(token);
+
+    assert.strictEqual(parsed.userId, 'user-1');
+    assert.ok(!JSON.stringify(record).includes(parsed.secret));
+    assert.strictEqual(new Date(record.expiresAt) - new Date(record.createdAt), 60 * 1000);
+
+    assert.strictEqual(matchesAccountToken(record, parsed.secret), true);
+    assert.strictEqual(matchesAccountToken(record, `${parsed.secret}x`), false);
+    assert.strictEqual(matchesAccountToken(record, parsed.secret, new Date(record.expiresAt)), false);
+    assert.strictEqual(matchesAccountToken(undefined, parsed.secret), false);
+});
+
+test('parseAccountToken refuses anything that is not a user id and a long secret', () => {
+    assert.deepStrictEqual(parseAccountToken(' u1.abcdefghijklmnopqrstuvwxyz \n'), { userId: 'u1', secret: 'abcdefghijklmnopqrstuvwxyz' });
+    ['', 'u1', 'u1.short', '.abcdefghijklmnopqrstuvwxyz', 'u1.abcdefghij+lmnopqrstuvwxyz', null, 42]
+        .forEach(token => assert.strictEqual(parseAccountToken(token), null, String(token)));
+});
+
+test('a password reset link works once and signs the user out everywhere', async () => {
+    await withAuth(async (auth, user, mailer) => {
+        await auth.db.saveSession('session-1', { userId: user.id, username: 'alice', expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+        await auth.requestPasswordReset('Alice', BASE_URL);
+        assert.strictEqual(mailer.sent.length, 1);
+        assert.strictEqual(mailer.sent[0].to, 'alice@example.com');
+        assert.ok(mailer.sent[0].text.includes(`${BASE_URL}/reset-password?token=`));
+        const token = lastToken(mailer);
+
+        await auth.resetPassword(token, 'secret-2');
+        assert.strictEqual(await auth.db.validatePassword('alice', 'secret-2'), true);
+        assert.strictEqual(await auth.db.findSession('session-1'), null);
+
+        await assert.rejects(auth.resetPassword(token, 'secret-3'), /invalid or has expired/);
+        assert.strictEqual(await auth.db.validatePassword('alice', 'secret-2'), true);
+    });
+});
+
+test('a reset link presented twice at the same time sets one password', async () => {
+    await withAuth(async (auth, user, mailer) => {
+        await auth.requestPasswordReset('alice@example.com', BASE_URL);
+        const { userId, secret } = parseAccountToken(lastToken(mailer));
+
+        const results = await Promise.all([
+            auth.db.resetPassword(userId, secret, 'secret-2'),
+            auth.db.resetPassword(userId, secret, 'secret-3')
+        ]);
+
+        assert.strictEqual(results.filter(Boolean).length, 1);
+        const winner = results[0] ? 'secret-2' : 'secret-3';
+        assert.strictEqual(await auth.db.validatePassword('alice', winner), true);
+    });
+});
+
+test('expired and replaced reset tokens are refused', async () => {
+    await withAuth(async (auth, user) => {
+        const expired = createAccountToken(user.id, -1000);
+        await auth.db.saveUserToken(user.id, 'passwordReset', expired.record);
+        await assert.rejects(auth.resetPassword(expired.token, 'secret-2'), /invalid or has expired/);
+
+        // Only the latest token of a purpose works, and only for that purpose
+        const first = createAccountToken(user.id, 60000);
+        const second = createAccountToken(user.id, 60000);
+        await auth.db.saveUserToken(user.id, 'passwordReset', first.record);
+        await auth.db.saveUserToken(user.id, 'passwordReset', second.record);
+        await assert.rejects(auth.resetPassword(first.token, 'secret-2'), /invalid or has expired/);
+        await assert.rejects(auth.verifyEmail(second.token), /invalid or has expired/);
+        await auth.resetPassword(second.token, 'secret-2');
+    });
+});
+
+test('reset requests look the same for unknown accounts and are limited to one email a minute', async () => {
+    await withAuth(async (auth, user, mailer) => {
+        await auth.requestPasswordReset('nobody', BASE_URL);
+        await auth.requestPasswordReset('nobody@example.com', BASE_URL);
+        assert.strictEqual(mailer.sent.length, 0);
+
+        await auth.requestPasswordReset('alice', BASE_URL);
+        await auth.requestPasswordReset('alice', BASE_URL);
+        assert.strictEqual(mailer.sent.length, 1);
+
+        await assert.rejects(auth.requestPasswordReset('  ', BASE_URL), /Enter your username or email address/);
+    });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeAnalyses, dedupeItems, sameItem, revisesItem, itemSimilarity } = require('../modules/analysisMerge');
+const { NOT_SPECIFIED } = require('../modules/analysisSchema');
+
+// A chunk analysis in the schema shape with nothing specified, plus the given fields
+function chunkAnalysis({ overview = {}, requirements = {}, evaluation = {}, constraints = {}, ...lists } = {}) {
+    return {
+        overview: { title: NOT_SPECIFIED, organization: NOT_SPECIFIED, dueDate: NOT_SPECIFIED, projectSummary: NOT_SPECIFIED, ...overview },
+        requirements: { functional: [], technical: [], compliance: [], deliverables: [], ...requirements },
+        evaluation: { criteria: [], weights: NOT_SPECIFIED, timeline: NOT_SPECIFIED, ...evaluation },
+        constraints: { budget: NOT_SPECIFIED, timeline: NOT_SPECIFIED, resources: NOT_SPECIFIED, other: [], ...constraints },
+        questions: [],
+        opportunities: [],
+        ...lists
+    };
+}
+
+test('dedupeItems drops repeats and near-duplicates, keeping the longer wording', () => {
+    assert.deepStrictEqual(dedupeItems([
+        'The vendor shall provide monthly status reports.',
+        'the vendor shall provide monthly status reports',
+        'The vendor shall provide detailed monthly status reports.',
+        'Hosting must be located in the United States.',
+        '   '
+    ]), [
+        'The vendor shall provide detailed monthly status reports.',
+        'Hosting must be located in the United States.'
+    ]);
+});
+
+test('dedupeItems keeps items that differ only in their numbers', () => {
+    const items = ['Deliver the quarterly report for phase 1.', 'Deliver the quarterly report for phase 2.'];
+    assert.deepStrictEqual(dedupeItems(items), items);
+});
+
+test('sameItem, revisesItem and itemSimilarity tell repeats from revisions from different items', () => {
+    const original = 'The contract term is three years with two optional renewal years.';
+    const revised = 'The contract term is five years with two optional renewal years.';
+    const other = 'Proposals must be delivered in a sealed envelope.';
+
+    assert.strictEqual(sameItem(original, original.toUpperCase()), true);
+    assert.strictEqual(sameItem(original, revised), false);
+    assert.strictEqual(revisesItem(original, revised), true);
+    assert.strictEqual(revisesItem(original, original), false);
+    assert.strictEqual(revisesItem(original, other), false);
+    assert.strictEqual(itemSimilarity(original, original), 1);
+    assert.ok(itemSimilarity(original, other) < 0.2);
+});
+
+test('mergeAnalyses takes the first stated value, joins descriptive fields and dedupes lists', () => {
+    const merged = mergeAnalyses([
+        chunkAnalysis({
+            overview: { title: 'Website Redesign RFP', dueDate: '   ' },
+            requirements: { functional: ['Staff can publish news articles.', NOT_SPECIFIED] },
+            evaluation: { weights: 'Technical 40%' }
+        }),
+        chunkAnalysis({
+            overview: { title: 'Scope', organization: 'City of Springfield', dueDate: '2025-03-31' },
+            requirements: { functional: ['Staff can publish news articles', 'Residents can pay bills online.'] },
+            evaluation: { weights: 'Price 60%' },
+            questions: ['Is hosting included?']
+        }),
+        chunkAnalysis({ evaluation: { weights: 'Technical 40%' }, questions: ['Is hosting included?'] })
+    ]);
+
+    assert.deepStrictEqual(merged.overview, {
+        title: 'Website Redesign RFP',
+        organization: 'City of Springfield',
+        dueDate: '2025-03-31',
+        projectSummary: NOT_SPECIFIED
+    });
+    assert.deepStrictEqual(merged.requirements.functional, ['Staff can publish news articles.', 'Residents can pay bills online.']);
+    assert.deepStrictEqual(merged.requirements.technical, []);
+    assert.strictEqual(merged.evaluation.weights, 'Technical 40%; Price 60%');
+    assert.strictEqual(merged.evaluation.timeline, NOT_SPECIFIED);
+    assert.deepStrictEqual(merged.questions, ['Is hosting included?']);
+});
+
+test('mergeAnalyses lets the latest override replace the merged value of override fields', () => {
+    const base = chunkAnalysis({ overview: { dueDate: '2025-03-31', title: 'Website Redesign RFP' } });
+    const amendments = [
+        chunkAnalysis({ overview: { dueDate: '2025-04-15', title: 'Amendment 1' } }),
+        chunkAnalysis({ overview: { dueDate: '2025-04-30' } }),
+        chunkAnalysis()
+    ];
+
+    const merged = mergeAnalyses([base], { overrides: amendments, overrideFields: ['overview.dueDate'] });
+
+    assert.strictEqual(merged.overview.dueDate, '2025-04-30');
+    assert.strictEqual(merged.overview.title, 'Website Redesign RFP');
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { NOT_SPECIFIED, extractJson, validateAnalysis, repairAnalysis } = require('../modules/analysisSchema');
+const MockProvider = require('../modules/llm/mockProvider');
+const GeminiService = require('../modules/geminiService');
+
+// An analysis that matches the schema
+function validAnalysis() {
+    return {
+        metadata: { fileName: 'rfp.md', analysisDate: '2025-01-01T00:00:00.000Z', proposalName: 'Website', modelUsed: 'mock-heuristic' },
+        overview: { title: 'Website Redesign', organization: 'City of Springfield', dueDate: '2025-03-31', projectSummary: 'Redesign the city website.' },
+        requirements: {
+            functional: ['Staff can publish news articles.'],
+            technical: ['Integrate with single sign-on.'],
+            compliance: ['Meet WCAG 2.1 AA.'],
+            deliverables: ['Monthly status report.']
+        },
+        evaluation: { criteria: ['Technical approach'], weights: '40%', timeline: 'April' },
+        constraints: { budget: '$100,000', timeline: 'Six months', resources: NOT_SPECIFIED, other: [] },
+        questions: [],
+        opportunities: ['Accessibility expertise']
+    };
+}
+
+// A provider answering the prompts with answers, in order
+function scriptedProvider(answers) {
+    return {
+        name: 'test',
+        models: ['scripted'],
+        analyze: async () => ({ text: answers.shift(), model: 'scripted', provider: 'test' })
+    };
+}
+
+// A GeminiService whose provider answers with the fixture in a temporary directory for every prompt
+async function withFixture(fixture, run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-fixtures-'));
+    try {
+        await fs.writeJson(path.join(dir, 'rfp.json'), fixture);
+        return await run(new GeminiService({ provider: new MockProvider({ fixturesDir: dir }) }));
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('extractJson finds the object in fenced, chatty or trailing-comma responses', () => {
+    assert.deepStrictEqual(extractJson('{"a": 1}'), { a: 1 });
+    assert.deepStrictEqual(extractJson('```json\n{"a": [1, 2,],}\n```'), { a: [1, 2] });
+    assert.deepStrictEqual(extractJson('Here is the analysis:\n{"a": "a } in a string", "b": {"c": 1}}\nLet me know!'),
+        { a: 'a } in a string', b: { c: 1 } });
+
+    assert.strictEqual(extractJson('[1, 2]'), null);
+    assert.strictEqual(extractJson('no json here'), null);
+    assert.strictEqual(extractJson(undefined), null);
+});
+
+test('validateAnalysis accepts the schema shape and lists every violation by path', () => {
+    assert.deepStrictEqual(validateAnalysis(validAnalysis()), { valid: true, errors: [] });
+
+    const analysis = validAnalysis();
+    analysis.overview.dueDate = 20250331;
+    analysis.requirements.functional = 'Staff can publish news articles.';
+    analysis.requirements.technical = ['SSO', { text: 'Backups' }];
+    delete analysis.questions;
+
+    assert.deepStrictEqual(validateAnalysis(analysis).errors, [
+        { path: 'overview.dueDate', message: 'expected string, got number' },
+        { path: 'requirements.functional', message: 'expected array, got string' },
+        { path: 'requirements.technical[1]', message: 'expected string, got object' },
+        { path: 'questions', message: 'expected array, got missing' }
+    ]);
+    assert.strictEqual(validateAnalysis(null).errors[0].path, 'analysis');
+});
+
+test('repairAnalysis coerces mistyped values and reports what it had to invent', () => {
+    const analysis = validAnalysis();
+    analysis.overview.dueDate = 20250331;
+    analysis.overview.organization = { name: 'City of Springfield' };
+    analysis.overview.title = '   ';
+    analysis.requirements.functional = '- Publish news articles\n- Manage events\n';
+    analysis.requirements.technical = { sso: 'Single sign-on', backups: 'Nightly backups' };
+    analysis.requirements.compliance = ['WCAG 2.1 AA', { text: 'Section 508' }, NOT_SPECIFIED, ''];
+    analysis.evaluation.criteria = 'Price';
+    delete analysis.constraints;
+    analysis.fullText = 'kept as is';
+
+    const { analysis: repaired, coerced, unrecoverable } = repairAnalysis(analysis);
+
+    assert.deepStrictEqual(validateAnalysis(repaired).errors, []);
+    assert.strictEqual(repaired.overview.dueDate, '20250331');
+    assert.strictEqual(repaired.overview.organization, 'City of Springfield');
+    assert.strictEqual(repaired.overview.title, NOT_SPECIFIED);
+    assert.deepStrictEqual(repaired.requirements.functional, ['Publish news articles', 'Manage events']);
+    assert.deepStrictEqual(repaired.requirements.technical, ['Single sign-on', 'Nightly backups']);
+    assert.deepStrictEqual(repaired.requirements.compliance, ['WCAG 2.1 AA', 'Section 508']);
+    assert.deepStrictEqual(repaired.evaluation.criteria, ['Price']);
+    assert.deepStrictEqual(repaired.constraints, { budget: NOT_SPECIFIED, timeline: NOT_SPECIFIED, resources: NOT_SPECIFIED, other: [] });
+    assert.strictEqual(repaired.fullText, 'kept as is');
+
+    assert.deepStrictEqual(coerced.map(entry => entry.path).sort(), [
+        'evaluation.criteria',
+        'overview.dueDate',
+        'overview.organization',
+        'requirements.compliance[1]',
+        'requirements.functional',
+        'requirements.technical'
+    ]);
+    assert.deepStrictEqual(unrecoverable.map(entry => `${entry.path}: ${entry.reason}`), [
+        'overview.title: empty',
+        'constraints.budget: missing',
+        'constraints.timeline: missing',
+        'constraints.resources: missing',
+        'constraints.other: missing'
+    ]);
+});
+
+test('an answer that fails validation is re-prompted once, then repaired', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const fixture = validAnalysis();
+    fixture.requirements.functional = 'Publish news articles';
+    delete fixture.questions;
+
+    await withFixture(fixture, async (service) => {
+        const prompts = [];
+        const analyze = service.provider.analyze.bind(service.provider);
+        service.provider.analyze = (prompt, options) => {
+            prompts.push(prompt);
+            return analyze(prompt, options);
+        };
+
+        const analysis = await service.analyzeWithFallback('# RFP', 'rfp.md', 'Website');
+
+        assert.strictEqual(prompts.length, 2);
+        assert.match(prompts[1], /requirements\.functional: expected array, got string/);
+        assert.deepStrictEqual(analysis.requirements.functional, ['Publish news articles']);
+        assert.deepStrictEqual(analysis.questions, []);
+        assert.strictEqual(analysis.validation.valid, false);
+        assert.strictEqual(analysis.validation.repromptAttempts, 1);
+        assert.deepStrictEqual(analysis.validation.coercedFields, ['requirements.functional']);
+        assert.deepStrictEqual(analysis.validation.unrecoverableFields, ['questions']);
+    });
+});
+
+test('a re-prompt that fixes the answer makes the analysis valid', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const answers = [
+        'Sure! {"overview": {"title": 12}}',
+        JSON.stringify(validAnalysis())
+    ];
+    const service = new GeminiService({ provider: scriptedProvider(answers) });
+
+    const analysis = await service.analyzeWithFallback('# RFP', 'rfp.md', 'Website');
+
+    assert.strictEqual(analysis.validation.valid, true);
+    assert.strictEqual(analysis.validation.repromptAttempts, 1);
+    assert.deepStrictEqual(analysis.validation.unrecoverableFields, []);
+    assert.strictEqual(analysis.overview.title, 'Website Redesign');
+    assert.strictEqual(analysis.metadata.modelUsed, 'scripted');
+});
+
+test('a response without JSON keeps the raw text for review', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const service = new GeminiService({ provider: scriptedProvider(['I cannot help with that.', 'Still no JSON.']) });
+
+    const analysis = await service.analyzeWithFallback('# RFP', 'rfp.md', 'Website');
+
+    assert.strictEqual(analysis.fullText, 'I cannot help with that.');
+    assert.strictEqual(analysis.overview.title, NOT_SPECIFIED);
+    assert.strictEqual(analysis.validation.valid, false);
+    assert.ok(analysis.validation.unrecoverableFields.includes('overview.title'));
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeForMatch,
+    separateCitations,
+    collectCitations,
+    verifyCitations,
+    summarizeCitations
+} = require('../modules/citations');
+const { NOT_SPECIFIED } = require('../modules/analysisSchema');
+const MockProvider = require('../modules/llm/mockProvider');
+const GeminiService = require('../modules/geminiService');
+
+const SOURCE = [
+    '<!-- Page 1 -->',
+    '# Website Redesign RFP',
+    '',
+    '## Scope of Work',
+    '',
+    '- The vendor **shall** let city staff publish news articles.',
+    '',
+    '<!-- Page 2 -->',
+    '## Compliance',
+    '',
+    'The vendor must comply with WCAG 2.1 AA accessibility standards, including keyboard navigation and captions.',
+    'All hosting must be located in the United States.'
+].join('\n');
+
+const citation = (quote, extra = {}) => ({ path: 'requirements.functional', text: 'Publish news', quote, section: null, page: null, ...extra });
+
+test('normalizeForMatch ignores markdown, comments and typographic variants', () => {
+    assert.strictEqual(normalizeForMatch('## The “vendor’s” **team** — see <!-- Page 2 --> page…'),
+        'the "vendor\'s" team - see page...');
+});
+
+test('separateCitations keeps plain strings in the analysis and the citation details beside it', () => {
+    const { analysis, citations } = separateCitations({
+        requirements: {
+            functional: [{ text: 'Publish news', quote: 'publish news articles', section: 'Scope of Work', page: '1' }, 'Plain item'],
+            technical: []
+        },
+        constraints: { budget: { description: '$100,000', quote: 'not to exceed $100,000' }, timeline: NOT_SPECIFIED },
+        overview: { title: { text: 'Not a cited field' } }
+    });
+
+    assert.deepStrictEqual(analysis.requirements.functional, ['Publish news', 'Plain item']);
+    assert.strictEqual(analysis.constraints.budget, '$100,000');
+    assert.deepStrictEqual(analysis.overview.title, { text: 'Not a cited field' });
+    assert.deepStrictEqual(citations, [
+        { path: 'requirements.functional', text: 'Publish news', quote: 'publish news articles', section: 'Scope of Work', page: 1 },
+        { path: 'constraints.budget', text: '$100,000', quote: 'not to exceed $100,000', section: null, page: null }
+    ]);
+});
+
+test('collectCitations gives every cited item of the final analysis an entry, matched by field and text', () => {
+    const analysis = {
+        requirements: { functional: ['Publish  NEWS', 'Manage events'], technical: [], compliance: [], deliverables: [] },
+        evaluation: { criteria: [] },
+        constraints: { budget: NOT_SPECIFIED, timeline: 'Six months', resources: NOT_SPECIFIED, other: [] }
+    };
+
+    const entries = collectCitations(analysis, [
+        citation('publish news articles', { page: 1 }),
+        { path: 'requirements.technical', text: 'Manage events', quote: 'wrong field' }
+    ]);
+
+    assert.deepStrictEqual(entries, [
+        { path: 'requirements.functional', index: 0, text: 'Publish  NEWS', quote: 'publish news articles', section: null, page: 1 },
+        { path: 'requirements.functional', index: 1, text: 'Manage events', quote: null, section: null, page: null },
+        { path: 'constraints.timeline', index: null, text: 'Six months', quote: null, section: null, page: null }
+    ]);
+});
+
+test('verifyCitations finds quotes in the source and records the section and page they are on', () => {
+    const [bold, later, elided] = verifyCitations([
+        citation('The vendor shall let city staff publish news articles.'),
+        citation('all hosting must be located in the United States', { page: 1, section: 'Scope of Work' }),
+        citation('comply with WCAG 2.1 AA ... keyboard navigation')
+    ], SOURCE);
+
+    assert.deepStrictEqual([bold.verified, bold.location], [true, { section: 'Scope of Work', page: 1 }]);
+    // The location is where the quote was found, not where the model said it was
+    assert.deepStrictEqual([later.verified, later.location], [true, { section: 'Compliance', page: 2 }]);
+    assert.deepStrictEqual([elided.verified, elided.location], [true, { section: 'Compliance', page: 2 }]);
+});
+
+test('verifyCitations flags missing, too short, invented and out-of-order quotes', () => {
+    const results = verifyCitations([
+        citation(null),
+        citation('vendor'),
+        citation('The vendor shall provide 24/7 phone support.'),
+        citation('keyboard navigation ... comply with WCAG 2.1 AA')
+    ], SOURCE);
+
+    assert.deepStrictEqual(results.map(result => [result.verified, result.reason, result.location]), [
+        [false, 'No source quote provided', null],
+        [false, 'Quote too short to verify', null],
+        [false, 'Quote not found in source document', null],
+        [false, 'Quote not found in source document', null]
+    ]);
+    assert.deepStrictEqual(summarizeCitations([...results, { verified: true }]), { total: 5, verified: 1, unverified: 4 });
+});
+
+test('the analysis of a document grounds each mock-extracted requirement in the source', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const service = new GeminiService({ provider: new MockProvider() });
+
+    const analysis = await service.analyzeWithFallback(SOURCE, 'rfp.md', 'Website');
+
+    assert.ok(analysis.citations.length >= 3);
+    assert.deepStrictEqual(analysis.grounding, { total: analysis.citations.length, verified: analysis.citations.length, unverified: 0 });
+    const hosting = analysis.citations.find(entry => entry.text.startsWith('All hosting'));
+    assert.deepStrictEqual(hosting.location, { section: 'Compliance', page: 2 });
+    // The stored analysis keeps plain strings
+    assert.ok(analysis.requirements.technical.every(item => typeof item === 'string'));
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    proposalETag,
+    contentETag,
+    etagHash,
+    matchesETag,
+    KeyedLock
+} = require('../modules/concurrency');
+const { CONFLICT_MARKERS, mergeText } = require('../modules/textMerge');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('proposal ETags quote the revision, with records from before revisions at 0', () => {
+    assert.strictEqual(proposalETag({ revision: 7 }), '"7"');
+    assert.strictEqual(proposalETag({}), '"0"');
+});
+
+test('artifact ETags follow the content and give back their hash prefix', () => {
+    const etag = contentETag('# Draft\n');
+    assert.match(etag, /^"[0-9a-f]{16}"$/);
+    assert.strictEqual(contentETag('# Draft\n'), etag);
+    assert.notStrictEqual(contentETag('# Draft 2\n'), etag);
+
+    assert.strictEqual(etagHash(etag), etag.slice(1, -1));
+    assert.strictEqual(etagHash(`W/${etag}`), etag.slice(1, -1));
+    assert.strictEqual(etagHash('"3"'), null);
+    assert.strictEqual(etagHash(undefined), null);
+});
+
+test('matchesETag allows writes without If-Match, with *, a listed tag or its weak form', () => {
+    assert.strictEqual(matchesETag(undefined, '"2"'), true);
+    assert.strictEqual(matchesETag('', '"2"'), true);
+    assert.strictEqual(matchesETag('*', '"2"'), true);
+    assert.strictEqual(matchesETag('"2"', '"2"'), true);
+    assert.strictEqual(matchesETag('W/"2"', '"2"'), true);
+    assert.strictEqual(matchesETag('"1", "2"', '"2"'), true);
+
+    assert.strictEqual(matchesETag('"1"', '"2"'), false);
+    assert.strictEqual(matchesETag('2', '"2"'), false);
+});
+
+test('KeyedLock runs work for the same key one at a time, in order', async () => {
+    const lock = new KeyedLock();
+    const events = [];
+    const work = (name, ms) => async () => {
+        events.push(`${name} start`);
+        await sleep(ms);
+        events.push(`${name} end`);
+        return name;
+    };
+
+    const results = await Promise.all([
+        lock.run('a', work('first', 20)),
+        lock.run('a', work('second', 1)),
+        lock.run('a', work('third', 1))
+    ]);
+
+    assert.deepStrictEqual(results, ['first', 'second', 'third']);
+    assert.deepStrictEqual(events, [
+        'first start', 'first end',
+        'second start', 'second end',
+        'third start', 'third end'
+    ]);
+});
+
+test('KeyedLock lets different keys run side by side', async () => {
+    const lock = new KeyedLock();
+    const events = [];
+
+    await Promise.all([
+        lock.run('a', async () => {
+            events.push('a start');
+            await sleep(20);
+            events.push('a end');
+        }),
+        lock.run('b', async () => {
+            events.push('b start');
+            events.push('b end');
+        })
+    ]);
+
+    assert.deepStrictEqual(events, ['a start', 'b start', 'b end', 'a end']);
+});
+
+test('KeyedLock releases the key when work fails', async () => {
+    const lock = new KeyedLock();
+
+    await assert.rejects(lock.run('a', async () => {
+        throw new Error('write failed');
+    }), /write failed/);
+    assert.strictEqual(await lock.run('a', async () => 'next'), 'next');
+    assert.strictEqual(lock.tails.size, 0);
+});
+
+test('mergeText combines edits to different lines', () => {
+    const base = 'one\ntwo\nthree\nfour\n';
+    const mine = 'one\nTWO\nthree\nfour\n';
+    const theirs = 'one\ntwo\nthree\nFOUR\n';
+
+    assert.deepStrictEqual(mergeText(base, mine, theirs), { content: 'one\nTWO\nthree\nFOUR\n', conflicts: 0 });
+});
+
+test('mergeText keeps one copy of an edit both sides made', () => {
+    const base = 'one\ntwo\n';
+    const both = 'one\n2\n';
+
+    assert.deepStrictEqual(mergeText(base, both, both), { content: both, conflicts: 0 });
+});
+
+test('mergeText keeps both versions of lines both sides changed between conflict markers', () => {
+    const base = 'title\nsummary\nend\n';
+    const mine = 'title\nmy summary\nend\n';
+    const theirs = 'title\ntheir summary\nend\n';
+
+    const { content, conflicts } = mergeText(base, mine, theirs);
+
+    assert.strictEqual(conflicts, 1);
+    assert.strictEqual(content, [
+        'title',
+        CONFLICT_MARKERS.start,
+        'my summary',
+        CONFLICT_MARKERS.separator,
+        'their summary',
+        CONFLICT_MARKERS.end,
+        'end',
+        ''
+    ].join('\n'));
+});
+
+test('mergeText without the starting version treats every difference as a conflict', () => {
+    const { content, conflicts } = mergeText('', 'mine\n', 'theirs\n');
+
+    assert.strictEqual(conflicts, 1);
+    assert.ok(content.includes('mine\n') && content.includes('theirs\n'));
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { chunkMarkdown, splitSections } = require('../modules/documentChunker');
+const MockProvider = require('../modules/llm/mockProvider');
+const GeminiService = require('../modules/geminiService');
+
+const paragraph = n => `Paragraph ${n} of the scope describes what the vendor shall deliver in detail.`;
+
+const RFP = [
+    '<!-- Page 1 -->',
+    '# Website Redesign RFP',
+    '',
+    'Issued by: City of Springfield',
+    '',
+    '## Scope',
+    '',
+    paragraph(1),
+    '',
+    paragraph(2),
+    '',
+    '<!-- Page 2 -->',
+    '',
+    paragraph(3),
+    '',
+    paragraph(4),
+    '',
+    '### Hosting',
+    '',
+    'Hosting must be located in the United States.',
+    '',
+    '<!-- Page 3 -->',
+    '# Terms',
+    '',
+    'Payment is due within 30 days of invoice.'
+].join('\n');
+
+// The source lines a chunk carries, without the context lines added in front of it
+const sourceLines = chunk => chunk.content.split('\n').filter(line => line.trim() && !line.startsWith('<!-- Continued from:'));
+
+test('splitSections follows the heading trail and the pages each section spans', () => {
+    assert.deepStrictEqual(splitSections(RFP).map(({ headings, startPage, endPage }) => ({ headings, startPage, endPage })), [
+        { headings: [], startPage: 1, endPage: 1 },
+        { headings: ['Website Redesign RFP'], startPage: 1, endPage: 1 },
+        { headings: ['Website Redesign RFP', 'Scope'], startPage: 1, endPage: 2 },
+        { headings: ['Website Redesign RFP', 'Scope', 'Hosting'], startPage: 2, endPage: 3 },
+        { headings: ['Terms'], startPage: 3, endPage: 3 }
+    ]);
+});
+
+test('a document that fits is one chunk without added context', () => {
+    const [chunk, ...rest] = chunkMarkdown(RFP);
+
+    assert.deepStrictEqual(rest, []);
+    assert.strictEqual(chunk.content, RFP);
+    assert.strictEqual(chunk.index, 0);
+    assert.strictEqual(chunk.title, 'Part 1');
+});
+
+test('long documents are cut between sections, then between paragraphs, losing nothing', () => {
+    const chunks = chunkMarkdown(RFP, { maxChars: 200 });
+
+    assert.ok(chunks.length > 2);
+    assert.deepStrictEqual(chunks.map(chunk => chunk.index), chunks.map((_, index) => index));
+    assert.deepStrictEqual(chunks.flatMap(sourceLines).filter(line => !/^<!-- Page/.test(line)),
+        RFP.split('\n').filter(line => line.trim() && !/^<!-- Page/.test(line)));
+    // No heading is separated from the text under it
+    chunks.forEach(chunk => assert.doesNotMatch(chunk.content.trimEnd(), /\n#{1,6} [^\n]*$/));
+});
+
+test('a chunk that continues a section restates its heading trail and the page it starts on', () => {
+    const chunks = chunkMarkdown(RFP, { maxChars: 200 });
+    const continued = chunks.find(chunk => chunk.content.includes(paragraph(3)));
+
+    assert.ok(!continued.content.includes(paragraph(2)), 'the section was cut');
+    assert.deepStrictEqual(continued.content.split('\n\n').slice(0, 2),
+        ['<!-- Page 2 -->', '<!-- Continued from: Website Redesign RFP > Scope -->']);
+    assert.strictEqual(continued.title, 'Scope');
+    assert.deepStrictEqual([continued.startPage, continued.endPage], [2, 2]);
+
+    // A chunk opening on a heading names its page, not the heading trail
+    const terms = chunks.find(chunk => chunk.content.includes('# Terms'));
+    assert.doesNotMatch(terms.content, /Continued from/);
+    assert.strictEqual(terms.endPage, 3);
+});
+
+test('a paragraph longer than a chunk is cut at sentences', () => {
+    const sentences = Array.from({ length: 12 }, (_, index) => `Sentence ${index + 1} states one more requirement.`);
+    const chunks = chunkMarkdown(`# Requirements\n\n${sentences.join(' ')}`, { maxChars: 150 });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(sourceLines(chunk).join(' ').length <= 150, chunk.content));
+    assert.deepStrictEqual(chunks.flatMap(chunk => chunk.content.match(/Sentence \d+/g)), sentences.map(text => text.match(/Sentence \d+/)[0]));
+    assert.match(chunks[1].content, /^<!-- Continued from: Requirements -->/);
+});
+
+test('a chunked analysis reports its parts, merges what they found and cites pages of the whole document', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const service = new GeminiService({ provider: new MockProvider() });
+    service.maxChunkChars = 200;
+    const progress = [];
+
+    const analysis = await service.analyzeWithFallback(RFP, 'rfp.md', 'Website', { onProgress: event => progress.push(event) });
+
+    const chunks = analysis.metadata.chunks;
+    assert.ok(chunks.length > 2);
+    assert.ok(chunks.every(chunk => chunk.status === 'succeeded'));
+    // Each part is reported when it starts and when it is done
+    assert.deepStrictEqual(progress.map(event => event.completed), chunks.flatMap((_, index) => [index, index + 1]));
+
+    assert.strictEqual(analysis.overview.organization, 'City of Springfield');
+    assert.strictEqual(analysis.requirements.deliverables.filter(item => item.startsWith('Paragraph')).length, 4);
+    const hosting = analysis.citations.find(entry => entry.text.startsWith('Hosting must'));
+    assert.deepStrictEqual(hosting.location, { section: 'Hosting', page: 2 });
+    assert.strictEqual(analysis.grounding.unverified, 0);
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SimpleDatabase = require('../modules/database');
+const AuthMiddleware = require('../modules/auth');
+const { EmailNotVerifiedError, emailVerificationPolicy } = require('../modules/emailVerification');
+
+const BASE_URL = 'https://rfp.example.com';
+
+// An AuthMiddleware on a JSON store of its own, under EMAIL_VERIFICATION_POLICY=policy, whose mailer keeps
+// the emails it is given
+async function withAuth(policy, run) {
+    const previous = process.env.EMAIL_VERIFICATION_POLICY;
+    process.env.EMAIL_VERIFICATION_POLICY = policy;
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'verification-'));
+    const db = new SimpleDatabase({ backend: 'json', dataDir });
+    const mailer = { sent: [], send: async mail => mailer.sent.push(mail) };
+    const auth = new AuthMiddleware({ db, mailer });
+    try {
+        await db.ready;
+        return await run(auth, mailer);
+    } finally {
+        await db.close();
+        await fs.remove(dataDir);
+        if (previous === undefined) {
+            delete process.env.EMAIL_VERIFICATION_POLICY;
+        } else {
+            process.env.EMAIL_VERIFICATION_POLICY = previous;
+        }
+    }
+}
+
+function lastToken(mailer) {
+    const link = /https:\/\/\S+/.exec(mailer.sent[mailer.sent.length - 1].text)[0];
+    return new URL(link).searchParams.get('token');
+}
+
+// Runs the middleware for a request and resolves to { status, body } of the response, or 'next'
+function runMiddleware(middleware, req) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                resolve({ status: this.statusCode, body });
+            }
+        };
+        middleware(req, res, error => (error ? reject(error) : resolve('next')));
+    });
+}
+
+test('the policy defaults to warn for unset and unknown values', () => {
+    const previous = process.env.EMAIL_VERIFICATION_POLICY;
+    try {
+        delete process.env.EMAIL_VERIFICATION_POLICY;
+        assert.strictEqual(emailVerificationPolicy(), 'warn');
+        process.env.EMAIL_VERIFICATION_POLICY = 'strict';
+        assert.strictEqual(emailVerificationPolicy(), 'warn');
+        process.env.EMAIL_VERIFICATION_POLICY = 'Block';
+        assert.strictEqual(emailVerificationPolicy(), 'block');
+    } finally {
+        if (previous === undefined) {
+            delete process.env.EMAIL_VERIFICATION_POLICY;
+        } else {
+            process.env.EMAIL_VERIFICATION_POLICY = previous;
+        }
+    }
+});
+
+test('a confirmation link confirms the address once', async () => {
+    await withAuth('warn', async (auth, mailer) => {
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+        assert.strictEqual(user.emailVerified, false);
+
+        assert.strictEqual(await auth.sendEmailVerification(user.id, BASE_URL), true);
+        assert.ok(mailer.sent[0].text.includes(`${BASE_URL}/verify-email?token=`));
+        // One email a minute
+        assert.strictEqual(await auth.sendEmailVerification(user.id, BASE_URL), false);
+        assert.strictEqual(mailer.sent.length, 1);
+
+        const token = lastToken(mailer);
+        assert.strictEqual((await auth.verifyEmail(token)).emailVerified, true);
+        await assert.rejects(auth.verifyEmail(token), /invalid or has expired/);
+        assert.strictEqual(await auth.sendEmailVerification(user.id, BASE_URL), false, 'nothing left to confirm');
+    });
+});
+
+test('a confirmation link does not confirm an address the account changed to since', async () => {
+    await withAuth('warn', async (auth, mailer) => {
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+        await auth.sendEmailVerification(user.id, BASE_URL);
+        const token = lastToken(mailer);
+
+        await auth.db.updateUser(user.id, { email: 'mallory@example.com' });
+
+        await assert.rejects(auth.verifyEmail(token), /invalid or has expired/);
+        assert.strictEqual((await auth.db.findUserById(user.id)).emailVerified, false);
+    });
+});
+
+test('with the policy off no confirmation emails go out', async () => {
+    await withAuth('off', async (auth, mailer) => {
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+
+        assert.strictEqual(await auth.sendEmailVerification(user.id, BASE_URL), false);
+        await auth.requestEmailVerification('alice', BASE_URL);
+        assert.strictEqual(mailer.sent.length, 0);
+    });
+});
+
+test('restrict and block require an email address to register', async () => {
+    for (const policy of ['restrict', 'block']) {
+        await withAuth(policy, async (auth) => {
+            await assert.rejects(auth.register('alice', 'secret-1'), /An email address is required/);
+        });
+    }
+    await withAuth('warn', async (auth) => {
+        assert.strictEqual((await auth.register('alice', 'secret-1')).email, null);
+    });
+});
+
+test('block refuses to log in until the address is confirmed', async () => {
+    await withAuth('block', async (auth, mailer) => {
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+
+        await assert.rejects(auth.login('alice', 'secret-1'), EmailNotVerifiedError);
+
+        // The resend form works without logging in and does not reveal unknown accounts
+        await auth.requestEmailVerification('nobody', BASE_URL);
+        await auth.requestEmailVerification('alice@example.com', BASE_URL);
+        assert.strictEqual(mailer.sent.length, 1);
+
+        await auth.verifyEmail(lastToken(mailer));
+        assert.strictEqual((await auth.login('alice', 'secret-1')).user.id, user.id);
+    });
+});
+
+test('warn lets unconfirmed accounts log in', async () => {
+    await withAuth('warn', async (auth) => {
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+        assert.strictEqual((await auth.login('alice', 'secret-1')).user.id, user.id);
+    });
+});
+
+test('restrict keeps unconfirmed accounts to reading', async () => {
+    await withAuth('restrict', async (auth, mailer) => {
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+        const request = method => ({ method, session: { userId: user.id } });
+
+        const refused = await runMiddleware(auth.restrictUnverified, request('POST'));
+        assert.strictEqual(refused.status, 403);
+        assert.strictEqual(refused.body.emailNotVerified, true);
+        assert.strictEqual(await runMiddleware(auth.restrictUnverified, request('DELETE')).then(result => result.status), 403);
+        assert.strictEqual(await runMiddleware(auth.restrictUnverified, request('GET')), 'next');
+        // Requests without a session are requireAuth's to refuse
+        assert.strictEqual(await runMiddleware(auth.restrictUnverified, { method: 'POST', session: {} }), 'next');
+
+        await auth.sendEmailVerification(user.id, BASE_URL);
+        await auth.verifyEmail(lastToken(mailer));
+        assert.strictEqual(await runMiddleware(auth.restrictUnverified, request('POST')), 'next');
+    });
+
+    await withAuth('warn', async (auth) => {
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+        assert.strictEqual(await runMiddleware(auth.restrictUnverified, { method: 'POST', session: { userId: user.id } }), 'next');
+    });
+});
+
+test('an address left unconfirmed past the link lifetime can be taken by another account', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    await withAuth('warn', async (auth) => {
+        const squatter = await auth.register('mallory', 'secret-1', 'alice@example.com');
+        await assert.rejects(auth.register('alice', 'secret-1', 'alice@example.com'), /Email already exists/);
+
+        const lapsed = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+        await auth.db.store.updateUser(squatter.id, { emailAddedAt: lapsed });
+
+        assert.strictEqual((await auth.register('alice', 'secret-1', 'alice@example.com')).email, 'alice@example.com');
+        assert.strictEqual((await auth.db.findUserById(squatter.id)).email, null);
+    });
+});
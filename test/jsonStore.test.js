@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { CorruptDataError, JsonStore } = require('../modules/storage/jsonStore');
+
+async function withStore(run) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'));
+    const store = new JsonStore({ dataDir });
+    try {
+        await store.init();
+        return await run(store, dataDir);
+    } finally {
+        await fs.remove(dataDir);
+    }
+}
+
+const job = id => ({ id, userId: 'u1', proposalId: 'p1', status: 'queued' });
+const readJson = async file => JSON.parse(await fs.readFile(file, 'utf8'));
+
+test('init creates an empty file per collection', async () => {
+    await withStore(async (store, dataDir) => {
+        assert.deepStrictEqual((await fs.readdir(dataDir)).sort(),
+            ['jobs.json', 'proposals.json', 'sessions.json', 'users.json']);
+        assert.deepStrictEqual(await readJson(store.files.users), []);
+    });
+});
+
+test('a write keeps the previous content as the backup and leaves no temporary files', async () => {
+    await withStore(async (store, dataDir) => {
+        await store.insertJob(job('j1'));
+        await store.insertJob(job('j2'));
+
+        assert.deepStrictEqual((await readJson(store.files.jobs)).map(record => record.id), ['j1', 'j2']);
+        assert.deepStrictEqual((await readJson(`${store.files.jobs}.bak`)).map(record => record.id), ['j1']);
+        assert.deepStrictEqual((await fs.readdir(dataDir)).filter(name => name.endsWith('.tmp')), []);
+    });
+});
+
+test('concurrent changes to a collection are all kept', async () => {
+    await withStore(async (store) => {
+        await Promise.all(Array.from({ length: 20 }, (_, index) => store.insertJob(job(`j${index}`))));
+
+        assert.strictEqual((await store.listRecords('jobs')).length, 20);
+    });
+});
+
+test('a write that fails leaves the file as it was', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    await withStore(async (store, dataDir) => {
+        await store.insertJob(job('j1'));
+        const circular = job('j2');
+        circular.self = circular;
+
+        await assert.rejects(store.insertJob(circular), TypeError);
+
+        assert.deepStrictEqual((await readJson(store.files.jobs)).map(record => record.id), ['j1']);
+        assert.deepStrictEqual((await fs.readdir(dataDir)).filter(name => name.endsWith('.tmp')), []);
+    });
+});
+
+test('a corrupted file is read from its backup until the next write replaces it', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    await withStore(async (store, dataDir) => {
+        await store.insertJob(job('j1'));
+        await store.insertJob(job('j2'));
+        await fs.writeFile(store.files.jobs, '[{"id": "j1", "userId"');
+
+        assert.deepStrictEqual((await store.listRecords('jobs')).map(record => record.id), ['j1']);
+        assert.strictEqual((await store.findJob('j1')).id, 'j1');
+        assert.strictEqual(warn.mock.callCount(), 1, 'the corruption is reported once');
+
+        await store.insertJob(job('j3'));
+
+        assert.deepStrictEqual((await readJson(store.files.jobs)).map(record => record.id), ['j1', 'j3']);
+        // The damaged file is moved aside rather than becoming the backup
+        assert.deepStrictEqual((await readJson(`${store.files.jobs}.bak`)).map(record => record.id), ['j1']);
+        const aside = (await fs.readdir(dataDir)).filter(name => name.startsWith('jobs.json.corrupt-'));
+        assert.strictEqual(aside.length, 1);
+        assert.strictEqual(await fs.readFile(path.join(dataDir, aside[0]), 'utf8'), '[{"id": "j1", "userId"');
+    });
+});
+
+test('a corrupted file without a usable backup is refused rather than replaced', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    await withStore(async (store, dataDir) => {
+        await fs.writeFile(store.files.users, '{"not": "an array"}');
+
+        await assert.rejects(store.findUser('id', 'u1'), (error) => {
+            assert.ok(error instanceof CorruptDataError);
+            assert.strictEqual(error.file, store.files.users);
+            return true;
+        });
+        await assert.rejects(store.insertUser({ id: 'u1', username: 'alice' }), CorruptDataError);
+        assert.strictEqual(await fs.readFile(store.files.users, 'utf8'), '{"not": "an array"}');
+
+        // Other collections keep working, and restarting does not write over the damaged file
+        await store.insertJob(job('j1'));
+        await new JsonStore({ dataDir }).init();
+        assert.strictEqual(await fs.readFile(store.files.users, 'utf8'), '{"not": "an array"}');
+    });
+});
+
+test('backup copies every collection file into a directory of its own', async () => {
+    await withStore(async (store) => {
+        await store.insertJob(job('j1'));
+
+        const dir = await store.backup();
+
+        assert.strictEqual(path.dirname(dir), path.join(store.dataDir, 'backups'));
+        assert.deepStrictEqual(await readJson(path.join(dir, 'jobs.json')), [job('j1')]);
+        assert.deepStrictEqual(await readJson(path.join(dir, 'users.json')), []);
+    });
+});
@@ -0,0 +1,260 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const SimpleDatabase = require('../modules/database');
+const { COLLECTIONS, STORAGE_BACKENDS, createStore } = require('../modules/storage');
+const { SCHEMA_VERSIONS, migrateRecord, planMigrations, runMigrations } = require('../modules/migrations');
+
+const MIGRATE = path.join(__dirname, '..', 'scripts', 'migrate.js');
+
+const ANALYSIS = {
+    metadata: {
+        fileName: 'GoldenOne_RFP.docx',
+        analysisDate: '2025-09-27T00:36:58.767Z',
+        proposalName: 'Needs clarification (based on RFP content)',
+        modelUsed: 'gemini-2.0-flash'
+    },
+    overview: { title: 'Member portal', organization: 'Golden One', dueDate: '2025-10-31', projectSummary: 'Not specified in RFP' },
+    requirements: { functional: ['Members can log in'], technical: [], compliance: [], deliverables: [] },
+    questions: [],
+    opportunities: []
+};
+
+// Records as the app stored them before schema versions existed (the shape of the data/*.json it shipped with)
+function baselineData() {
+    return {
+        users: [
+            {
+                id: 'user-1',
+                username: 'prasadmk',
+                password: '$2b$10$OXvDfnDzx5XEqZk6odQHxuRBxWFyjf4GMpDOgxRGhMwA962uomawC',
+                createdAt: '2025-09-25T04:43:08.781Z',
+                email: 'prasad@example.com',
+                theme: 'bright',
+                updatedAt: '2025-09-25T05:38:38.291Z'
+            },
+            {
+                id: 'user-2',
+                username: 'mkprasad',
+                password: '$2b$10$KJBaPokNY8q68V9MdV20z.oFDtBe736TuPvJSuslPMSy.YU7zX54u',
+                createdAt: '2025-09-25T04:55:01.679Z'
+            }
+        ],
+        sessions: [
+            {
+                id: 'session-1',
+                userId: 'user-2',
+                username: 'mkprasad',
+                rememberMe: true,
+                createdAt: '2025-09-27T01:38:17.005Z',
+                expiresAt: '2099-09-28T01:38:17.005Z'
+            }
+        ],
+        proposals: [
+            {
+                id: 'proposal-1',
+                userId: 'user-1',
+                name: 'Proposal 1',
+                status: 'draft',
+                documents: [],
+                subtasks: [],
+                artifacts: { templates: [], requirements: [] },
+                order: 0,
+                createdAt: '2025-09-25T16:01:19.678Z'
+            },
+            {
+                id: 'proposal-2',
+                userId: 'user-2',
+                name: 'Proposal 2',
+                status: 'draft',
+                documents: [
+                    { id: 'document-1', name: 'GoldenOne_RFP.docx', uploadedAt: '2025-09-27T00:37:01.921Z', analysisCompleted: true }
+                ],
+                subtasks: [],
+                artifacts: {
+                    templates: [{ id: 'artifact-3', type: 'Template', name: 'old-template.md' }],
+                    requirements: [{ id: 'artifact-4', type: 'Requirements', name: 'proposal-2-requirements.md' }],
+                    outputs: [
+                        { id: 'artifact-1', type: 'Source Document', name: 'proposal-2-source-document.md' },
+                        { id: 'artifact-2', type: 'Requirements', name: 'proposal-2-requirements.md' }
+                    ],
+                    analysis: ANALYSIS
+                },
+                order: 2,
+                createdAt: '2025-09-26T18:53:20.061Z'
+            }
+        ],
+        jobs: []
+    };
+}
+
+// Writes data into a new store of the given backend the way it would have been stored before the upgrade
+async function withBaselineStore(backend, run) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), `migrate-${backend}-`));
+    const data = baselineData();
+    for (const collection of COLLECTIONS) {
+        await fs.writeJson(path.join(dataDir, `${collection}.json`), data[collection]);
+    }
+    const store = createStore({ backend, dataDir, file: path.join(dataDir, 'rfp.sqlite') });
+    try {
+        await store.init();
+        if (store.importRecords) {
+            await store.importRecords(data);
+        }
+        return await run(store, dataDir);
+    } finally {
+        await store.close();
+        await fs.remove(dataDir);
+    }
+}
+
+test('users from before verification get the profile defaults and an unverified address', () => {
+    const [withEmail, withoutEmail] = baselineData().users;
+
+    const { record, applied } = migrateRecord('users', withEmail);
+    assert.deepStrictEqual(applied.map(migration => migration.version), [1, 2]);
+    assert.deepStrictEqual(record, { ...withEmail, emailVerified: false, schemaVersion: 2 });
+
+    assert.deepStrictEqual(migrateRecord('users', withoutEmail).record,
+        { ...withoutEmail, email: null, theme: 'bright', emailVerified: false, schemaVersion: 2 });
+});
+
+test('sessions from before the session store expire; stored ones are kept', () => {
+    const [session] = baselineData().sessions;
+
+    assert.deepStrictEqual(migrateRecord('sessions', session).record,
+        { ...session, expiresAt: '1970-01-01T00:00:00.000Z', schemaVersion: 2 });
+
+    const stored = { id: 'session-2', userId: 'user-1', expiresAt: '2099-01-01T00:00:00.000Z', state: { csrf: 'x' } };
+    assert.deepStrictEqual(migrateRecord('sessions', stored).record, { ...stored, rememberMe: false, schemaVersion: 2 });
+});
+
+test('proposal artifacts move to artifacts.outputs and the analysis onto its document', () => {
+    const [empty, analyzed] = baselineData().proposals;
+
+    const migratedEmpty = migrateRecord('proposals', empty).record;
+    assert.deepStrictEqual(migratedEmpty.artifacts, { outputs: [] });
+    assert.strictEqual(migratedEmpty.schemaVersion, 2);
+
+    const { artifacts, documents } = migrateRecord('proposals', analyzed).record;
+    // Legacy entries join the outputs unless an output of that name exists
+    assert.deepStrictEqual(artifacts.outputs.map(artifact => artifact.id), ['artifact-1', 'artifact-2', 'artifact-3']);
+    assert.strictEqual(artifacts.templates, undefined);
+    assert.strictEqual(artifacts.requirements, undefined);
+
+    assert.strictEqual(documents.length, 1);
+    const [document] = documents;
+    assert.strictEqual(document.id, 'document-1');
+    assert.strictEqual(document.kind, 'base');
+    assert.strictEqual(document.sourceArtifact, 'proposal-2-source-document.md');
+    assert.deepStrictEqual(document.analysis.overview, ANALYSIS.overview);
+    assert.deepStrictEqual(document.analysis.requirements, ANALYSIS.requirements);
+    assert.strictEqual(document.analysis.metadata.fileName, 'GoldenOne_RFP.docx');
+});
+
+test('an analysis without a document record gets one named after the analyzed file', () => {
+    const proposal = { ...baselineData().proposals[1], documents: undefined };
+
+    const [document] = migrateRecord('proposals', proposal).record.documents;
+
+    assert.strictEqual(document.name, 'GoldenOne_RFP.docx');
+    assert.strictEqual(document.uploadedAt, ANALYSIS.metadata.analysisDate);
+    assert.ok(document.id);
+    assert.deepStrictEqual(document.analysis.overview, ANALYSIS.overview);
+});
+
+test('current records are left alone and records from a newer version are refused', () => {
+    const current = { id: 'user-1', username: 'alice', schemaVersion: SCHEMA_VERSIONS.users };
+    assert.strictEqual(migrateRecord('users', current), null);
+
+    assert.throws(() => migrateRecord('users', { ...current, schemaVersion: SCHEMA_VERSIONS.users + 1 }),
+        /users record user-1 has schema version 3; this version of the app knows up to 2/);
+});
+
+for (const backend of Object.keys(STORAGE_BACKENDS)) {
+    test(`${backend} store: a dry run only plans; running backs up, migrates once and is then current`, async () => {
+        await withBaselineStore(backend, async (store) => {
+            const dryRun = await runMigrations(store, { dryRun: true });
+            assert.deepStrictEqual(dryRun.plan.map(({ collection, records, pending }) => [collection, records, pending.length]),
+                [['users', 2, 2], ['sessions', 1, 1], ['proposals', 2, 2], ['jobs', 0, 0]]);
+            assert.strictEqual(dryRun.migrated, 0);
+            assert.strictEqual(dryRun.backup, null);
+            assert.deepStrictEqual(await store.listRecords('users'), baselineData().users);
+
+            const { migrated, backup } = await runMigrations(store);
+            assert.strictEqual(migrated, 5);
+            assert.ok(await fs.pathExists(backup), 'the data is backed up first');
+            for (const collection of COLLECTIONS) {
+                (await store.listRecords(collection)).forEach(record =>
+                    assert.strictEqual(record.schemaVersion, SCHEMA_VERSIONS[collection], `${collection} ${record.id}`));
+            }
+
+            assert.deepStrictEqual((await planMigrations(store)).flatMap(entry => entry.pending), []);
+            assert.deepStrictEqual(await runMigrations(store), { plan: await planMigrations(store), migrated: 0, backup: null });
+        });
+    });
+}
+
+test('both stores migrate the baseline data to the same records', async () => {
+    const migrate = backend => withBaselineStore(backend, async (store) => {
+        await runMigrations(store);
+        const records = {};
+        for (const collection of COLLECTIONS) {
+            records[collection] = await store.listRecords(collection);
+        }
+        return records;
+    });
+
+    const [json, sqlite] = [await migrate('json'), await migrate('sqlite')];
+
+    assert.deepStrictEqual(sqlite, json);
+    assert.deepStrictEqual(json.users.map(user => user.emailVerified), [false, false]);
+});
+
+test('opening baseline data signs out old sessions and asks existing users to confirm their address', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    for (const backend of Object.keys(STORAGE_BACKENDS)) {
+        await withBaselineStore(backend, async (store, dataDir) => {
+            await store.close();
+            const db = new SimpleDatabase({ backend, dataDir, file: path.join(dataDir, 'rfp.sqlite') });
+            try {
+                assert.strictEqual(await db.findSession('session-1'), null, backend);
+                assert.strictEqual((await db.findUserById('user-1')).emailVerified, false, backend);
+                const [proposal] = await db.getProposalsByUser('user-2');
+                assert.strictEqual(proposal.documents[0].kind, 'base', backend);
+            } finally {
+                await db.close();
+            }
+        });
+    }
+});
+
+test('scripts/migrate.js lists pending migrations and applies them with --apply', async () => {
+    const run = (dataDir, ...args) => promisify(execFile)(process.execPath,
+        [MIGRATE, '--backend', 'json', '--data-dir', dataDir, ...args], { cwd: dataDir });
+
+    await withBaselineStore('json', async (store, dataDir) => {
+        const dryRun = await run(dataDir);
+        assert.match(dryRun.stdout, /^users: 2 records, 2 to migrate \(current schema version 2\)$/m);
+        assert.match(dryRun.stdout, /^ {2}2: Mark email addresses as not yet verified \(2\)$/m);
+        assert.match(dryRun.stdout, /^jobs: 0 records, 0 to migrate/m);
+        assert.match(dryRun.stdout, /Dry run; nothing was changed/);
+        assert.deepStrictEqual(await store.listRecords('users'), baselineData().users);
+
+        const applied = await run(dataDir, '--apply');
+        assert.match(applied.stdout, /Migrated 5 records\. Backup: /);
+        assert.strictEqual((await store.findUser('id', 'user-1')).emailVerified, false);
+
+        assert.match((await run(dataDir, '--apply')).stdout, /Everything is up to date\./);
+
+        await assert.rejects(run(dataDir, '--force'), (error) => {
+            assert.strictEqual(error.code, 1);
+            assert.match(error.stderr, /Unknown option: --force/);
+            return true;
+        });
+    });
+});
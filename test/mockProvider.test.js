@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const MockProvider = require('../modules/llm/mockProvider');
+
+const RFP = [
+    '# Website Redesign RFP',
+    '',
+    'Issued by: City of Springfield',
+    '',
+    'The City of Springfield seeks a vendor to redesign and host its public website for residents and businesses.',
+    '',
+    '- The vendor shall let city staff publish news articles.',
+    '- The platform must integrate with the existing single sign-on service.',
+    '- The vendor must comply with WCAG 2.1 AA accessibility standards.',
+    '- The vendor shall submit a monthly status report.',
+    '',
+    'Proposals are due no later than 2025-03-31 at 5 PM.',
+    'Proposals will be evaluated on technical approach (40%) and price (60%).'
+].join('\n');
+
+async function withFixtures(files, run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-fixtures-'));
+    try {
+        for (const [name, content] of Object.entries(files)) {
+            await fs.writeJson(path.join(dir, name), content);
+        }
+        return await run(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+async function analyze(provider, document, options = {}) {
+    const result = await provider.analyze('prompt', { document, ...options });
+    return { ...result, analysis: JSON.parse(result.text) };
+}
+
+test('uses the fixture named after the sha256 of the document', async () => {
+    const hash = crypto.createHash('sha256').update(RFP).digest('hex');
+    await withFixtures({ [`${hash}.json`]: { source: 'hash' }, 'rfp.json': { source: 'name' } }, async (dir) => {
+        const { analysis, provider, model } = await analyze(new MockProvider({ fixturesDir: dir }), RFP, { fileName: 'rfp.pdf' });
+        assert.deepStrictEqual(analysis, { source: 'hash' });
+        assert.strictEqual(provider, 'mock');
+        assert.strictEqual(model, 'mock-heuristic');
+    });
+});
+
+test('falls back to the fixture named after the source file', async () => {
+    await withFixtures({ 'rfp.json': { source: 'name' } }, async (dir) => {
+        const { analysis } = await analyze(new MockProvider({ fixturesDir: dir }), RFP, { fileName: 'uploads/rfp.pdf' });
+        assert.deepStrictEqual(analysis, { source: 'name' });
+    });
+});
+
+test('extracts an analysis from the document when no fixture matches', async () => {
+    await withFixtures({}, async (dir) => {
+        const { analysis } = await analyze(new MockProvider({ fixturesDir: dir }), RFP, { fileName: 'other.pdf' });
+
+        assert.strictEqual(analysis.metadata.fileName, 'other.pdf');
+        assert.strictEqual(analysis.overview.title, 'Website Redesign RFP');
+        assert.strictEqual(analysis.overview.organization, 'City of Springfield');
+        assert.strictEqual(analysis.overview.dueDate, '2025-03-31');
+        assert.deepStrictEqual(analysis.requirements.functional.map(item => item.text),
+            ['The vendor shall let city staff publish news articles.']);
+        assert.deepStrictEqual(analysis.requirements.technical.map(item => item.text),
+            ['The platform must integrate with the existing single sign-on service.']);
+        assert.deepStrictEqual(analysis.requirements.compliance.map(item => item.text),
+            ['The vendor must comply with WCAG 2.1 AA accessibility standards.']);
+        assert.deepStrictEqual(analysis.requirements.deliverables.map(item => item.text),
+            ['The vendor shall submit a monthly status report.']);
+        assert.strictEqual(analysis.evaluation.weights, '40%, 60%');
+        assert.strictEqual(analysis.requirements.technical[0].quote, analysis.requirements.technical[0].text);
+    });
+});
+
+test('gives the same output for the same input', async () => {
+    const provider = new MockProvider();
+    const first = await provider.analyze('prompt', { document: RFP });
+    const second = await provider.analyze('prompt', { document: RFP });
+    assert.strictEqual(first.text, second.text);
+
+    const generated = await provider.generate('Write an executive summary\nfor the proposal');
+    assert.strictEqual(generated.text, (await provider.generate('Write an executive summary\nfor the proposal')).text);
+    assert.match(generated.text, /^\[mock response [0-9a-f]{12}\] Write an executive summary$/);
+});
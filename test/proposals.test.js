@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const SimpleDatabase = require('../modules/database');
+const ProposalService = require('../modules/proposals');
+const { ConflictError, proposalETag } = require('../modules/concurrency');
+
+const USER_ID = 'user-1';
+
+const RFP = [
+    '# Website Redesign RFP',
+    '',
+    'Issued by: City of Springfield',
+    '',
+    '- The vendor shall let city staff publish news articles.',
+    '- The vendor must comply with WCAG 2.1 AA accessibility standards.',
+    '',
+    'Proposals are due no later than 2025-03-31 at 5 PM.'
+].join('\n');
+
+// A proposal service on a JSON store and artifact directory of its own, with one analyzed RFP
+async function withProposal(run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'proposals-'));
+    const db = new SimpleDatabase({ backend: 'json', dataDir: path.join(dir, 'data') });
+    const service = new ProposalService(db);
+    service.fileService.outputDir = path.join(dir, 'generated');
+    try {
+        await db.ready;
+        const proposal = await service.createProposal(USER_ID, 'tester', 'Website');
+        const upload = path.join(dir, 'rfp.md');
+        await fs.writeFile(upload, RFP);
+        await service.processRFPDocument(USER_ID, proposal.id, upload, 'rfp.md');
+        return await run(service, await service.getProposal(USER_ID, proposal.id));
+    } finally {
+        await db.close();
+        await fs.remove(dir);
+    }
+}
+
+test('reading completion and generating artifacts leave the proposal ETag alone', async () => {
+    await withProposal(async (service, proposal) => {
+        const etag = proposalETag(proposal);
+
+        await service.getCompletion(USER_ID, proposal.id);
+        await service.renderDraft(USER_ID, proposal.id);
+        await service.exportComplianceMatrix(USER_ID, proposal.id, 'csv');
+
+        const stored = await service.getProposal(USER_ID, proposal.id);
+        assert.strictEqual(proposalETag(stored), etag);
+
+        // A document change made against the ETag read before all that is accepted
+        const [document] = stored.documents;
+        const result = await service.updateDocument(USER_ID, proposal.id, document.id, { kind: 'attachment', ifMatch: etag });
+        assert.notStrictEqual(result.etag, etag);
+        assert.ok(result.artifacts.some(artifact => artifact.type === 'Draft'), 'the rendered draft is kept');
+    });
+});
+
+test('a document change against an outdated proposal ETag is refused with the current one', async () => {
+    await withProposal(async (service, proposal) => {
+        const etag = proposalETag(proposal);
+        const [document] = proposal.documents;
+        const { etag: current } = await service.updateDocument(USER_ID, proposal.id, document.id, { kind: 'attachment', ifMatch: etag });
+
+        await assert.rejects(
+            service.updateDocument(USER_ID, proposal.id, document.id, { kind: 'base', ifMatch: etag }),
+            (error) => {
+                assert.ok(error instanceof ConflictError);
+                assert.strictEqual(error.current.etag, current);
+                assert.strictEqual(error.current.proposal.documents[0].kind, 'attachment');
+                return true;
+            }
+        );
+    });
+});
+
+test('concurrent document changes with the same ETag: one wins, the other gets a conflict', async () => {
+    await withProposal(async (service, proposal) => {
+        const etag = proposalETag(proposal);
+        const [document] = proposal.documents;
+
+        const results = await Promise.allSettled([
+            service.updateDocument(USER_ID, proposal.id, document.id, { kind: 'attachment', ifMatch: etag }),
+            service.updateDocument(USER_ID, proposal.id, document.id, { kind: 'qa', ifMatch: etag })
+        ]);
+
+        assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.ok(results.find(result => result.status === 'rejected').reason instanceof ConflictError);
+    });
+});
+
+test('an artifact edit made on an older copy is refused with a merge of both edits', async () => {
+    await withProposal(async (service, proposal) => {
+        const template = proposal.artifacts.outputs.find(artifact => artifact.type === 'Template');
+        const original = await service.downloadArtifact(USER_ID, proposal.id, template.name);
+        const lines = original.content.split('\n');
+
+        const theirs = ['# Their title', ...lines.slice(1)].join('\n');
+        const saved = await service.updateArtifact(USER_ID, proposal.id, template.name, theirs, { ifMatch: original.etag });
+        assert.notStrictEqual(saved.etag, original.etag);
+
+        const mine = [...lines.slice(0, -1), 'My closing line', lines[lines.length - 1]].join('\n');
+        await assert.rejects(
+            service.updateArtifact(USER_ID, proposal.id, template.name, mine, { ifMatch: original.etag }),
+            (error) => {
+                assert.ok(error instanceof ConflictError);
+                assert.strictEqual(error.current.etag, saved.etag);
+                assert.strictEqual(error.current.content, theirs);
+                assert.strictEqual(error.current.merged.conflicts, 0);
+                assert.ok(error.current.merged.content.startsWith('# Their title'));
+                assert.ok(error.current.merged.content.includes('My closing line'));
+                return true;
+            }
+        );
+    });
+});
+
+test('a variables edit saved while the document set changes is carried over', async () => {
+    await withProposal(async (service, proposal) => {
+        const { variables, etag } = await service.getVariables(USER_ID, proposal.id);
+        variables.executiveSummary = 'Edited while the documents change';
+        const [document] = proposal.documents;
+
+        await Promise.all([
+            service.updateDocument(USER_ID, proposal.id, document.id, { kind: 'attachment' }),
+            service.saveVariables(USER_ID, proposal.id, variables, { ifMatch: etag })
+        ]);
+
+        const stored = await service.getVariables(USER_ID, proposal.id);
+        assert.strictEqual(stored.variables.executiveSummary, 'Edited while the documents change');
+    });
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { COLLECTIONS, STORAGE_BACKENDS, createStore, importJsonData } = require('../modules/storage');
+
+// A store of the given backend in a temporary data directory of its own
+async function withStore(backend, run) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), `store-${backend}-`));
+    const store = createStore({ backend, dataDir, file: path.join(dataDir, 'rfp.sqlite') });
+    try {
+        await store.init();
+        return await run(store, dataDir);
+    } finally {
+        await store.close();
+        await fs.remove(dataDir);
+    }
+}
+
+const user = (id, username, email) => ({ id, username, email, password: 'hash', createdAt: '2025-09-25T04:43:08.781Z' });
+
+const proposal = (id, userId, name) => ({
+    id,
+    userId,
+    name,
+    status: 'draft',
+    documents: [],
+    artifacts: { outputs: [] },
+    createdAt: '2025-09-26T18:53:20.061Z'
+});
+
+const job = (id, status) => ({ id, userId: 'u1', proposalId: 'p1', status, type: 'analyze' });
+
+// Both adapters have to behave the same behind SimpleDatabase
+for (const backend of Object.keys(STORAGE_BACKENDS)) {
+    test(`${backend} store: users are unique by username and email`, async () => {
+        await withStore(backend, async (store) => {
+            await store.insertUser(user('u1', 'alice', 'alice@example.com'));
+            await store.insertUser(user('u2', 'bob', null));
+
+            await assert.rejects(store.insertUser(user('u3', 'alice', 'other@example.com')), /Username already exists/);
+            await assert.rejects(store.insertUser(user('u3', 'carol', 'alice@example.com')), /Email already exists/);
+            await assert.rejects(store.updateUser('u2', { email: 'alice@example.com' }), /Email already exists/);
+            await assert.rejects(store.updateUser('missing', { theme: 'dark' }), /User not found/);
+
+            const updated = await store.updateUser('u2', current => ({ email: `${current.username}@example.com` }));
+            assert.strictEqual(updated.email, 'bob@example.com');
+            assert.deepStrictEqual(await store.findUser('email', 'bob@example.com'), updated);
+            assert.strictEqual((await store.findUser('username', 'alice')).id, 'u1');
+            assert.strictEqual(await store.findUser('id', 'u3'), null);
+        });
+    });
+
+    test(`${backend} store: sessions are replaced by id and removed by user or expiry`, async () => {
+        await withStore(backend, async (store) => {
+            const now = new Date('2026-01-01T00:00:00.000Z');
+            await store.saveSession({ id: 's1', userId: 'u1', expiresAt: '2025-12-31T00:00:00.000Z' });
+            await store.saveSession({ id: 's2', userId: 'u1', expiresAt: '2026-02-01T00:00:00.000Z' });
+            await store.saveSession({ id: 's3', userId: 'u2', expiresAt: '2026-02-01T00:00:00.000Z' });
+            await store.saveSession({ id: 's3', userId: 'u2', expiresAt: '2026-03-01T00:00:00.000Z', rememberMe: true });
+
+            assert.deepStrictEqual(await store.findSession('s3'),
+                { id: 's3', userId: 'u2', expiresAt: '2026-03-01T00:00:00.000Z', rememberMe: true });
+            assert.strictEqual(await store.deleteExpiredSessions(now), 1);
+            assert.strictEqual(await store.deleteUserSessions('u1'), 1);
+            assert.strictEqual(await store.deleteSession('s3'), 1);
+            assert.strictEqual(await store.findSession('s3'), null);
+        });
+    });
+
+    test(`${backend} store: proposals belong to their user and upsert reads and writes in one step`, async () => {
+        await withStore(backend, async (store) => {
+            await store.upsertProposal('u1', 'p1', current => current || proposal('p1', 'u1', 'First'));
+            await store.upsertProposal('u2', 'p2', () => proposal('p2', 'u2', 'Other'));
+            await Promise.all([1, 2, 3].map(() =>
+                store.upsertProposal('u1', 'p1', current => ({ ...current, revision: (current.revision || 0) + 1 }))));
+
+            assert.strictEqual((await store.findProposal('u1', 'p1')).revision, 3);
+            assert.strictEqual(await store.findProposal('u2', 'p1'), null);
+            assert.deepStrictEqual((await store.listProposals('u1')).map(record => record.id), ['p1']);
+
+            // A callback that throws leaves the stored record as it was
+            await assert.rejects(store.upsertProposal('u1', 'p1', () => {
+                throw new Error('refused');
+            }), /refused/);
+            assert.strictEqual((await store.findProposal('u1', 'p1')).revision, 3);
+
+            assert.strictEqual(await store.deleteProposal('u2', 'p1'), false);
+            assert.strictEqual(await store.deleteProposal('u1', 'p1'), true);
+            assert.strictEqual(await store.findProposal('u1', 'p1'), null);
+        });
+    });
+
+    test(`${backend} store: jobs are listed by proposal and status in insertion order`, async () => {
+        await withStore(backend, async (store) => {
+            await store.insertJob(job('j1', 'completed'));
+            await store.insertJob(job('j2', 'queued'));
+            await store.insertJob({ ...job('j3', 'running'), proposalId: 'p2' });
+            await store.updateJob('j2', current => ({ ...current, status: 'running' }));
+            await assert.rejects(store.updateJob('missing', current => current), /Job not found/);
+
+            const ids = jobs => jobs.map(record => record.id);
+            assert.deepStrictEqual(ids(await store.listJobs({ userId: 'u1', proposalId: 'p1' })), ['j1', 'j2']);
+            assert.deepStrictEqual(ids(await store.listJobs({ statuses: ['queued', 'running'] })), ['j2', 'j3']);
+            assert.deepStrictEqual(ids(await store.listJobs({ statuses: [] })), []);
+            assert.strictEqual((await store.findJob('j2')).status, 'running');
+        });
+    });
+
+    test(`${backend} store: updateRecords changes only the records the callback returns`, async () => {
+        await withStore(backend, async (store) => {
+            await store.insertUser(user('u1', 'alice', 'alice@example.com'));
+            await store.insertUser(user('u2', 'bob', null));
+
+            const changed = await store.updateRecords('users', record =>
+                (record.email ? { ...record, emailVerified: false } : null));
+
+            assert.strictEqual(changed, 1);
+            const users = await store.listRecords('users');
+            assert.deepStrictEqual(users.map(record => record.emailVerified), [false, undefined]);
+        });
+    });
+}
+
+test('createStore refuses unknown backends', () => {
+    assert.throws(() => createStore({ backend: 'mongo' }), /Unknown storage backend: mongo/);
+});
+
+test('the JSON data imported into SQLite reads back the same from both stores', async () => {
+    await withStore('json', async (json, dataDir) => {
+        await json.insertUser(user('u1', 'alice', 'alice@example.com'));
+        await json.insertUser(user('u2', 'bob', null));
+        await json.saveSession({ id: 's1', userId: 'u1', expiresAt: '2026-02-01T00:00:00.000Z', rememberMe: false });
+        await json.upsertProposal('u1', 'p1', () => proposal('p1', 'u1', 'First'));
+        await json.upsertProposal('u2', 'p2', () => proposal('p2', 'u2', 'Second'));
+        await json.insertJob(job('j1', 'completed'));
+
+        // Records the tables cannot take are reported instead of failing the import
+        const sessions = await json.listRecords('sessions');
+        await json.writeFile(json.files.sessions, [...sessions, { id: 's2', userId: 'u1' }]);
+
+        const sqlite = createStore({ backend: 'sqlite', file: path.join(dataDir, 'rfp.sqlite') });
+        try {
+            assert.strictEqual(await sqlite.init(), true, 'a new database asks for the import');
+            const { counts, skipped } = await importJsonData(sqlite, dataDir);
+
+            assert.deepStrictEqual(counts, { users: 2, sessions: 1, proposals: 2, jobs: 1 });
+            assert.deepStrictEqual(skipped, ['sessions: s2']);
+            for (const collection of COLLECTIONS) {
+                const expected = (await json.listRecords(collection)).filter(record => record.id !== 's2');
+                assert.deepStrictEqual(await sqlite.listRecords(collection), expected, collection);
+            }
+            assert.deepStrictEqual(await sqlite.findUser('email', 'alice@example.com'), await json.findUser('email', 'alice@example.com'));
+            assert.deepStrictEqual(await sqlite.listProposals('u2'), await json.listProposals('u2'));
+        } finally {
+            await sqlite.close();
+        }
+
+        // Once imported, reopening the database does not ask again
+        const reopened = createStore({ backend: 'sqlite', file: path.join(dataDir, 'rfp.sqlite') });
+        try {
+            assert.strictEqual(await reopened.init(), false);
+        } finally {
+            await reopened.close();
+        }
+    });
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SimpleDatabase = require('../modules/database');
+const AuthMiddleware = require('../modules/auth');
+const {
+    TwoFactorRequiredError,
+    generateTotpSecret,
+    totpCode,
+    totpStep,
+    matchTotp,
+    otpauthUri,
+    hashRecoveryCode,
+    generateRecoveryCodes
+} = require('../modules/twoFactor');
+
+// The RFC 6238 test secret ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// An AuthMiddleware on a JSON store of its own with a user who has turned on two-factor authentication.
+// run gets the secret and the recovery codes too.
+async function withTwoFactor(run) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'two-factor-'));
+    const db = new SimpleDatabase({ backend: 'json', dataDir });
+    const auth = new AuthMiddleware({ db, mailer: { send: async () => {} } });
+    try {
+        await db.ready;
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+        const { secret } = await auth.startTwoFactorSetup(user.id, 'secret-1');
+        const recoveryCodes = await auth.enableTwoFactor(user.id, totpCode(secret, totpStep()));
+        return await run({ auth, db, user, secret, recoveryCodes });
+    } finally {
+        await db.close();
+        await fs.remove(dataDir);
+    }
+}
+
+// A code that has not been used yet: the enrollment used up the current step
+const nextCode = secret => totpCode(secret, totpStep() + 1);
+
+test('totpCode matches the RFC 6238 SHA-1 test vectors', () => {
+    [[59, '287082'], [1111111109, '081804'], [1234567890, '005924'], [2000000000, '279037']]
+        .forEach(([seconds, code]) => assert.strictEqual(totpCode(RFC_SECRET, totpStep(seconds * 1000)), code, String(seconds)));
+});
+
+test('matchTotp accepts the steps next to the current one, once each', () => {
+    const now = 1111111109 * 1000;
+    const step = totpStep(now);
+
+    assert.strictEqual(matchTotp(RFC_SECRET, '081804', -1, now), step);
+    assert.strictEqual(matchTotp(RFC_SECRET, '081 804', -1, now), step);
+    assert.strictEqual(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), -1, now), step - 1);
+    assert.strictEqual(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), -1, now), step + 1);
+    assert.strictEqual(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 2), -1, now), null);
+    assert.strictEqual(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 2), -1, now), null);
+
+    // Steps up to the last one used are refused
+    assert.strictEqual(matchTotp(RFC_SECRET, '081804', step, now), null);
+    assert.strictEqual(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), step, now), step + 1);
+
+    ['', '12345', '1234567', 'abcdef', null].forEach(code => assert.strictEqual(matchTotp(RFC_SECRET, code, -1, now), null));
+});
+
+test('new secrets are base32 and the otpauth URI carries what authenticator apps need', () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notStrictEqual(generateTotpSecret(), secret);
+
+    assert.strictEqual(otpauthUri({ secret, account: 'alice', issuer: 'RFP Tool' }),
+        `otpauth://totp/RFP%20Tool%3Aalice?secret=${secret}&issuer=RFP%20Tool&algorithm=SHA1&digits=6&period=30`);
+});
+
+test('recovery codes are unique and match however they are typed', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    assert.strictEqual(codes.length, 10);
+    assert.strictEqual(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    assert.deepStrictEqual(hashes, codes.map(hashRecoveryCode));
+    assert.ok(!hashes.includes(codes[0]));
+    assert.strictEqual(hashRecoveryCode(` ${codes[0].toUpperCase().replace('-', '')} `), hashes[0]);
+});
+
+test('enrollment takes a current code from the new secret', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'two-factor-'));
+    const db = new SimpleDatabase({ backend: 'json', dataDir });
+    const auth = new AuthMiddleware({ db, mailer: { send: async () => {} } });
+    try {
+        await db.ready;
+        const user = await auth.register('alice', 'secret-1', 'alice@example.com');
+        await assert.rejects(auth.startTwoFactorSetup(user.id, 'wrong'), /Current password is incorrect/);
+
+        const { secret, otpauthUri: uri, qrCode } = await auth.startTwoFactorSetup(user.id, 'secret-1');
+        assert.ok(uri.includes(`secret=${secret}`));
+        assert.match(qrCode, /^data:image\/png;base64,/);
+
+        await assert.rejects(auth.enableTwoFactor(user.id, totpCode(secret, totpStep() + 3)), /does not match/);
+        assert.strictEqual((await auth.getTwoFactorStatus(user.id)).enabled, false);
+
+        const codes = await auth.enableTwoFactor(user.id, totpCode(secret, totpStep()));
+        assert.strictEqual(codes.length, 10);
+        const stored = await db.findUserById(user.id);
+        assert.strictEqual(stored.twoFactorSetup, null);
+        assert.ok(!JSON.stringify(stored).includes(codes[0]), 'only hashes of the recovery codes are stored');
+        await assert.rejects(auth.startTwoFactorSetup(user.id, 'secret-1'), /already enabled/);
+    } finally {
+        await db.close();
+        await fs.remove(dataDir);
+    }
+});
+
+test('login asks for the second factor and refuses a code used before', async () => {
+    await withTwoFactor(async ({ auth, user, secret }) => {
+        await assert.rejects(auth.login('alice', 'secret-1'), TwoFactorRequiredError);
+        await assert.rejects(auth.login('alice', 'secret-1', '000000'), /Invalid authentication code/);
+
+        const code = nextCode(secret);
+        assert.strictEqual((await auth.login('alice', 'secret-1', code)).user.id, user.id);
+        await assert.rejects(auth.login('alice', 'secret-1', code), /Invalid authentication code/);
+    });
+});
+
+test('each recovery code logs in once', async () => {
+    await withTwoFactor(async ({ auth, user, recoveryCodes }) => {
+        assert.deepStrictEqual(await auth.checkSecondFactor(user.id, recoveryCodes[0]), { method: 'recovery', recoveryCodesLeft: 9 });
+        await assert.rejects(auth.checkSecondFactor(user.id, recoveryCodes[0]), /Invalid authentication code/);
+        assert.strictEqual((await auth.getTwoFactorStatus(user.id)).recoveryCodesLeft, 9);
+    });
+});
+
+test('a code presented twice at the same time works once', async () => {
+    await withTwoFactor(async ({ db, user, secret, recoveryCodes }) => {
+        const code = nextCode(secret);
+        const totp = await Promise.all([db.checkSecondFactor(user.id, code), db.checkSecondFactor(user.id, code)]);
+        assert.strictEqual(totp.filter(Boolean).length, 1);
+
+        const recovery = await Promise.all([
+            db.checkSecondFactor(user.id, recoveryCodes[1]),
+            db.checkSecondFactor(user.id, recoveryCodes[1])
+        ]);
+        assert.strictEqual(recovery.filter(Boolean).length, 1);
+    });
+});
+
+test('five wrong codes in a row lock the second factor for five minutes', async () => {
+    await withTwoFactor(async ({ auth, db, user, secret, recoveryCodes }) => {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await assert.rejects(auth.checkSecondFactor(user.id, '000000'), /Invalid authentication code/);
+        }
+
+        // Even right codes are refused while locked, and they are not used up
+        await assert.rejects(auth.checkSecondFactor(user.id, nextCode(secret)), /Too many invalid codes/);
+        await assert.rejects(auth.checkSecondFactor(user.id, recoveryCodes[0]), /Too many invalid codes/);
+
+        const stored = await db.findUserById(user.id);
+        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000 - 1000).toISOString();
+        await db.store.updateUser(user.id, { twoFactor: { ...stored.twoFactor, lastFailureAt: fiveMinutesAgo } });
+
+        assert.strictEqual((await auth.checkSecondFactor(user.id, recoveryCodes[0])).method, 'recovery');
+        assert.strictEqual((await db.findUserById(user.id)).twoFactor.failures, 0, 'a right code resets the count');
+    });
+});
+
+test('a right code before the fifth wrong one resets the count', async () => {
+    await withTwoFactor(async ({ auth, user, secret }) => {
+        for (let attempt = 0; attempt < 4; attempt++) {
+            await assert.rejects(auth.checkSecondFactor(user.id, '000000'), /Invalid authentication code/);
+        }
+        await auth.checkSecondFactor(user.id, nextCode(secret));
+        await assert.rejects(auth.checkSecondFactor(user.id, '000000'), /Invalid authentication code/);
+        await assert.rejects(auth.checkSecondFactor(user.id, '000000'), /Invalid authentication code/);
+    });
+});
+
+test('turning two-factor off or replacing recovery codes takes the password and a code', async () => {
+    await withTwoFactor(async ({ auth, user, secret, recoveryCodes }) => {
+        await assert.rejects(auth.regenerateRecoveryCodes(user.id, 'wrong', recoveryCodes[0]), /Current password is incorrect/);
+        await assert.rejects(auth.regenerateRecoveryCodes(user.id, 'secret-1', '000000'), /Invalid authentication code/);
+
+        const replaced = await auth.regenerateRecoveryCodes(user.id, 'secret-1', nextCode(secret));
+        await assert.rejects(auth.checkSecondFactor(user.id, recoveryCodes[1]), /Invalid authentication code/);
+
+        await auth.disableTwoFactor(user.id, 'secret-1', replaced[0]);
+        assert.strictEqual((await auth.getTwoFactorStatus(user.id)).enabled, false);
+        assert.strictEqual((await auth.login('alice', 'secret-1')).user.id, user.id);
+    });
+});
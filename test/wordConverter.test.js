@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { convertDocxToMarkdown } = require('../modules/converters/wordConverter');
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const paragraph = text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+const cell = content => `<w:tc>${content}</w:tc>`;
+const row = (...cells) => `<w:tr>${cells.join('')}</w:tr>`;
+const table = (...rows) => `<w:tbl>${rows.join('')}</w:tbl>`;
+
+async function docx(bodyXml) {
+    const zip = new JSZip();
+    zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?>` +
+        `<w:document xmlns:w="${W}"><w:body>${bodyXml}</w:body></w:document>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('renders a table as a Markdown table', async () => {
+    const markdown = await convertDocxToMarkdown(await docx(table(
+        row(cell(paragraph('Requirement')), cell(paragraph('Response'))),
+        row(cell(paragraph('Uptime 99.9%')), cell(paragraph('Complies')))
+    )));
+
+    assert.strictEqual(markdown, [
+        '| Requirement | Response |',
+        '| --- | --- |',
+        '| Uptime 99.9% | Complies |'
+    ].join('\n'));
+});
+
+test('keeps the text of a table nested in a table cell', async () => {
+    const nested = table(
+        row(cell(paragraph('Tier')), cell(paragraph('Price'))),
+        row(cell(paragraph('Gold') + paragraph('annual')), cell(paragraph('$100')))
+    );
+    const markdown = await convertDocxToMarkdown(await docx(table(
+        row(cell(paragraph('Item')), cell(paragraph('Details'))),
+        row(cell(paragraph('Pricing')), cell(paragraph('See tiers:') + nested))
+    )));
+
+    assert.match(markdown, /Tier \/ Price/);
+    assert.match(markdown, /Gold annual \/ \$100/);
+    assert.match(markdown, /See tiers:/);
+});